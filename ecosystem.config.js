@@ -25,11 +25,10 @@ export default {
         PORT: 3001,
         HOST: '0.0.0.0'
       },
-      // Logging
+      // Logging: entries are JSON lines with their own `time` (no PM2 date prefix)
       log_file: './logs/combined.log',
       out_file: './logs/out.log',
       error_file: './logs/error.log',
-      log_date_format: 'YYYY-MM-DD HH:mm:ss Z',
       merge_logs: true,
       
       // Process management
@@ -5,21 +5,76 @@
 import { createApp } from './src/app.js';
 import { config } from './src/config/index.js';
 import redisService from './src/services/redisService.js';
+import pxFileService from './src/services/pxFileService.js';
+import airQualityHistoryService from './src/services/airQualityHistoryService.js';
+import alertService from './src/services/alertService.js';
+import fixtureService from './src/services/fixtureService.js';
+import cacheWarmerService from './src/services/cacheWarmerService.js';
+import catalogSyncService from './src/services/catalogSyncService.js';
+import searchService from './src/services/searchService.js';
+import metricsService from './src/services/metricsService.js';
+import logger from './src/utils/logger.js';
+
+const log = logger.child({ component: 'server' });
+
+const REDIS_STARTUP_WAIT_MS = 5000;
 
 // Connect to Redis (non-blocking — server starts even if Redis is unavailable)
 redisService.connect();
 
+// Register data/*.px files as datasets and watch for new ones
+pxFileService.start();
+
+// Scheduled jobs run on one PM2 worker per interval through Redis locks; these two
+// run right away, so give Redis a moment to connect first
+redisService.whenConnected(REDIS_STARTUP_WAIT_MS).then(() => {
+  // Store hourly air quality readings for /api/air-quality/history
+  airQualityHistoryService.start();
+
+  // Evaluate air quality alert rules and notify webhooks
+  alertService.start();
+});
+
+// Restore auto-registered datasets and compare DATASETS with the PXWeb tree
+catalogSyncService.start();
+
+// Index the catalog and stored variable labels for /api/search
+searchService.start();
+
+// Pre-fill the dataset cache after startup and keep it fresh
+cacheWarmerService.start();
+
+// Publish this worker's metrics so /metrics can serve the totals of all workers
+metricsService.start();
+
 // Create Express application
 const app = createApp();
 
 // Start server
 const server = app.listen(config.server.port, config.server.host, () => {
+  const fixtureModes = Object.entries(fixtureService.getStatus().modes).filter(([, mode]) => mode !== 'off');
+  log.info({
+    env: config.server.env,
+    host: config.server.host,
+    port: config.server.port,
+    ...(fixtureModes.length && { fixtures: Object.fromEntries(fixtureModes) })
+  }, 'PXWeb API Server started');
+
+  // The endpoint overview is for people watching the console, not for JSON log collectors
+  if (!config.logging.stdout || config.logging.format !== 'pretty') return;
+
   console.log('🚀 PXWeb API Server Started');
   console.log('=' .repeat(50));
   console.log(`📍 Environment: ${config.server.env}`);
   console.log(`🌐 Server: http://${config.server.host}:${config.server.port}`);
   console.log(`🏠 Local: http://localhost:${config.server.port}`);
   console.log(`🌍 Network: http://192.168.1.27:${config.server.port}`);
+  if (fixtureModes.length) {
+    console.log(`📼 Fixtures: ${fixtureModes.map(([source, mode]) => `${source}=${mode}`).join(', ')}`);
+  }
+  if (config.auth.enabled) {
+    console.log(`🔑 API keys: ${config.auth.store} store${config.auth.requireKey ? ', key required' : ''}${config.auth.adminKey ? ', ADMIN_API_KEY set' : ''}`);
+  }
   console.log('=' .repeat(50));
   console.log('📊 API Endpoints:');
   console.log(`   🔍 GET  /api                      - API information`);
@@ -27,11 +82,21 @@ const server = app.listen(config.server.port, config.server.host, () => {
   console.log(`   📄 GET  /api/datasets/:id/metadata - Dataset metadata`);
   console.log(`   📊 GET  /api/datasets/:id/data     - Chart-ready data`);
   console.log(`   🔢 GET  /api/datasets/:id/jsonstat - Raw JSON-Stat`);
+  console.log(`   📄 GET  /api/datasets/:id/px       - PC-Axis file`);
   console.log(`   🌬️  GET  /api/air-quality/latest   - Latest air quality`);
   console.log(`   🏭 GET  /api/air-quality/summary  - Air quality summary`);
+  console.log(`   📈 GET  /api/air-quality/history  - Stored air quality history`);
+  console.log(`   📡 GET  /api/air-quality/stream   - Live air quality (SSE)`);
+  console.log(`   🔔 GET  /api/alerts               - Air quality alert rules`);
   console.log(`   🗺️  GET  /api/navigation/explore   - Navigation API`);
-  console.log(`   ❤️  GET  /health                   - Health check`);
-  console.log(`   🔧 GET  /health/status            - System status`);
+  console.log(`   🗂️  POST /api/navigation/sync      - Sync catalog with PXWeb`);
+  console.log(`   🧬 POST /graphql                  - GraphQL queries`);
+  console.log(`   📖 GET  /api/docs                 - API documentation (OpenAPI: /api/openapi.json)`);
+  console.log(`   ❤️  GET  /api/health               - Health check`);
+  console.log(`   🔧 GET  /api/health/status        - System status`);
+  console.log(`   📈 GET  /metrics                  - Prometheus metrics`);
+  console.log(`   🔥 POST /api/health/cache/warm    - Warm dataset cache`);
+  console.log(`   🔑 GET  /api/admin/keys           - API keys (admin)`);
   console.log('=' .repeat(50));
   console.log('📝 Example URLs:');
   console.log(`   http://localhost:${config.server.port}/api/datasets`);
@@ -42,29 +107,29 @@ const server = app.listen(config.server.port, config.server.host, () => {
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
-  console.log('📴 SIGTERM received. Shutting down gracefully...');
+  log.info('SIGTERM received, shutting down gracefully');
   server.close(() => {
-    console.log('✅ Server closed.');
+    log.info('Server closed');
     process.exit(0);
   });
 });
 
 process.on('SIGINT', () => {
-  console.log('📴 SIGINT received. Shutting down gracefully...');
+  log.info('SIGINT received, shutting down gracefully');
   server.close(() => {
-    console.log('✅ Server closed.');
+    log.info('Server closed');
     process.exit(0);
   });
 });
 
 // Handle uncaught exceptions
 process.on('uncaughtException', (err) => {
-  console.error('💥 Uncaught Exception:', err);
+  log.fatal({ err }, 'Uncaught exception');
   process.exit(1);
 });
 
 process.on('unhandledRejection', (err) => {
-  console.error('💥 Unhandled Rejection:', err);
+  log.fatal({ err }, 'Unhandled rejection');
   server.close(() => {
     process.exit(1);
   });
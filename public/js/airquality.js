@@ -1,8 +1,8 @@
 /**
  * airquality.js — air quality pane
  * --------------------------------
- * Fetches per-city pollutant averages, classifies values into quality levels,
- * and renders pollutant cards plus a station-detail table.
+ * Streams per-station readings for a city over SSE, averages them per pollutant,
+ * classifies values into quality levels, and renders pollutant cards plus a station-detail table.
  */
 
 /** EU air-quality bands (μg/m³ except CO which is μg/m³ as 8h average). */
@@ -23,7 +23,12 @@ const pollLevel = (substance, value) => {
   return 'very_poor';
 };
 
-async function loadAirQuality(city, btn) {
+/** Open /api/air-quality/stream for the selected city; one connection at a time. */
+let aqStream = null;
+/** Latest reading per "STATION|SUBSTANCE" from the stream. */
+let aqReadings = new Map();
+
+function loadAirQuality(city, btn) {
   if (btn) {
     document.querySelectorAll('.city-btn').forEach(b => b.classList.remove('active'));
     btn.classList.add('active');
@@ -32,15 +37,61 @@ async function loadAirQuality(city, btn) {
     '<div class="empty" style="grid-column:1/-1">იტვირთება…</div>';
   document.getElementById('aq-stations-card').style.display = 'none';
 
-  try {
-    const j = await fetch(`${API}/api/air-quality/${city}/all-pollutants-average`)
-      .then(r => r.json());
-    if (!j.success) throw new Error(j.message || 'Error');
-    renderAirQuality(j.data);
-  } catch (e) {
-    document.getElementById('pollutant-grid').innerHTML =
-      `<div class="empty" style="grid-column:1/-1;color:var(--red)">${e.message}</div>`;
+  if (aqStream) aqStream.close();
+  aqReadings = new Map();
+  aqStream = new EventSource(`${API}/api/air-quality/stream?city=${encodeURIComponent(city)}`);
+
+  const store = r => aqReadings.set(`${r.station.code}|${r.substance}`, r);
+  aqStream.addEventListener('snapshot', e => {
+    aqReadings = new Map();
+    JSON.parse(e.data).readings.forEach(store);
+    renderStream();
+  });
+  aqStream.addEventListener('reading', e => {
+    store(JSON.parse(e.data));
+    renderStream();
+  });
+  aqStream.addEventListener('upstream_error', e => {
+    if (!aqReadings.size) showAirQualityError(JSON.parse(e.data).message);
+  });
+  aqStream.addEventListener('error', () => {
+    // EventSource reconnects by itself; only report when nothing was shown yet
+    if (!aqReadings.size) showAirQualityError('Stream unavailable, retrying…');
+  });
+}
+
+function showAirQualityError(message) {
+  document.getElementById('pollutant-grid').innerHTML =
+    `<div class="empty" style="grid-column:1/-1;color:var(--red)">${message}</div>`;
+}
+
+/** Average the streamed station readings per pollutant and render them. */
+function renderStream() {
+  const pollutants = {};
+  let timestamp = null;
+
+  for (const r of aqReadings.values()) {
+    const p = pollutants[r.substance] ||= { stations: [], unit: r.unit };
+    p.stations.push({
+      code: r.station.code,
+      settlement: r.station.settlement,
+      address: r.station.address,
+      pollutantValue: r.value,
+      qualityLevel: r.qualityLevel
+    });
+    if (!timestamp || r.timestamp > timestamp) timestamp = r.timestamp;
+  }
+
+  for (const p of Object.values(pollutants)) {
+    const sum = p.stations.reduce((acc, s) => acc + s.pollutantValue, 0);
+    p.average = { value: sum / p.stations.length, unit: p.unit };
+  }
+
+  if (!Object.keys(pollutants).length) {
+    showAirQualityError('No current readings for this city');
+    return;
   }
+  renderAirQuality({ timestamp, pollutants });
 }
 
 function renderAirQuality(data) {
@@ -106,14 +106,14 @@ async function openPreview(id) {
       if (resp.status === 502) throw new Error('გარე API მიუწვდომელია (geostat.ge). სცადეთ მოგვიანებით.');
       throw new Error(j.message);
     }
-    renderModal(j.data);
+    renderModal(j.data, j.stale);
   } catch (e) {
     document.getElementById('modal-content').innerHTML =
       `<div class="modal-loading" style="color:var(--red)">⚠ ${e.message}</div>`;
   }
 }
 
-function renderModal(d) {
+function renderModal(d, stale = false) {
   const rows = d.data || [];
   const cats = d.categories || [];
   const has  = cats.length > 1;
@@ -147,6 +147,8 @@ function renderModal(d) {
   document.getElementById('modal-content').innerHTML = `
     <div class="modal-title">${d.name || d.id}</div>
     <div class="modal-desc">${d.description || ''}</div>
+    ${d.vintage?.updated ? `<div class="modal-desc">წყარო განახლდა: ${new Date(d.vintage.updated).toLocaleString('ka')}${d.vintage.version ? ' · ვერსია ' + d.vintage.version : ''}</div>` : ''}
+    ${stale ? `<div class="modal-desc" style="color:var(--amber-dk)">⚠ შენახული მონაცემები${d.fetchedAt ? ' (' + new Date(d.fetchedAt).toLocaleString('ka') + ')' : ''} — geostat.ge-დან განახლება ვერ მოხერხდა ან მიმდინარეობს.</div>` : ''}
     <div class="modal-sec">გრაფიკი</div>
     <div class="modal-chart"><canvas id="modal-canvas"></canvas></div>
     <div class="modal-sec">მონაცემთა ცხრილი</div>
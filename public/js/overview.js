@@ -28,6 +28,8 @@ async function loadHealth() {
     setSvc('redis',
       d.services?.redis?.connected ? 'ok' : 'warn',
       d.services?.redis?.connected ? 'დაკავშირებულია' : 'მიუწვდომელია — ქეშირება გათიშულია');
+    setUpstreamSvc('pxweb', d.services?.pxwebApi, 'geostat.ge');
+    setUpstreamSvc('airquality', d.services?.airQualityApi, 'air.gov.ge');
 
     const ok = d.status !== 'degraded';
     setBadge(ok ? 'ok' : 'warn',
@@ -42,12 +44,35 @@ async function loadHealth() {
   }
 }
 
+// Upstream row from its circuit breaker: closed → ok, half-open → warn, open → err
+function setUpstreamSvc(key, svc, host) {
+  if (!svc) return;
+  if (svc.circuit === 'open') {
+    const retry = svc.retryAt ? new Date(svc.retryAt).toLocaleTimeString() : '';
+    setSvc(key, 'err', `${host} — მიუწვდომელია (circuit open), ხელახლა ცდა ${retry}`);
+  } else if (svc.circuit === 'half-open') {
+    setSvc(key, 'warn', `${host} — კავშირის შემოწმება (circuit half-open)`);
+  } else {
+    setSvc(key, 'ok', `${host} — ხელმისაწვდომია`);
+  }
+}
+
 async function clearCache() {
   const btn = document.getElementById('btn-clear-cache');
   const out = document.getElementById('cache-result');
   btn.disabled = true; btn.textContent = '⏳ მიმდინარეობს…'; out.textContent = '';
   try {
-    const j = await fetch(`${API}/api/health/cache/clear`, { method: 'POST' }).then(r => r.json());
+    // Clearing the cache needs an admin API key; ask once per session
+    const post = key => fetch(`${API}/api/health/cache/clear`, { method: 'POST', headers: key ? { 'X-API-Key': key } : {} });
+    let res = await post(sessionStorage.getItem('adminApiKey'));
+    if (res.status === 401 || res.status === 403) {
+      const key = prompt('ადმინისტრატორის API გასაღები (X-API-Key)');
+      if (key) {
+        res = await post(key);
+        if (res.ok) sessionStorage.setItem('adminApiKey', key);
+      }
+    }
+    const j = await res.json();
     out.style.color = j.success ? 'var(--green-2)' : 'var(--red)';
     out.textContent = j.success ? `${j.keysDeleted} ჩანაწერი წაშლილია` : (j.error || 'Failed');
   } catch {
@@ -71,7 +96,6 @@ async function loadDatasetSummary() {
     const genderCount = datasets.filter(d => d.category === 'gender-statistics').length;
 
     document.getElementById('s-total').textContent = datasets.length;
-    setSvc('pxweb', 'ok', `${datasets.length} მონაცემთა ბაზა ჩატვირთულია`);
 
     drawPie(envCount, genderCount, datasets.length - envCount - genderCount);
 
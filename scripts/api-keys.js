@@ -0,0 +1,61 @@
+/**
+ * Manage API keys from the command line (same store as the server, see config.auth)
+ * Run: npm run keys -- create "Ministry dashboard" partner
+ *      npm run keys -- list
+ *      npm run keys -- delete key_0123456789ab
+ */
+import { config } from '../src/config/index.js';
+import redisService from '../src/services/redisService.js';
+import apiKeyService, { ROLES } from '../src/services/apiKeyService.js';
+
+const CONNECT_TIMEOUT_MS = 5000;
+
+const [command, ...args] = process.argv.slice(2);
+
+async function main() {
+  // Redis holds the keys, or the lock on the keys file that the server workers also take
+  if (config.auth.store === 'redis' || process.env.REDIS_URL) {
+    await Promise.race([
+      redisService.connect(),
+      new Promise(resolve => setTimeout(resolve, CONNECT_TIMEOUT_MS).unref())
+    ]);
+  }
+
+  switch (command) {
+    case 'create': {
+      const [name, role = 'public', perMinute, perDay] = args;
+      const limits = perMinute !== undefined || perDay !== undefined ? { perMinute, perDay } : undefined;
+      const key = await apiKeyService.createKey({ name, role, limits });
+      console.log(`   ID:   ${key.id}`);
+      console.log(`   Role: ${key.role}`);
+      console.log(`   Key:  ${key.key}`);
+      console.log('⚠️  Store the key now: it cannot be shown again');
+      break;
+    }
+    case 'list': {
+      const keys = await apiKeyService.listKeys();
+      if (!keys.length) console.log('No API keys yet');
+      for (const key of keys) {
+        const limits = apiKeyService.limitsFor(key);
+        console.log(`${key.id.padEnd(18)} ${key.role.padEnd(8)} ${String(limits.perMinute || '∞').padStart(6)}/min ${String(limits.perDay || '∞').padStart(8)}/day  ${key.name}`);
+      }
+      break;
+    }
+    case 'delete':
+      await apiKeyService.deleteKey(args[0]);
+      break;
+    default:
+      console.log('Usage:');
+      console.log(`  npm run keys -- create <name> [${ROLES.join('|')}] [perMinute] [perDay]`);
+      console.log('  npm run keys -- list');
+      console.log('  npm run keys -- delete <id>');
+      process.exitCode = command ? 1 : 0;
+  }
+}
+
+main()
+  .catch(error => {
+    console.error(`❌ ${error.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => redisService.disconnect());
@@ -6,8 +6,11 @@ import cors from 'cors';
 import compression from 'compression';
 import { config } from './config/index.js';
 import routes from './routes/index.js';
+import graphqlRoutes from './routes/graphql.js';
+import metricsRoutes from './routes/metrics.js';
 import { errorHandler, notFound } from './middleware/errorHandler.js';
 import { requestLogger } from './middleware/requestLogger.js';
+import { authenticate } from './middleware/auth.js';
 import performanceMonitor from './middleware/performanceMonitor.js';
 
 /**
@@ -47,8 +50,13 @@ export function createApp() {
     }
   }));
 
+  // API keys, rate limits and daily quotas
+  app.use(['/api', '/graphql'], authenticate);
+
   // Routes
   app.use('/api', routes);
+  app.use('/graphql', graphqlRoutes);
+  app.use('/metrics', metricsRoutes);
 
   // Dashboard route
   app.get('/dashboard', (req, res) => {
@@ -0,0 +1,58 @@
+/**
+ * Air Quality City Registry
+ * Maps cities and municipalities to air.gov.ge monitoring stations for
+ * /api/air-quality/cities/:city/averages
+ *
+ * A station belongs to a city when its settlement (Georgian or English) contains
+ * one of `settlements` as a whole word, e.g. "ქ.რუსთავი - ..." matches "რუსთავი"
+ * but "რუსთაველის გამზ." does not. `stations` lists the known station codes, which
+ * belong to the city whatever their settlement says.
+ * Cities missing here still work: the requested name is matched against
+ * settlements the same way, so a new station in e.g. Telavi needs no code change.
+ */
+export const CITIES = {
+  tbilisi: {
+    name: 'Tbilisi',
+    name_ka: 'თბილისი',
+    settlements: ['თბილისი', 'Tbilisi'],
+    stations: ['TSRT', 'KZBG', 'AGMS', 'ORN01']
+  },
+  kutaisi: {
+    name: 'Kutaisi',
+    name_ka: 'ქუთაისი',
+    settlements: ['ქუთაისი', 'Kutaisi'],
+    stations: ['KUTS', 'ORN04']
+  },
+  batumi: {
+    name: 'Batumi',
+    name_ka: 'ბათუმი',
+    settlements: ['ბათუმი', 'Batumi'],
+    stations: ['BTUM', 'ORN03']
+  },
+  rustavi: {
+    name: 'Rustavi',
+    name_ka: 'რუსთავი',
+    settlements: ['რუსთავი', 'Rustavi'],
+    stations: ['RST18', 'ORN02']
+  },
+  zugdidi: {
+    name: 'Zugdidi',
+    name_ka: 'ზუგდიდი',
+    settlements: ['ზუგდიდი', 'Zugdidi'],
+    stations: []
+  },
+  gori: {
+    name: 'Gori',
+    name_ka: 'გორი',
+    settlements: ['გორი', 'Gori'],
+    stations: []
+  },
+  zestaponi: {
+    name: 'Zestaponi',
+    name_ka: 'ზესტაფონი',
+    settlements: ['ზესტაფონი', 'Zestaponi'],
+    stations: []
+  }
+};
+
+export default CITIES;
@@ -35,7 +35,13 @@ export const DATASETS = {
     description: 'სტაციონარულ წყაროებში წარმოქმნილი მავნე ნივთიერებების დაჭერა და ატმოსფეროში გაფრქვევა კატეგორიების მიხედვით (ათასი ტონა)',
     path: 'Environment%20Statistics/Air%20Pollution/4.Air_pollution_by_category.px',
     category: 'environment',
-    subcategory: 'air-pollution'
+    subcategory: 'air-pollution',
+    processor: {
+      // Only the emitted combinations, rows keyed by year index
+      include: { ka: 'გაფრქვეული', en: 'Emitted' },
+      years: 'index',
+      minDimensions: 2
+    }
   },
 
   // Waste Management
@@ -44,7 +50,20 @@ export const DATASETS = {
     name: 'Municipal Waste',
     description: 'Municipal waste generation and management statistics',
     path: 'Environment%20Statistics/Waste/Municipal_Waste.px',
-    category: 'environment'
+    category: 'environment',
+    processor: {
+      series: ['Waste'],
+      years: { from: 'label', start: 2015 },
+      title: 'ნაგავსაყრელებზე განთავსებული მუნიციპალური ნარჩენები',
+      derived: [
+        {
+          label: { ka: 'ნარჩენების ჯამური რაოდენობის წლიური ზრდა (%)', en: 'Annual growth in total waste (%)' },
+          op: 'growth',
+          of: '0',
+          bilingual: true
+        }
+      ]
+    }
   },
   'waste-recycling': {
     id: 'waste-recycling',
@@ -75,7 +94,12 @@ export const DATASETS = {
     description: 'ტყის ჭრით მიღებული ხე-ტყის მოცულობა(კუბური მეტრი)',
     path: 'Environment%20Statistics/Forest%20Resources/1.Felled_Timber.px',
     category: 'environment',
-    subcategory: 'forest-resources'
+    subcategory: 'forest-resources',
+    processor: {
+      series: [0],
+      years: { from: 'label', start: 2010 },
+      title: 'ტყის ჭრით მიღებული ხე-ტყის მოცულობა'
+    }
   },
   'forest-planting-recovery': {
     id: 'forest-planting-recovery',
@@ -83,7 +107,12 @@ export const DATASETS = {
     description: 'ტყის თესვა/დარგვა და ბუნებრივი განახლებისთვის ხელშეწყობა (ჰექტარი)',
     path: 'Environment%20Statistics/Forest%20Resources/2.Forest_planting_and_recovery.px',
     category: 'environment',
-    subcategory: 'forest-resources'
+    subcategory: 'forest-resources',
+    processor: {
+      series: [{ match: 'region' }, { match: 'category' }],
+      years: 'label',
+      title: 'ტყის თესვა/დარგვა და ბუნებრივი განახლებისთვის ხელშეწყობა'
+    }
   },
   'forest-fires': {
     id: 'forest-fires',
@@ -107,7 +136,12 @@ export const DATASETS = {
     description: 'ტყის უკანონო ჭრა',
     path: 'Environment%20Statistics/Forest%20Resources/Illegal-logging.px',
     category: 'environment',
-    subcategory: 'forest-resources'
+    subcategory: 'forest-resources',
+    processor: {
+      series: [0],
+      years: 'label',
+      title: 'ტყის უკანონო ჭრა'
+    }
   },
   'timber-by-cutting-purpose': {
     id: 'timber-by-cutting-purpose',
@@ -115,7 +149,13 @@ export const DATASETS = {
     description: 'ხე-ტყის მოცულობა ჭრის მიზნების მიხედვით',
     path: 'Environment%20Statistics/Forest%20Resources/timber-by-cutting-purpose_.px',
     category: 'environment',
-    subcategory: 'forest-resources'
+    subcategory: 'forest-resources',
+    processor: {
+      series: ['Cutting purpose', 'Forest Type'],
+      years: 'label',
+      yearMapping: false,
+      title: 'Timber by Cutting Purpose'
+    }
   },
 
   // Protected Areas
@@ -125,7 +165,14 @@ export const DATASETS = {
     description: 'საქართველოს დაცული ტერიტორიების კატეგორიები და ფართობი (ჰექტარი)',
     path: 'Environment%20Statistics/Protected%20Areas/Protected-areas.px',
     category: 'environment',
-    subcategory: 'protected-areas'
+    subcategory: 'protected-areas',
+    processor: {
+      series: [0],
+      years: 'raw',
+      categoryMapping: 'id',
+      yearMapping: false,
+      title: 'Protected Areas Categories'
+    }
   },
   'protected-areas-birds': {
     id: 'protected-areas-birds',
@@ -133,7 +180,14 @@ export const DATASETS = {
     description: 'დაცულ ტერიტორიებზე აღრიცხულ ფრინველთა ძირითადი სახეობები',
     path: 'Environment%20Statistics/Protected%20Areas/Birds_species_preserved_in_protected.px',
     category: 'environment',
-    subcategory: 'protected-areas'
+    subcategory: 'protected-areas',
+    processor: {
+      series: [0],
+      years: 'raw',
+      categoryMapping: 'id',
+      yearMapping: false,
+      title: 'Protected Areas Birds'
+    }
   },
   'protected-areas-mammals': {
     id: 'protected-areas-mammals',
@@ -141,7 +195,14 @@ export const DATASETS = {
     description: 'დაცულ ტერიტორიებზე აღრიცხულ ძუძუმწოვართა ძირითადი სახეობები',
     path: 'Environment%20Statistics/Protected%20Areas/Mammals_preserved_in_protected_areas.px',
     category: 'environment',
-    subcategory: 'protected-areas'
+    subcategory: 'protected-areas',
+    processor: {
+      series: [0],
+      years: 'raw',
+      categoryMapping: 'id',
+      yearMapping: false,
+      title: 'Protected Areas Mammals'
+    }
   },
 
   // Water Resources
@@ -152,7 +213,12 @@ export const DATASETS = {
     description: 'წყლის რესურსების დაცვა და გამოყენება',
     path: 'Environment%20Statistics/Water%20Resources/Water_Abstraction5.px',
     category: 'environment',
-    subcategory: 'water-resources'
+    subcategory: 'water-resources',
+    processor: {
+      series: ['Categories'],
+      years: 'label',
+      title: 'წყლის რესურსების დაცვა და გამოყენება'
+    }
   },
 
   // Environmental Indicators
@@ -178,7 +244,15 @@ export const DATASETS = {
     description: 'C-4: წყლის გამოყენება შინამეურნეობებში ერთ სულ მოსახლეზე',
     path: 'Environment%20Statistics/Environmental%20Indicators/01.C_4.px',
     category: 'environment',
-    subcategory: 'environmental-indicators'
+    subcategory: 'environmental-indicators',
+    processor: {
+      series: [0],
+      keys: 'label',
+      years: { from: 'label', start: 2015 },
+      yearMapping: false,
+      counts: false,
+      title: 'წყლის გამოყენება შინამეურნეობებში ერთ სულ მოსახლეზე'
+    }
   },
   'water-supply-population': {
     id: 'water-supply-population',
@@ -202,7 +276,15 @@ export const DATASETS = {
     description: 'C-14. წყალარინების ქსელზე მიერთებული მოსახლეობა',
     path: 'Environment%20Statistics/Environmental%20Indicators/04.C_14.px',
     category: 'environment',
-    subcategory: 'environmental-indicators'
+    subcategory: 'environmental-indicators',
+    processor: {
+      series: [0],
+      keys: 'label',
+      years: { from: 'label', start: 2015 },
+      yearMapping: 'object',
+      counts: false,
+      title: 'წყალარინების ქსელზე მიერთებული მოსახლეობა'
+    }
   },
 
   // Agriculture Indicators
@@ -212,7 +294,22 @@ export const DATASETS = {
     description: 'F-2. სასუქების გამოყენება',
     path: 'Environment%20Statistics/Environmental%20Indicators/05.F_2.px',
     category: 'environment',
-    subcategory: 'environmental-indicators'
+    subcategory: 'environmental-indicators',
+    processor: {
+      series: ['Fertilizer consumption'],
+      years: { from: 'label', start: 2006 },
+      title: 'F-2. სასუქების გამოყენება',
+      derived: [
+        {
+          // (mineral + organic fertilizers) / agricultural area
+          label: { ka: 'სასუქების ჯამური ინტენსივობა (ათასი ტონა/კგ ჰექტარი)', en: 'Total fertilizer intensity (thousand tons/kg hectares)' },
+          op: 'ratio',
+          of: ['9', '15'],
+          by: '0',
+          bilingual: true
+        }
+      ]
+    }
   },
   'pesticide-consumption': {
     id: 'pesticide-consumption',
@@ -230,7 +327,15 @@ export const DATASETS = {
     description: 'G-1. ენერგიის საბოლოო მოხმარება',
     path: 'Environment%20Statistics/Environmental%20Indicators/07.G_1.px',
     category: 'environment',
-    subcategory: 'environmental-indicators'
+    subcategory: 'environmental-indicators',
+    processor: {
+      series: ['Final energy consumption'],
+      years: 'label',
+      title: 'ენერგიის საბოლოო მოხმარება',
+      derived: [
+        { label: { ka: 'სოფ.მეურნეობა და სხვა', en: 'Agriculture and other' }, op: 'sum', of: ['9', '11'], missing: 0 }
+      ]
+    }
   },
   'primary-energy-supply': {
     id: 'primary-energy-supply',
@@ -238,7 +343,18 @@ export const DATASETS = {
     description: 'G-2. პირველადი ენერგიის ჯამური მიწოდება',
     path: 'Environment%20Statistics/Environmental%20Indicators/08.G_2.px',
     category: 'environment',
-    subcategory: 'environmental-indicators'
+    subcategory: 'environmental-indicators',
+    processor: {
+      series: ['Primary Energy Supply'],
+      years: 'label',
+      title: 'პირველადი ენერგიის ჯამური მიწოდება',
+      derived: [
+        // Hydro + geothermal + biofuels
+        { label: { ka: 'განახლებადი ენერგია', en: 'Renewable energy' }, op: 'sum', of: ['11', '12', '14'], missing: 0 },
+        // Crude oil + electricity
+        { label: { ka: 'სხვა', en: 'Other' }, op: 'sum', of: ['7', '13'], missing: 0 }
+      ]
+    }
   },
   'energy-intensity': {
     id: 'energy-intensity',
@@ -246,7 +362,15 @@ export const DATASETS = {
     description: 'G-3. ენერგოინტენსიურობა',
     path: 'Environment%20Statistics/Environmental%20Indicators/09.G_3.px',
     category: 'environment',
-    subcategory: 'environmental-indicators'
+    subcategory: 'environmental-indicators',
+    processor: {
+      series: ['Energy intensity'],
+      years: 'label',
+      title: 'ენერგოინტენსიურობა',
+      derived: [
+        { label: { ka: 'წლიური ცვლილება, %', en: 'Annual change, %' }, op: 'growth', of: '4' }
+      ]
+    }
   },
   'renewable-energy-supply': {
     id: 'renewable-energy-supply',
@@ -324,7 +448,25 @@ export const DATASETS = {
     description: 'B-2. ატმოსფერული ნალექი',
     path: 'Environment%20Statistics/Environmental%20Indicators/B-2_Atmospheric_precipitation.px',
     category: 'environment',
-    subcategory: 'environmental-indicators'
+    subcategory: 'environmental-indicators',
+    processor: {
+      series: [{ match: 'location' }, { match: 'precipitation' }],
+      years: 'parse',
+      skipEmptyYears: true,
+      title: 'Atmospheric Precipitation',
+      derived: [
+        {
+          // Annual deviation ratio as a percentage, for every location
+          label: { ka: 'გადახრა', en: 'Deviation' },
+          op: 'scale',
+          of: '2',
+          offset: -1,
+          factor: 100,
+          decimals: 1,
+          per: 0
+        }
+      ]
+    }
   },
   'greenhouse-gas-emissions': {
     id: 'greenhouse-gas-emissions',
@@ -364,7 +506,27 @@ export const DATASETS = {
     description: 'სტიქიური ჰიდრომეტეოროლოგიური მოვლენების შემთხვევათა რაოდენობა (ერთეული)',
     path: 'Environment%20Statistics/Natural%20Hazards%20and%20Violations%20of%20Law/2.ENVR_Hydro_hazard.px',
     category: 'environment',
-    subcategory: 'natural-hazards'
+    subcategory: 'natural-hazards',
+    processor: {
+      // Rows keyed "<hazard ID> - <month ID>"; charts build titles from the label maps
+      series: [{ match: 'hazard' }, { match: 'month' }],
+      keys: 'id',
+      years: 'raw',
+      missing: 0,
+      minDimensions: 2,
+      categoryMapping: false,
+      title: 'სტიქიური ჰიდრომეტეოროლოგიური მოვლენების შემთხვევათა რაოდენობა (ერთეული)',
+      dimensionLabels: {
+        hazardLabels: 0,
+        monthLabels: 1,
+        enhancedHazardLabels: { dimension: 0, derived: true }
+      },
+      derived: [
+        // Flood, windstorm, hail, heavy snowfall, storm and avalanche; the last
+        // month value ('12') is human casualties and gets no total
+        { label: { ka: 'ჯამი თითოეულ თვეში', en: 'Total each month' }, op: 'sum', per: 1, of: [0, 1, 2, 3, 4, 5], exclude: ['12'] }
+      ]
+    }
   },
   'geological-phenomena': {
     id: 'geological-phenomena',
@@ -372,7 +534,12 @@ export const DATASETS = {
     description: 'გეოლოგიური მოვლენების (მეწყერი, ღვარცოფი) რაოდენობა, ადამიანთა მსხვერპლი და საშიშროების რისკის ზონაში მოქცეული ობიექტები (ერთეული)',
     path: 'Environment%20Statistics/Natural%20Hazards%20and%20Violations%20of%20Law/3.Geological_Phenomena.px',
     category: 'environment',
-    subcategory: 'natural-hazards'
+    subcategory: 'natural-hazards',
+    processor: {
+      series: [0],
+      years: { from: 'sequence', start: 1995 },
+      title: 'გეოლოგიური მოვლენები'
+    }
   },
 
   // Environmental-Economic Accounts
@@ -396,7 +563,21 @@ export const DATASETS = {
     description: 'მატერიალური ნაკადების ძირითადი მაჩვენებლები',
     path: 'Environment%20Statistics/Environmental-Economic%20Accounts/1.MFA.px',
     category: 'environment',
-    subcategory: 'environmental-economic-accounts'
+    subcategory: 'environmental-economic-accounts',
+    processor: {
+      series: ['Indicators'],
+      years: 'label',
+      title: 'მატერიალური ნაკადების ძირითადი მაჩვენებლები',
+      derived: [
+        {
+          // Domestic extraction minus biomass
+          label: { ka: 'სხვა მოპოვება (მინერალები, წიაღისეული საწვავი)', en: 'Other extraction (minerals, fossil fuels)' },
+          op: 'difference',
+          of: ['0', '1'],
+          missing: 0
+        }
+      ]
+    }
   },
   'domestic-consumption-material-intensity': {
     id: 'domestic-consumption-material-intensity',
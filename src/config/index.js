@@ -17,11 +17,170 @@ export const config = {
     timeout: process.env.PXWEB_TIMEOUT || 30000,
   },
 
+  // Circuit breaker per upstream host (geostat.ge, air.gov.ge): opens when at least
+  // `failureRatePercent` of the requests in the last `windowSeconds` fail (5xx, timeout,
+  // network error) and fails requests immediately for `openSeconds`; then `halfOpenRequests`
+  // trial requests decide whether it closes again
+  circuitBreaker: {
+    enabled: process.env.CIRCUIT_BREAKER_ENABLED !== "false",
+    windowSeconds: Number(process.env.CIRCUIT_BREAKER_WINDOW_SECONDS) || 60,
+    minimumRequests: Number(process.env.CIRCUIT_BREAKER_MINIMUM_REQUESTS) || 5,
+    failureRatePercent: Number(process.env.CIRCUIT_BREAKER_FAILURE_RATE_PERCENT) || 50,
+    openSeconds: Number(process.env.CIRCUIT_BREAKER_OPEN_SECONDS) || 30,
+    halfOpenRequests: Number(process.env.CIRCUIT_BREAKER_HALF_OPEN_REQUESTS) || 1,
+  },
+
+  // Response cache (stale-while-revalidate): fresh entries are served as is, expired
+  // ones are served with `stale: true` while they are refreshed or the upstream is down
+  cache: {
+    freshTtlSeconds: Number(process.env.CACHE_FRESH_TTL_SECONDS) || 3600,
+    staleTtlSeconds: Number(process.env.CACHE_STALE_TTL_SECONDS) || 7 * 24 * 3600,
+  },
+
+  // Cache warmer: fills /data and /metadata (ka, en) for every dataset
+  cacheWarmer: {
+    enabled: process.env.CACHE_WARMER_ENABLED !== "false",
+    startupDelaySeconds: Number(process.env.CACHE_WARMER_STARTUP_DELAY_SECONDS) || 30,
+    intervalMinutes: Number(process.env.CACHE_WARMER_INTERVAL_MINUTES) || 60,
+    concurrency: Number(process.env.CACHE_WARMER_CONCURRENCY) || 2,
+    maxRequestsPerMinute: Number(process.env.CACHE_WARMER_MAX_REQUESTS_PER_MINUTE) || 60,
+    rateLimitBackoffSeconds: Number(process.env.CACHE_WARMER_RATE_LIMIT_BACKOFF_SECONDS) || 60,
+  },
+
+  // Single-flight upstream fetches: concurrent identical requests share one fetch,
+  // across PM2 workers through a Redis lock
+  coalescing: {
+    lockTtlMs: Number(process.env.COALESCING_LOCK_TTL_MS) || 120000,
+    waitMs: Number(process.env.COALESCING_WAIT_MS) || 120000,
+    pollMs: Number(process.env.COALESCING_POLL_MS) || 250,
+    resultTtlSeconds: Number(process.env.COALESCING_RESULT_TTL_SECONDS) || 60,
+  },
+
+  // Catalog sync: crawls PXWeb roots and reports tables added, moved, renamed or deleted
+  // relative to DATASETS; with autoRegister, new tables are added with generated ids
+  catalogSync: {
+    enabled: process.env.CATALOG_SYNC_ENABLED !== "false",
+    roots: (process.env.CATALOG_SYNC_ROOTS || "Environment Statistics,Gender Statistics")
+      .split(",").map(root => root.trim()).filter(Boolean),
+    maxDepth: Number(process.env.CATALOG_SYNC_MAX_DEPTH) || 3,
+    startupDelaySeconds: Number(process.env.CATALOG_SYNC_STARTUP_DELAY_SECONDS) || 120,
+    intervalHours: Number(process.env.CATALOG_SYNC_INTERVAL_HOURS) || 24,
+    requestDelayMs: Number(process.env.CATALOG_SYNC_REQUEST_DELAY_MS) || 500,
+    autoRegister: process.env.CATALOG_SYNC_AUTO_REGISTER === "true",
+    file: process.env.CATALOG_SYNC_FILE || "storage/catalog-sync.json",
+  },
+
+  // Search: variable labels and value texts collected from dataset fetches; labels missing
+  // at startup are fetched from PXWeb one table at a time
+  search: {
+    file: process.env.SEARCH_INDEX_FILE || "storage/search-index.json",
+    fillOnStartup: process.env.SEARCH_FILL_ON_STARTUP !== "false",
+    fillRequestDelayMs: Number(process.env.SEARCH_FILL_REQUEST_DELAY_MS ?? 200),
+  },
+
+  // GraphQL: per-request limits and the Redis TTL of air quality snapshots
+  graphql: {
+    maxTablesPerRequest: Number(process.env.GRAPHQL_MAX_TABLES_PER_REQUEST) || 10,
+    maxObservations: Number(process.env.GRAPHQL_MAX_OBSERVATIONS) || 10000,
+    airQualityCacheSeconds: Number(process.env.GRAPHQL_AIR_QUALITY_CACHE_SECONDS) || 300,
+  },
+
+  // API keys (X-API-Key) with roles public < partner < admin. Requests without a key are
+  // limited per IP with the public limits unless a key is required. 0 = unlimited
+  auth: {
+    enabled: process.env.AUTH_ENABLED !== "false",
+    requireKey: process.env.AUTH_REQUIRE_KEY === "true",
+    store: process.env.API_KEYS_STORE || "file", // file | redis
+    file: process.env.API_KEYS_FILE || "storage/api-keys.json",
+    adminKey: process.env.ADMIN_API_KEY || null,
+    reloadSeconds: Number(process.env.API_KEYS_RELOAD_SECONDS) || 30,
+    limits: {
+      public: {
+        perMinute: Number(process.env.RATE_LIMIT_PUBLIC_PER_MINUTE ?? 60),
+        perDay: Number(process.env.QUOTA_PUBLIC_PER_DAY ?? 5000),
+      },
+      partner: {
+        perMinute: Number(process.env.RATE_LIMIT_PARTNER_PER_MINUTE ?? 600),
+        perDay: Number(process.env.QUOTA_PARTNER_PER_DAY ?? 100000),
+      },
+      admin: {
+        perMinute: Number(process.env.RATE_LIMIT_ADMIN_PER_MINUTE ?? 0),
+        perDay: Number(process.env.QUOTA_ADMIN_PER_DAY ?? 0),
+      },
+    },
+  },
+
+  // Structured logging: JSON or readable lines on stdout, and optionally rotating JSON files
+  logging: {
+    level: process.env.LOG_LEVEL || "info", // trace | debug | info | warn | error | fatal | silent
+    format: process.env.LOG_FORMAT || (process.env.NODE_ENV === "production" ? "json" : "pretty"), // json | pretty
+    stdout: process.env.LOG_STDOUT !== "false",
+    file: {
+      enabled: process.env.LOG_FILE_ENABLED === "true",
+      dir: process.env.LOG_DIR || "logs",
+      name: process.env.LOG_FILE_NAME || "app.log",
+      interval: process.env.LOG_FILE_INTERVAL || "1d", // rotate daily
+      maxSize: process.env.LOG_FILE_MAX_SIZE || "50M", // ... or when this size is reached
+      maxFiles: Number(process.env.LOG_FILE_MAX_FILES) || 14,
+    },
+  },
+
+  // Prometheus metrics at /metrics. Workers publish their registry to Redis every
+  // `publishSeconds` so that any worker can serve the totals of all of them
+  metrics: {
+    enabled: process.env.METRICS_ENABLED !== "false",
+    publishSeconds: Number(process.env.METRICS_PUBLISH_SECONDS) || 15,
+  },
+
+  // Dataset version history: PXWeb `updated` + content hash per full fetch, with snapshots for diffs
+  datasetVersions: {
+    dir: process.env.DATASET_VERSIONS_DIR || "storage/dataset-versions",
+  },
+
+  // Upstream fixtures: off | replay | record (FIXTURE_MODE sets all three)
+  fixtures: {
+    dir: process.env.FIXTURES_DIR || "test/fixtures",
+    modes: {
+      pxweb: process.env.FIXTURE_MODE_PXWEB || process.env.FIXTURE_MODE || "off",
+      pxwebNavigation: process.env.FIXTURE_MODE_PXWEB_NAVIGATION || process.env.FIXTURE_MODE || "off",
+      airQuality: process.env.FIXTURE_MODE_AIR_QUALITY || process.env.FIXTURE_MODE || "off",
+    },
+  },
+
+  // Air Quality History Collector
+  airQualityHistory: {
+    enabled: process.env.AIR_QUALITY_HISTORY_ENABLED !== "false",
+    dir: process.env.AIR_QUALITY_HISTORY_DIR || "storage/air-quality",
+    intervalMinutes: Number(process.env.AIR_QUALITY_HISTORY_INTERVAL_MINUTES) || 60,
+    lookbackHours: Number(process.env.AIR_QUALITY_HISTORY_LOOKBACK_HOURS) || 6,
+  },
+
+  // Air Quality SSE Stream (one shared upstream poller for all clients)
+  airQualityStream: {
+    intervalSeconds: Number(process.env.AIR_QUALITY_STREAM_INTERVAL_SECONDS) || 300,
+    heartbeatSeconds: Number(process.env.AIR_QUALITY_STREAM_HEARTBEAT_SECONDS) || 25,
+    lookbackHours: Number(process.env.AIR_QUALITY_STREAM_LOOKBACK_HOURS) || 3,
+    maxClients: Number(process.env.AIR_QUALITY_STREAM_MAX_CLIENTS) || 200,
+  },
+
+  // Air Quality Alerts
+  alerts: {
+    enabled: process.env.ALERTS_ENABLED !== "false",
+    file: process.env.ALERTS_FILE || "storage/alerts.json",
+    intervalMinutes: Number(process.env.ALERTS_INTERVAL_MINUTES) || 15,
+    webhookTimeoutMs: Number(process.env.ALERTS_WEBHOOK_TIMEOUT_MS) || 10000,
+  },
+
   // CORS Configuration
   cors: {
     origin: process.env.CORS_ORIGIN || "*",
     methods: ["GET", "POST", "PUT", "DELETE"],
-    allowedHeaders: ["Content-Type", "Authorization"],
+    allowedHeaders: ["Content-Type", "Authorization", "X-API-Key", "X-Request-Id"],
+    exposedHeaders: [
+      "X-Cache", "Age", "X-Dataset-Version", "X-Source-Updated", "X-Request-Id",
+      "X-RateLimit-Limit", "X-RateLimit-Remaining", "X-RateLimit-Reset",
+      "X-Quota-Limit", "X-Quota-Remaining", "Retry-After",
+    ],
   },
 };
 
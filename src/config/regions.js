@@ -0,0 +1,129 @@
+/**
+ * Georgian Administrative Gazetteer
+ * Regions with their ISO 3166-2 codes and the municipalities in them, in Georgian and
+ * English. src/utils/gazetteer.js resolves PXWeb region labels in either language to
+ * these entries, so processed datasets carry stable `regionCode`s that maps can join on.
+ *
+ * Labels are compared after normalisation (Georgian romanised, punctuation, case and
+ * words such as "region", "მხარე", "ა.რ.", "municipality" ignored, Georgian genitives
+ * accepted), so "აჭარის ა.რ.", "Autonomous Republic of Adjara" and "Adjara" all match
+ * without aliases; `aliases` list other names and spellings.
+ * Municipalities have no ISO code; they carry the code of their region and a slug `id`.
+ */
+export const COUNTRY = {
+  code: 'GE',
+  name: { ka: 'საქართველო', en: 'Georgia' },
+  aliases: ['Georgia total', 'საქართველო სულ']
+};
+
+export const REGIONS = {
+  'GE-TB': { type: 'city', name: { ka: 'თბილისი', en: 'Tbilisi' }, aliases: [] },
+  'GE-AB': { type: 'autonomous-republic', name: { ka: 'აფხაზეთი', en: 'Abkhazia' }, aliases: ['Apkhazeti'] },
+  'GE-AJ': { type: 'autonomous-republic', name: { ka: 'აჭარა', en: 'Adjara' }, aliases: ['Ajara', 'Achara', 'Adjaria'] },
+  'GE-GU': { type: 'region', name: { ka: 'გურია', en: 'Guria' }, aliases: [] },
+  'GE-IM': { type: 'region', name: { ka: 'იმერეთი', en: 'Imereti' }, aliases: [] },
+  'GE-KA': { type: 'region', name: { ka: 'კახეთი', en: 'Kakheti' }, aliases: [] },
+  'GE-KK': { type: 'region', name: { ka: 'ქვემო ქართლი', en: 'Kvemo Kartli' }, aliases: [] },
+  'GE-MM': { type: 'region', name: { ka: 'მცხეთა-მთიანეთი', en: 'Mtskheta-Mtianeti' }, aliases: [] },
+  'GE-RL': {
+    type: 'region',
+    name: { ka: 'რაჭა-ლეჩხუმი და ქვემო სვანეთი', en: 'Racha-Lechkhumi and Kvemo Svaneti' },
+    aliases: ['რაჭა-ლეჩხუმი', 'Racha-Lechkhumi']
+  },
+  'GE-SZ': {
+    type: 'region',
+    name: { ka: 'სამეგრელო-ზემო სვანეთი', en: 'Samegrelo-Zemo Svaneti' },
+    aliases: ['სამეგრელო', 'Samegrelo']
+  },
+  'GE-SJ': { type: 'region', name: { ka: 'სამცხე-ჯავახეთი', en: 'Samtskhe-Javakheti' }, aliases: [] },
+  'GE-SK': { type: 'region', name: { ka: 'შიდა ქართლი', en: 'Shida Kartli' }, aliases: [] }
+};
+
+// Municipalities and self-governing cities by region (none are reported for Abkhazia)
+export const MUNICIPALITIES = {
+  'GE-AJ': [
+    { id: 'batumi', name: { ka: 'ბათუმი', en: 'Batumi' } },
+    { id: 'keda', name: { ka: 'ქედა', en: 'Keda' } },
+    { id: 'kobuleti', name: { ka: 'ქობულეთი', en: 'Kobuleti' } },
+    { id: 'shuakhevi', name: { ka: 'შუახევი', en: 'Shuakhevi' } },
+    { id: 'khelvachauri', name: { ka: 'ხელვაჩაური', en: 'Khelvachauri' } },
+    { id: 'khulo', name: { ka: 'ხულო', en: 'Khulo' } }
+  ],
+  'GE-GU': [
+    { id: 'ozurgeti', name: { ka: 'ოზურგეთი', en: 'Ozurgeti' } },
+    { id: 'lanchkhuti', name: { ka: 'ლანჩხუთი', en: 'Lanchkhuti' } },
+    { id: 'chokhatauri', name: { ka: 'ჩოხატაური', en: 'Chokhatauri' } }
+  ],
+  'GE-IM': [
+    { id: 'kutaisi', name: { ka: 'ქუთაისი', en: 'Kutaisi' } },
+    { id: 'baghdati', name: { ka: 'ბაღდათი', en: 'Baghdati' } },
+    { id: 'vani', name: { ka: 'ვანი', en: 'Vani' } },
+    { id: 'zestaponi', name: { ka: 'ზესტაფონი', en: 'Zestaponi' }, aliases: ['Zestafoni'] },
+    { id: 'terjola', name: { ka: 'თერჯოლა', en: 'Terjola' } },
+    { id: 'samtredia', name: { ka: 'სამტრედია', en: 'Samtredia' } },
+    { id: 'sachkhere', name: { ka: 'საჩხერე', en: 'Sachkhere' } },
+    { id: 'tkibuli', name: { ka: 'ტყიბული', en: 'Tkibuli' } },
+    { id: 'tskaltubo', name: { ka: 'წყალტუბო', en: 'Tskaltubo' } },
+    { id: 'chiatura', name: { ka: 'ჭიათურა', en: 'Chiatura' } },
+    { id: 'kharagauli', name: { ka: 'ხარაგაული', en: 'Kharagauli' } },
+    { id: 'khoni', name: { ka: 'ხონი', en: 'Khoni' } }
+  ],
+  'GE-KA': [
+    { id: 'telavi', name: { ka: 'თელავი', en: 'Telavi' } },
+    { id: 'akhmeta', name: { ka: 'ახმეტა', en: 'Akhmeta' } },
+    { id: 'gurjaani', name: { ka: 'გურჯაანი', en: 'Gurjaani' } },
+    { id: 'dedoplistskaro', name: { ka: 'დედოფლისწყარო', en: 'Dedoplistskaro' } },
+    { id: 'lagodekhi', name: { ka: 'ლაგოდეხი', en: 'Lagodekhi' } },
+    { id: 'sagarejo', name: { ka: 'საგარეჯო', en: 'Sagarejo' } },
+    { id: 'sighnaghi', name: { ka: 'სიღნაღი', en: 'Sighnaghi' } },
+    { id: 'kvareli', name: { ka: 'ყვარელი', en: 'Kvareli' } }
+  ],
+  'GE-KK': [
+    { id: 'rustavi', name: { ka: 'რუსთავი', en: 'Rustavi' } },
+    { id: 'bolnisi', name: { ka: 'ბოლნისი', en: 'Bolnisi' } },
+    { id: 'gardabani', name: { ka: 'გარდაბანი', en: 'Gardabani' } },
+    { id: 'dmanisi', name: { ka: 'დმანისი', en: 'Dmanisi' } },
+    { id: 'tetritskaro', name: { ka: 'თეთრიწყარო', en: 'Tetritskaro' } },
+    { id: 'marneuli', name: { ka: 'მარნეული', en: 'Marneuli' } },
+    { id: 'tsalka', name: { ka: 'წალკა', en: 'Tsalka' } }
+  ],
+  'GE-MM': [
+    { id: 'mtskheta', name: { ka: 'მცხეთა', en: 'Mtskheta' } },
+    { id: 'dusheti', name: { ka: 'დუშეთი', en: 'Dusheti' } },
+    { id: 'tianeti', name: { ka: 'თიანეთი', en: 'Tianeti' } },
+    { id: 'kazbegi', name: { ka: 'ყაზბეგი', en: 'Kazbegi' }, aliases: ['სტეფანწმინდა', 'Stepantsminda'] }
+  ],
+  'GE-RL': [
+    { id: 'ambrolauri', name: { ka: 'ამბროლაური', en: 'Ambrolauri' } },
+    { id: 'lentekhi', name: { ka: 'ლენტეხი', en: 'Lentekhi' } },
+    { id: 'oni', name: { ka: 'ონი', en: 'Oni' } },
+    { id: 'tsageri', name: { ka: 'ცაგერი', en: 'Tsageri' } }
+  ],
+  'GE-SZ': [
+    { id: 'zugdidi', name: { ka: 'ზუგდიდი', en: 'Zugdidi' } },
+    { id: 'poti', name: { ka: 'ფოთი', en: 'Poti' } },
+    { id: 'abasha', name: { ka: 'აბაშა', en: 'Abasha' } },
+    { id: 'martvili', name: { ka: 'მარტვილი', en: 'Martvili' } },
+    { id: 'mestia', name: { ka: 'მესტია', en: 'Mestia' } },
+    { id: 'senaki', name: { ka: 'სენაკი', en: 'Senaki' } },
+    { id: 'chkhorotsku', name: { ka: 'ჩხოროწყუ', en: 'Chkhorotsku' } },
+    { id: 'tsalenjikha', name: { ka: 'წალენჯიხა', en: 'Tsalenjikha' } },
+    { id: 'khobi', name: { ka: 'ხობი', en: 'Khobi' } }
+  ],
+  'GE-SJ': [
+    { id: 'akhaltsikhe', name: { ka: 'ახალციხე', en: 'Akhaltsikhe' } },
+    { id: 'adigeni', name: { ka: 'ადიგენი', en: 'Adigeni' } },
+    { id: 'aspindza', name: { ka: 'ასპინძა', en: 'Aspindza' } },
+    { id: 'akhalkalaki', name: { ka: 'ახალქალაქი', en: 'Akhalkalaki' } },
+    { id: 'borjomi', name: { ka: 'ბორჯომი', en: 'Borjomi' } },
+    { id: 'ninotsminda', name: { ka: 'ნინოწმინდა', en: 'Ninotsminda' } }
+  ],
+  'GE-SK': [
+    { id: 'gori', name: { ka: 'გორი', en: 'Gori' } },
+    { id: 'kaspi', name: { ka: 'კასპი', en: 'Kaspi' } },
+    { id: 'kareli', name: { ka: 'ქარელი', en: 'Kareli' } },
+    { id: 'khashuri', name: { ka: 'ხაშური', en: 'Khashuri' } }
+  ]
+};
+
+export default REGIONS;
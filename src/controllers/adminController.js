@@ -0,0 +1,125 @@
+/**
+ * Admin Controller
+ * API key management and usage counters
+ */
+import apiKeyService, { hasRole } from '../services/apiKeyService.js';
+import rateLimitService from '../services/rateLimitService.js';
+
+export class AdminController {
+  /**
+   * List API keys
+   * @param {Request} req
+   * @param {Response} res
+   */
+  async listKeys(req, res) {
+    try {
+      const keys = await apiKeyService.listKeys();
+
+      res.json({
+        success: true,
+        count: keys.length,
+        data: keys
+      });
+    } catch (error) {
+      this._sendError(res, error, 'Failed to list API keys');
+    }
+  }
+
+  /**
+   * Create an API key
+   * @param {Request} req
+   * @param {Response} res
+   */
+  async createKey(req, res) {
+    try {
+      res.status(201).json({
+        success: true,
+        message: 'Store the key now: it cannot be shown again',
+        data: await apiKeyService.createKey(req.body)
+      });
+    } catch (error) {
+      this._sendError(res, error, 'Failed to create API key');
+    }
+  }
+
+  /**
+   * Get one API key
+   * @param {Request} req
+   * @param {Response} res
+   */
+  async getKey(req, res) {
+    try {
+      res.json({
+        success: true,
+        data: await apiKeyService.getKey(req.params.id)
+      });
+    } catch (error) {
+      this._sendError(res, error, 'Failed to get API key');
+    }
+  }
+
+  /**
+   * Revoke an API key
+   * @param {Request} req
+   * @param {Response} res
+   */
+  async deleteKey(req, res) {
+    try {
+      res.json({
+        success: true,
+        data: await apiKeyService.deleteKey(req.params.id)
+      });
+    } catch (error) {
+      this._sendError(res, error, 'Failed to delete API key');
+    }
+  }
+
+  /**
+   * Usage counters of a key: admins can read any key, other keys only their own
+   * @param {Request} req
+   * @param {Response} res
+   */
+  async getUsage(req, res) {
+    try {
+      // With AUTH_ENABLED=false every caller is an admin
+      const caller = req.apiKey || { id: null, role: 'admin' };
+      const id = req.params.id === 'me' ? caller.id : req.params.id;
+      if (id !== caller.id && !hasRole(caller.role, 'admin')) {
+        const error = new Error('API keys can only read their own usage');
+        error.statusCode = 403;
+        throw error;
+      }
+
+      const key = await apiKeyService.getKey(id);
+      const limits = apiKeyService.limitsFor(key);
+      const days = Number(req.query.days) || 7;
+
+      res.json({
+        success: true,
+        data: {
+          key,
+          ...(await rateLimitService.getUsage(key.id, limits, days))
+        }
+      });
+    } catch (error) {
+      this._sendError(res, error, 'Failed to get API key usage');
+    }
+  }
+
+  /**
+   * @param {Response} res
+   * @param {Error} error
+   * @param {string} fallback - Error title for unexpected failures
+   */
+  _sendError(res, error, fallback) {
+    const titles = { 400: 'Invalid API key request', 403: 'Forbidden', 404: 'API key not found', 503: 'Key store unavailable' };
+
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: titles[error.statusCode] || fallback,
+      message: error.message
+    });
+  }
+}
+
+export default new AdminController();
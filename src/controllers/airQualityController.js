@@ -3,6 +3,9 @@
  * Handles air quality related HTTP requests
  */
 import airQualityService from '../services/airQualityService.js';
+import airQualityHistoryService from '../services/airQualityHistoryService.js';
+import airQualityStreamService from '../services/airQualityStreamService.js';
+import { resolveStandard } from '../utils/airQualityIndex.js';
 
 export class AirQualityController {
   /**
@@ -16,7 +19,8 @@ export class AirQualityController {
         station = 'all', // Changed default to 'all' to get all stations
         municipality = 'all',
         substances = 'PM10,PM2.5,NO2,O3,SO2,CO',
-        hours = 1 // Changed to 1 hour for latest data
+        hours = 1, // Changed to 1 hour for latest data
+        standard
       } = req.query;
 
       // Parse substances parameter
@@ -28,7 +32,8 @@ export class AirQualityController {
         stationCode: station,
         municipalityId: municipality,
         substances: substanceList,
-        hours: parseInt(hours, 10) || 1
+        hours: parseInt(hours, 10) || 1,
+        standard: resolveStandard(standard)
       };
 
       const airQualityData = await airQualityService.getLatestData(options);
@@ -40,11 +45,12 @@ export class AirQualityController {
           station,
           municipality,
           substances: substanceList,
-          hours: options.hours
+          hours: options.hours,
+          standard: options.standard
         }
       });
     } catch (error) {
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
         error: 'Failed to fetch air quality data',
         message: error.message
@@ -52,6 +58,59 @@ export class AirQualityController {
     }
   }
 
+  /**
+   * Get stored hourly readings for a station and substance, optionally aggregated
+   * @param {Request} req 
+   * @param {Response} res 
+   */
+  async getHistory(req, res) {
+    try {
+      const { station, substance, from, to, interval = 'hour' } = req.query;
+
+      const history = await airQualityHistoryService.getHistory({ station, substance, from, to, interval });
+
+      res.json({
+        success: true,
+        data: history,
+        request: { station, substance, from, to, interval }
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: { 400: 'Invalid history request', 404: 'No stored history' }[error.statusCode] || 'Failed to read air quality history',
+        message: error.message
+      });
+    }
+  }
+
+  /**
+   * Open a Server-Sent Events stream of new readings and quality level changes
+   * @param {Request} req 
+   * @param {Response} res 
+   */
+  getStream(req, res) {
+    try {
+      const list = value => (typeof value === 'string' && value.trim()
+        ? value.split(',').map(item => item.trim()).filter(Boolean)
+        : []);
+      const { station, city, substance } = req.query;
+
+      const filter = {
+        stations: list(station).map(code => code.toUpperCase()),
+        city: city ? airQualityService.resolveCity(city) : null,
+        substances: list(substance).map(name => airQualityService.normalizePollutant(name))
+      };
+
+      airQualityStreamService.subscribe(req, res, filter);
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: 'Failed to open air quality stream',
+        message: error.message
+      });
+    }
+  }
+
   /**
    * Get available monitoring stations
    * @param {Request} req 
@@ -179,927 +238,138 @@ export class AirQualityController {
   }
 
   /**
-   * Get Tbilisi PM2.5 average from all stations
-   * @param {Request} req 
-   * @param {Response} res 
-   */
-  async getTbilisiPM25Average(req, res) {
-    try {
-      const { hours = 6 } = req.query; // Default to 6 hours back
-
-      const options = {
-        hoursBack: parseInt(hours, 10) || 6
-      };
-
-      const averageData = await airQualityService.getTbilisiPM25Average(options);
-
-      res.json({
-        success: true,
-        data: averageData,
-        request: {
-          city: 'Tbilisi',
-          substance: 'PM2.5',
-          hoursBack: options.hoursBack
-        }
-      });
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        error: 'Failed to calculate Tbilisi PM2.5 average',
-        message: error.message
-      });
-    }
-  }
-
-  /**
-   * Get Tbilisi PM10 average from all stations
-   * @param {Request} req 
-   * @param {Response} res 
-   */
-  async getTbilisiPM10Average(req, res) {
-    try {
-      const { hours = 6 } = req.query; // Default to 6 hours back
-
-      const options = {
-        hoursBack: parseInt(hours, 10) || 6
-      };
-
-      const averageData = await airQualityService.getTbilisiPM10Average(options);
-
-      res.json({
-        success: true,
-        data: averageData,
-        request: {
-          city: 'Tbilisi',
-          substance: 'PM10',
-          hoursBack: options.hoursBack
-        }
-      });
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        error: 'Failed to calculate Tbilisi PM10 average',
-        message: error.message
-      });
-    }
-  }
-
-  /**
-   * Get Tbilisi NO2 average from all stations
-   * @param {Request} req 
-   * @param {Response} res 
-   */
-  async getTbilisiNO2Average(req, res) {
-    try {
-      const { hours = 6 } = req.query; // Default to 6 hours back
-
-      const options = {
-        hoursBack: parseInt(hours, 10) || 6
-      };
-
-      const averageData = await airQualityService.getTbilisiNO2Average(options);
-
-      res.json({
-        success: true,
-        data: averageData,
-        request: {
-          city: 'Tbilisi',
-          substance: 'NO2',
-          hoursBack: options.hoursBack
-        }
-      });
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        error: 'Failed to calculate Tbilisi NO2 average',
-        message: error.message
-      });
-    }
-  }
-
-  /**
-   * Get Tbilisi O3 average from all stations
-   * @param {Request} req 
-   * @param {Response} res 
-   */
-  async getTbilisiO3Average(req, res) {
-    try {
-      const { hours = 6 } = req.query; // Default to 6 hours back
-
-      const options = {
-        hoursBack: parseInt(hours, 10) || 6
-      };
-
-      const averageData = await airQualityService.getTbilisiO3Average(options);
-
-      res.json({
-        success: true,
-        data: averageData,
-        request: {
-          city: 'Tbilisi',
-          substance: 'O3',
-          hoursBack: options.hoursBack
-        }
-      });
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        error: 'Failed to calculate Tbilisi O3 average',
-        message: error.message
-      });
-    }
-  }
-
-  /**
-   * Get Tbilisi SO2 average from all stations
+   * List cities in the registry
    * @param {Request} req 
    * @param {Response} res 
    */
-  async getTbilisiSO2Average(req, res) {
-    try {
-      const { hours = 6 } = req.query; // Default to 6 hours back
-
-      const options = {
-        hoursBack: parseInt(hours, 10) || 6
-      };
-
-      const averageData = await airQualityService.getTbilisiSO2Average(options);
+  async getCities(req, res) {
+    const cities = airQualityService.getCities();
 
-      res.json({
-        success: true,
-        data: averageData,
-        request: {
-          city: 'Tbilisi',
-          substance: 'SO2',
-          hoursBack: options.hoursBack
-        }
-      });
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        error: 'Failed to calculate Tbilisi SO2 average',
-        message: error.message
-      });
-    }
+    res.json({
+      success: true,
+      count: cities.length,
+      data: cities,
+      note: 'Any other settlement name also works with /api/air-quality/cities/:city/averages'
+    });
   }
 
   /**
-   * Get Tbilisi CO average from all stations
+   * Get pollutant averages for a city or municipality from all its stations
    * @param {Request} req 
    * @param {Response} res 
    */
-  async getTbilisiCOAverage(req, res) {
-    try {
-      const { hours = 6 } = req.query; // Default to 6 hours back
-
-      const options = {
-        hoursBack: parseInt(hours, 10) || 6
-      };
-
-      const averageData = await airQualityService.getTbilisiCOAverage(options);
-
-      res.json({
-        success: true,
-        data: averageData,
-        request: {
-          city: 'Tbilisi',
-          substance: 'CO',
-          hoursBack: options.hoursBack
-        }
-      });
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        error: 'Failed to calculate Tbilisi CO average',
-        message: error.message
-      });
-    }
-  }
+  async getCityAverages(req, res) {
+    const { city } = req.params;
 
-  /**
-   * Get all pollutant averages for Tbilisi from all stations
-   * @param {Request} req 
-   * @param {Response} res 
-   */
-  async getTbilisiAllPollutantsAverage(req, res) {
     try {
-      const { hours = 6 } = req.query; // Default to 6 hours back
+      const { hours = 6, pollutants, standard } = req.query; // Default to 6 hours back
 
       const options = {
-        hoursBack: parseInt(hours, 10) || 6
+        hoursBack: parseInt(hours, 10) || 6,
+        standard: resolveStandard(standard)
       };
+      if (typeof pollutants === 'string' && pollutants.trim()) {
+        options.pollutants = pollutants.split(',').map(p => p.trim()).filter(Boolean);
+      }
 
-      const averageData = await airQualityService.getTbilisiAllPollutantsAverage(options);
+      const averageData = await airQualityService.getCityAverages(city, options);
 
       res.json({
         success: true,
         data: averageData,
         request: {
-          city: 'Tbilisi',
-          substances: 'All pollutants',
-          hoursBack: options.hoursBack
+          city,
+          pollutants: Object.keys(averageData.pollutantAverages).concat(Object.keys(averageData.errors || {})),
+          hoursBack: options.hoursBack,
+          standard: options.standard
         }
       });
     } catch (error) {
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
-        error: 'Failed to calculate Tbilisi all pollutants average',
+        error: `Failed to calculate ${city} averages`,
         message: error.message
       });
     }
   }
 
   /**
-   * Get Kutaisi PM2.5 average from all stations
-   * @param {Request} req 
-   * @param {Response} res 
+   * Handler for the legacy /:city/:pollutant-average routes
+   * @param {string} city - Registry key (e.g. 'tbilisi')
+   * @param {string} pollutant - Pollutant name (e.g. 'PM2.5')
+   * @returns {Function} Express handler
    */
-  async getKutaisiPM25Average(req, res) {
-    try {
-      const { hours = 6 } = req.query; // Default to 6 hours back
-
-      const options = {
-        hoursBack: parseInt(hours, 10) || 6
-      };
-
-      const averageData = await airQualityService.getKutaisiPM25Average(options);
-
-      res.json({
-        success: true,
-        data: averageData,
-        request: {
-          city: 'Kutaisi',
-          substance: 'PM2.5',
-          hoursBack: options.hoursBack
-        }
-      });
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        error: 'Failed to calculate Kutaisi PM2.5 average',
-        message: error.message
-      });
-    }
-  }
+  cityPollutantAverageAlias(city, pollutant) {
+    const cityName = airQualityService.resolveCity(city).name;
 
-  /**
-   * Get Kutaisi PM10 average from all stations
-   * @param {Request} req 
-   * @param {Response} res 
-   */
-  async getKutaisiPM10Average(req, res) {
-    try {
-      const { hours = 6 } = req.query; // Default to 6 hours back
+    return async (req, res) => {
+      try {
+        const { hours = 6, standard } = req.query; // Default to 6 hours back
 
-      const options = {
-        hoursBack: parseInt(hours, 10) || 6
-      };
+        const options = {
+          hoursBack: parseInt(hours, 10) || 6,
+          standard: resolveStandard(standard)
+        };
 
-      const averageData = await airQualityService.getKutaisiPM10Average(options);
+        const averageData = await airQualityService.getCityPollutantAverage(city, pollutant, options);
 
-      res.json({
-        success: true,
-        data: averageData,
-        request: {
-          city: 'Kutaisi',
-          substance: 'PM10',
-          hoursBack: options.hoursBack
-        }
-      });
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        error: 'Failed to calculate Kutaisi PM10 average',
-        message: error.message
-      });
-    }
+        res.json({
+          success: true,
+          data: averageData,
+          request: {
+            city: cityName,
+            substance: pollutant,
+            hoursBack: options.hoursBack,
+            standard: options.standard
+          }
+        });
+      } catch (error) {
+        res.status(error.statusCode || 500).json({
+          success: false,
+          error: `Failed to calculate ${cityName} ${pollutant} average`,
+          message: error.message
+        });
+      }
+    };
   }
 
   /**
-   * Get Kutaisi NO2 average from all stations
-   * @param {Request} req 
-   * @param {Response} res 
+   * Handler for the legacy /:city/all-pollutants-average routes
+   * @param {string} city - Registry key (e.g. 'tbilisi')
+   * @returns {Function} Express handler
    */
-  async getKutaisiNO2Average(req, res) {
-    try {
-      const { hours = 6 } = req.query; // Default to 6 hours back
-
-      const options = {
-        hoursBack: parseInt(hours, 10) || 6
-      };
-
-      const averageData = await airQualityService.getKutaisiNO2Average(options);
-
-      res.json({
-        success: true,
-        data: averageData,
-        request: {
-          city: 'Kutaisi',
-          substance: 'NO2',
-          hoursBack: options.hoursBack
-        }
-      });
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        error: 'Failed to calculate Kutaisi NO2 average',
-        message: error.message
-      });
-    }
-  }
+  cityAllPollutantsAverageAlias(city) {
+    const cityName = airQualityService.resolveCity(city).name;
 
-  /**
-   * Get Kutaisi O3 average from all stations
-   * @param {Request} req 
-   * @param {Response} res 
-   */
-  async getKutaisiO3Average(req, res) {
-    try {
-      const { hours = 6 } = req.query; // Default to 6 hours back
+    return async (req, res) => {
+      try {
+        const { hours = 6, standard } = req.query; // Default to 6 hours back
 
-      const options = {
-        hoursBack: parseInt(hours, 10) || 6
-      };
+        const options = {
+          hoursBack: parseInt(hours, 10) || 6,
+          standard: resolveStandard(standard)
+        };
 
-      const averageData = await airQualityService.getKutaisiO3Average(options);
+        const averageData = await airQualityService.getCityAverages(city, options);
 
-      res.json({
-        success: true,
-        data: averageData,
-        request: {
-          city: 'Kutaisi',
-          substance: 'O3',
-          hoursBack: options.hoursBack
-        }
-      });
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        error: 'Failed to calculate Kutaisi O3 average',
-        message: error.message
-      });
-    }
-  }
-
-  /**
-   * Get Kutaisi SO2 average from all stations
-   * @param {Request} req 
-   * @param {Response} res 
-   */
-  async getKutaisiSO2Average(req, res) {
-    try {
-      const { hours = 6 } = req.query; // Default to 6 hours back
-
-      const options = {
-        hoursBack: parseInt(hours, 10) || 6
-      };
-
-      const averageData = await airQualityService.getKutaisiSO2Average(options);
-
-      res.json({
-        success: true,
-        data: averageData,
-        request: {
-          city: 'Kutaisi',
-          substance: 'SO2',
-          hoursBack: options.hoursBack
-        }
-      });
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        error: 'Failed to calculate Kutaisi SO2 average',
-        message: error.message
-      });
-    }
-  }
-
-  /**
-   * Get Kutaisi CO average from all stations
-   * @param {Request} req 
-   * @param {Response} res 
-   */
-  async getKutaisiCOAverage(req, res) {
-    try {
-      const { hours = 6 } = req.query; // Default to 6 hours back
-
-      const options = {
-        hoursBack: parseInt(hours, 10) || 6
-      };
-
-      const averageData = await airQualityService.getKutaisiCOAverage(options);
-
-      res.json({
-        success: true,
-        data: averageData,
-        request: {
-          city: 'Kutaisi',
-          substance: 'CO',
-          hoursBack: options.hoursBack
-        }
-      });
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        error: 'Failed to calculate Kutaisi CO average',
-        message: error.message
-      });
-    }
-  }
-
-  /**
-   * Get all pollutant averages for Kutaisi from all stations
-   * @param {Request} req 
-   * @param {Response} res 
-   */
-  async getKutaisiAllPollutantsAverage(req, res) {
-    try {
-      const { hours = 6 } = req.query; // Default to 6 hours back
-
-      const options = {
-        hoursBack: parseInt(hours, 10) || 6
-      };
-
-      const averageData = await airQualityService.getKutaisiAllPollutantsAverage(options);
-
-      res.json({
-        success: true,
-        data: averageData,
-        request: {
-          city: 'Kutaisi',
-          substances: 'All pollutants',
-          hoursBack: options.hoursBack
-        }
-      });
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        error: 'Failed to calculate Kutaisi all pollutants average',
-        message: error.message
-      });
-    }
-  }
-
-  /**
-   * Get Batumi PM2.5 average from all stations
-   * @param {Request} req 
-   * @param {Response} res 
-   */
-  async getBatumiPM25Average(req, res) {
-    try {
-      const { hours = 6 } = req.query; // Default to 6 hours back
-
-      const options = {
-        hoursBack: parseInt(hours, 10) || 6
-      };
-
-      const averageData = await airQualityService.getBatumiPM25Average(options);
-
-      res.json({
-        success: true,
-        data: averageData,
-        request: {
-          city: 'Batumi',
-          substance: 'PM2.5',
-          hoursBack: options.hoursBack
-        }
-      });
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        error: 'Failed to calculate Batumi PM2.5 average',
-        message: error.message
-      });
-    }
-  }
-
-  /**
-   * Get Batumi PM10 average from all stations
-   * @param {Request} req 
-   * @param {Response} res 
-   */
-  async getBatumiPM10Average(req, res) {
-    try {
-      const { hours = 6 } = req.query; // Default to 6 hours back
-
-      const options = {
-        hoursBack: parseInt(hours, 10) || 6
-      };
-
-      const averageData = await airQualityService.getBatumiPM10Average(options);
-
-      res.json({
-        success: true,
-        data: averageData,
-        request: {
-          city: 'Batumi',
-          substance: 'PM10',
-          hoursBack: options.hoursBack
-        }
-      });
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        error: 'Failed to calculate Batumi PM10 average',
-        message: error.message
-      });
-    }
-  }
-
-  /**
-   * Get Batumi NO2 average from all stations
-   * @param {Request} req 
-   * @param {Response} res 
-   */
-  async getBatumiNO2Average(req, res) {
-    try {
-      const { hours = 6 } = req.query; // Default to 6 hours back
-
-      const options = {
-        hoursBack: parseInt(hours, 10) || 6
-      };
-
-      const averageData = await airQualityService.getBatumiNO2Average(options);
-
-      res.json({
-        success: true,
-        data: averageData,
-        request: {
-          city: 'Batumi',
-          substance: 'NO2',
-          hoursBack: options.hoursBack
-        }
-      });
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        error: 'Failed to calculate Batumi NO2 average',
-        message: error.message
-      });
-    }
-  }
-
-  /**
-   * Get Batumi O3 average from all stations
-   * @param {Request} req 
-   * @param {Response} res 
-   */
-  async getBatumiO3Average(req, res) {
-    try {
-      const { hours = 6 } = req.query; // Default to 6 hours back
-
-      const options = {
-        hoursBack: parseInt(hours, 10) || 6
-      };
-
-      const averageData = await airQualityService.getBatumiO3Average(options);
-
-      res.json({
-        success: true,
-        data: averageData,
-        request: {
-          city: 'Batumi',
-          substance: 'O3',
-          hoursBack: options.hoursBack
-        }
-      });
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        error: 'Failed to calculate Batumi O3 average',
-        message: error.message
-      });
-    }
-  }
-
-  /**
-   * Get Batumi SO2 average from all stations
-   * @param {Request} req 
-   * @param {Response} res 
-   */
-  async getBatumiSO2Average(req, res) {
-    try {
-      const { hours = 6 } = req.query; // Default to 6 hours back
-
-      const options = {
-        hoursBack: parseInt(hours, 10) || 6
-      };
-
-      const averageData = await airQualityService.getBatumiSO2Average(options);
-
-      res.json({
-        success: true,
-        data: averageData,
-        request: {
-          city: 'Batumi',
-          substance: 'SO2',
-          hoursBack: options.hoursBack
-        }
-      });
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        error: 'Failed to calculate Batumi SO2 average',
-        message: error.message
-      });
-    }
-  }
-
-  /**
-   * Get Batumi CO average from all stations
-   * @param {Request} req 
-   * @param {Response} res 
-   */
-  async getBatumiCOAverage(req, res) {
-    try {
-      const { hours = 6 } = req.query; // Default to 6 hours back
-
-      const options = {
-        hoursBack: parseInt(hours, 10) || 6
-      };
-
-      const averageData = await airQualityService.getBatumiCOAverage(options);
-
-      res.json({
-        success: true,
-        data: averageData,
-        request: {
-          city: 'Batumi',
-          substance: 'CO',
-          hoursBack: options.hoursBack
-        }
-      });
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        error: 'Failed to calculate Batumi CO average',
-        message: error.message
-      });
-    }
-  }
-
-  /**
-   * Get all pollutant averages for Batumi from all stations
-   * @param {Request} req 
-   * @param {Response} res 
-   */
-  async getBatumiAllPollutantsAverage(req, res) {
-    try {
-      const { hours = 6 } = req.query; // Default to 6 hours back
-
-      const options = {
-        hoursBack: parseInt(hours, 10) || 6
-      };
-
-      const averageData = await airQualityService.getBatumiAllPollutantsAverage(options);
-
-      res.json({
-        success: true,
-        data: averageData,
-        request: {
-          city: 'Batumi',
-          substances: 'All pollutants',
-          hoursBack: options.hoursBack
-        }
-      });
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        error: 'Failed to calculate Batumi all pollutants average',
-        message: error.message
-      });
-    }
-  }
-
-  /**
-   * Get Rustavi PM2.5 average from all stations
-   * @param {Request} req 
-   * @param {Response} res 
-   */
-  async getRustaviPM25Average(req, res) {
-    try {
-      const { hours = 6 } = req.query; // Default to 6 hours back
-
-      const options = {
-        hoursBack: parseInt(hours, 10) || 6
-      };
-
-      const averageData = await airQualityService.getRustaviPM25Average(options);
-
-      res.json({
-        success: true,
-        data: averageData,
-        request: {
-          city: 'Rustavi',
-          substance: 'PM2.5',
-          hoursBack: options.hoursBack
-        }
-      });
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        error: 'Failed to calculate Rustavi PM2.5 average',
-        message: error.message
-      });
-    }
-  }
-
-  /**
-   * Get Rustavi PM10 average from all stations
-   * @param {Request} req 
-   * @param {Response} res 
-   */
-  async getRustaviPM10Average(req, res) {
-    try {
-      const { hours = 6 } = req.query; // Default to 6 hours back
-
-      const options = {
-        hoursBack: parseInt(hours, 10) || 6
-      };
-
-      const averageData = await airQualityService.getRustaviPM10Average(options);
-
-      res.json({
-        success: true,
-        data: averageData,
-        request: {
-          city: 'Rustavi',
-          substance: 'PM10',
-          hoursBack: options.hoursBack
-        }
-      });
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        error: 'Failed to calculate Rustavi PM10 average',
-        message: error.message
-      });
-    }
-  }
-
-  /**
-   * Get Rustavi NO2 average from all stations
-   * @param {Request} req 
-   * @param {Response} res 
-   */
-  async getRustaviNO2Average(req, res) {
-    try {
-      const { hours = 6 } = req.query; // Default to 6 hours back
-
-      const options = {
-        hoursBack: parseInt(hours, 10) || 6
-      };
-
-      const averageData = await airQualityService.getRustaviNO2Average(options);
-
-      res.json({
-        success: true,
-        data: averageData,
-        request: {
-          city: 'Rustavi',
-          substance: 'NO2',
-          hoursBack: options.hoursBack
-        }
-      });
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        error: 'Failed to calculate Rustavi NO2 average',
-        message: error.message
-      });
-    }
-  }
-
-  /**
-   * Get Rustavi O3 average from all stations
-   * @param {Request} req 
-   * @param {Response} res 
-   */
-  async getRustaviO3Average(req, res) {
-    try {
-      const { hours = 6 } = req.query; // Default to 6 hours back
-
-      const options = {
-        hoursBack: parseInt(hours, 10) || 6
-      };
-
-      const averageData = await airQualityService.getRustaviO3Average(options);
-
-      res.json({
-        success: true,
-        data: averageData,
-        request: {
-          city: 'Rustavi',
-          substance: 'O3',
-          hoursBack: options.hoursBack
-        }
-      });
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        error: 'Failed to calculate Rustavi O3 average',
-        message: error.message
-      });
-    }
-  }
-
-  /**
-   * Get Rustavi SO2 average from all stations
-   * @param {Request} req 
-   * @param {Response} res 
-   */
-  async getRustaviSO2Average(req, res) {
-    try {
-      const { hours = 6 } = req.query; // Default to 6 hours back
-
-      const options = {
-        hoursBack: parseInt(hours, 10) || 6
-      };
-
-      const averageData = await airQualityService.getRustaviSO2Average(options);
-
-      res.json({
-        success: true,
-        data: averageData,
-        request: {
-          city: 'Rustavi',
-          substance: 'SO2',
-          hoursBack: options.hoursBack
-        }
-      });
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        error: 'Failed to calculate Rustavi SO2 average',
-        message: error.message
-      });
-    }
-  }
-
-  /**
-   * Get Rustavi CO average from all stations
-   * @param {Request} req 
-   * @param {Response} res 
-   */
-  async getRustaviCOAverage(req, res) {
-    try {
-      const { hours = 6 } = req.query; // Default to 6 hours back
-
-      const options = {
-        hoursBack: parseInt(hours, 10) || 6
-      };
-
-      const averageData = await airQualityService.getRustaviCOAverage(options);
-
-      res.json({
-        success: true,
-        data: averageData,
-        request: {
-          city: 'Rustavi',
-          substance: 'CO',
-          hoursBack: options.hoursBack
-        }
-      });
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        error: 'Failed to calculate Rustavi CO average',
-        message: error.message
-      });
-    }
-  }
-
-  /**
-   * Get all pollutant averages for Rustavi from all stations
-   * @param {Request} req 
-   * @param {Response} res 
-   */
-  async getRustaviAllPollutantsAverage(req, res) {
-    try {
-      const { hours = 6 } = req.query; // Default to 6 hours back
-
-      const options = {
-        hoursBack: parseInt(hours, 10) || 6
-      };
-
-      const averageData = await airQualityService.getRustaviAllPollutantsAverage(options);
-
-      res.json({
-        success: true,
-        data: averageData,
-        request: {
-          city: 'Rustavi',
-          substances: 'All pollutants',
-          hoursBack: options.hoursBack
-        }
-      });
-    } catch (error) {
-      res.status(500).json({
-        success: false,
-        error: 'Failed to calculate Rustavi all pollutants average',
-        message: error.message
-      });
-    }
+        res.json({
+          success: true,
+          data: averageData,
+          request: {
+            city: cityName,
+            substances: 'All pollutants',
+            hoursBack: options.hoursBack,
+            standard: options.standard
+          }
+        });
+      } catch (error) {
+        res.status(error.statusCode || 500).json({
+          success: false,
+          error: `Failed to calculate ${cityName} all pollutants average`,
+          message: error.message
+        });
+      }
+    };
   }
 }
 
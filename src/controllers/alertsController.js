@@ -0,0 +1,123 @@
+/**
+ * Alerts Controller
+ * CRUD for air quality alert rules
+ */
+import alertService from '../services/alertService.js';
+
+export class AlertsController {
+  /**
+   * List alert rules
+   * @param {Request} req 
+   * @param {Response} res 
+   */
+  async listRules(req, res) {
+    try {
+      const rules = await alertService.listRules();
+
+      res.json({
+        success: true,
+        count: rules.length,
+        data: rules
+      });
+    } catch (error) {
+      this._sendError(res, error, 'Failed to list alert rules');
+    }
+  }
+
+  /**
+   * Get one alert rule
+   * @param {Request} req 
+   * @param {Response} res 
+   */
+  async getRule(req, res) {
+    try {
+      res.json({
+        success: true,
+        data: await alertService.getRule(req.params.id)
+      });
+    } catch (error) {
+      this._sendError(res, error, 'Failed to get alert rule');
+    }
+  }
+
+  /**
+   * Create an alert rule
+   * @param {Request} req 
+   * @param {Response} res 
+   */
+  async createRule(req, res) {
+    try {
+      res.status(201).json({
+        success: true,
+        data: await alertService.createRule(req.body)
+      });
+    } catch (error) {
+      this._sendError(res, error, 'Failed to create alert rule');
+    }
+  }
+
+  /**
+   * Update an alert rule (omitted fields are kept)
+   * @param {Request} req 
+   * @param {Response} res 
+   */
+  async updateRule(req, res) {
+    try {
+      res.json({
+        success: true,
+        data: await alertService.updateRule(req.params.id, req.body)
+      });
+    } catch (error) {
+      this._sendError(res, error, 'Failed to update alert rule');
+    }
+  }
+
+  /**
+   * Delete an alert rule
+   * @param {Request} req 
+   * @param {Response} res 
+   */
+  async deleteRule(req, res) {
+    try {
+      res.json({
+        success: true,
+        data: await alertService.deleteRule(req.params.id)
+      });
+    } catch (error) {
+      this._sendError(res, error, 'Failed to delete alert rule');
+    }
+  }
+
+  /**
+   * Evaluate all rules now instead of waiting for the scheduler
+   * @param {Request} req 
+   * @param {Response} res 
+   */
+  async evaluate(req, res) {
+    try {
+      res.json({
+        success: true,
+        data: await alertService.evaluate()
+      });
+    } catch (error) {
+      this._sendError(res, error, 'Failed to evaluate alert rules');
+    }
+  }
+
+  /**
+   * @param {Response} res
+   * @param {Error} error
+   * @param {string} fallback - Error title for unexpected failures
+   */
+  _sendError(res, error, fallback) {
+    const titles = { 400: 'Invalid alert rule', 404: 'Alert rule not found', 409: 'Alert evaluation in progress' };
+
+    res.status(error.statusCode || 500).json({
+      success: false,
+      error: titles[error.statusCode] || fallback,
+      message: error.message
+    });
+  }
+}
+
+export default new AlertsController();
@@ -3,9 +3,17 @@
  * Handles all dataset-related HTTP requests
  */
 import { DATASETS } from '../config/datasets.js';
-import pxwebService from '../services/pxwebService.js';
 import dataProcessingService from '../services/dataProcessingService.js';
 import redisService from '../services/redisService.js';
+import cacheService from '../services/cacheService.js';
+import exportService from '../services/exportService.js';
+import pxFileService from '../services/pxFileService.js';
+import datasetService from '../services/datasetService.js';
+import datasetVersionService from '../services/datasetVersionService.js';
+import { parseDeriveParam } from '../utils/deriveExpression.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ component: 'datasets' });
 
 const CACHE_TTL = 3600; // 1 hour
 
@@ -24,7 +32,9 @@ export class DatasetController {
         name: dataset.name,
         description: dataset.description,
         category: dataset.category,
-        subcategory: dataset.subcategory || null
+        subcategory: dataset.subcategory || null,
+        source: dataset.source || 'pxweb',
+        ...(dataset.catalogStatus && { catalogStatus: dataset.catalogStatus })
       }));
 
       if (category) {
@@ -88,62 +98,111 @@ export class DatasetController {
         });
       }
 
-      const cacheKey = `metadata:${id}:${lang}`;
-      const cached = await redisService.get(cacheKey);
-      if (cached) {
-        return res.json(JSON.parse(cached));
-      }
+      const { key, load } = datasetService.metadataCacheEntry(id, lang);
+      const cache = await cacheService.get(key, load);
 
-      // Add random delay to spread out concurrent requests
-      const delay = Math.random() * 1500; // 0-1500ms random delay
-      await new Promise(resolve => setTimeout(resolve, delay));
+      cacheService.setHeaders(res, cache);
+      res.json(this._withStaleFlag(cache.value, cache));
+    } catch (error) {
+      log.error({ dataset: req.params.id, err: error }, 'getMetadata failed');
+      this._sendDataError(res, error, 'Failed to fetch metadata');
+    }
+  }
 
-      const dataset = DATASETS[id];
+  /**
+   * Get processed dataset data
+   * @param {Request} req 
+   * @param {Response} res 
+   */
+  async getData(req, res) {
+    const { format } = req.query;
+    if (format && format !== 'json') {
+      return this.exportData(req, res);
+    }
 
-      // Fetch metadata in the requested language
-      const { metadata } = await pxwebService.fetchData(dataset.path, lang);
-      const processedMetadata = dataProcessingService.processMetadata(metadata, id, lang);
+    try {
+      const { id } = req.params;
+      const { lang = 'ka' } = req.query;
 
-      const result = {
-        success: true,
-        data: {
-          ...dataset,
-          metadata: processedMetadata,
-          language: lang
-        }
-      };
+      const safeId = id?.replace(/[^a-z0-9\-_]/gi, '');
+      if (!safeId || safeId !== id) {
+        return res.status(400).json({ success: false, error: 'Invalid dataset ID' });
+      }
 
-      await redisService.setex(cacheKey, CACHE_TTL, JSON.stringify(result));
+      if (!DATASETS[id]) {
+        return res.status(404).json({
+          success: false,
+          error: 'Dataset not found',
+          message: `Dataset with id '${id}' does not exist`
+        });
+      }
+
+      const { result, cache } = await this._loadProcessedData(id, lang, req.query);
+      cacheService.setHeaders(res, cache);
       res.json(result);
     } catch (error) {
-      console.error(`[${new Date().toISOString()}] getMetadata error for '${req.params.id}':`, error.message);
-      const isUpstream = error.message?.includes('Cannot reach external PXWeb API') ||
-                         error.message?.includes('timed out');
-      res.status(isUpstream ? 502 : 500).json({
-        success: false,
-        error: isUpstream ? 'External API unavailable' : 'Failed to fetch metadata',
-        message: error.message
-      });
+      log.error({ dataset: req.params.id, err: error }, 'getData failed');
+      this._sendDataError(res, error, 'Failed to fetch dataset data');
     }
   }
 
   /**
-   * Get processed dataset data
+   * Export processed dataset data as CSV or XLSX
    * @param {Request} req 
    * @param {Response} res 
    */
-  async getData(req, res) {
+  async exportData(req, res) {
     try {
       const { id } = req.params;
-      const { lang = 'ka', category, ownership, region, gender, activity } = req.query;
+      const { lang = 'ka', format = 'csv' } = req.query;
 
-      // Build dimension filters from query params (map friendly names → PXWeb dimension codes)
-      const dimensionFilters = {};
-      if (category)  dimensionFilters['Category']         = category;
-      if (ownership) dimensionFilters['Ownership Type']   = ownership;
-      if (region)    dimensionFilters['Region']           = region;
-      if (gender)    dimensionFilters['Gender']           = gender;
-      if (activity)  dimensionFilters['Type of Activity'] = activity;
+      const safeId = id?.replace(/[^a-z0-9\-_]/gi, '');
+      if (!safeId || safeId !== id) {
+        return res.status(400).json({ success: false, error: 'Invalid dataset ID' });
+      }
+
+      if (!DATASETS[id]) {
+        return res.status(404).json({
+          success: false,
+          error: 'Dataset not found',
+          message: `Dataset with id '${id}' does not exist`
+        });
+      }
+
+      if (!exportService.isSupportedFormat(format)) {
+        return res.status(400).json({
+          success: false,
+          error: 'Unsupported export format',
+          message: `Format must be one of: ${exportService.formats.join(', ')}`
+        });
+      }
+
+      const { result: { data }, cache } = await this._loadProcessedData(id, lang, req.query);
+      const file = exportService.export(data, format, lang);
+
+      cacheService.setHeaders(res, cache);
+      res.set({
+        // CSV has no metadata sheet, so the vintage travels in headers
+        'X-Dataset-Version': String(data.vintage?.version ?? ''),
+        'X-Source-Updated': data.vintage?.updated || '',
+        'Content-Type': file.contentType,
+        'Content-Disposition': `attachment; filename="${id}-${lang}.${file.extension}"`
+      });
+      res.send(file.body);
+    } catch (error) {
+      log.error({ dataset: req.params.id, err: error }, 'exportData failed');
+      this._sendDataError(res, error, 'Failed to export dataset data');
+    }
+  }
+
+  /**
+   * Download a dataset as a PC-Axis (.px) file in Georgian and English
+   * @param {Request} req 
+   * @param {Response} res 
+   */
+  async exportPx(req, res) {
+    try {
+      const { id } = req.params;
 
       const safeId = id?.replace(/[^a-z0-9\-_]/gi, '');
       if (!safeId || safeId !== id) {
@@ -158,56 +217,112 @@ export class DatasetController {
         });
       }
 
-      // Cache key includes active filters so filtered results are cached separately
-      const filterSuffix = Object.keys(dimensionFilters).length
-        ? ':' + Object.entries(dimensionFilters).map(([k, v]) => `${k}=${v}`).join('&')
-        : '';
-      const cacheKey = `data:${id}:${lang}${filterSuffix}`;
-      const cached = await redisService.get(cacheKey);
-      if (cached) {
-        return res.json(JSON.parse(cached));
+      const dataset = DATASETS[id];
+      const cacheKey = `px:${id}:all`;
+      let body = await redisService.get(cacheKey);
+      if (!body) {
+        body = await pxFileService.renderDataset(dataset);
+        if (!pxFileService.isLocal(dataset)) {
+          await redisService.setex(cacheKey, CACHE_TTL, body);
+        }
+      }
+
+      res.set({
+        'Content-Type': 'text/x-pcaxis; charset=utf-8',
+        'Content-Disposition': `attachment; filename="${id}.px"`
+      });
+      res.send(body);
+    } catch (error) {
+      log.error({ dataset: req.params.id, err: error }, 'exportPx failed');
+      this._sendDataError(res, error, 'Failed to export PX file');
+    }
+  }
+
+  /**
+   * Get raw JSON-Stat data
+   * @param {Request} req 
+   * @param {Response} res 
+   */
+  async getJsonStat(req, res) {
+    try {
+      const { id } = req.params;
+      const { lang = 'ka', select } = req.query;
+
+      const safeId = id?.replace(/[^a-z0-9\-_]/gi, '');
+      if (!safeId || safeId !== id) {
+        return res.status(400).json({ success: false, error: 'Invalid dataset ID' });
+      }
+
+      if (!DATASETS[id]) {
+        return res.status(404).json({
+          success: false,
+          error: 'Dataset not found',
+          message: `Dataset with id '${id}' does not exist`
+        });
       }
 
-      // Add random delay to spread out concurrent requests
-      const delay = Math.random() * 2000; // 0-2000ms random delay
-      await new Promise(resolve => setTimeout(resolve, delay));
+      const selection = this._parseSelection(select);
 
       const dataset = DATASETS[id];
-      const { dataset: jsonStatDataset, metadata } = await pxwebService.fetchData(dataset.path, lang);
-      const processedData = dataProcessingService.processForChart(jsonStatDataset, id, lang, metadata, dimensionFilters);
+      const { rawData } = await datasetService.fetchDataset(dataset, lang, selection);
 
-      const result = {
+      res.json({
         success: true,
-        data: {
-          ...dataset,
-          ...processedData,
-          language: lang,
-          filters: Object.keys(dimensionFilters).length ? dimensionFilters : undefined
-        }
-      };
+        data: rawData
+      });
+    } catch (error) {
+      log.error({ dataset: req.params.id, err: error }, 'getJsonStat failed');
+      this._sendDataError(res, error, 'Failed to fetch JSON-Stat data');
+    }
+  }
 
-      await redisService.setex(cacheKey, CACHE_TTL, JSON.stringify(result));
-      res.json(result);
+  /**
+   * List recorded versions of a dataset, newest first
+   * @param {Request} req 
+   * @param {Response} res 
+   */
+  async getVersions(req, res) {
+    try {
+      const { id } = req.params;
+
+      const safeId = id?.replace(/[^a-z0-9\-_]/gi, '');
+      if (!safeId || safeId !== id) {
+        return res.status(400).json({ success: false, error: 'Invalid dataset ID' });
+      }
+
+      if (!DATASETS[id]) {
+        return res.status(404).json({
+          success: false,
+          error: 'Dataset not found',
+          message: `Dataset with id '${id}' does not exist`
+        });
+      }
+
+      const { current, versions } = await datasetVersionService.getVersions(id);
+
+      res.json({
+        success: true,
+        data: { id, current, versions },
+        count: versions.length
+      });
     } catch (error) {
-      console.error(`[${new Date().toISOString()}] getData error for '${req.params.id}':`, error.message);
-      const isUpstream = error.message?.includes('Cannot reach external PXWeb API') ||
-                         error.message?.includes('timed out');
-      res.status(isUpstream ? 502 : 500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
-        error: isUpstream ? 'External API unavailable' : 'Failed to fetch dataset data',
+        error: 'Failed to fetch dataset versions',
         message: error.message
       });
     }
   }
 
   /**
-   * Get raw JSON-Stat data
+   * List cells that changed between two versions (default: previous and latest)
    * @param {Request} req 
    * @param {Response} res 
    */
-  async getJsonStat(req, res) {
+  async getVersionDiff(req, res) {
     try {
       const { id } = req.params;
+      const { from, to, limit } = req.query;
 
       const safeId = id?.replace(/[^a-z0-9\-_]/gi, '');
       if (!safeId || safeId !== id) {
@@ -222,21 +337,137 @@ export class DatasetController {
         });
       }
 
-      const dataset = DATASETS[id];
-      const { rawData } = await pxwebService.fetchData(dataset.path);
+      const diff = await datasetVersionService.diff(id, { from, to, limit });
 
       res.json({
         success: true,
-        data: rawData
+        data: { id, ...diff }
       });
     } catch (error) {
-      res.status(500).json({
+      res.status(error.statusCode || 500).json({
         success: false,
-        error: 'Failed to fetch JSON-Stat data',
+        error: 'Failed to compare dataset versions',
         message: error.message
       });
     }
   }
+
+  /**
+   * Fetch (or read from cache) chart-ready data for a dataset
+   * @param {string} id - Dataset ID (already validated)
+   * @param {string} lang - Language code
+   * @param {Object} query - Request query (dimension filters and `select`)
+   * @returns {Promise<Object>} - { result: `{ success, data, stale? }` response body, cache: cacheService.get() status }
+   */
+  async _loadProcessedData(id, lang, query) {
+    const { category, ownership, region, gender, activity, select, derive } = query;
+
+    // Build dimension filters from query params (map friendly names → PXWeb dimension codes)
+    const dimensionFilters = {};
+    if (category)  dimensionFilters['Category']         = category;
+    if (ownership) dimensionFilters['Ownership Type']   = ownership;
+    if (region)    dimensionFilters['Region']           = region;
+    if (gender)    dimensionFilters['Gender']           = gender;
+    if (activity)  dimensionFilters['Type of Activity'] = activity;
+
+    // Per-variable selections are sent upstream so only the needed slice is downloaded
+    const selection = this._parseSelection(select);
+
+    // Derived series are evaluated on every request, on top of the cached processed data
+    const derivations = parseDeriveParam(derive);
+
+    const { key, load } = datasetService.dataCacheEntry(id, lang, dimensionFilters, selection);
+    const cache = await cacheService.get(key, load);
+
+    const result = this._withDerivedSeries(cache.value, derivations, lang);
+    return { result: this._withStaleFlag(result, cache), cache };
+  }
+
+  /**
+   * Mark a response body served from an expired cache entry
+   * @param {Object} result - `{ success, data }` response body
+   * @param {Object} cache - Result of cacheService.get()
+   * @returns {Object}
+   */
+  _withStaleFlag(result, cache) {
+    return cache.stale ? { ...result, stale: true } : result;
+  }
+
+  /**
+   * Add `?derive=` series to a processed data response
+   * @param {Object} result - `{ success, data }` response body
+   * @param {Array} derivations - Output of parseDeriveParam
+   * @param {string} lang - Language code
+   * @returns {Object}
+   */
+  _withDerivedSeries(result, derivations, lang) {
+    if (!derivations.length) return result;
+    return {
+      ...result,
+      data: dataProcessingService.applyDerivedSeries(result.data, derivations, lang)
+    };
+  }
+
+  /**
+   * Send the error response shared by the metadata, data, JSON-Stat and export endpoints
+   * @param {Response} res 
+   * @param {Error} error 
+   * @param {string} fallbackError - Error title for non-upstream failures
+   */
+  _sendDataError(res, error, fallbackError) {
+    if (error.statusCode === 400) {
+      return res.status(400).json({ success: false, error: error.title || 'Invalid selection', message: error.message });
+    }
+    // geostat.ge circuit breaker open and nothing cached
+    if (error.code === 'CIRCUIT_OPEN') {
+      res.set('Retry-After', String(error.retryAfter));
+      return res.status(503).json({ success: false, error: 'External API unavailable', message: error.message });
+    }
+    const isUpstream = error.message?.includes('Cannot reach external PXWeb API') ||
+                       error.message?.includes('timed out');
+    res.status(isUpstream ? 502 : 500).json({
+      success: false,
+      error: isUpstream ? 'External API unavailable' : fallbackError,
+      message: error.message
+    });
+  }
+
+  /**
+   * Parse `select[<variable code>]=...` query params into a PXWeb selection.
+   *   select[Region]=0,3                 → items (value codes or value texts)
+   *   select[Year]=top:3                 → last 3 periods
+   *   select[Gender]=agg:Gender.agg:T,M  → aggregation with its value codes
+   *   select[Region]=*                   → all values
+   * @param {Object|undefined} select - Parsed `select` query object
+   * @returns {Object} - Selection keyed by variable code (see PXWebService.fetchData)
+   */
+  _parseSelection(select) {
+    if (!select) return {};
+
+    if (typeof select !== 'object' || Array.isArray(select)) {
+      const error = new Error('Use select[<variable code>]=<values> to select variable values');
+      error.statusCode = 400;
+      throw error;
+    }
+
+    const selection = {};
+    for (const [code, raw] of Object.entries(select)) {
+      const value = [].concat(raw).join(',').trim();
+      const list = str => str.split(',').map(v => v.trim()).filter(Boolean);
+
+      if (value === '*') {
+        selection[code] = '*';
+      } else if (value.startsWith('top:')) {
+        selection[code] = { top: value.slice(4) };
+      } else if (value.startsWith('agg:')) {
+        const [, agg, items = ''] = value.split(':');
+        selection[code] = { agg, values: list(items) };
+      } else {
+        selection[code] = list(value);
+      }
+    }
+    return selection;
+  }
 }
 
 export default new DatasetController();
@@ -2,8 +2,21 @@
  * Health Controller
  * Handles health check and system status endpoints
  */
+import { config } from '../config/index.js';
 import performanceMonitor from '../middleware/performanceMonitor.js';
 import redisService from '../services/redisService.js';
+import airQualityHistoryService from '../services/airQualityHistoryService.js';
+import alertService from '../services/alertService.js';
+import airQualityStreamService from '../services/airQualityStreamService.js';
+import fixtureService from '../services/fixtureService.js';
+import singleFlightService from '../services/singleFlightService.js';
+import cacheService from '../services/cacheService.js';
+import cacheWarmerService from '../services/cacheWarmerService.js';
+import catalogSyncService from '../services/catalogSyncService.js';
+import searchService from '../services/searchService.js';
+import apiKeyService from '../services/apiKeyService.js';
+import metricsService from '../services/metricsService.js';
+import circuitBreakerService from '../services/circuitBreakerService.js';
 
 export class HealthController {
   /**
@@ -57,6 +70,17 @@ export class HealthController {
           architecture: process.arch,
           environment: process.env.NODE_ENV || 'development'
         },
+        airQualityHistory: airQualityHistoryService.getStatus(),
+        alerts: alertService.getStatus(),
+        airQualityStream: airQualityStreamService.getStatus(),
+        fixtures: fixtureService.getStatus(),
+        coalescing: singleFlightService.getStatus(),
+        cacheWarmer: cacheWarmerService.getStatus(),
+        catalogSync: catalogSyncService.getStatus(),
+        search: searchService.getStatus(),
+        auth: apiKeyService.getStatus(),
+        metrics: metricsService.getStatus(),
+        circuitBreakers: circuitBreakerService.getStatus(),
         memory: {
           ...process.memoryUsage(),
           formatted: {
@@ -72,9 +96,12 @@ export class HealthController {
             'GET /api/datasets/:id/metadata',
             'GET /api/datasets/:id/data',
             'GET /api/datasets/:id/jsonstat',
-            'GET /health',
-            'GET /status'
-          ]
+            'GET /api/health',
+            'GET /api/health/status'
+          ],
+          documentation: '/api/docs',
+          openapi: '/api/openapi.json',
+          metrics: '/metrics'
         }
       };
 
@@ -143,13 +170,14 @@ export class HealthController {
           percentage: Math.round((process.memoryUsage().heapUsed / process.memoryUsage().heapTotal) * 100)
         },
         
-        // Performance indicators (real data from performanceMonitor)
-        performance: performanceMonitor.getSummary(),
+        // Performance indicators of this worker (all workers: /metrics)
+        performance: await performanceMonitor.getSummary(),
 
-        // Service dependencies
+        // Service dependencies; upstream status follows the circuit breaker of its host
         services: {
           dataProcessing: { status: 'healthy' },
-          pxwebApi: { status: 'healthy' },
+          pxwebApi: circuitBreakerService.serviceStatus('pxweb'),
+          airQualityApi: circuitBreakerService.serviceStatus('airQuality'),
           redis: { connected: redisService.isConnected(), status: redisService.isConnected() ? 'healthy' : 'unavailable' }
         },
         
@@ -173,16 +201,21 @@ export class HealthController {
         (heapPct > 0.90 && mem.heapTotal > 150 * 1024 * 1024) ||
         mem.rss > 512 * 1024 * 1024;
 
-      const criticalServicesDown = [healthData.services.dataProcessing, healthData.services.pxwebApi]
+      const criticalServicesDown = [healthData.services.dataProcessing]
         .some(s => s.status !== 'healthy');
+      // An upstream outage degrades the service but is no reason to take this instance
+      // out of the load balancer: cached responses are still served, so it stays a 200.
+      const upstreamsDown = [healthData.services.pxwebApi, healthData.services.airQualityApi]
+        .filter(s => s.status !== 'healthy');
 
       const warnings = [];
       if (memoryUsageHigh)          warnings.push('High memory usage');
       if (criticalServicesDown)     warnings.push('Some services degraded');
+      upstreamsDown.forEach(s => warnings.push(`${s.host} ${s.status} — circuit breaker ${s.circuit}`));
       if (!redisService.isConnected()) warnings.push('Redis unavailable — caching disabled');
 
       if (warnings.length) {
-        healthData.status   = (memoryUsageHigh || criticalServicesDown) ? 'degraded' : 'healthy';
+        healthData.status   = (memoryUsageHigh || criticalServicesDown || upstreamsDown.length) ? 'degraded' : 'healthy';
         healthData.warnings = warnings;
       }
 
@@ -205,17 +238,77 @@ export class HealthController {
 
   async clearCache(req, res) {
     try {
-      const deleted = await redisService.flushByPattern('*');
+      // Cached responses only: locks, schedule claims, API keys and counters stay
+      const deleted = await cacheService.clear();
+      // Refill right away so the next visitors do not wait on geostat.ge
+      const warming = config.cacheWarmer.enabled
+        ? (await cacheWarmerService.warm({ trigger: 'cache-clear', force: true })).started
+        : false;
+
       res.json({
         success: true,
         message: `Cache cleared`,
         keysDeleted: deleted,
-        redisConnected: redisService.isConnected()
+        redisConnected: redisService.isConnected(),
+        warming
       });
     } catch (error) {
       res.status(500).json({ success: false, error: error.message });
     }
   }
+
+  /**
+   * Cache warmer progress and failures of the current or last run
+   * @param {Request} req 
+   * @param {Response} res 
+   */
+  async cacheWarmStatus(req, res) {
+    res.json({ success: true, data: cacheWarmerService.getStatus() });
+  }
+
+  /**
+   * Start warming the cache now
+   * @param {Request} req - query: datasets (comma-separated ids, default all), force=true to refresh fresh entries
+   * @param {Response} res 
+   */
+  async warmCache(req, res) {
+    try {
+      const datasets = typeof req.query.datasets === 'string' && req.query.datasets.trim()
+        ? req.query.datasets.split(',').map(id => id.trim()).filter(Boolean)
+        : null;
+      const { started, status, reason } = await cacheWarmerService.warm({
+        trigger: 'manual',
+        datasets,
+        force: req.query.force === 'true'
+      });
+
+      res.status(started ? 202 : 409).json({
+        success: started,
+        message: started ? 'Cache warming started' : (reason || 'Cache warming already in progress'),
+        data: status
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ success: false, error: 'Failed to start cache warming', message: error.message });
+    }
+  }
+
+  /**
+   * Prometheus metrics of all workers
+   * @param {Request} req 
+   * @param {Response} res 
+   */
+  async metrics(req, res) {
+    if (!config.metrics.enabled) {
+      return res.status(404).json({ success: false, error: 'Metrics disabled', message: 'Set METRICS_ENABLED=true to serve /metrics' });
+    }
+
+    try {
+      const { contentType, body, workers } = await metricsService.getMetrics();
+      res.set({ 'Content-Type': contentType, 'X-Metrics-Workers': String(workers) }).send(body);
+    } catch (error) {
+      res.status(500).json({ success: false, error: 'Failed to collect metrics', message: error.message });
+    }
+  }
 }
 
 export default new HealthController();
@@ -6,6 +6,9 @@ import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import XLSX from 'xlsx';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ component: 'lakes' });
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -75,7 +78,7 @@ class LakesController {
       
       return latestFileTime > this.lastLoadTime;
     } catch (error) {
-      console.error('Error checking file stats:', error);
+      log.error({ err: error }, 'Error checking file stats');
       return false;
     }
   }
@@ -93,7 +96,7 @@ class LakesController {
       const { geoPath, engPath, isExcel } = await this.getFilePaths();
       const fileType = isExcel ? 'Excel' : 'CSV';
       
-      console.log(`🔄 Reloading lakes data from ${fileType} files...`);
+      log.info({ fileType }, 'Reloading lakes data');
       
       if (isExcel) {
         // Load data from Excel files
@@ -109,9 +112,9 @@ class LakesController {
       }
 
       this.lastLoadTime = Date.now();
-      console.log(`✅ Loaded ${this.lakesDataGeo.length} lakes (Georgian) and ${this.lakesDataEng.length} lakes (English) from ${fileType} files`);
+      log.info({ fileType, georgian: this.lakesDataGeo.length, english: this.lakesDataEng.length }, 'Loaded lakes data');
     } catch (error) {
-      console.error('❌ Error loading lakes data:', error);
+      log.error({ err: error }, 'Error loading lakes data');
       if (!this.lakesDataGeo || !this.lakesDataEng) {
         this.lakesDataGeo = [];
         this.lakesDataEng = [];
@@ -150,7 +153,7 @@ class LakesController {
         return lake;
       });
     } catch (error) {
-      console.error(`Error parsing Excel file ${filePath}:`, error);
+      log.error({ file: filePath, err: error }, 'Error parsing Excel file');
       return [];
     }
   }
@@ -566,7 +569,7 @@ class LakesController {
         }
       });
     } catch (error) {
-      console.error('Error refreshing lakes data:', error);
+      log.error({ err: error }, 'Error refreshing lakes data');
       res.status(500).json({
         success: false,
         error: 'Failed to refresh data',
@@ -614,7 +617,7 @@ class LakesController {
         }
       });
     } catch (error) {
-      console.error('Error getting data status:', error);
+      log.error({ err: error }, 'Error getting data status');
       res.status(500).json({
         success: false,
         error: 'Failed to get data status',
@@ -3,6 +3,7 @@
  * Handles PXWeb API exploration and dataset discovery
  */
 import pxwebNavigationService from '../services/pxwebNavigationService.js';
+import catalogSyncService from '../services/catalogSyncService.js';
 import { CATEGORIES, ENVIRONMENT_SUBCATEGORIES, GENDER_SUBCATEGORIES } from '../config/datasets.js';
 
 export class NavigationController {
@@ -165,6 +166,38 @@ export class NavigationController {
       });
     }
   }
+
+  /**
+   * Catalog sync status and the last report (new, moved, renamed and deleted tables)
+   * @param {Request} req 
+   * @param {Response} res 
+   */
+  async getCatalogSync(req, res) {
+    res.json({ success: true, data: catalogSyncService.getStatus() });
+  }
+
+  /**
+   * Start a catalog sync now (?register=true|false overrides CATALOG_SYNC_AUTO_REGISTER)
+   * @param {Request} req 
+   * @param {Response} res 
+   */
+  async syncCatalog(req, res) {
+    try {
+      const { register } = req.query;
+      const { started, status, reason } = await catalogSyncService.sync({
+        trigger: 'manual',
+        ...(register !== undefined && { register: register === 'true' })
+      });
+
+      res.status(started ? 202 : 409).json({
+        success: started,
+        message: started ? 'Catalog sync started' : (reason || 'Catalog sync already in progress'),
+        data: status
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({ success: false, error: 'Failed to start catalog sync', message: error.message });
+    }
+  }
 }
 
 export default new NavigationController();
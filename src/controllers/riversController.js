@@ -6,6 +6,9 @@ import fs from 'fs/promises';
 import path from 'path';
 import { fileURLToPath } from 'url';
 import XLSX from 'xlsx';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ component: 'rivers' });
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -46,7 +49,7 @@ class RiversController {
       
       return latestFileTime > this.lastLoadTime;
     } catch (error) {
-      console.error('Error checking file stats:', error);
+      log.error({ err: error }, 'Error checking file stats');
       return false;
     }
   }
@@ -61,7 +64,7 @@ class RiversController {
         return;
       }
 
-      console.log('🔄 Reloading rivers data from Excel files...');
+      log.info('Reloading rivers data from Excel files');
       
       // Load Georgian data
       this.riversDataGeo = this.parseExcelData(this.xlsxPathGeo);
@@ -70,9 +73,9 @@ class RiversController {
       this.riversDataEng = this.parseExcelData(this.xlsxPathEng);
 
       this.lastLoadTime = Date.now();
-      console.log(`✅ Loaded ${this.riversDataGeo.length} rivers (Georgian) and ${this.riversDataEng.length} rivers (English) from Excel files`);
+      log.info({ georgian: this.riversDataGeo.length, english: this.riversDataEng.length }, 'Loaded rivers data');
     } catch (error) {
-      console.error('❌ Error loading rivers data:', error);
+      log.error({ err: error }, 'Error loading rivers data');
       if (!this.riversDataGeo || !this.riversDataEng) {
         this.riversDataGeo = [];
         this.riversDataEng = [];
@@ -109,7 +112,7 @@ class RiversController {
         return river;
       });
     } catch (error) {
-      console.error(`Error parsing Excel file ${filePath}:`, error);
+      log.error({ file: filePath, err: error }, 'Error parsing Excel file');
       return [];
     }
   }
@@ -421,7 +424,7 @@ class RiversController {
         }
       });
     } catch (error) {
-      console.error('Error refreshing rivers data:', error);
+      log.error({ err: error }, 'Error refreshing rivers data');
       res.status(500).json({
         success: false,
         error: 'Failed to refresh data',
@@ -468,7 +471,7 @@ class RiversController {
         }
       });
     } catch (error) {
-      console.error('Error getting data status:', error);
+      log.error({ err: error }, 'Error getting data status');
       res.status(500).json({
         success: false,
         error: 'Failed to get data status',
@@ -0,0 +1,70 @@
+/**
+ * Search Controller
+ * Full-text search across the dataset catalog
+ */
+import searchService from '../services/searchService.js';
+
+const MAX_QUERY_LENGTH = 200;
+const MAX_LIMIT = 100;
+
+export class SearchController {
+  /**
+   * Search datasets by name, description, variable labels and value texts (ka and en)
+   * @param {Request} req 
+   * @param {Response} res 
+   */
+  async search(req, res) {
+    try {
+      const { q, category, subcategory, limit = 20 } = req.query;
+
+      if (typeof q !== 'string' || !q.trim()) {
+        return res.status(400).json({
+          success: false,
+          error: 'Missing required parameter',
+          message: 'Query parameter q is required'
+        });
+      }
+
+      if (q.length > MAX_QUERY_LENGTH) {
+        return res.status(400).json({
+          success: false,
+          error: 'Query too long',
+          message: `q must be at most ${MAX_QUERY_LENGTH} characters`
+        });
+      }
+
+      const parsedLimit = parseInt(limit);
+      if (isNaN(parsedLimit) || parsedLimit < 1) {
+        return res.status(400).json({
+          success: false,
+          error: 'Invalid limit',
+          message: 'limit must be a positive integer'
+        });
+      }
+
+      const { terms, partial, total, results } = await searchService.search(q, {
+        category,
+        subcategory,
+        limit: Math.min(parsedLimit, MAX_LIMIT)
+      });
+
+      res.json({
+        success: true,
+        query: q,
+        terms,
+        partial,
+        count: results.length,
+        total,
+        data: results
+      });
+    } catch (error) {
+      res.status(error.statusCode || 500).json({
+        success: false,
+        error: 'Search failed',
+        message: error.message
+      });
+    }
+  }
+}
+
+export default new SearchController();
@@ -0,0 +1,117 @@
+/**
+ * GraphQL Data Loaders
+ * Created per request: identical loads within one query share a single fetch, and
+ * every station in a query is served from one air.gov.ge call.
+ *
+ * Results are cached in Redis across requests: dataset tables and charts through
+ * cacheService (stale-while-revalidate, the chart under the same key as /data),
+ * air quality snapshots for `config.graphql.airQualityCacheSeconds`.
+ */
+import DataLoader from 'dataloader';
+import { GraphQLError } from 'graphql';
+import { config } from '../config/index.js';
+import { DATASETS } from '../config/datasets.js';
+import cacheService from '../services/cacheService.js';
+import datasetService from '../services/datasetService.js';
+import airQualityService from '../services/airQualityService.js';
+import redisService from '../services/redisService.js';
+
+/**
+ * Loaders for one GraphQL request
+ * @returns {Object} - { tables, charts, airQuality }
+ */
+export function createLoaders() {
+  // Dataset tables and charts may each cost an upstream fetch; cap them per request
+  let tableBudget = config.graphql.maxTablesPerRequest;
+  const withinBudget = keys => keys.map(() => tableBudget-- > 0);
+  const overBudget = () => new GraphQLError(
+    `A query may load at most ${config.graphql.maxTablesPerRequest} dataset tables or charts`,
+    { extensions: { code: 'TOO_MANY_TABLES' } }
+  );
+
+  return {
+    // `${id}:${lang}` → table
+    tables: new DataLoader(async keys => {
+      const allowed = withinBudget(keys);
+      return Promise.all(keys.map((key, i) => (allowed[i] ? loadTable(...key.split(':')) : overBudget())));
+    }),
+
+    // `${id}:${lang}` → processed chart data
+    charts: new DataLoader(async keys => {
+      const allowed = withinBudget(keys);
+      return Promise.all(keys.map((key, i) => (allowed[i] ? loadChart(...key.split(':')) : overBudget())));
+    }),
+
+    // hours → stations with readings
+    airQuality: new DataLoader(keys => Promise.all(keys.map(loadStations)))
+  };
+}
+
+/**
+ * Dataset dimensions and values, language-specific labels
+ * @param {string} id - Dataset ID
+ * @param {string} lang
+ * @returns {Promise<Object>} - { title, vintage, dimensions: [{ code, label, time, values }], values }
+ */
+async function loadTable(id, lang) {
+  const cache = await cacheService.get(`table:${id}:${lang}`, async () => {
+    const fetched = await datasetService.fetchDataset(DATASETS[id], lang);
+    return toTable(fetched);
+  });
+  return cache.value;
+}
+
+/**
+ * Chart-ready data, shared with GET /api/datasets/:id/data
+ * @param {string} id - Dataset ID
+ * @param {string} lang
+ * @returns {Promise<Object>}
+ */
+async function loadChart(id, lang) {
+  const { key, load } = datasetService.dataCacheEntry(id, lang);
+  const cache = await cacheService.get(key, load);
+  return cache.value.data;
+}
+
+/**
+ * Stations with their readings of the last `hours`
+ * @param {number} hours
+ * @returns {Promise<Array>}
+ */
+async function loadStations(hours) {
+  const key = `graphql:air-quality:${hours}`;
+  const cached = await redisService.get(key);
+  if (cached) return JSON.parse(cached);
+
+  const data = await airQualityService.getLatestData({ stationCode: 'all', hoursBack: hours });
+  const stations = data.stations || [];
+  await redisService.setex(key, config.graphql.airQualityCacheSeconds, JSON.stringify(stations));
+  return stations;
+}
+
+/**
+ * Serialisable form of a fetched JSON-Stat dataset
+ * @param {Object} fetched - Result of DatasetService.fetchDataset
+ * @returns {Object}
+ */
+function toTable({ dataset, metadata, vintage }) {
+  const timeDimensions = dataset.role?.time || [];
+
+  return {
+    title: metadata?.title || dataset.label || null,
+    vintage: vintage || null,
+    dimensions: dataset.id.map(code => {
+      const dimension = dataset.Dimension(code);
+      const variable = metadata?.variables?.find(v => v.code === code);
+      return {
+        code,
+        label: dimension.label || variable?.text || code,
+        time: timeDimensions.includes(code) || Boolean(variable?.time),
+        values: dimension.id.map(value => ({ code: value, label: dimension.Category(value)?.label ?? value }))
+      };
+    }),
+    values: dataset.value.map(value => value ?? null)
+  };
+}
+
+export default createLoaders;
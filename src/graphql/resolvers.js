@@ -0,0 +1,244 @@
+/**
+ * GraphQL Resolvers
+ * Root value for the schema in schema.js. Query fields return plain objects whose
+ * nested fields are methods ((args, context) => value); heavy data goes through the
+ * per-request loaders in `context.loaders` (see loaders.js).
+ */
+import { GraphQLError } from 'graphql';
+import { config } from '../config/index.js';
+import { DATASETS } from '../config/datasets.js';
+import searchService from '../services/searchService.js';
+import airQualityService from '../services/airQualityService.js';
+import riversController from '../controllers/riversController.js';
+import lakesController from '../controllers/lakesController.js';
+
+const MAX_LIST_LIMIT = 500;
+const MAX_HOURS = 24;
+
+export const rootValue = {
+  async datasets({ category, subcategory, search, limit }) {
+    const max = checkLimit(limit, MAX_LIST_LIMIT);
+
+    if (search) {
+      const { results } = await searchService.search(search, { category, subcategory, limit: max });
+      return results.map(result => datasetNode(DATASETS[result.id]));
+    }
+
+    return Object.values(DATASETS)
+      .filter(dataset => (!category || dataset.category === category) && (!subcategory || dataset.subcategory === subcategory))
+      .slice(0, max)
+      .map(datasetNode);
+  },
+
+  dataset({ id }) {
+    return DATASETS[id] ? datasetNode(DATASETS[id]) : null;
+  },
+
+  async stations({ city, hours }, { loaders }) {
+    let stations = await loaders.airQuality.load(checkHours(hours));
+    if (city) {
+      stations = airQualityService.filterCityStations(airQualityService.resolveCity(city), stations);
+    }
+    return stations.map(stationNode);
+  },
+
+  async station({ code, hours }, { loaders }) {
+    const stations = await loaders.airQuality.load(checkHours(hours));
+    const station = stations.find(entry => String(entry.code).toUpperCase() === code.toUpperCase());
+    return station ? stationNode(station) : null;
+  },
+
+  async rivers({ lang, seaBasin, search, limit }) {
+    const max = checkLimit(limit, MAX_LIST_LIMIT);
+    const rivers = await riversController.getRiversData(lang);
+
+    return rivers
+      .filter(river => !seaBasin || contains(river.seaBasin, seaBasin))
+      .filter(river => !search || ['name', 'location', 'seaBasin', 'mainUse'].some(field => contains(river[field], search)))
+      .slice(0, max);
+  },
+
+  async river({ id, lang }) {
+    const rivers = await riversController.getRiversData(lang);
+    return rivers.find(river => river.id === id) || null;
+  },
+
+  async lakes({ lang, type, search, limit }) {
+    const max = checkLimit(limit, MAX_LIST_LIMIT);
+    const lakes = await lakesController.getLakesData(lang);
+
+    return lakes
+      .map(lakeNode)
+      .filter(lake => !type || lake.type === type)
+      .filter(lake => !search || ['name', 'location', 'mainUse'].some(field => contains(lake[field], search)))
+      .slice(0, max);
+  },
+
+  async lake({ id, lang }) {
+    const lakes = await lakesController.getLakesData(lang);
+    const lake = lakes.find(entry => entry.id === id);
+    return lake ? lakeNode(lake) : null;
+  }
+};
+
+/**
+ * Dataset type: catalog fields plus table fields loaded on demand
+ * @param {Object} dataset - Entry from DATASETS
+ * @returns {Object}
+ */
+function datasetNode(dataset) {
+  const table = (lang, loaders) => loaders.tables.load(`${dataset.id}:${lang}`);
+
+  return {
+    id: dataset.id,
+    name: dataset.name,
+    description: dataset.description,
+    category: dataset.category,
+    subcategory: dataset.subcategory || null,
+    source: dataset.source || 'pxweb',
+    path: dataset.path || null,
+
+    title: async ({ lang }, { loaders }) => (await table(lang, loaders)).title,
+
+    dimensions: async ({ lang }, { loaders }) => (await table(lang, loaders)).dimensions,
+
+    vintage: async ({ lang }, { loaders }) => (await table(lang, loaders)).vintage,
+
+    observations: async ({ lang, filter, offset, limit }, { loaders }) =>
+      observations(await table(lang, loaders), filter || [], offset, limit),
+
+    chart: async ({ lang }, { loaders }) => {
+      const chart = await loaders.charts.load(`${dataset.id}:${lang}`);
+      return {
+        title: chart.title || null,
+        dimensions: chart.dimensions?.map(String) || null,
+        categories: chart.categories?.map(String) || null,
+        rows: chart.data || [],
+        metadata: chart.metadata || null,
+        fetchedAt: chart.fetchedAt || null
+      };
+    }
+  };
+}
+
+/**
+ * One page of table cells matching the filters, in table order
+ * @param {Object} table - From the tables loader
+ * @param {Array} filter - [{ dimension, values }]; values are codes or labels
+ * @param {number} offset
+ * @param {number} limit
+ * @returns {Object} - { total, offset, items }
+ */
+function observations(table, filter, offset, limit) {
+  const max = checkLimit(limit, config.graphql.maxObservations);
+  if (offset < 0) throw badInput('offset must not be negative');
+
+  const { dimensions } = table;
+  for (const entry of filter) {
+    if (!dimensions.some(dimension => dimension.code === entry.dimension)) {
+      throw badInput(`Unknown dimension "${entry.dimension}"; available: ${dimensions.map(d => d.code).join(', ')}`);
+    }
+  }
+
+  // Selected value positions per dimension
+  const selected = dimensions.map(dimension => {
+    const wanted = filter.filter(entry => entry.dimension === dimension.code).flatMap(entry => entry.values);
+    if (!wanted.length) return dimension.values.map((_, i) => i);
+    return dimension.values
+      .map((value, i) => (wanted.includes(value.code) || wanted.includes(value.label) ? i : -1))
+      .filter(i => i >= 0);
+  });
+
+  // Row-major strides of the full table
+  const strides = [];
+  let stride = 1;
+  for (let d = dimensions.length - 1; d >= 0; d--) {
+    strides[d] = stride;
+    stride *= dimensions[d].values.length;
+  }
+
+  const total = selected.reduce((count, positions) => count * positions.length, 1);
+  const items = [];
+  for (let n = offset; n < Math.min(total, offset + max); n++) {
+    // Decompose the n-th selected cell into one position per dimension
+    let rest = n;
+    const positions = [];
+    for (let d = dimensions.length - 1; d >= 0; d--) {
+      positions[d] = selected[d][rest % selected[d].length];
+      rest = Math.floor(rest / selected[d].length);
+    }
+
+    const index = positions.reduce((sum, position, d) => sum + position * strides[d], 0);
+    items.push({
+      value: table.values[index],
+      coordinates: positions.map((position, d) => ({
+        dimension: dimensions[d].code,
+        code: dimensions[d].values[position].code,
+        label: dimensions[d].values[position].label
+      }))
+    });
+  }
+
+  return { total, offset, items };
+}
+
+/**
+ * Station type from a getLatestData station
+ * @param {Object} station
+ * @returns {Object}
+ */
+function stationNode(station) {
+  return {
+    id: station.id,
+    code: station.code,
+    settlement: station.settlement,
+    settlementEn: station.settlement_en,
+    address: station.address,
+    lat: station.lat,
+    long: station.long,
+    substances: ({ names }) => station.substances
+      .filter(substance => !names || names.some(name => name.toUpperCase() === String(substance.name).toUpperCase()))
+      .map(substance => ({
+        name: substance.name,
+        unit: ({ lang }) => (lang === 'ka' ? substance.unit_ge : substance.unit_en),
+        annotation: ({ lang }) => (lang === 'ka' ? substance.annotation_ge : substance.annotation_en),
+        qualityLevel: substance.qualityLevel,
+        latest: { value: substance.latestValue, timestamp: substance.latestTimestamp },
+        readings: substance.allReadings || []
+      }))
+  };
+}
+
+/**
+ * Lake type with `type` told apart by name
+ * @param {Object} lake
+ * @returns {Object}
+ */
+function lakeNode(lake) {
+  const name = String(lake.name || '').toLowerCase();
+  const type = name.includes('წყალსაცავი') || name.includes('reservoir') ? 'reservoir'
+    : name.includes('ტბა') || name.includes('lake') ? 'lake'
+      : null;
+  return { ...lake, type };
+}
+
+function contains(text, term) {
+  return String(text ?? '').toLowerCase().includes(term.toLowerCase());
+}
+
+function checkLimit(limit, max) {
+  if (limit == null) return max;
+  if (limit < 1 || limit > max) throw badInput(`limit must be between 1 and ${max}`);
+  return limit;
+}
+
+function checkHours(hours) {
+  if (hours < 1 || hours > MAX_HOURS) throw badInput(`hours must be between 1 and ${MAX_HOURS}`);
+  return hours;
+}
+
+function badInput(message) {
+  return new GraphQLError(message, { extensions: { code: 'BAD_USER_INPUT' } });
+}
+
+export default rootValue;
@@ -0,0 +1,156 @@
+/**
+ * GraphQL Schema
+ * Catalog datasets with typed dimensions and observations, air quality stations
+ * and readings, rivers and lakes. Resolvers are in resolvers.js.
+ */
+import { buildSchema } from 'graphql';
+
+export const typeDefs = /* GraphQL */ `
+  "Arbitrary JSON (chart rows and processed metadata, whose keys depend on the dataset)"
+  scalar JSON
+
+  enum Language {
+    ka
+    en
+  }
+
+  "Told apart by name, as in /api/lakes/type/:type"
+  enum LakeType {
+    lake
+    reservoir
+  }
+
+  type Query {
+    "Catalog datasets, optionally filtered; search uses the same ranking as /api/search"
+    datasets(category: String, subcategory: String, search: String, limit: Int): [Dataset!]!
+    dataset(id: ID!): Dataset
+
+    "Air quality monitoring stations with readings of the last hours (1–24)"
+    stations(city: String, hours: Int = 1): [Station!]!
+    station(code: String!, hours: Int = 1): Station
+
+    rivers(lang: Language = ka, seaBasin: String, search: String, limit: Int): [River!]!
+    river(id: Int!, lang: Language = ka): River
+
+    lakes(lang: Language = ka, type: LakeType, search: String, limit: Int): [Lake!]!
+    lake(id: Int!, lang: Language = ka): Lake
+  }
+
+  type Dataset {
+    id: ID!
+    name: String!
+    description: String
+    category: String
+    subcategory: String
+    "pxweb or px-file"
+    source: String!
+    path: String
+    title(lang: Language = ka): String
+    dimensions(lang: Language = ka): [Dimension!]!
+    "Cells of the table; filter values are value codes or labels"
+    observations(lang: Language = ka, filter: [DimensionFilter!], offset: Int = 0, limit: Int = 1000): ObservationPage!
+    "Chart-ready data, as returned by /api/datasets/:id/data"
+    chart(lang: Language = ka): Chart!
+    vintage(lang: Language = ka): Vintage
+  }
+
+  type Dimension {
+    code: String!
+    label: String!
+    time: Boolean!
+    values: [DimensionValue!]!
+  }
+
+  type DimensionValue {
+    code: String!
+    label: String!
+  }
+
+  input DimensionFilter {
+    dimension: String!
+    values: [String!]!
+  }
+
+  type ObservationPage {
+    total: Int!
+    offset: Int!
+    items: [Observation!]!
+  }
+
+  type Observation {
+    value: Float
+    coordinates: [Coordinate!]!
+  }
+
+  type Coordinate {
+    dimension: String!
+    code: String!
+    label: String!
+  }
+
+  type Chart {
+    title: String
+    dimensions: [String!]
+    categories: [String!]
+    rows: [JSON!]!
+    metadata: JSON
+    fetchedAt: String
+  }
+
+  type Vintage {
+    version: Int
+    hash: String
+    updated: String
+  }
+
+  type Station {
+    id: Int
+    code: String!
+    settlement: String
+    settlementEn: String
+    address: String
+    lat: Float
+    long: Float
+    substances(names: [String!]): [Substance!]!
+  }
+
+  type Substance {
+    name: String!
+    unit(lang: Language = en): String
+    annotation(lang: Language = en): String
+    qualityLevel: String
+    latest: Reading
+    readings: [Reading!]!
+  }
+
+  type Reading {
+    value: Float
+    timestamp: String!
+  }
+
+  type River {
+    id: Int!
+    name: String
+    location: String
+    length: Float
+    basinArea: Float
+    seaBasin: String
+    mainUse: String
+  }
+
+  type Lake {
+    id: Int!
+    name: String
+    location: String
+    type: LakeType
+    area: Float
+    volume: Float
+    avgDepth: Float
+    maxDepth: Float
+    mainUse: String
+  }
+`;
+
+export const schema = buildSchema(typeDefs);
+
+export default schema;
@@ -0,0 +1,123 @@
+/**
+ * Authentication Middleware
+ * `authenticate` identifies the caller by API key and enforces its rate limit and daily
+ * quota; `requireRole(role)` guards routes that need a partner or admin key.
+ *
+ * The key is read from the X-API-Key header, `Authorization: Bearer <key>` or ?api_key=.
+ * Requests without a key count as role `public`, limited per IP address, unless
+ * AUTH_REQUIRE_KEY is set. An unknown key is rejected rather than treated as public.
+ */
+import { config } from '../config/index.js';
+import apiKeyService, { hasRole } from '../services/apiKeyService.js';
+import rateLimitService from '../services/rateLimitService.js';
+
+const ANONYMOUS = { id: null, name: 'anonymous', role: 'public' };
+
+/**
+ * Identify the caller (req.apiKey) and count the request against its limits
+ * @param {Request} req
+ * @param {Response} res
+ * @param {Function} next
+ */
+export async function authenticate(req, res, next) {
+  // CORS preflight requests carry no credentials
+  if (!config.auth.enabled || req.method === 'OPTIONS') return next();
+
+  try {
+    const rawKey = readKey(req);
+    const apiKey = rawKey ? await apiKeyService.authenticate(rawKey) : ANONYMOUS;
+
+    if (!apiKey) {
+      return sendError(res, 401, 'Invalid API key', 'The API key is not valid or has been deleted');
+    }
+    if (!rawKey && config.auth.requireKey) {
+      return sendError(res, 401, 'API key required', 'Send an API key in the X-API-Key header');
+    }
+
+    req.apiKey = apiKey;
+
+    const limits = apiKeyService.limitsFor(apiKey);
+    const usage = await rateLimitService.hit(apiKey.id || `ip:${req.ip}`, limits);
+    setLimitHeaders(res, usage);
+
+    if (!usage.allowed) {
+      res.set('Retry-After', String(usage.retryAfter));
+      const quotaExceeded = usage.day.limit && usage.day.used >= usage.day.limit;
+      return sendError(
+        res,
+        429,
+        quotaExceeded ? 'Daily quota exceeded' : 'Rate limit exceeded',
+        quotaExceeded
+          ? `Limit of ${usage.day.limit} requests per day reached; the quota resets at 00:00 UTC`
+          : `Limit of ${usage.minute.limit} requests per minute reached; retry in ${usage.retryAfter}s`
+      );
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Only let callers with at least `role` through; 'public' only requires a key
+ * @param {string} role - 'public' | 'partner' | 'admin'
+ * @returns {Function} Express middleware with `role` set (read by openApiService)
+ */
+export function requireRole(role) {
+  const middleware = (req, res, next) => {
+    if (!config.auth.enabled) return next();
+
+    if (!req.apiKey?.id) {
+      return sendError(res, 401, 'API key required', `This endpoint requires an API key with role ${role}`);
+    }
+    if (!hasRole(req.apiKey.role, role)) {
+      return sendError(res, 403, 'Forbidden', `This endpoint requires role ${role}; the API key has role ${req.apiKey.role}`);
+    }
+    next();
+  };
+
+  middleware.role = role;
+  return middleware;
+}
+
+/**
+ * @param {Request} req
+ * @returns {string|null}
+ */
+function readKey(req) {
+  const bearer = req.get('Authorization')?.match(/^Bearer\s+(.+)$/i)?.[1];
+  return req.get('X-API-Key') || bearer || (typeof req.query.api_key === 'string' ? req.query.api_key : null);
+}
+
+/**
+ * X-RateLimit-* (sliding minute) and X-Quota-* (UTC day) headers
+ * @param {Response} res
+ * @param {Object} usage - rateLimitService.hit() result
+ */
+function setLimitHeaders(res, usage) {
+  if (usage.minute.limit) {
+    res.set({
+      'X-RateLimit-Limit': String(usage.minute.limit),
+      'X-RateLimit-Remaining': String(usage.minute.remaining),
+      'X-RateLimit-Reset': String(usage.minute.reset)
+    });
+  }
+  if (usage.day.limit) {
+    res.set({
+      'X-Quota-Limit': String(usage.day.limit),
+      'X-Quota-Remaining': String(usage.day.remaining)
+    });
+  }
+}
+
+/**
+ * @param {Response} res
+ * @param {number} status
+ * @param {string} error
+ * @param {string} message
+ */
+function sendError(res, status, error, message) {
+  res.status(status).json({ success: false, error, message });
+}
+
+export default authenticate;
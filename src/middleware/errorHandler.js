@@ -1,6 +1,9 @@
 /**
  * Error Handling Middleware
  */
+import logger from '../utils/logger.js';
+
+const log = logger.child({ component: 'http' });
 
 /**
  * Global error handler middleware
@@ -10,13 +13,12 @@
  * @param {Function} next 
  */
 export const errorHandler = (err, req, res, next) => {
-  console.error('Error occurred:', {
-    message: err.message,
-    stack: err.stack,
-    url: req.url,
-    method: req.method,
-    timestamp: new Date().toISOString()
-  });
+  // Client errors (404 and the like) are already visible in the request log
+  if ((err.statusCode || 500) >= 500) {
+    log.error({ err, method: req.method, url: req.originalUrl }, 'Unhandled error');
+  } else {
+    log.debug({ err, method: req.method, url: req.originalUrl }, err.message);
+  }
 
   // Default error
   let error = {
@@ -1,91 +1,108 @@
 /**
  * Performance Monitoring Middleware
- * Tracks API response times and performance metrics
+ * Tracks API response times: warns about slow requests, sets X-Response-Time and records
+ * the duration in the http_request_duration_seconds histogram (served at /metrics).
+ * Every request is logged by requestLogger.
  */
+import { httpRequestDuration } from '../utils/metrics.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ component: 'performance' });
 
 class PerformanceMonitor {
   constructor() {
-    this.metrics = new Map();
     this.slowQueryThreshold = 1000; // 1 second
+    this.recentRequests = new Array(60).fill(0); // requests per second, last minute
+    this.recentSecond = 0;
   }
 
   middleware() {
     return (req, res, next) => {
       const startTime = Date.now();
+      const endTimer = httpRequestDuration.startTimer();
       const originalSend = res.send;
-      
+
       const monitor = this;
       res.send = function(data) {
         const duration = Date.now() - startTime;
-        const endpoint = `${req.method} ${req.route?.path || req.path}`;
-
-        console.log(`⚡ ${endpoint} - ${duration}ms`);
 
         if (duration > monitor.slowQueryThreshold) {
-          console.warn(`🐌 SLOW QUERY: ${endpoint} took ${duration}ms`);
-        }
-
-        const key = `${req.params?.id || 'general'}-${req.query?.lang || 'ka'}`;
-        if (!monitor.metrics.has(key)) {
-          monitor.metrics.set(key, []);
+          log.warn({ method: req.method, route: monitor._routeLabel(req, res), durationMs: duration }, 'Slow request');
         }
-        monitor.metrics.get(key).push({
-          endpoint,
-          duration,
-          timestamp: new Date().toISOString(),
-          cached: res.getHeader('X-Cache-Hit') === 'true'
-        });
 
         res.setHeader('X-Response-Time', `${duration}ms`);
         res.setHeader('X-Performance-Optimized', 'true');
 
         return originalSend.call(this, data);
       };
-      
-      next();
-    };
-  }
 
-  getMetrics(datasetId = null) {
-    if (datasetId) {
-      return this.metrics.get(datasetId) || [];
-    }
-    return Object.fromEntries(this.metrics);
-  }
+      // On finish rather than in send(): streamed files and SSE do not call send()
+      res.on('finish', () => {
+        endTimer({ method: req.method, route: monitor._routeLabel(req, res), status: String(res.statusCode) });
+        monitor._countRequest();
+      });
 
-  getAverageResponseTime(datasetId) {
-    const metrics = this.metrics.get(datasetId) || [];
-    if (metrics.length === 0) return 0;
-    const total = metrics.reduce((sum, m) => sum + m.duration, 0);
-    return Math.round(total / metrics.length);
+      next();
+    };
   }
 
-  getSummary() {
+  /**
+   * Request totals of this worker for /api/health/advanced
+   * @returns {Promise<Object>}
+   */
+  async getSummary() {
+    const { values } = await httpRequestDuration.get();
     let totalDuration = 0;
     let totalRequests = 0;
-    let slowRequests = 0;
-    const oneMinuteAgo = Date.now() - 60_000;
-    let requestsLastMinute = 0;
-
-    for (const entries of this.metrics.values()) {
-      for (const m of entries) {
-        totalDuration += m.duration;
-        totalRequests++;
-        if (m.duration > this.slowQueryThreshold) slowRequests++;
-        if (new Date(m.timestamp).getTime() > oneMinuteAgo) requestsLastMinute++;
+    let fastRequests = 0;
+    const routes = new Set();
+
+    for (const { metricName, labels, value } of values) {
+      if (metricName.endsWith('_sum')) totalDuration += value;
+      if (metricName.endsWith('_count')) {
+        totalRequests += value;
+        routes.add(`${labels.method} ${labels.route}`);
       }
+      if (metricName.endsWith('_bucket') && labels.le === this.slowQueryThreshold / 1000) fastRequests += value;
     }
 
-    const avg = totalRequests > 0 ? Math.round(totalDuration / totalRequests) : null;
+    const avg = totalRequests > 0 ? Math.round(totalDuration * 1000 / totalRequests) : null;
+    this._countRequest(0);
 
     return {
       averageResponseTime: avg !== null ? `${avg}ms` : '—',
       totalRequests,
-      requestsPerMinute: requestsLastMinute,
-      slowRequests,
-      trackedEndpoints: this.metrics.size
+      requestsPerMinute: this.recentRequests.reduce((sum, count) => sum + count, 0),
+      slowRequests: totalRequests - fastRequests,
+      trackedEndpoints: routes.size
     };
   }
+
+  /**
+   * Route template for the metric label; bounded so that URLs cannot add label values
+   * @param {Request} req
+   * @param {Response} res
+   * @returns {string}
+   */
+  _routeLabel(req, res) {
+    if (req.route) return `${req.baseUrl}${req.route.path === '/' && req.baseUrl ? '' : req.route.path}`;
+    // Static files, CORS preflight and requests rejected before routing (e.g. 401, 429)
+    return res.statusCode === 404 ? 'unmatched' : 'other';
+  }
+
+  /**
+   * Add to the per-second counts of the last minute
+   * @param {number} count
+   */
+  _countRequest(count = 1) {
+    const second = Math.floor(Date.now() / 1000);
+    const elapsed = Math.min(second - this.recentSecond, 60);
+    for (let i = 1; i <= elapsed; i++) {
+      this.recentRequests[(this.recentSecond + i) % 60] = 0;
+    }
+    this.recentSecond = second;
+    this.recentRequests[second % 60] += count;
+  }
 }
 
-export default new PerformanceMonitor();
\ No newline at end of file
+export default new PerformanceMonitor();
@@ -1,32 +1,52 @@
 /**
  * Request Logger Middleware
+ * Assigns every request an ID (accepted from X-Request-Id or generated, and returned in
+ * the response), runs the rest of the request in its context so that all log entries
+ * carry it, and logs one entry per completed request.
  */
+import crypto from 'crypto';
+import logger, { requestContext } from '../utils/logger.js';
+
+const log = logger.child({ component: 'http' });
+
+// Accepted incoming IDs: UUIDs, trace IDs and similar tokens
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
 
 /**
- * Simple request logger
+ * Request ID and access log
  * @param {Request} req 
  * @param {Response} res 
  * @param {Function} next 
  */
 export const requestLogger = (req, res, next) => {
-  const start = Date.now();
-  
-  // Log request
-  console.log(`${new Date().toISOString()} - ${req.method} ${req.url} - ${req.ip}`);
-  
-  // Log response when finished
+  const start = process.hrtime.bigint();
+  const incoming = req.get('X-Request-Id');
+  const requestId = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+
+  req.id = requestId;
+  res.set('X-Request-Id', requestId);
+
+  const entry = () => ({
+    requestId,
+    method: req.method,
+    url: req.originalUrl,
+    status: res.statusCode,
+    durationMs: Math.round(Number(process.hrtime.bigint() - start) / 1e5) / 10,
+    ip: req.ip,
+    ...(req.apiKey?.id && { apiKey: req.apiKey.id })
+  });
+
   res.on('finish', () => {
-    const duration = Date.now() - start;
-    const statusColor = res.statusCode < 400 ? '\x1b[32m' : '\x1b[31m'; // Green for success, red for error
-    const resetColor = '\x1b[0m';
-    
-    console.log(
-      `${new Date().toISOString()} - ${req.method} ${req.url} - ` +
-      `${statusColor}${res.statusCode}${resetColor} - ${duration}ms`
-    );
+    const level = res.statusCode >= 500 ? 'error' : res.statusCode >= 400 ? 'warn' : 'info';
+    log[level](entry(), 'Request completed');
   });
-  
-  next();
+
+  // Client went away first (also how event streams end)
+  res.on('close', () => {
+    if (!res.writableFinished) log.info(entry(), 'Request closed before completion');
+  });
+
+  requestContext.run({ requestId }, next);
 };
 
 /**
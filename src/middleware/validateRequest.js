@@ -0,0 +1,98 @@
+/**
+ * Request Validation Middleware
+ * Routes describe themselves with `route(spec)`: the same spec validates path parameters,
+ * query and body here and becomes the route's operation in the OpenAPI document
+ * (openApiService), so the docs and the checks cannot drift apart.
+ *
+ * spec = {
+ *   summary, description, tags, deprecated,
+ *   params:    { id: <JSON Schema> },                       // path parameters (always required)
+ *   query:     { properties: { lang: <JSON Schema> }, required: ['q'] },
+ *   body:      { description, schema: <JSON Schema>, required },
+ *   responses: { 200: 'Description' | { description, contentType, schema } }
+ * }
+ *
+ * Values are checked on a copy coerced to the declared types ("10" → 10), so controllers
+ * keep receiving the raw strings. Undeclared query parameters are allowed.
+ */
+import Ajv from 'ajv/dist/2020.js';
+
+const ajv = new Ajv({ allErrors: true, coerceTypes: 'array', allowUnionTypes: true });
+
+/**
+ * Validation middleware carrying its OpenAPI description
+ * @param {Object} spec - See above
+ * @returns {Function} Express middleware with `openapi` set to `spec`
+ */
+export function route(spec) {
+  const checks = [
+    ['params', spec.params && objectSchema(spec.params, Object.keys(spec.params))],
+    ['query', spec.query && objectSchema(spec.query.properties, spec.query.required)],
+    ['body', spec.body?.schema]
+  ]
+    .filter(([, schema]) => schema)
+    .map(([location, schema]) => [location, ajv.compile(schema)]);
+
+  const middleware = (req, res, next) => {
+    const errors = [];
+
+    for (const [location, validate] of checks) {
+      if (location === 'body' && req.body === undefined && !spec.body.required) continue;
+
+      // Validate a copy: coercion must not change what the controller sees
+      if (!validate(structuredClone(req[location] ?? {}))) {
+        errors.push(...validate.errors.map(error => describeError(location, error)));
+      }
+    }
+
+    if (errors.length) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid request',
+        message: errors.map(error => error.message).join('; '),
+        details: errors
+      });
+    }
+    next();
+  };
+
+  middleware.openapi = spec;
+  return middleware;
+}
+
+/**
+ * JSON Schema for a set of named values
+ * @param {Object} properties - name → schema
+ * @param {Array<string>} required
+ * @returns {Object}
+ */
+function objectSchema(properties = {}, required = []) {
+  return { type: 'object', properties, ...(required.length && { required }) };
+}
+
+/**
+ * Readable form of an Ajv error
+ * @param {string} location - 'params' | 'query' | 'body'
+ * @param {Object} error - Ajv error object
+ * @returns {Object} - { in, field, message }
+ */
+function describeError(location, error) {
+  const segments = error.instancePath.split('/').filter(Boolean);
+  if (error.keyword === 'required') segments.push(error.params.missingProperty);
+
+  const field = segments.join('.');
+  const where = [location === 'params' ? 'path' : location, field].filter(Boolean).join('.');
+
+  let message;
+  if (error.keyword === 'required') {
+    message = `${where} is required`;
+  } else if (error.keyword === 'enum') {
+    message = `${where} must be one of: ${error.params.allowedValues.join(', ')}`;
+  } else {
+    message = `${where} ${error.message}`;
+  }
+
+  return { in: location === 'params' ? 'path' : location, field, message };
+}
+
+export default route;
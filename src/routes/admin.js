@@ -0,0 +1,68 @@
+/**
+ * Admin Routes
+ * API key management (admin role) and usage counters
+ */
+import express from 'express';
+import adminController from '../controllers/adminController.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { requireRole } from '../middleware/auth.js';
+import { route } from '../middleware/validateRequest.js';
+import { apiKey } from './schemas.js';
+
+const router = express.Router();
+
+const tags = ['Admin'];
+
+const keyId = { id: { type: 'string', description: 'Key ID (key_...)' } };
+
+// GET /api/admin/keys - List API keys
+router.get('/keys', requireRole('admin'), route({
+  tags,
+  summary: 'List API keys',
+  responses: { 200: 'Keys without their secrets' }
+}), asyncHandler(adminController.listKeys.bind(adminController)));
+
+// POST /api/admin/keys - Create an API key (the key is only returned here)
+router.post('/keys', requireRole('admin'), route({
+  tags,
+  summary: 'Create an API key',
+  description: 'The plaintext key is only returned in this response; store it right away.',
+  body: { required: true, schema: { ...apiKey, required: ['name'] } },
+  responses: { 201: 'Created key, including `key`' }
+}), asyncHandler(adminController.createKey.bind(adminController)));
+
+// GET /api/admin/keys/:id - Get one API key
+router.get('/keys/:id', requireRole('admin'), route({
+  tags,
+  summary: 'Get an API key',
+  params: keyId,
+  responses: { 200: 'Key', 404: 'Key not found' }
+}), asyncHandler(adminController.getKey.bind(adminController)));
+
+// DELETE /api/admin/keys/:id - Revoke an API key
+router.delete('/keys/:id', requireRole('admin'), route({
+  tags,
+  summary: 'Revoke an API key',
+  params: keyId,
+  responses: { 200: 'Deleted key', 404: 'Key not found' }
+}), asyncHandler(adminController.deleteKey.bind(adminController)));
+
+// GET /api/admin/keys/:id/usage - Rate limit window and daily counters (own key or admin)
+router.get('/keys/:id/usage', requireRole('public'), route({
+  tags,
+  summary: 'Usage counters of an API key',
+  description: 'Admins can read any key; other keys only their own (`me` is the calling key).',
+  params: { id: { type: 'string', description: 'Key ID or me', examples: ['me'] } },
+  query: {
+    properties: {
+      days: { type: 'integer', minimum: 1, maximum: 30, default: 7, description: 'Days of daily counters, today included' }
+    }
+  },
+  responses: {
+    200: 'Current minute window, today and daily requests and rejections',
+    403: 'Another key, and the caller is not an admin',
+    404: 'Key not found'
+  }
+}), asyncHandler(adminController.getUsage.bind(adminController)));
+
+export default router;
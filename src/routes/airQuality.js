@@ -4,235 +4,165 @@
  */
 import { Router } from 'express';
 import airQualityController from '../controllers/airQualityController.js';
+import { route } from '../middleware/validateRequest.js';
+import { pollutant, standard, hours, list } from './schemas.js';
 
 const router = Router();
 
+const tags = ['Air quality'];
+
+const station = {
+  type: 'string',
+  default: 'TSRT',
+  description: 'Station code (default: TSRT - Tsereteli Ave, Tbilisi)'
+};
+
 /**
  * @route GET /api/air-quality/latest
  * @desc Get latest air quality data for all pollutants
- * @query {string} station - Station code (default: TSRT - Tsereteli Ave, Tbilisi)
- * @query {string} municipality - Municipality ID (default: all)
- * @query {string} substances - Comma-separated pollutants (default: PM10,PM2.5,NO2,O3,SO2,CO)
- * @query {number} hours - Hours of data to fetch (default: 24)
  */
-router.get('/latest', airQualityController.getLatestData);
+router.get('/latest', route({
+  tags,
+  summary: 'Latest readings from all stations',
+  query: {
+    properties: {
+      station: { type: 'string', default: 'all', description: 'Station code or all' },
+      municipality: { type: 'string', default: 'all', description: 'Municipality ID or all' },
+      substances: list('Pollutants (default: PM10,PM2.5,NO2,O3,SO2,CO)', ['PM10,PM2.5']),
+      hours: hours(1),
+      standard
+    }
+  },
+  responses: { 200: 'Stations with their latest readings and data freshness' }
+}), airQualityController.getLatestData);
 
 /**
  * @route GET /api/air-quality/stations
  * @desc Get list of available air quality monitoring stations
  */
-router.get('/stations', airQualityController.getStations);
+router.get('/stations', route({
+  tags,
+  summary: 'Monitoring stations',
+  responses: { 200: 'Stations' }
+}), airQualityController.getStations);
+
+/**
+ * @route GET /api/air-quality/history
+ * @desc Get stored hourly readings for a station and substance (collected in the background)
+ */
+router.get('/history', route({
+  tags,
+  summary: 'Stored hourly readings, optionally aggregated',
+  query: {
+    properties: {
+      station: { type: 'string', description: 'Station code', examples: ['TSRT'] },
+      substance: pollutant,
+      from: { type: 'string', description: 'Start: YYYY, YYYY-MM, YYYY-MM-DD or YYYY-MM-DDTHH:mm', examples: ['2025-01'] },
+      to: { type: 'string', description: 'End, inclusive (default: now)' },
+      interval: { type: 'string', enum: ['hour', 'day', 'month'], default: 'hour' }
+    },
+    required: ['station', 'substance']
+  },
+  responses: { 200: 'Readings or per-interval aggregates' }
+}), airQualityController.getHistory);
+
+/**
+ * @route GET /api/air-quality/stream
+ * @desc Server-Sent Events: `snapshot` on connect, then `reading` for new hourly values
+ *       and `quality` for quality level changes (one shared upstream poller)
+ */
+router.get('/stream', route({
+  tags,
+  summary: 'Live readings (Server-Sent Events)',
+  description: '`snapshot` on connect, then `reading` for new hourly values and `quality` for quality level changes.',
+  query: {
+    properties: {
+      station: list('Station codes'),
+      city: { type: 'string', description: 'City key or name (see /api/air-quality/cities)' },
+      substance: list('Pollutants', ['PM2.5,PM10'])
+    }
+  },
+  responses: { 200: { description: 'Event stream', contentType: 'text/event-stream' } }
+}), airQualityController.getStream);
 
 /**
  * @route GET /api/air-quality/pollutant/:pollutant
  * @desc Get data for a specific pollutant
- * @param {string} pollutant - Pollutant name (PM10, PM2.5, NO2, O3, SO2, CO)
- * @query {string} station - Station code (default: TSRT - Tsereteli Ave, Tbilisi)
- * @query {number} hours - Hours of data to fetch (default: 24)
  */
-router.get('/pollutant/:pollutant', airQualityController.getPollutantData);
+router.get('/pollutant/:pollutant', route({
+  tags,
+  summary: 'Readings of one pollutant at a station',
+  params: { pollutant },
+  query: { properties: { station, hours: hours(24) } },
+  responses: { 200: 'Latest reading and history of the pollutant' }
+}), airQualityController.getPollutantData);
 
 /**
  * @route GET /api/air-quality/summary
  * @desc Get air quality summary with latest readings and overall status
- * @query {string} station - Station code (default: TSRT - Tsereteli Ave, Tbilisi)
- */
-router.get('/summary', airQualityController.getSummary);
-
-/**
- * @route GET /api/air-quality/tbilisi/pm25-average
- * @desc Get PM2.5 average for all Tbilisi monitoring stations
- * @query {number} hours - Hours of data to look back (default: 6)
- */
-router.get('/tbilisi/pm25-average', airQualityController.getTbilisiPM25Average);
-
-/**
- * @route GET /api/air-quality/tbilisi/pm10-average
- * @desc Get PM10 average for all Tbilisi monitoring stations
- * @query {number} hours - Hours of data to look back (default: 6)
- */
-router.get('/tbilisi/pm10-average', airQualityController.getTbilisiPM10Average);
-
-/**
- * @route GET /api/air-quality/tbilisi/no2-average
- * @desc Get NO2 average for all Tbilisi monitoring stations
- * @query {number} hours - Hours of data to look back (default: 6)
- */
-router.get('/tbilisi/no2-average', airQualityController.getTbilisiNO2Average);
-
-/**
- * @route GET /api/air-quality/tbilisi/o3-average
- * @desc Get O3 average for all Tbilisi monitoring stations
- * @query {number} hours - Hours of data to look back (default: 6)
- */
-router.get('/tbilisi/o3-average', airQualityController.getTbilisiO3Average);
-
-/**
- * @route GET /api/air-quality/tbilisi/so2-average
- * @desc Get SO2 average for all Tbilisi monitoring stations
- * @query {number} hours - Hours of data to look back (default: 6)
- */
-router.get('/tbilisi/so2-average', airQualityController.getTbilisiSO2Average);
-
-/**
- * @route GET /api/air-quality/tbilisi/co-average
- * @desc Get CO average for all Tbilisi monitoring stations
- * @query {number} hours - Hours of data to look back (default: 6)
- */
-router.get('/tbilisi/co-average', airQualityController.getTbilisiCOAverage);
-
-/**
- * @route GET /api/air-quality/tbilisi/all-pollutants-average
- * @desc Get averages for all pollutants from all Tbilisi monitoring stations
- * @query {number} hours - Hours of data to look back (default: 6)
- */
-router.get('/tbilisi/all-pollutants-average', airQualityController.getTbilisiAllPollutantsAverage);
-
-/**
- * @route GET /api/air-quality/kutaisi/pm25-average
- * @desc Get PM2.5 average for all Kutaisi monitoring stations
- * @query {number} hours - Hours of data to look back (default: 6)
- */
-router.get('/kutaisi/pm25-average', airQualityController.getKutaisiPM25Average);
-
-/**
- * @route GET /api/air-quality/kutaisi/pm10-average
- * @desc Get PM10 average for all Kutaisi monitoring stations
- * @query {number} hours - Hours of data to look back (default: 6)
- */
-router.get('/kutaisi/pm10-average', airQualityController.getKutaisiPM10Average);
-
-/**
- * @route GET /api/air-quality/kutaisi/no2-average
- * @desc Get NO2 average for all Kutaisi monitoring stations
- * @query {number} hours - Hours of data to look back (default: 6)
- */
-router.get('/kutaisi/no2-average', airQualityController.getKutaisiNO2Average);
-
-/**
- * @route GET /api/air-quality/kutaisi/o3-average
- * @desc Get O3 average for all Kutaisi monitoring stations
- * @query {number} hours - Hours of data to look back (default: 6)
- */
-router.get('/kutaisi/o3-average', airQualityController.getKutaisiO3Average);
-
-/**
- * @route GET /api/air-quality/kutaisi/so2-average
- * @desc Get SO2 average for all Kutaisi monitoring stations
- * @query {number} hours - Hours of data to look back (default: 6)
- */
-router.get('/kutaisi/so2-average', airQualityController.getKutaisiSO2Average);
-
-/**
- * @route GET /api/air-quality/kutaisi/co-average
- * @desc Get CO average for all Kutaisi monitoring stations
- * @query {number} hours - Hours of data to look back (default: 6)
- */
-router.get('/kutaisi/co-average', airQualityController.getKutaisiCOAverage);
-
-/**
- * @route GET /api/air-quality/kutaisi/all-pollutants-average
- * @desc Get averages for all pollutants from all Kutaisi monitoring stations
- * @query {number} hours - Hours of data to look back (default: 6)
  */
-router.get('/kutaisi/all-pollutants-average', airQualityController.getKutaisiAllPollutantsAverage);
-
-/**
- * @route GET /api/air-quality/batumi/pm25-average
- * @desc Get PM2.5 average for all Batumi monitoring stations
- * @query {number} hours - Hours of data to look back (default: 6)
- */
-router.get('/batumi/pm25-average', airQualityController.getBatumiPM25Average);
-
-/**
- * @route GET /api/air-quality/batumi/pm10-average
- * @desc Get PM10 average for all Batumi monitoring stations
- * @query {number} hours - Hours of data to look back (default: 6)
- */
-router.get('/batumi/pm10-average', airQualityController.getBatumiPM10Average);
-
-/**
- * @route GET /api/air-quality/batumi/no2-average
- * @desc Get NO2 average for all Batumi monitoring stations
- * @query {number} hours - Hours of data to look back (default: 6)
- */
-router.get('/batumi/no2-average', airQualityController.getBatumiNO2Average);
-
-/**
- * @route GET /api/air-quality/batumi/o3-average
- * @desc Get O3 average for all Batumi monitoring stations
- * @query {number} hours - Hours of data to look back (default: 6)
- */
-router.get('/batumi/o3-average', airQualityController.getBatumiO3Average);
-
-/**
- * @route GET /api/air-quality/batumi/so2-average
- * @desc Get SO2 average for all Batumi monitoring stations
- * @query {number} hours - Hours of data to look back (default: 6)
- */
-router.get('/batumi/so2-average', airQualityController.getBatumiSO2Average);
-
-/**
- * @route GET /api/air-quality/batumi/co-average
- * @desc Get CO average for all Batumi monitoring stations
- * @query {number} hours - Hours of data to look back (default: 6)
- */
-router.get('/batumi/co-average', airQualityController.getBatumiCOAverage);
-
-/**
- * @route GET /api/air-quality/batumi/all-pollutants-average
- * @desc Get averages for all pollutants from all Batumi monitoring stations
- * @query {number} hours - Hours of data to look back (default: 6)
- */
-router.get('/batumi/all-pollutants-average', airQualityController.getBatumiAllPollutantsAverage);
-
-/**
- * @route GET /api/air-quality/rustavi/pm25-average
- * @desc Get PM2.5 average for all Rustavi monitoring stations
- * @query {number} hours - Hours of data to look back (default: 6)
- */
-router.get('/rustavi/pm25-average', airQualityController.getRustaviPM25Average);
-
-/**
- * @route GET /api/air-quality/rustavi/pm10-average
- * @desc Get PM10 average for all Rustavi monitoring stations
- * @query {number} hours - Hours of data to look back (default: 6)
- */
-router.get('/rustavi/pm10-average', airQualityController.getRustaviPM10Average);
-
-/**
- * @route GET /api/air-quality/rustavi/no2-average
- * @desc Get NO2 average for all Rustavi monitoring stations
- * @query {number} hours - Hours of data to look back (default: 6)
- */
-router.get('/rustavi/no2-average', airQualityController.getRustaviNO2Average);
-
-/**
- * @route GET /api/air-quality/rustavi/o3-average
- * @desc Get O3 average for all Rustavi monitoring stations
- * @query {number} hours - Hours of data to look back (default: 6)
- */
-router.get('/rustavi/o3-average', airQualityController.getRustaviO3Average);
-
-/**
- * @route GET /api/air-quality/rustavi/so2-average
- * @desc Get SO2 average for all Rustavi monitoring stations
- * @query {number} hours - Hours of data to look back (default: 6)
- */
-router.get('/rustavi/so2-average', airQualityController.getRustaviSO2Average);
-
-/**
- * @route GET /api/air-quality/rustavi/co-average
- * @desc Get CO average for all Rustavi monitoring stations
- * @query {number} hours - Hours of data to look back (default: 6)
- */
-router.get('/rustavi/co-average', airQualityController.getRustaviCOAverage);
-
-/**
- * @route GET /api/air-quality/rustavi/all-pollutants-average
- * @desc Get averages for all pollutants from all Rustavi monitoring stations
- * @query {number} hours - Hours of data to look back (default: 6)
- */
-router.get('/rustavi/all-pollutants-average', airQualityController.getRustaviAllPollutantsAverage);
-
-export default router;
\ No newline at end of file
+router.get('/summary', route({
+  tags,
+  summary: 'Latest readings and overall status of a station',
+  query: { properties: { station } },
+  responses: { 200: 'Summary' }
+}), airQualityController.getSummary);
+
+/**
+ * @route GET /api/air-quality/cities
+ * @desc List cities and municipalities in the registry
+ */
+router.get('/cities', route({
+  tags,
+  summary: 'Cities in the registry',
+  responses: { 200: 'Cities with their settlements and stations' }
+}), airQualityController.getCities);
+
+/**
+ * @route GET /api/air-quality/cities/:city/averages
+ * @desc Get pollutant averages over all monitoring stations of a city or municipality
+ */
+router.get('/cities/:city/averages', route({
+  tags,
+  summary: 'Pollutant averages over all stations of a city',
+  params: {
+    city: {
+      type: 'string',
+      description: 'Registry key (tbilisi, kutaisi, batumi, rustavi, zugdidi, gori, ...), English or Georgian name, or any settlement name'
+    }
+  },
+  query: {
+    properties: {
+      pollutants: list('Pollutants (default: PM10,PM2.5,NO2,O3,SO2,CO)', ['PM2.5,PM10']),
+      hours: hours(6),
+      standard
+    }
+  },
+  responses: { 200: 'Averages per pollutant with the station breakdown' }
+}), airQualityController.getCityAverages);
+
+/**
+ * Legacy per-city routes, kept as aliases of /cities/:city/averages
+ * @route GET /api/air-quality/{tbilisi|kutaisi|batumi|rustavi}/{pm25|pm10|no2|o3|so2|co}-average
+ * @route GET /api/air-quality/{tbilisi|kutaisi|batumi|rustavi}/all-pollutants-average
+ */
+const LEGACY_CITIES = ['tbilisi', 'kutaisi', 'batumi', 'rustavi'];
+const LEGACY_POLLUTANTS = { pm25: 'PM2.5', pm10: 'PM10', no2: 'NO2', o3: 'O3', so2: 'SO2', co: 'CO' };
+
+const legacy = summary => route({
+  tags,
+  summary,
+  description: 'Alias of /api/air-quality/cities/{city}/averages.',
+  deprecated: true,
+  query: { properties: { hours: hours(6), standard } },
+  responses: { 200: 'Average' }
+});
+
+for (const city of LEGACY_CITIES) {
+  for (const [slug, pollutant] of Object.entries(LEGACY_POLLUTANTS)) {
+    router.get(`/${city}/${slug}-average`, legacy(`${pollutant} average in ${city}`), airQualityController.cityPollutantAverageAlias(city, pollutant));
+  }
+  router.get(`/${city}/all-pollutants-average`, legacy(`All pollutant averages in ${city}`), airQualityController.cityAllPollutantsAverageAlias(city));
+}
+
+export default router;
@@ -0,0 +1,65 @@
+/**
+ * Alert Routes
+ * Threshold rules on air quality data, notified through webhooks
+ */
+import express from 'express';
+import alertsController from '../controllers/alertsController.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { requireRole } from '../middleware/auth.js';
+import { route } from '../middleware/validateRequest.js';
+import { alertRule } from './schemas.js';
+
+const router = express.Router();
+
+const tags = ['Alerts'];
+
+const ruleId = { id: { type: 'string', description: 'Rule ID' } };
+
+// GET /api/alerts - List alert rules with their current state
+router.get('/', route({
+  tags,
+  summary: 'List alert rules with their current state',
+  responses: { 200: 'Rules and evaluator status' }
+}), asyncHandler(alertsController.listRules.bind(alertsController)));
+
+// POST /api/alerts - Create an alert rule
+router.post('/', requireRole('admin'), route({
+  tags,
+  summary: 'Create an alert rule',
+  body: { required: true, schema: { ...alertRule, required: ['pollutant', 'threshold', 'webhooks'] } },
+  responses: { 201: 'Created rule' }
+}), asyncHandler(alertsController.createRule.bind(alertsController)));
+
+// POST /api/alerts/evaluate - Evaluate all rules now
+router.post('/evaluate', requireRole('admin'), route({
+  tags,
+  summary: 'Evaluate all rules now',
+  responses: { 200: 'Evaluation result' }
+}), asyncHandler(alertsController.evaluate.bind(alertsController)));
+
+// GET /api/alerts/:id - Get one alert rule
+router.get('/:id', route({
+  tags,
+  summary: 'Get an alert rule',
+  params: ruleId,
+  responses: { 200: 'Rule', 404: 'Rule not found' }
+}), asyncHandler(alertsController.getRule.bind(alertsController)));
+
+// PUT /api/alerts/:id - Update an alert rule (omitted fields are kept)
+router.put('/:id', requireRole('admin'), route({
+  tags,
+  summary: 'Update an alert rule (omitted fields are kept)',
+  params: ruleId,
+  body: { required: true, schema: alertRule },
+  responses: { 200: 'Updated rule', 404: 'Rule not found' }
+}), asyncHandler(alertsController.updateRule.bind(alertsController)));
+
+// DELETE /api/alerts/:id - Delete an alert rule
+router.delete('/:id', requireRole('admin'), route({
+  tags,
+  summary: 'Delete an alert rule',
+  params: ruleId,
+  responses: { 200: 'Deleted rule', 404: 'Rule not found' }
+}), asyncHandler(alertsController.deleteRule.bind(alertsController)));
+
+export default router;
@@ -3,20 +3,135 @@
  */
 import express from 'express';
 import datasetController from '../controllers/datasetController.js';
+import exportService from '../services/exportService.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import { route } from '../middleware/validateRequest.js';
+import { datasetId, datasetLang } from './schemas.js';
 
 const router = express.Router();
 
+const tags = ['Datasets'];
+
+const select = {
+  type: 'object',
+  additionalProperties: { type: ['string', 'array'], items: { type: 'string' } },
+  description: 'Slice requested from PXWeb: select[<variable code>]=codes|top:N|agg:<aggregation>:codes|*'
+};
+
+const derive = {
+  type: ['string', 'array'],
+  items: { type: 'string' },
+  description: 'Calculated series, <kind>:<expression> with kind calc, sum, share, yoy or delta (repeat or separate with ;)',
+  examples: ['yoy:Total']
+};
+
+// Friendly dimension filters of the processed data
+const dimensionFilters = {
+  category: { type: 'string', description: 'Category dimension value' },
+  ownership: { type: 'string', description: 'Ownership Type dimension value' },
+  region: { type: 'string', description: 'Region dimension value' },
+  gender: { type: 'string', description: 'Gender dimension value' },
+  activity: { type: 'string', description: 'Type of Activity dimension value' }
+};
+
+const exportFormat = {
+  type: 'string',
+  enum: exportService.formats,
+  default: 'csv'
+};
+
+const notFound = { 404: 'Dataset not found' };
+
 // GET /api/datasets - Get all available datasets
-router.get('/', asyncHandler(datasetController.getDatasets.bind(datasetController)));
+router.get('/', route({
+  tags,
+  summary: 'List datasets',
+  query: {
+    properties: {
+      category: { type: 'string', examples: ['environment', 'gender-statistics'] },
+      subcategory: { type: 'string' }
+    }
+  },
+  responses: { 200: 'Datasets, also grouped by category and subcategory' }
+}), asyncHandler(datasetController.getDatasets.bind(datasetController)));
 
 // GET /api/datasets/:id/metadata - Get dataset metadata
-router.get('/:id/metadata', asyncHandler(datasetController.getMetadata.bind(datasetController)));
+router.get('/:id/metadata', route({
+  tags,
+  summary: 'Dataset metadata',
+  params: { id: datasetId },
+  query: { properties: { lang: datasetLang } },
+  responses: { 200: 'Processed PXWeb metadata and vintage', ...notFound }
+}), asyncHandler(datasetController.getMetadata.bind(datasetController)));
 
 // GET /api/datasets/:id/data - Get processed dataset data
-router.get('/:id/data', asyncHandler(datasetController.getData.bind(datasetController)));
+router.get('/:id/data', route({
+  tags,
+  summary: 'Chart-ready data',
+  description: 'format=csv|xlsx returns the same file as /export.',
+  params: { id: datasetId },
+  query: {
+    properties: {
+      lang: datasetLang,
+      format: { ...exportFormat, enum: ['json', ...exportService.formats], default: 'json' },
+      select,
+      derive,
+      ...dimensionFilters
+    }
+  },
+  responses: { 200: 'Rows per year with one key per series, categories and vintage', ...notFound }
+}), asyncHandler(datasetController.getData.bind(datasetController)));
+
+// GET /api/datasets/:id/export - Download processed dataset data (?format=csv|xlsx)
+router.get('/:id/export', route({
+  tags,
+  summary: 'Download processed data as CSV or XLSX',
+  params: { id: datasetId },
+  query: { properties: { lang: datasetLang, format: exportFormat, select, derive, ...dimensionFilters } },
+  responses: {
+    200: { description: 'CSV (vintage in X-Dataset-Version and X-Source-Updated) or XLSX with a Metadata sheet', contentType: 'text/csv' },
+    ...notFound
+  }
+}), asyncHandler(datasetController.exportData.bind(datasetController)));
+
+// GET /api/datasets/:id/px - Download dataset as a PC-Axis file (Georgian + English)
+router.get('/:id/px', route({
+  tags,
+  summary: 'Download the full table as a PC-Axis file',
+  params: { id: datasetId },
+  responses: { 200: { description: 'PC-Axis file in Georgian and English', contentType: 'text/x-pcaxis' }, ...notFound }
+}), asyncHandler(datasetController.exportPx.bind(datasetController)));
 
 // GET /api/datasets/:id/jsonstat - Get raw JSON-Stat data
-router.get('/:id/jsonstat', asyncHandler(datasetController.getJsonStat.bind(datasetController)));
+router.get('/:id/jsonstat', route({
+  tags,
+  summary: 'Raw JSON-Stat data',
+  params: { id: datasetId },
+  query: { properties: { lang: datasetLang, select } },
+  responses: { 200: 'JSON-Stat 2.0 dataset', ...notFound }
+}), asyncHandler(datasetController.getJsonStat.bind(datasetController)));
+
+// GET /api/datasets/:id/versions - Version history (PXWeb `updated` + content hash)
+router.get('/:id/versions', route({
+  tags,
+  summary: 'Recorded versions, newest first',
+  params: { id: datasetId },
+  responses: { 200: 'Current version and history', ...notFound }
+}), asyncHandler(datasetController.getVersions.bind(datasetController)));
+
+// GET /api/datasets/:id/versions/diff - Changed cells between two versions (?from=&to=&limit=)
+router.get('/:id/versions/diff', route({
+  tags,
+  summary: 'Cells changed between two versions',
+  params: { id: datasetId },
+  query: {
+    properties: {
+      from: { type: 'integer', minimum: 1, description: 'Version number (default: the one before `to`)' },
+      to: { type: 'integer', minimum: 1, description: 'Version number (default: latest)' },
+      limit: { type: 'integer', minimum: 0, default: 1000, description: 'Changes listed (at most 10000)' }
+    }
+  },
+  responses: { 200: 'Summary and changed, added and removed cells', 404: 'Dataset not found or fewer than two versions' }
+}), asyncHandler(datasetController.getVersionDiff.bind(datasetController)));
 
 export default router;
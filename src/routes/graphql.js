@@ -0,0 +1,60 @@
+/**
+ * GraphQL Route
+ */
+import express from 'express';
+import { createHandler } from 'graphql-http/lib/use/express';
+import { schema } from '../graphql/schema.js';
+import { rootValue } from '../graphql/resolvers.js';
+import { createLoaders } from '../graphql/loaders.js';
+import { route } from '../middleware/validateRequest.js';
+
+const router = express.Router();
+
+const tags = ['GraphQL'];
+const description = 'Datasets, air quality stations, rivers and lakes; the schema is in src/graphql/schema.js.';
+const responses = { 200: { description: 'GraphQL result ({ data, errors })', schema: { type: 'object' } } };
+
+// One set of loaders per request
+const handler = createHandler({
+  schema,
+  rootValue,
+  context: () => ({ loaders: createLoaders() })
+});
+
+// GET /graphql?query=... - Query without a request body
+router.get('/', route({
+  tags,
+  summary: 'GraphQL query',
+  description,
+  query: {
+    properties: {
+      query: { type: 'string', minLength: 1, examples: ['{ datasets(category: "environment") { id name } }'] },
+      variables: { type: 'string', description: 'JSON object' },
+      operationName: { type: 'string' }
+    },
+    required: ['query']
+  },
+  responses
+}), handler);
+
+// POST /graphql - { query, variables, operationName }
+router.post('/', route({
+  tags,
+  summary: 'GraphQL query',
+  description,
+  body: {
+    required: true,
+    schema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', minLength: 1 },
+        variables: { type: ['object', 'null'] },
+        operationName: { type: ['string', 'null'] }
+      },
+      required: ['query']
+    }
+  },
+  responses
+}), handler);
+
+export default router;
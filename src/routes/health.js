@@ -4,19 +4,60 @@
 import express from 'express';
 import healthController from '../controllers/healthController.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import { requireRole } from '../middleware/auth.js';
+import { route } from '../middleware/validateRequest.js';
+import { list } from './schemas.js';
 
 const router = express.Router();
 
-// GET /health - Simple health check
-router.get('/', asyncHandler(healthController.healthCheck.bind(healthController)));
+const tags = ['Health'];
 
-// GET /status - Detailed system status
-router.get('/status', asyncHandler(healthController.systemStatus.bind(healthController)));
+// GET /api/health - Simple health check
+router.get('/', route({
+  tags,
+  summary: 'Health check',
+  responses: { 200: 'Uptime, memory and Node.js version' }
+}), asyncHandler(healthController.healthCheck.bind(healthController)));
 
-// GET /advanced - Advanced health check with performance metrics
-router.get('/advanced', asyncHandler(healthController.advancedHealth.bind(healthController)));
+// GET /api/health/status - Detailed system status
+router.get('/status', route({
+  tags,
+  summary: 'System status',
+  responses: { 200: 'Status of Redis, the cache warmer, catalog sync, search, alerts and other subsystems' }
+}), asyncHandler(healthController.systemStatus.bind(healthController)));
 
-// POST /api/health/cache/clear - Clear Redis cache
-router.post('/cache/clear', asyncHandler(healthController.clearCache.bind(healthController)));
+// GET /api/health/advanced - Advanced health check with performance metrics
+router.get('/advanced', route({
+  tags,
+  summary: 'Health check with performance metrics',
+  responses: { 200: 'Health and performance metrics' }
+}), asyncHandler(healthController.advancedHealth.bind(healthController)));
+
+// POST /api/health/cache/clear - Clear Redis cache (and start warming it again)
+router.post('/cache/clear', requireRole('admin'), route({
+  tags,
+  summary: 'Clear the Redis cache and start warming it again',
+  responses: { 200: 'Number of deleted keys' }
+}), asyncHandler(healthController.clearCache.bind(healthController)));
+
+// GET /api/health/cache/warm - Cache warmer progress and failures
+router.get('/cache/warm', route({
+  tags,
+  summary: 'Cache warmer progress and failures',
+  responses: { 200: 'Current or last run' }
+}), asyncHandler(healthController.cacheWarmStatus.bind(healthController)));
+
+// POST /api/health/cache/warm?datasets=a,b&force=true - Warm the cache now
+router.post('/cache/warm', requireRole('admin'), route({
+  tags,
+  summary: 'Warm the dataset cache now',
+  query: {
+    properties: {
+      datasets: list('Dataset IDs (default: all)'),
+      force: { type: 'boolean', default: false, description: 'Refresh entries that are still fresh' }
+    }
+  },
+  responses: { 202: 'Warming started', 409: 'Warming already in progress' }
+}), asyncHandler(healthController.warmCache.bind(healthController)));
 
 export default router;
@@ -2,80 +2,68 @@
  * Main Routes Index
  */
 import express from 'express';
+import swaggerUiDist from 'swagger-ui-dist';
 import datasetRoutes from './datasets.js';
 import healthRoutes from './health.js';
 import navigationRoutes from './navigation.js';
 import airQualityRoutes from './airQuality.js';
 import riversRoutes from './rivers.js';
 import lakesRoutes from './lakes.js';
+import alertRoutes from './alerts.js';
+import searchRoutes from './search.js';
+import adminRoutes from './admin.js';
+import graphqlRoutes from './graphql.js';
+import metricsRoutes from './metrics.js';
+import openApiService from '../services/openApiService.js';
+import { route } from '../middleware/validateRequest.js';
 
 const router = express.Router();
 
-// API Routes
-router.use('/datasets', datasetRoutes);
-router.use('/navigation', navigationRoutes);
-router.use('/air-quality', airQualityRoutes);
-router.use('/rivers', riversRoutes);
-router.use('/lakes', lakesRoutes);
+// API Routes, mounted under /api
+const API_ROUTES = [
+  ['/datasets', datasetRoutes],
+  ['/navigation', navigationRoutes],
+  ['/air-quality', airQualityRoutes],
+  ['/rivers', riversRoutes],
+  ['/lakes', lakesRoutes],
+  ['/alerts', alertRoutes],
+  ['/search', searchRoutes],
+  ['/admin', adminRoutes],
+  ['/health', healthRoutes]
+];
 
-// Health Routes
-router.use('/health', healthRoutes);
+for (const [path, routes] of API_ROUTES) {
+  router.use(path, routes);
+}
 
-// API Info endpoint
-router.get('/', (req, res) => {
+// Everything the OpenAPI document covers (/graphql and /metrics are mounted by app.js)
+const DOCUMENTED = [
+  ['/api', router],
+  ...API_ROUTES.map(([path, routes]) => [`/api${path}`, routes]),
+  ['/graphql', graphqlRoutes],
+  ['/metrics', metricsRoutes]
+];
+
+const tags = ['API'];
+
+// API Info endpoint, generated from the route annotations
+router.get('/', route({
+  tags,
+  summary: 'API information and route list',
+  responses: { 200: 'Endpoints grouped by tag' }
+}), (req, res) => {
   res.json({
     success: true,
     message: 'PXWeb Environmental API Server',
     version: '1.0.0',
     endpoints: {
-      datasets: '/api/datasets',
-      navigation: '/api/navigation',
-      airQuality: '/api/air-quality',
-      rivers: '/api/rivers',
-      lakes: '/api/lakes',
-      health: '/health'
-    },
-    documentation: {
-      datasets: {
-        list: 'GET /api/datasets',
-        metadata: 'GET /api/datasets/:id/metadata',
-        data: 'GET /api/datasets/:id/data',
-        jsonstat: 'GET /api/datasets/:id/jsonstat'
-      },
-      airQuality: {
-        latest: 'GET /api/air-quality/latest',
-        stations: 'GET /api/air-quality/stations',
-        pollutant: 'GET /api/air-quality/pollutant/:pollutant',
-        summary: 'GET /api/air-quality/summary'
-      },
-      navigation: {
-        explore: 'GET /api/navigation/explore',
-        categories: 'GET /api/navigation/categories'
-      },
-      rivers: {
-        list: 'GET /api/rivers?lang=geo|eng',
-        byId: 'GET /api/rivers/:id?lang=geo|eng',
-        stats: 'GET /api/rivers/stats?lang=geo|eng',
-        search: 'GET /api/rivers/search?q=:query&lang=geo|eng',
-        bySeaBasin: 'GET /api/rivers/sea-basin/:basin?lang=geo|eng',
-        bilingual: 'GET /api/rivers/bilingual',
-        bilingualById: 'GET /api/rivers/bilingual/:id'
-      },
-      lakes: {
-        list: 'GET /api/lakes?lang=geo|eng',
-        byId: 'GET /api/lakes/:id?lang=geo|eng',
-        stats: 'GET /api/lakes/stats?lang=geo|eng',
-        search: 'GET /api/lakes/search?q=:query&lang=geo|eng',
-        byType: 'GET /api/lakes/type/:type?lang=geo|eng',
-        bilingual: 'GET /api/lakes/bilingual',
-        bilingualById: 'GET /api/lakes/bilingual/:id'
-      },
-      health: {
-        simple: 'GET /api/health',
-        detailed: 'GET /api/health/status',
-        advanced: 'GET /api/health/advanced'
-      }
+      ...Object.fromEntries(API_ROUTES.map(([path]) => [path.slice(1).replace(/-(\w)/g, (_, c) => c.toUpperCase()), `/api${path}`])),
+      graphql: '/graphql',
+      metrics: '/metrics',
+      openapi: '/api/openapi.json',
+      docs: '/api/docs'
     },
+    documentation: openApiService.listRoutes(DOCUMENTED),
     categories: {
       environment: 'Environmental and ecological statistics',
       'gender-statistics': 'Gender-disaggregated statistics'
@@ -83,4 +71,23 @@ router.get('/', (req, res) => {
   });
 });
 
+// GET /api/openapi.json - OpenAPI 3.1 document
+router.get('/openapi.json', route({
+  tags,
+  summary: 'OpenAPI 3.1 document',
+  responses: { 200: { description: 'This document', schema: { type: 'object' } } }
+}), (req, res) => {
+  res.json(openApiService.getDocument(DOCUMENTED));
+});
+
+// GET /api/docs - Interactive documentation (Swagger UI)
+router.get('/docs', route({
+  tags,
+  summary: 'Interactive documentation',
+  responses: { 200: { description: 'Swagger UI', contentType: 'text/html' } }
+}), (req, res) => {
+  res.sendFile('api-docs.html', { root: './public' });
+});
+router.use('/docs/assets', express.static(swaggerUiDist.getAbsoluteFSPath(), { index: false }));
+
 export default router;
@@ -5,34 +5,102 @@
 import express from 'express';
 import lakesController from '../controllers/lakesController.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import { requireRole } from '../middleware/auth.js';
+import { route } from '../middleware/validateRequest.js';
+import { fileLang, recordId, pagination, searchText } from './schemas.js';
 
 const router = express.Router();
 
+const tags = ['Lakes'];
+
+const FIELDS = ['name', 'location', 'area', 'volume', 'avgDepth', 'maxDepth', 'mainUse'];
+
+const lang = { properties: { lang: fileLang } };
+const notFound = { 404: 'Lake not found' };
+
 // GET /api/lakes - Get all lakes with optional filtering and pagination
-router.get('/', asyncHandler(lakesController.getAllLakes.bind(lakesController)));
+router.get('/', route({
+  tags,
+  summary: 'List lakes and reservoirs',
+  query: {
+    properties: {
+      lang: fileLang,
+      type: { type: 'string', enum: ['lake', 'reservoir'], description: 'Told apart by name' },
+      sortBy: { type: 'string', enum: ['id', ...FIELDS] },
+      ...pagination
+    }
+  },
+  responses: { 200: 'Lakes and paging metadata' }
+}), asyncHandler(lakesController.getAllLakes.bind(lakesController)));
 
 // GET /api/lakes/stats - Get lakes statistics
-router.get('/stats', asyncHandler(lakesController.getLakesStats.bind(lakesController)));
+router.get('/stats', route({
+  tags,
+  summary: 'Lakes statistics',
+  query: lang,
+  responses: { 200: 'Totals and averages' }
+}), asyncHandler(lakesController.getLakesStats.bind(lakesController)));
 
 // GET /api/lakes/search - Search lakes by name, location, etc.
-router.get('/search', asyncHandler(lakesController.searchLakes.bind(lakesController)));
+router.get('/search', route({
+  tags,
+  summary: 'Search lakes',
+  query: {
+    properties: {
+      q: searchText,
+      field: { type: 'string', enum: ['all', 'name', 'location', 'mainUse'], default: 'all' },
+      lang: fileLang
+    },
+    required: ['q']
+  },
+  responses: { 200: 'Matching lakes' }
+}), asyncHandler(lakesController.searchLakes.bind(lakesController)));
 
 // GET /api/lakes/refresh - Manually refresh lakes data
-router.get('/refresh', asyncHandler(lakesController.refreshData.bind(lakesController)));
+router.get('/refresh', requireRole('admin'), route({
+  tags,
+  summary: 'Reload the lakes files',
+  responses: { 200: 'Reloaded record counts' }
+}), asyncHandler(lakesController.refreshData.bind(lakesController)));
 
 // GET /api/lakes/status - Get data loading status and cache info
-router.get('/status', asyncHandler(lakesController.getDataStatus.bind(lakesController)));
+router.get('/status', route({
+  tags,
+  summary: 'Data file status',
+  responses: { 200: 'Loaded record counts and file modification times' }
+}), asyncHandler(lakesController.getDataStatus.bind(lakesController)));
 
 // GET /api/lakes/bilingual - Get all lakes in both languages
-router.get('/bilingual', asyncHandler(lakesController.getLakesBiLingual.bind(lakesController)));
+router.get('/bilingual', route({
+  tags,
+  summary: 'All lakes in Georgian and English',
+  responses: { 200: 'Lakes in both languages' }
+}), asyncHandler(lakesController.getLakesBiLingual.bind(lakesController)));
 
 // GET /api/lakes/bilingual/:id - Get specific lake in both languages
-router.get('/bilingual/:id', asyncHandler(lakesController.getLakesBiLingual.bind(lakesController)));
+router.get('/bilingual/:id', route({
+  tags,
+  summary: 'One lake in Georgian and English',
+  params: { id: recordId },
+  responses: { 200: 'Lake in both languages', ...notFound }
+}), asyncHandler(lakesController.getLakesBiLingual.bind(lakesController)));
 
 // GET /api/lakes/type/:type - Get lakes by type (lakes or reservoirs)
-router.get('/type/:type', asyncHandler(lakesController.getLakesByType.bind(lakesController)));
+router.get('/type/:type', route({
+  tags,
+  summary: 'Lakes or reservoirs',
+  params: { type: { type: 'string', enum: ['lakes', 'reservoirs'] } },
+  query: lang,
+  responses: { 200: 'Lakes of the type with totals', 404: 'None found' }
+}), asyncHandler(lakesController.getLakesByType.bind(lakesController)));
 
 // GET /api/lakes/:id - Get specific lake by ID
-router.get('/:id', asyncHandler(lakesController.getLakeById.bind(lakesController)));
+router.get('/:id', route({
+  tags,
+  summary: 'Get a lake',
+  params: { id: recordId },
+  query: lang,
+  responses: { 200: 'Lake', ...notFound }
+}), asyncHandler(lakesController.getLakeById.bind(lakesController)));
 
-export default router;
\ No newline at end of file
+export default router;
@@ -0,0 +1,23 @@
+/**
+ * Metrics Routes
+ * Prometheus scrape endpoint, mounted at /metrics
+ */
+import express from 'express';
+import healthController from '../controllers/healthController.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { route } from '../middleware/validateRequest.js';
+
+const router = express.Router();
+
+// GET /metrics - Prometheus exposition format, merged over all workers
+router.get('/', route({
+  tags: ['Health'],
+  summary: 'Prometheus metrics of all workers',
+  description: 'Request durations per route template and status, upstream latency and errors for PXWeb and air.gov.ge, Redis lookups and cache results, and Node.js process metrics.',
+  responses: {
+    200: { description: 'Prometheus text exposition format', contentType: 'text/plain' },
+    404: 'Metrics disabled (METRICS_ENABLED=false)'
+  }
+}), asyncHandler(healthController.metrics.bind(healthController)));
+
+export default router;
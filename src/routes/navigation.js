@@ -5,22 +5,79 @@
 import express from 'express';
 import navigationController from '../controllers/navigationController.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import { requireRole } from '../middleware/auth.js';
+import { route } from '../middleware/validateRequest.js';
 
 const router = express.Router();
 
+const tags = ['Navigation'];
+
+const pxwebPath = {
+  type: 'string',
+  description: 'PXWeb folder path below the database root',
+  examples: ['Environment Statistics']
+};
+
 // GET /api/navigation/explore?path=... - Explore PXWeb path structure
-router.get('/explore', asyncHandler(navigationController.explorePath.bind(navigationController)));
+router.get('/explore', route({
+  tags,
+  summary: 'List a PXWeb folder',
+  query: { properties: { path: { ...pxwebPath, description: 'PXWeb folder path (default: database root)' } } },
+  responses: { 200: 'Folders and tables in the path' }
+}), asyncHandler(navigationController.explorePath.bind(navigationController)));
 
 // GET /api/navigation/categories - Get all categories and subcategories
-router.get('/categories', asyncHandler(navigationController.getCategories.bind(navigationController)));
+router.get('/categories', route({
+  tags,
+  summary: 'Dataset categories and subcategories',
+  responses: { 200: 'Categories' }
+}), asyncHandler(navigationController.getCategories.bind(navigationController)));
 
 // GET /api/navigation/discover?path=...&maxDepth=2 - Discover tables in path
-router.get('/discover', asyncHandler(navigationController.discoverTables.bind(navigationController)));
+router.get('/discover', route({
+  tags,
+  summary: 'Find tables below a PXWeb folder',
+  query: {
+    properties: {
+      path: pxwebPath,
+      maxDepth: { type: 'integer', minimum: 1, default: 2, description: 'Folder levels to descend' }
+    },
+    required: ['path']
+  },
+  responses: { 200: 'Tables found' }
+}), asyncHandler(navigationController.discoverTables.bind(navigationController)));
 
 // GET /api/navigation/environment - Get environment statistics structure
-router.get('/environment', asyncHandler(navigationController.getEnvironmentStructure.bind(navigationController)));
+router.get('/environment', route({
+  tags,
+  summary: 'Environment Statistics folder structure',
+  responses: { 200: 'Folders and tables' }
+}), asyncHandler(navigationController.getEnvironmentStructure.bind(navigationController)));
 
 // GET /api/navigation/gender - Get gender statistics structure
-router.get('/gender', asyncHandler(navigationController.getGenderStructure.bind(navigationController)));
+router.get('/gender', route({
+  tags,
+  summary: 'Gender Statistics folder structure',
+  responses: { 200: 'Folders and tables' }
+}), asyncHandler(navigationController.getGenderStructure.bind(navigationController)));
+
+// GET /api/navigation/sync - Catalog sync status and last report
+router.get('/sync', route({
+  tags,
+  summary: 'Catalog sync status and last report',
+  responses: { 200: 'New, moved, renamed and deleted tables found by the last sync' }
+}), asyncHandler(navigationController.getCatalogSync.bind(navigationController)));
+
+// POST /api/navigation/sync?register=true - Compare the PXWeb tree with DATASETS now
+router.post('/sync', requireRole('admin'), route({
+  tags,
+  summary: 'Compare the PXWeb tree with the catalog now',
+  query: {
+    properties: {
+      register: { type: 'boolean', description: 'Add new tables to the catalog (default: CATALOG_SYNC_AUTO_REGISTER)' }
+    }
+  },
+  responses: { 202: 'Sync started', 409: 'Sync already in progress' }
+}), asyncHandler(navigationController.syncCatalog.bind(navigationController)));
 
 export default router;
@@ -5,34 +5,102 @@
 import express from 'express';
 import riversController from '../controllers/riversController.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
+import { requireRole } from '../middleware/auth.js';
+import { route } from '../middleware/validateRequest.js';
+import { fileLang, recordId, pagination, searchText } from './schemas.js';
 
 const router = express.Router();
 
+const tags = ['Rivers'];
+
+const FIELDS = ['name', 'location', 'length', 'basinArea', 'seaBasin', 'mainUse'];
+
+const lang = { properties: { lang: fileLang } };
+const notFound = { 404: 'River not found' };
+
 // GET /api/rivers - Get all rivers with optional filtering and pagination
-router.get('/', asyncHandler(riversController.getAllRivers.bind(riversController)));
+router.get('/', route({
+  tags,
+  summary: 'List rivers',
+  query: {
+    properties: {
+      lang: fileLang,
+      seaBasin: { ...searchText, description: 'Sea basin (case-insensitive substring)' },
+      sortBy: { type: 'string', enum: ['id', ...FIELDS] },
+      ...pagination
+    }
+  },
+  responses: { 200: 'Rivers and paging metadata' }
+}), asyncHandler(riversController.getAllRivers.bind(riversController)));
 
 // GET /api/rivers/stats - Get rivers statistics
-router.get('/stats', asyncHandler(riversController.getRiversStats.bind(riversController)));
+router.get('/stats', route({
+  tags,
+  summary: 'Rivers statistics',
+  query: lang,
+  responses: { 200: 'Totals and averages' }
+}), asyncHandler(riversController.getRiversStats.bind(riversController)));
 
 // GET /api/rivers/search - Search rivers by name, location, etc.
-router.get('/search', asyncHandler(riversController.searchRivers.bind(riversController)));
+router.get('/search', route({
+  tags,
+  summary: 'Search rivers',
+  query: {
+    properties: {
+      q: searchText,
+      field: { type: 'string', enum: ['all', 'name', 'location', 'seaBasin', 'mainUse'], default: 'all' },
+      lang: fileLang
+    },
+    required: ['q']
+  },
+  responses: { 200: 'Matching rivers' }
+}), asyncHandler(riversController.searchRivers.bind(riversController)));
 
 // GET /api/rivers/refresh - Manually refresh rivers data
-router.get('/refresh', asyncHandler(riversController.refreshData.bind(riversController)));
+router.get('/refresh', requireRole('admin'), route({
+  tags,
+  summary: 'Reload the rivers files',
+  responses: { 200: 'Reloaded record counts' }
+}), asyncHandler(riversController.refreshData.bind(riversController)));
 
 // GET /api/rivers/status - Get data loading status and cache info
-router.get('/status', asyncHandler(riversController.getDataStatus.bind(riversController)));
+router.get('/status', route({
+  tags,
+  summary: 'Data file status',
+  responses: { 200: 'Loaded record counts and file modification times' }
+}), asyncHandler(riversController.getDataStatus.bind(riversController)));
 
 // GET /api/rivers/bilingual - Get all rivers in both languages
-router.get('/bilingual', asyncHandler(riversController.getRiversBiLingual.bind(riversController)));
+router.get('/bilingual', route({
+  tags,
+  summary: 'All rivers in Georgian and English',
+  responses: { 200: 'Rivers in both languages' }
+}), asyncHandler(riversController.getRiversBiLingual.bind(riversController)));
 
 // GET /api/rivers/bilingual/:id - Get specific river in both languages
-router.get('/bilingual/:id', asyncHandler(riversController.getRiversBiLingual.bind(riversController)));
+router.get('/bilingual/:id', route({
+  tags,
+  summary: 'One river in Georgian and English',
+  params: { id: recordId },
+  responses: { 200: 'River in both languages', ...notFound }
+}), asyncHandler(riversController.getRiversBiLingual.bind(riversController)));
 
 // GET /api/rivers/sea-basin/:basin - Get rivers by sea basin
-router.get('/sea-basin/:basin', asyncHandler(riversController.getRiversBySeaBasin.bind(riversController)));
+router.get('/sea-basin/:basin', route({
+  tags,
+  summary: 'Rivers of a sea basin',
+  params: { basin: { type: 'string', description: 'Sea basin (case-insensitive substring)', examples: ['Black Sea'] } },
+  query: lang,
+  responses: { 200: 'Rivers with basin totals', 404: 'No rivers found' }
+}), asyncHandler(riversController.getRiversBySeaBasin.bind(riversController)));
 
 // GET /api/rivers/:id - Get specific river by ID
-router.get('/:id', asyncHandler(riversController.getRiverById.bind(riversController)));
+router.get('/:id', route({
+  tags,
+  summary: 'Get a river',
+  params: { id: recordId },
+  query: lang,
+  responses: { 200: 'River', ...notFound }
+}), asyncHandler(riversController.getRiverById.bind(riversController)));
 
-export default router;
\ No newline at end of file
+export default router;
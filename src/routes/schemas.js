@@ -0,0 +1,110 @@
+/**
+ * Shared Route Schemas
+ * JSON Schemas reused by the route annotations (see middleware/validateRequest.js).
+ */
+import { AQI_STANDARDS } from '../utils/airQualityIndex.js';
+
+export const datasetId = {
+  type: 'string',
+  pattern: '^[A-Za-z0-9_-]+$',
+  description: 'Dataset ID from GET /api/datasets',
+  examples: ['municipal-waste']
+};
+
+export const datasetLang = {
+  type: 'string',
+  enum: ['ka', 'en'],
+  default: 'ka',
+  description: 'Label language'
+};
+
+// Rivers and lakes files are named GEO/ENG; ka/en are accepted too
+export const fileLang = {
+  type: 'string',
+  enum: ['geo', 'eng', 'ka', 'en'],
+  default: 'geo',
+  description: 'Georgian (geo) or English (eng) data file'
+};
+
+export const recordId = {
+  type: 'integer',
+  minimum: 1,
+  description: 'Row number in the data file'
+};
+
+export const pollutant = {
+  type: 'string',
+  description: 'PM10, PM2.5, NO2, O3, SO2 or CO (case-insensitive; PM25 is accepted)',
+  examples: ['PM2.5']
+};
+
+export const standard = {
+  type: 'string',
+  description: `Air quality index standard: ${Object.keys(AQI_STANDARDS).join(', ')} (default: caqi-hourly)`,
+  examples: ['us-epa']
+};
+
+export const hours = (fallback) => ({
+  type: 'integer',
+  minimum: 1,
+  default: fallback,
+  description: 'Hours of readings to fetch'
+});
+
+/**
+ * Comma-separated list parameter
+ * @param {string} description
+ * @param {Array<string>} examples
+ * @returns {Object}
+ */
+export const list = (description, examples) => ({
+  type: 'string',
+  description: `${description} (comma-separated)`,
+  ...(examples && { examples })
+});
+
+export const pagination = {
+  limit: { type: 'integer', minimum: 1, description: 'Page size (default: all)' },
+  offset: { type: 'integer', minimum: 0, default: 0, description: 'Records to skip' },
+  order: { type: 'string', enum: ['asc', 'desc'], default: 'asc', description: 'Sort order for sortBy' }
+};
+
+export const searchText = {
+  type: 'string',
+  minLength: 1,
+  description: 'Case-insensitive substring'
+};
+
+export const alertRule = {
+  type: 'object',
+  properties: {
+    name: { type: 'string' },
+    city: { type: 'string', description: 'City key or name; set this or station' },
+    station: { type: 'string', description: 'Station code; set this or city' },
+    pollutant,
+    operator: { type: 'string', enum: ['>', '>=', '<', '<='], default: '>' },
+    threshold: { type: 'number', description: 'μg/m³' },
+    forHours: { type: 'integer', minimum: 1, maximum: 24, default: 1, description: 'Consecutive hours the condition must hold' },
+    cooldownMinutes: { type: 'number', minimum: 0, default: 60 },
+    webhooks: { type: 'array', items: { type: 'string' }, minItems: 1, description: 'http(s) URLs notified on alert.fired and alert.recovered' },
+    secret: { type: 'string', description: 'Signs webhook bodies (X-Alert-Signature: HMAC-SHA256)' },
+    enabled: { type: 'boolean', default: true }
+  }
+};
+
+export const apiKey = {
+  type: 'object',
+  properties: {
+    name: { type: 'string', minLength: 1, description: 'Who the key is for' },
+    role: { type: 'string', enum: ['public', 'partner', 'admin'], default: 'public' },
+    limits: {
+      type: 'object',
+      description: 'Overrides the limits of the role (0 = unlimited)',
+      properties: {
+        perMinute: { type: 'integer', minimum: 0 },
+        perDay: { type: 'integer', minimum: 0 }
+      },
+      additionalProperties: false
+    }
+  }
+};
@@ -0,0 +1,28 @@
+/**
+ * Search Routes
+ */
+import express from 'express';
+import searchController from '../controllers/searchController.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import { route } from '../middleware/validateRequest.js';
+
+const router = express.Router();
+
+// GET /api/search?q=...&category=...&limit=20 - Ranked search across datasets and their variables
+router.get('/', route({
+  tags: ['Search'],
+  summary: 'Ranked search across datasets and their variables',
+  description: 'Georgian and English; Latin spellings of Georgian words, prefixes and typos match too.',
+  query: {
+    properties: {
+      q: { type: 'string', minLength: 1, maxLength: 200, examples: ['PM10', 'ტყის ხანძრები'] },
+      category: { type: 'string' },
+      subcategory: { type: 'string' },
+      limit: { type: 'integer', minimum: 1, default: 20, description: 'Results (at most 100)' }
+    },
+    required: ['q']
+  },
+  responses: { 200: 'Datasets with score and matched fields' }
+}), asyncHandler(searchController.search.bind(searchController)));
+
+export default router;
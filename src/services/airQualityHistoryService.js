@@ -0,0 +1,408 @@
+/**
+ * Air Quality History Service
+ * Collects hourly readings from air.gov.ge in the background and stores them
+ * locally, so trends can be served beyond the short windows the upstream API allows.
+ *
+ * Storage layout (one JSON file per station, substance and month):
+ *   <dir>/stations.json                       → { [stationCode]: station info }
+ *   <dir>/<STATION>/<SUBSTANCE>/<YYYY-MM>.json → { unit, readings: { [hour]: value } }
+ * Hours are Asia/Tbilisi local time as returned upstream ("2024-05-01T13:00:00").
+ * Under PM2 the workers share the directory; with Redis connected one of them collects
+ * per interval.
+ */
+import fsp from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { config } from '../config/index.js';
+import airQualityService from './airQualityService.js';
+import redisService from './redisService.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ component: 'air-quality-history' });
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const INTERVALS = ['hour', 'day', 'month'];
+const DEFAULT_RANGE_DAYS = { hour: 7, day: 90, month: 365 };
+const PERIOD_LENGTH = { hour: 13, day: 10, month: 7 }; // prefix of "YYYY-MM-DDTHH" per interval
+const MAX_MONTHS_PER_QUERY = 120;
+const SCHEDULE_LOCK = 'air-quality-history:collect';
+
+export class AirQualityHistoryService {
+  constructor() {
+    this.dir = path.resolve(__dirname, '../..', config.airQualityHistory.dir);
+    this.timer = null;
+    this.collecting = null;
+    this.lastRun = null;
+  }
+
+  /**
+   * Collect once and then every `intervalMinutes`, on the worker that claims the interval
+   */
+  start() {
+    if (!config.airQualityHistory.enabled || this.timer) return;
+
+    const intervalMs = config.airQualityHistory.intervalMinutes * 60 * 1000;
+    const run = async () => {
+      if (await redisService.claimRun(SCHEDULE_LOCK, intervalMs - 1000)) await this.collect();
+    };
+    run();
+    this.timer = setInterval(run, intervalMs);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop the background collector
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Fetch the last `lookbackHours` of hourly data for every station and store it.
+   * Overlapping windows are harmless: readings are keyed by hour.
+   * @returns {Promise<Object>} - { stations, readings, collectedAt }
+   */
+  async collect() {
+    if (this.collecting) return this.collecting;
+
+    this.collecting = (async () => {
+      try {
+        const latest = await airQualityService.getLatestData({
+          stationCode: 'all',
+          hoursBack: config.airQualityHistory.lookbackHours
+        });
+        const result = await this.store(latest.stations || []);
+        this.lastRun = { ...result, error: null };
+        log.info({ readings: result.readings, stations: result.stations }, 'Stored air quality readings');
+        return result;
+      } catch (error) {
+        this.lastRun = { collectedAt: new Date().toISOString(), error: error.message };
+        log.error({ err: error }, 'Air quality history collection failed');
+        return this.lastRun;
+      } finally {
+        this.collecting = null;
+      }
+    })();
+
+    return this.collecting;
+  }
+
+  /**
+   * Merge readings into the store
+   * @param {Array} stations - `stations` from AirQualityService.getLatestData
+   * @returns {Promise<Object>} - { stations, readings, collectedAt }
+   */
+  async store(stations) {
+    const stationIndex = await this._readJson(path.join(this.dir, 'stations.json'), {});
+    let readings = 0;
+
+    for (const station of stations) {
+      if (!station.code) continue;
+
+      stationIndex[station.code] = {
+        code: station.code,
+        settlement: station.settlement,
+        settlement_en: station.settlement_en,
+        address: station.address,
+        lat: station.lat,
+        long: station.long,
+        substances: [...new Set([
+          ...(stationIndex[station.code]?.substances || []),
+          ...station.substances.map(s => s.name)
+        ])]
+      };
+
+      for (const substance of station.substances) {
+        const byMonth = {};
+        for (const reading of substance.allReadings || []) {
+          const hour = this._normalizeHour(reading.timestamp);
+          if (!hour || reading.value === null || reading.value === undefined) continue;
+          (byMonth[hour.slice(0, 7)] ||= {})[hour] = Number(reading.value);
+        }
+
+        for (const [month, values] of Object.entries(byMonth)) {
+          const file = this._monthFile(station.code, substance.name, month);
+          const stored = await this._readJson(file, { unit: null, readings: {} });
+          stored.unit = substance.unit_en || substance.unit_ge || stored.unit;
+          Object.assign(stored.readings, values);
+          await this._writeJson(file, stored);
+          readings += Object.keys(values).length;
+        }
+      }
+    }
+
+    await this._writeJson(path.join(this.dir, 'stations.json'), stationIndex);
+    return { stations: stations.length, readings, collectedAt: new Date().toISOString() };
+  }
+
+  /**
+   * Stored readings for one station and substance, optionally aggregated
+   * @param {Object} options
+   * @param {string} options.station - Station code (e.g. 'TSRT')
+   * @param {string} options.substance - Substance name (e.g. 'PM2.5')
+   * @param {string} options.from - Start (YYYY, YYYY-MM, YYYY-MM-DD or YYYY-MM-DDTHH:mm)
+   * @param {string} options.to - End, inclusive; same formats
+   * @param {string} options.interval - 'hour' | 'day' | 'month'
+   * @returns {Promise<Object>}
+   */
+  async getHistory({ station, substance, from, to, interval = 'hour' } = {}) {
+    if (!station || !substance) {
+      throw this._badRequest('Both station and substance are required');
+    }
+    if (!INTERVALS.includes(interval)) {
+      throw this._badRequest(`Invalid interval: ${interval}. Must be one of: ${INTERVALS.join(', ')}`);
+    }
+
+    // Only stations and substances the collector has stored: the names become file paths
+    const stationIndex = await this._readJson(path.join(this.dir, 'stations.json'), {});
+    const stationCode = Object.keys(stationIndex).find(code => code.toUpperCase() === String(station).toUpperCase());
+    if (!stationCode) {
+      throw this._notFound(`No history for station ${station}`);
+    }
+    const stationInfo = stationIndex[stationCode];
+    const substanceName = stationInfo.substances.find(name => name.toUpperCase() === String(substance).toUpperCase());
+    if (!substanceName) {
+      throw this._notFound(`No history for ${substance} at station ${stationCode}. Stored substances: ${stationInfo.substances.join(', ')}`);
+    }
+
+    const range = this._resolveRange(from, to, interval);
+    const months = this._monthsBetween(range.from, range.to);
+    if (months.length > MAX_MONTHS_PER_QUERY) {
+      throw this._badRequest(`Range is too long (max ${MAX_MONTHS_PER_QUERY} months)`);
+    }
+
+    let unit = null;
+    const hourly = [];
+    for (const month of months) {
+      const stored = await this._readJson(this._monthFile(stationCode, substanceName, month), null);
+      if (!stored) continue;
+      unit = stored.unit || unit;
+      for (const [hour, value] of Object.entries(stored.readings)) {
+        if (hour >= range.from && hour <= range.to) hourly.push({ hour, value });
+      }
+    }
+    hourly.sort((a, b) => a.hour.localeCompare(b.hour));
+
+    return {
+      station: stationInfo,
+      substance: substanceName,
+      unit,
+      interval,
+      from: range.from,
+      to: range.to,
+      timezone: 'Asia/Tbilisi',
+      count: hourly.length,
+      points: this._aggregate(hourly, interval)
+    };
+  }
+
+  /**
+   * Collector status for health checks
+   * @returns {Object}
+   */
+  getStatus() {
+    return {
+      enabled: config.airQualityHistory.enabled,
+      running: Boolean(this.timer),
+      intervalMinutes: config.airQualityHistory.intervalMinutes,
+      lastRun: this.lastRun
+    };
+  }
+
+  /**
+   * Group hourly readings into periods
+   * @param {Array} hourly - [{ hour, value }] sorted by hour
+   * @param {string} interval
+   * @returns {Array} - [{ period, value, min, max, count }]
+   */
+  _aggregate(hourly, interval) {
+    if (interval === 'hour') {
+      return hourly.map(({ hour, value }) => ({ period: hour, value }));
+    }
+
+    const groups = new Map();
+    hourly.forEach(({ hour, value }) => {
+      const period = hour.slice(0, PERIOD_LENGTH[interval]);
+      if (!groups.has(period)) groups.set(period, []);
+      groups.get(period).push(value);
+    });
+
+    return [...groups].map(([period, values]) => ({
+      period,
+      value: parseFloat((values.reduce((sum, v) => sum + v, 0) / values.length).toFixed(2)),
+      min: Math.min(...values),
+      max: Math.max(...values),
+      count: values.length
+    }));
+  }
+
+  /**
+   * Turn from/to query values into inclusive hour bounds ("YYYY-MM-DDTHH:00:00")
+   * @param {string} from
+   * @param {string} to
+   * @param {string} interval - Picks the default range length
+   * @returns {Object} - { from, to }
+   */
+  _resolveRange(from, to, interval) {
+    const end = to ? this._parseBound(to, 'end') : this._georgiaNow();
+    const start = from
+      ? this._parseBound(from, 'start')
+      : this._shiftDays(end, -DEFAULT_RANGE_DAYS[interval]);
+
+    if (start > end) {
+      throw this._badRequest('"from" must not be after "to"');
+    }
+    return { from: start, to: end };
+  }
+
+  /**
+   * Expand a partial date to the first or last hour it covers
+   * @param {string} value - YYYY, YYYY-MM, YYYY-MM-DD or YYYY-MM-DDTHH[:mm[:ss]]
+   * @param {string} side - 'start' | 'end'
+   * @returns {string}
+   */
+  _parseBound(value, side) {
+    const match = /^(\d{4})(?:-(\d{2})(?:-(\d{2})(?:[T ](\d{2})(?::\d{2}(?::\d{2})?)?)?)?)?$/.exec(String(value).trim());
+    if (!match) {
+      throw this._badRequest(`Invalid date: ${value}. Use YYYY, YYYY-MM, YYYY-MM-DD or YYYY-MM-DDTHH:mm`);
+    }
+
+    const [, year, month, day, hour] = match;
+    const isEnd = side === 'end';
+    const mm = month || (isEnd ? '12' : '01');
+    const lastDay = new Date(Date.UTC(Number(year), Number(mm), 0)).getUTCDate();
+    const dd = day || (isEnd ? String(lastDay) : '01');
+    const hh = hour || (isEnd ? '23' : '00');
+    const bound = `${year}-${mm}-${dd.padStart(2, '0')}T${hh}:00:00`;
+
+    // Date rolls impossible values over (2024-02-31 → March 2); those must not match
+    const parsed = new Date(`${bound}Z`);
+    if (Number.isNaN(parsed.getTime()) || parsed.toISOString().slice(0, 19) !== bound) {
+      throw this._badRequest(`Invalid date: ${value}`);
+    }
+    return bound;
+  }
+
+  /**
+   * Current hour in Georgia as "YYYY-MM-DDTHH:00:00"
+   * @returns {string}
+   */
+  _georgiaNow() {
+    const local = new Date().toLocaleString('sv-SE', { timeZone: 'Asia/Tbilisi', hour12: false });
+    return `${local.slice(0, 10)}T${local.slice(11, 13)}:00:00`;
+  }
+
+  /**
+   * Move an hour string by whole days
+   * @param {string} hour
+   * @param {number} days
+   * @returns {string}
+   */
+  _shiftDays(hour, days) {
+    const date = new Date(`${hour}Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return `${date.toISOString().slice(0, 13)}:00:00`;
+  }
+
+  /**
+   * Months ("YYYY-MM") touched by a range
+   * @param {string} from
+   * @param {string} to
+   * @returns {string[]}
+   */
+  _monthsBetween(from, to) {
+    const months = [];
+    let [year, month] = from.slice(0, 7).split('-').map(Number);
+    const last = to.slice(0, 7);
+
+    for (;;) {
+      const key = `${year}-${String(month).padStart(2, '0')}`;
+      if (key > last || months.length > MAX_MONTHS_PER_QUERY) break;
+      months.push(key);
+      month += 1;
+      if (month > 12) {
+        month = 1;
+        year += 1;
+      }
+    }
+    return months;
+  }
+
+  /**
+   * Upstream timestamp → hour key, or null when unparseable
+   * @param {string} timestamp
+   * @returns {string|null}
+   */
+  _normalizeHour(timestamp) {
+    const match = /^(\d{4}-\d{2}-\d{2})[T ](\d{2})/.exec(String(timestamp || ''));
+    return match ? `${match[1]}T${match[2]}:00:00` : null;
+  }
+
+  /**
+   * File holding one month of readings
+   * @param {string} stationCode
+   * @param {string} substance
+   * @param {string} month - YYYY-MM
+   * @returns {string}
+   */
+  _monthFile(stationCode, substance, month) {
+    const safe = value => {
+      const segment = String(value).replace(/[^A-Za-z0-9._-]/g, '_');
+      // "." and ".." would leave the station directory
+      if (/^\.*$/.test(segment)) throw this._badRequest(`Invalid station or substance: ${value}`);
+      return segment;
+    };
+    return path.join(this.dir, safe(stationCode), safe(substance), `${month}.json`);
+  }
+
+  /**
+   * @param {string} file
+   * @param {*} fallback - Returned when the file does not exist
+   * @returns {Promise<*>}
+   */
+  async _readJson(file, fallback) {
+    try {
+      return JSON.parse(await fsp.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return fallback;
+      throw error;
+    }
+  }
+
+  /**
+   * Write through a temporary file so readers never see a partial file
+   * @param {string} file
+   * @param {*} value
+   */
+  async _writeJson(file, value) {
+    await fsp.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fsp.writeFile(tmp, JSON.stringify(value));
+    await fsp.rename(tmp, file);
+  }
+
+  /**
+   * @param {string} message
+   * @returns {Error}
+   */
+  _badRequest(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+  }
+
+  /**
+   * @param {string} message
+   * @returns {Error}
+   */
+  _notFound(message) {
+    const error = new Error(message);
+    error.statusCode = 404;
+    return error;
+  }
+}
+
+export default new AirQualityHistoryService();
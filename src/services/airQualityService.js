@@ -2,11 +2,21 @@
  * Air Quality Service
  * Handles communication with the air.gov.ge API for air quality data
  */
+import { CITIES } from '../config/cities.js';
+import fixtureService from './fixtureService.js';
+import circuitBreakerService from './circuitBreakerService.js';
+import { computeIndex, combinedSeries, requiredHours, resolveStandard, stationSeries } from '../utils/airQualityIndex.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ component: 'air-quality' });
+
+const POLLUTANTS = ['PM10', 'PM2.5', 'NO2', 'O3', 'SO2', 'CO'];
 
 export class AirQualityService {
   constructor() {
     this.baseUrl = 'https://air.gov.ge/api';
     this.defaultStationCode = 'TSRT';
+    circuitBreakerService.breakerFor('airQuality', this.baseUrl);
   }
 
   /**
@@ -44,9 +54,9 @@ export class AirQualityService {
     for (const hoursBack of hoursBackOptions) {
       try {
         const url = this.buildApiUrl({ ...options, hoursBack });
-        console.log(`Trying ${hoursBack}h range: ${url}`);
+        log.debug({ hoursBack, url }, 'Trying time range');
         
-        const response = await fetch(url);
+        const response = await fixtureService.fetch('airQuality', url);
         if (!response.ok) continue;
         
         const rawData = await response.json();
@@ -86,7 +96,7 @@ export class AirQualityService {
           }
         }
       } catch (error) {
-        console.log(`Error with ${hoursBack}h range:`, error.message);
+        log.warn({ hoursBack, err: error }, 'Time range failed');
       }
     }
     
@@ -274,15 +284,20 @@ export class AirQualityService {
 
   /**
    * Get latest air quality data from the API
-   * @param {Object} options - Options for the API call
+   * @param {Object} options - Options for the API call; with `standard` every station gets an `index`
    * @returns {Promise<Object>} Latest air quality data
    */
   async getLatestData(options = {}) {
+    const standard = options.standard ? resolveStandard(options.standard) : null;
+
     try {
-      const url = this.buildApiUrl(options);
-      console.log('Fetching air quality data from:', url);
+      // Fetch enough history for the standard's averaging windows
+      const url = this.buildApiUrl(standard
+        ? { ...options, hoursBack: Math.max(options.hoursBack || 24, requiredHours(standard)) }
+        : options);
+      log.debug({ url }, 'Fetching air quality data');
       
-      const response = await fetch(url);
+      const response = await fixtureService.fetch('airQuality', url);
       
       if (!response.ok) {
         throw new Error(`HTTP error! status: ${response.status}`);
@@ -290,6 +305,12 @@ export class AirQualityService {
       
       const rawData = await response.json();
       const processedData = this.extractLatestData(rawData);
+
+      if (standard) {
+        processedData?.forEach(station => {
+          station.index = computeIndex(stationSeries(station), standard);
+        });
+      }
       
       // Calculate overall data freshness
       let overallFreshness = 'unknown';
@@ -329,7 +350,7 @@ export class AirQualityService {
         }
       };
     } catch (error) {
-      console.error('Error fetching air quality data:', error);
+      log.error({ err: error }, 'Error fetching air quality data');
       throw new Error(`Failed to fetch air quality data: ${error.message}`);
     }
   }
@@ -417,1007 +438,360 @@ export class AirQualityService {
         availableSubstances: station.substances.map(s => s.name)
       })) || [];
     } catch (error) {
-      console.error('Error fetching stations:', error);
+      log.error({ err: error }, 'Error fetching stations');
       throw new Error(`Failed to fetch stations: ${error.message}`);
     }
   }
 
   /**
-   * Calculate average for a specific pollutant for Tbilisi stations
-   * @param {string} pollutant - The pollutant name (PM10, PM2.5, NO2, O3, SO2, CO)
-   * @param {Object} options - Options for the calculation
-   * @returns {Promise<Object>} Average pollutant data for Tbilisi
-   */
-  async getTbilisiPollutantAverage(pollutant, options = {}) {
-    try {
-      console.log(`🔍 Calculating Tbilisi ${pollutant} average...`);
-      
-      // Validate pollutant
-      const validPollutants = ['PM10', 'PM2.5', 'NO2', 'O3', 'SO2', 'CO'];
-      if (!validPollutants.includes(pollutant.toUpperCase())) {
-        throw new Error(`Invalid pollutant: ${pollutant}. Must be one of: ${validPollutants.join(', ')}`);
-      }
-
-      const pollutantName = pollutant.toUpperCase();
-      
-      // Get data from all stations
-      const allData = await this.getLatestData({
-        stationCode: 'all',
-        hoursBack: options.hoursBack || 6
-      });
-
-      // Filter Tbilisi stations (stations that have "თბილისი" in their settlement name)
-      const tbilisiStations = allData.stations.filter(station => 
-        station.settlement.includes('თბილისი')
-      );
-
-      console.log(`📍 Found ${tbilisiStations.length} Tbilisi stations`);
-
-      // Extract pollutant data from each station
-      const pollutantData = [];
-      const stationDetails = [];
-
-      tbilisiStations.forEach(station => {
-        const substance = station.substances.find(s => s.name === pollutantName);
-        
-        if (substance && substance.latestValue !== null && substance.latestValue !== undefined) {
-          pollutantData.push(substance.latestValue);
-          stationDetails.push({
-            code: station.code,
-            settlement: station.settlement,
-            address: station.address,
-            pollutantValue: substance.latestValue,
-            timestamp: substance.latestTimestamp,
-            dataAge: substance.dataAge,
-            qualityLevel: substance.qualityLevel
-          });
-          console.log(`   ✅ ${station.code}: ${substance.latestValue.toFixed(2)} ${substance.unit_en || 'μg/m³'}`);
-        } else {
-          console.log(`   ❌ ${station.code}: No ${pollutantName} data available`);
-          stationDetails.push({
-            code: station.code,
-            settlement: station.settlement,
-            address: station.address,
-            pollutantValue: null,
-            timestamp: null,
-            dataAge: null,
-            qualityLevel: 'no_data'
-          });
-        }
-      });
-
-      if (pollutantData.length === 0) {
-        throw new Error(`No ${pollutantName} data available from any Tbilisi station`);
-      }
-
-      // Calculate average
-      const sum = pollutantData.reduce((acc, value) => acc + value, 0);
-      const average = sum / pollutantData.length;
-      const stationsWithData = pollutantData.length;
-      const totalStations = tbilisiStations.length;
-
-      // Determine overall quality level based on average and pollutant type
-      let averageQualityLevel = this.determineQualityLevel(pollutantName, average);
-
-      // Find the most recent timestamp among all stations
-      let mostRecentTimestamp = null;
-      let oldestDataAgeMinutes = 0;
-      
-      stationDetails.forEach(station => {
-        if (station.timestamp && station.dataAge) {
-          const stationTime = new Date(station.timestamp);
-          if (!mostRecentTimestamp || stationTime > mostRecentTimestamp) {
-            mostRecentTimestamp = stationTime;
-          }
-          if (station.dataAge.ageMinutes > oldestDataAgeMinutes) {
-            oldestDataAgeMinutes = station.dataAge.ageMinutes;
-          }
-        }
-      });
-
-      console.log(`📊 Average ${pollutantName}: ${average.toFixed(2)} μg/m³ (${averageQualityLevel})`);
-      console.log(`📈 Based on ${stationsWithData}/${totalStations} stations with data`);
-
-      return {
-        success: true,
-        timestamp: new Date().toISOString(),
-        currentGeorgiaTime: this.getCurrentGeorgiaTime().toLocaleString('en-US', {
-          timeZone: 'Asia/Tbilisi',
-          year: 'numeric',
-          month: 'short',
-          day: 'numeric',
-          hour: '2-digit',
-          minute: '2-digit',
-          hour12: true
-        }),
-        city: 'Tbilisi',
-        substance: pollutantName,
-        average: {
-          value: parseFloat(average.toFixed(2)),
-          unit: 'μg/m³',
-          qualityLevel: averageQualityLevel,
-          calculation: {
-            sum: parseFloat(sum.toFixed(2)),
-            stationsWithData: stationsWithData,
-            totalStations: totalStations,
-            formula: `${sum.toFixed(2)} ÷ ${stationsWithData} = ${average.toFixed(2)}`
-          }
-        },
-        stations: stationDetails,
-        dataFreshness: {
-          mostRecentTimestamp: mostRecentTimestamp?.toISOString(),
-          oldestDataAgeMinutes: oldestDataAgeMinutes,
-          note: oldestDataAgeMinutes > 60 ? 'Some station data may have processing delays' : null
-        },
-        requestOptions: options
-      };
-
-    } catch (error) {
-      console.error(`Error calculating Tbilisi ${pollutant} average:`, error);
-      throw new Error(`Failed to calculate Tbilisi ${pollutant} average: ${error.message}`);
-    }
-  }
-
-  /**
-   * Determine quality level based on pollutant type and value
-   * @param {string} pollutant - Pollutant name
-   * @param {number} value - Pollutant value
-   * @returns {string} Quality level
-   */
-  determineQualityLevel(pollutant, value) {
-    const thresholds = {
-      'PM10': { good: 20, fair: 35, moderate: 50, poor: 100 },
-      'PM2.5': { good: 12, fair: 25, moderate: 35, poor: 60 },
-      'NO2': { good: 40, fair: 70, moderate: 150, poor: 200 },
-      'O3': { good: 60, fair: 120, moderate: 180, poor: 240 },
-      'SO2': { good: 20, fair: 80, moderate: 250, poor: 350 },
-      'CO': { good: 4000, fair: 8000, moderate: 15000, poor: 30000 }
-    };
-
-    const levels = thresholds[pollutant];
-    if (!levels) return 'unknown';
-
-    if (value <= levels.good) return 'good';
-    if (value <= levels.fair) return 'fair';
-    if (value <= levels.moderate) return 'moderate';
-    if (value <= levels.poor) return 'poor';
-    return 'very_poor';
-  }
-
-  /**
-   * Calculate average PM2.5 for Tbilisi stations
-   * @param {Object} options - Options for the calculation
-   * @returns {Promise<Object>} Average PM2.5 data for Tbilisi
-   */
-  async getTbilisiPM25Average(options = {}) {
-    return this.getTbilisiPollutantAverage('PM2.5', options);
-  }
-
-  /**
-   * Calculate average PM10 for Tbilisi stations
-   * @param {Object} options - Options for the calculation
-   * @returns {Promise<Object>} Average PM10 data for Tbilisi
+   * List the cities in the registry
+   * @returns {Array} Registered cities with their settlement names
    */
-  async getTbilisiPM10Average(options = {}) {
-    return this.getTbilisiPollutantAverage('PM10', options);
+  getCities() {
+    return Object.keys(CITIES).map(key => this.resolveCity(key));
   }
 
   /**
-   * Calculate average NO2 for Tbilisi stations
-   * @param {Object} options - Options for the calculation
-   * @returns {Promise<Object>} Average NO2 data for Tbilisi
+   * Resolve a city by registry key or English/Georgian name.
+   * Unregistered names become an ad-hoc city matched against station settlements.
+   * @param {string} city - e.g. 'tbilisi', 'Kutaisi', 'ბათუმი', 'Telavi'
+   * @returns {Object} { key, name, name_ka, settlements, stations }
    */
-  async getTbilisiNO2Average(options = {}) {
-    return this.getTbilisiPollutantAverage('NO2', options);
-  }
-
-  /**
-   * Calculate average O3 for Tbilisi stations
-   * @param {Object} options - Options for the calculation
-   * @returns {Promise<Object>} Average O3 data for Tbilisi
-   */
-  async getTbilisiO3Average(options = {}) {
-    return this.getTbilisiPollutantAverage('O3', options);
-  }
-
-  /**
-   * Calculate average SO2 for Tbilisi stations
-   * @param {Object} options - Options for the calculation
-   * @returns {Promise<Object>} Average SO2 data for Tbilisi
-   */
-  async getTbilisiSO2Average(options = {}) {
-    return this.getTbilisiPollutantAverage('SO2', options);
-  }
-
-  /**
-   * Calculate average CO for Tbilisi stations
-   * @param {Object} options - Options for the calculation
-   * @returns {Promise<Object>} Average CO data for Tbilisi
-   */
-  async getTbilisiCOAverage(options = {}) {
-    return this.getTbilisiPollutantAverage('CO', options);
-  }
-
-  /**
-   * Get all pollutant averages for Tbilisi
-   * @param {Object} options - Options for the calculation
-   * @returns {Promise<Object>} All pollutant averages for Tbilisi
-   */
-  async getTbilisiAllPollutantsAverage(options = {}) {
-    try {
-      console.log('🔍 Calculating all pollutants averages for Tbilisi...');
-      
-      const pollutants = ['PM10', 'PM2.5', 'NO2', 'O3', 'SO2', 'CO'];
-      const results = {};
-      const errors = {};
-
-      for (const pollutant of pollutants) {
-        try {
-          const result = await this.getTbilisiPollutantAverage(pollutant, options);
-          results[pollutant] = result;
-        } catch (error) {
-          console.log(`⚠️ Failed to get ${pollutant} average: ${error.message}`);
-          errors[pollutant] = error.message;
-        }
-      }
-
-      return {
-        success: true,
-        timestamp: new Date().toISOString(),
-        currentGeorgiaTime: this.getCurrentGeorgiaTime().toLocaleString('en-US', {
-          timeZone: 'Asia/Tbilisi',
-          year: 'numeric',
-          month: 'short',
-          day: 'numeric',
-          hour: '2-digit',
-          minute: '2-digit',
-          hour12: true
-        }),
-        city: 'Tbilisi',
-        pollutantAverages: results,
-        errors: Object.keys(errors).length > 0 ? errors : undefined,
-        summary: {
-          totalPollutants: pollutants.length,
-          successfulCalculations: Object.keys(results).length,
-          failedCalculations: Object.keys(errors).length
-        }
-      };
-
-    } catch (error) {
-      console.error('Error calculating all pollutants averages:', error);
-      throw new Error(`Failed to calculate all pollutants averages: ${error.message}`);
+  resolveCity(city) {
+    const query = String(city ?? '').trim();
+    if (!query) {
+      throw this._clientError('City is required', 400);
     }
-  }
 
-  /**
-   * Generic method to calculate average for any pollutant for Kutaisi stations
-   * @param {string} pollutant - Pollutant name (PM10, PM2.5, NO2, O3, SO2, CO)
-   * @param {Object} options - Options for the calculation
-   * @returns {Promise<Object>} Average pollutant data for Kutaisi
-   */
-  async getKutaisiPollutantAverage(pollutant, options = {}) {
-    try {
-      console.log(`🔍 Calculating Kutaisi ${pollutant} average...`);
-      
-      // Validate pollutant
-      const validPollutants = ['PM10', 'PM2.5', 'NO2', 'O3', 'SO2', 'CO'];
-      if (!validPollutants.includes(pollutant.toUpperCase())) {
-        throw new Error(`Invalid pollutant: ${pollutant}. Must be one of: ${validPollutants.join(', ')}`);
-      }
-
-      const pollutantName = pollutant.toUpperCase();
-      
-      // Get data from all stations
-      const allData = await this.getLatestData({
-        stationCode: 'all',
-        hoursBack: options.hoursBack || 6
-      });
-
-      // Filter Kutaisi stations (stations that have "ქუთაისი" in their settlement name)
-      const kutaisiStations = allData.stations.filter(station => 
-        station.settlement.includes('ქუთაისი')
-      );
-
-      console.log(`📍 Found ${kutaisiStations.length} Kutaisi stations`);
-
-      // Extract pollutant data from each station
-      const pollutantData = [];
-      const stationDetails = [];
-
-      kutaisiStations.forEach(station => {
-        const substance = station.substances.find(s => s.name === pollutantName);
-        
-        if (substance && substance.latestValue !== null && substance.latestValue !== undefined) {
-          pollutantData.push(substance.latestValue);
-          stationDetails.push({
-            code: station.code,
-            settlement: station.settlement,
-            address: station.address,
-            pollutantValue: substance.latestValue,
-            timestamp: substance.latestTimestamp,
-            dataAge: substance.dataAge,
-            qualityLevel: substance.qualityLevel
-          });
-          console.log(`   ✅ ${station.code}: ${substance.latestValue.toFixed(2)} ${substance.unit_en || 'μg/m³'}`);
-        } else {
-          console.log(`   ❌ ${station.code}: No ${pollutantName} data available`);
-          stationDetails.push({
-            code: station.code,
-            settlement: station.settlement,
-            address: station.address,
-            pollutantValue: null,
-            timestamp: null,
-            dataAge: null,
-            qualityLevel: 'no_data'
-          });
-        }
-      });
-
-      if (pollutantData.length === 0) {
-        throw new Error(`No ${pollutantName} data available from any Kutaisi station`);
-      }
-
-      // Calculate average
-      const sum = pollutantData.reduce((acc, value) => acc + value, 0);
-      const average = sum / pollutantData.length;
-      const stationsWithData = pollutantData.length;
-      const totalStations = kutaisiStations.length;
-
-      // Determine overall quality level based on average and pollutant type
-      let averageQualityLevel = this.determineQualityLevel(pollutantName, average);
-
-      // Find the most recent timestamp among all stations
-      let mostRecentTimestamp = null;
-      let oldestDataAgeMinutes = 0;
-      
-      stationDetails.forEach(station => {
-        if (station.timestamp && station.dataAge) {
-          const stationTime = new Date(station.timestamp);
-          if (!mostRecentTimestamp || stationTime > mostRecentTimestamp) {
-            mostRecentTimestamp = stationTime;
-          }
-          if (station.dataAge.ageMinutes > oldestDataAgeMinutes) {
-            oldestDataAgeMinutes = station.dataAge.ageMinutes;
-          }
-        }
-      });
-
-      console.log(`📊 Average ${pollutantName}: ${average.toFixed(2)} μg/m³ (${averageQualityLevel})`);
-      console.log(`📈 Based on ${stationsWithData}/${totalStations} stations with data`);
-
-      return {
-        success: true,
-        timestamp: new Date().toISOString(),
-        currentGeorgiaTime: this.getCurrentGeorgiaTime().toLocaleString('en-US', {
-          timeZone: 'Asia/Tbilisi',
-          year: 'numeric',
-          month: 'short',
-          day: 'numeric',
-          hour: '2-digit',
-          minute: '2-digit',
-          hour12: true
-        }),
-        city: 'Kutaisi',
-        substance: pollutantName,
-        average: {
-          value: parseFloat(average.toFixed(2)),
-          unit: 'μg/m³',
-          qualityLevel: averageQualityLevel,
-          calculation: {
-            sum: parseFloat(sum.toFixed(2)),
-            stationsWithData: stationsWithData,
-            totalStations: totalStations,
-            formula: `${sum.toFixed(2)} ÷ ${stationsWithData} = ${average.toFixed(2)}`
-          }
-        },
-        stations: stationDetails,
-        dataFreshness: {
-          mostRecentTimestamp: mostRecentTimestamp?.toISOString(),
-          oldestDataAgeMinutes: oldestDataAgeMinutes,
-          note: oldestDataAgeMinutes > 60 ? 'Some station data may have processing delays' : null
-        },
-        requestOptions: options
-      };
+    const lower = query.toLowerCase();
+    const match = Object.entries(CITIES).find(([key, entry]) =>
+      key === lower || entry.name.toLowerCase() === lower || entry.name_ka === query
+    );
 
-    } catch (error) {
-      console.error(`Error calculating Kutaisi ${pollutant} average:`, error);
-      throw new Error(`Failed to calculate Kutaisi ${pollutant} average: ${error.message}`);
+    if (match) {
+      const [key, entry] = match;
+      return { key, ...entry };
     }
-  }
 
-  /**
-   * Calculate average PM2.5 for Kutaisi stations
-   * @param {Object} options - Options for the calculation
-   * @returns {Promise<Object>} Average PM2.5 data for Kutaisi
-   */
-  async getKutaisiPM25Average(options = {}) {
-    return this.getKutaisiPollutantAverage('PM2.5', options);
+    return { key: lower, name: query, name_ka: null, settlements: [query], stations: [] };
   }
 
   /**
-   * Calculate average PM10 for Kutaisi stations
-   * @param {Object} options - Options for the calculation
-   * @returns {Promise<Object>} Average PM10 data for Kutaisi
+   * Pick the stations that belong to a city
+   * @param {Object} city - Result of resolveCity
+   * @param {Array} stations - `stations` from getLatestData
+   * @returns {Array} Matching stations
    */
-  async getKutaisiPM10Average(options = {}) {
-    return this.getKutaisiPollutantAverage('PM10', options);
-  }
-
-  /**
-   * Calculate average NO2 for Kutaisi stations
-   * @param {Object} options - Options for the calculation
-   * @returns {Promise<Object>} Average NO2 data for Kutaisi
-   */
-  async getKutaisiNO2Average(options = {}) {
-    return this.getKutaisiPollutantAverage('NO2', options);
-  }
-
-  /**
-   * Calculate average O3 for Kutaisi stations
-   * @param {Object} options - Options for the calculation
-   * @returns {Promise<Object>} Average O3 data for Kutaisi
-   */
-  async getKutaisiO3Average(options = {}) {
-    return this.getKutaisiPollutantAverage('O3', options);
-  }
-
-  /**
-   * Calculate average SO2 for Kutaisi stations
-   * @param {Object} options - Options for the calculation
-   * @returns {Promise<Object>} Average SO2 data for Kutaisi
-   */
-  async getKutaisiSO2Average(options = {}) {
-    return this.getKutaisiPollutantAverage('SO2', options);
-  }
+  filterCityStations(city, stations) {
+    const codes = city.stations.map(code => code.toUpperCase());
 
-  /**
-   * Calculate average CO for Kutaisi stations
-   * @param {Object} options - Options for the calculation
-   * @returns {Promise<Object>} Average CO data for Kutaisi
-   */
-  async getKutaisiCOAverage(options = {}) {
-    return this.getKutaisiPollutantAverage('CO', options);
+    return stations.filter(station =>
+      codes.includes(String(station.code).toUpperCase()) ||
+      city.settlements.some(name =>
+        this._containsWord(station.settlement, name) || this._containsWord(station.settlement_en, name)
+      )
+    );
   }
 
   /**
-   * Get all pollutant averages for Kutaisi
-   * @param {Object} options - Options for the calculation
-   * @returns {Promise<Object>} All pollutant averages for Kutaisi
+   * Calculate the average of one pollutant over all stations of a city
+   * @param {string} city - Registry key, city name or any settlement name
+   * @param {string} pollutant - The pollutant name (PM10, PM2.5, NO2, O3, SO2, CO)
+   * @param {Object} options - Options for the calculation ({ hoursBack })
+   * @returns {Promise<Object>} Average pollutant data with station breakdown
    */
-  async getKutaisiAllPollutantsAverage(options = {}) {
-    try {
-      console.log('🔍 Calculating all pollutants averages for Kutaisi...');
-      
-      const pollutants = ['PM10', 'PM2.5', 'NO2', 'O3', 'SO2', 'CO'];
-      const results = {};
-      const errors = {};
-
-      for (const pollutant of pollutants) {
-        try {
-          const result = await this.getKutaisiPollutantAverage(pollutant, options);
-          results[pollutant] = result;
-        } catch (error) {
-          console.log(`⚠️ Failed to get ${pollutant} average: ${error.message}`);
-          errors[pollutant] = error.message;
-        }
-      }
+  async getCityPollutantAverage(city, pollutant, options = {}) {
+    const pollutantName = this.normalizePollutant(pollutant);
+    const { cityInfo, stations } = await this._fetchCityStations(city, options);
 
-      return {
-        success: true,
-        timestamp: new Date().toISOString(),
-        currentGeorgiaTime: this.getCurrentGeorgiaTime().toLocaleString('en-US', {
-          timeZone: 'Asia/Tbilisi',
-          year: 'numeric',
-          month: 'short',
-          day: 'numeric',
-          hour: '2-digit',
-          minute: '2-digit',
-          hour12: true
-        }),
-        city: 'Kutaisi',
-        pollutantAverages: results,
-        errors: Object.keys(errors).length > 0 ? errors : undefined,
-        summary: {
-          totalPollutants: pollutants.length,
-          successfulCalculations: Object.keys(results).length,
-          failedCalculations: Object.keys(errors).length
-        }
-      };
-
-    } catch (error) {
-      console.error('Error calculating all pollutants averages:', error);
-      throw new Error(`Failed to calculate all pollutants averages: ${error.message}`);
-    }
+    log.debug({ city: cityInfo.name, pollutant: pollutantName }, 'Calculating average');
+    return {
+      ...this._averagePollutant(cityInfo, stations, pollutantName, options),
+      ...this._cityIndex(stations, options.standard)
+    };
   }
 
   /**
-   * Generic method to calculate pollutant average for Batumi stations
-   * @param {string} substance - The pollutant substance (e.g., 'PM2.5', 'PM10', etc.)
-   * @param {Object} options - Query options
-   * @returns {Object} Average pollutant data with station breakdown
+   * Calculate averages for several pollutants from a single upstream request
+   * @param {string} city - Registry key, city name or any settlement name
+   * @param {Object} options - { pollutants, hoursBack }
+   * @returns {Promise<Object>} Averages keyed by pollutant
    */
-  async getBatumiPollutantAverage(substance, options = {}) {
-    const { hoursBack = 6 } = options;
-    
-    console.log(`🔍 Calculating Batumi ${substance} average...`);
-    
-    try {
-      // Get all data for the time period
-      const allData = await this.getLatestData({
-        stationCode: 'all',
-        hoursBack
-      });
+  async getCityAverages(city, options = {}) {
+    const { pollutants = POLLUTANTS, ...calculationOptions } = options;
+    const pollutantNames = [...new Set(pollutants.map(pollutant => this.normalizePollutant(pollutant)))];
+    const { cityInfo, stations } = await this._fetchCityStations(city, calculationOptions);
 
-      // Filter for Batumi stations (using Georgian text - must start with ქ.ბათუმი)
-      const batumiStations = allData.stations.filter(station => 
-        station.settlement.startsWith('ქ.ბათუმი')
-      );
-
-      console.log(`📍 Found ${batumiStations.length} Batumi stations`);
-
-      if (batumiStations.length === 0) {
-        throw new Error(`No Batumi monitoring stations found`);
-      }
+    log.debug({ city: cityInfo.name, pollutants: pollutantNames }, 'Calculating averages');
 
-      // Extract pollutant data from each station
-      const stationData = [];
-      let totalValue = 0;
-      let stationsWithData = 0;
-      let oldestDataAgeMinutes = 0;
-      let unit = '';
-
-      for (const station of batumiStations) {
-        // Find the specific substance data
-        const substanceData = station.substances?.find(s => 
-          s.name === substance || s.name === substance.replace('.', '.')
-        );
-
-        if (substanceData && substanceData.latestValue !== null && substanceData.latestValue !== undefined) {
-          const value = parseFloat(substanceData.latestValue);
-          
-          if (!isNaN(value)) {
-            totalValue += value;
-            stationsWithData++;
-            unit = substanceData.unit || 'μg/m³';
-            
-            // Calculate data age
-            const dataAge = this.calculateDataAge(substanceData.latestTimestamp);
-            oldestDataAgeMinutes = Math.max(oldestDataAgeMinutes, dataAge.ageMinutes);
-            
-            console.log(`   ✅ ${station.code}: ${value.toFixed(2)} ${unit}`);
-            
-            stationData.push({
-              code: station.code,
-              settlement: station.settlement,
-              address: station.address,
-              pollutantValue: value,
-              timestamp: substanceData.latestTimestamp,
-              dataAge,
-              qualityLevel: this.determineQualityLevel(substance, value)
-            });
-          } else {
-            console.log(`   ❌ ${station.code}: Invalid ${substance} data`);
-            stationData.push({
-              code: station.code,
-              settlement: station.settlement,
-              address: station.address,
-              pollutantValue: null,
-              timestamp: null,
-              dataAge: null,
-              qualityLevel: 'no_data'
-            });
-          }
-        } else {
-          console.log(`   ❌ ${station.code}: No ${substance} data available`);
-          stationData.push({
-            code: station.code,
-            settlement: station.settlement,
-            address: station.address,
-            pollutantValue: null,
-            timestamp: null,
-            dataAge: null,
-            qualityLevel: 'no_data'
-          });
-        }
-      }
+    const results = {};
+    const errors = {};
 
-      if (stationsWithData === 0) {
-        throw new Error(`No ${substance} data available from any Batumi station`);
+    for (const pollutant of pollutantNames) {
+      try {
+        results[pollutant] = this._averagePollutant(cityInfo, stations, pollutant, calculationOptions);
+      } catch (error) {
+        log.warn({ city: cityInfo.name, pollutant, err: error }, 'Failed to get average');
+        errors[pollutant] = error.message;
       }
-
-      // Calculate average
-      const averageValue = totalValue / stationsWithData;
-      const qualityLevel = this.determineQualityLevel(substance, averageValue);
-      
-      console.log(`📊 Average ${substance}: ${averageValue.toFixed(2)} ${unit} (${qualityLevel})`);
-      console.log(`📈 Based on ${stationsWithData}/${batumiStations.length} stations with data`);
-
-      return {
-        success: true,
-        timestamp: new Date().toISOString(),
-        currentGeorgiaTime: new Date().toLocaleString('en-US', { 
-          timeZone: 'Asia/Tbilisi',
-          year: 'numeric',
-          month: 'short', 
-          day: 'numeric',
-          hour: '2-digit',
-          minute: '2-digit'
-        }),
-        city: 'Batumi',
-        substance,
-        average: {
-          value: Math.round(averageValue * 100) / 100,
-          unit,
-          qualityLevel,
-          calculation: {
-            sum: Math.round(totalValue * 100) / 100,
-            stationsWithData,
-            totalStations: batumiStations.length,
-            formula: `${totalValue.toFixed(2)} ÷ ${stationsWithData} = ${averageValue.toFixed(2)}`
-          }
-        },
-        stations: stationData,
-        dataFreshness: {
-          mostRecentTimestamp: new Date(Date.now() - oldestDataAgeMinutes * 60000).toISOString(),
-          oldestDataAgeMinutes,
-          note: oldestDataAgeMinutes > 120 ? 'Some station data may have processing delays' : null
-        },
-        requestOptions: {
-          hoursBack
-        }
-      };
-
-    } catch (error) {
-      console.error(`Error calculating Batumi ${substance} average:`, error);
-      throw new Error(`Failed to calculate Batumi ${substance} average: ${error.message}`);
     }
-  }
 
-  /**
-   * Get Batumi PM10 average from all stations
-   * @param {Object} options - Query options
-   * @returns {Object} PM10 average data
-   */
-  async getBatumiPM10Average(options = {}) {
-    return this.getBatumiPollutantAverage('PM10', options);
+    return {
+      success: true,
+      timestamp: new Date().toISOString(),
+      currentGeorgiaTime: this._formatGeorgiaTime(),
+      city: cityInfo.name,
+      cityKey: cityInfo.key,
+      pollutantAverages: results,
+      errors: Object.keys(errors).length > 0 ? errors : undefined,
+      summary: {
+        totalPollutants: pollutantNames.length,
+        successfulCalculations: Object.keys(results).length,
+        failedCalculations: Object.keys(errors).length
+      },
+      ...this._cityIndex(stations, calculationOptions.standard)
+    };
   }
 
   /**
-   * Get Batumi PM2.5 average from all stations
-   * @param {Object} options - Query options
-   * @returns {Object} PM2.5 average data
+   * Fetch the latest data and keep the stations of one city
+   * @param {string} city
+   * @param {Object} options - { hoursBack, standard }
+   * @returns {Promise<Object>} { cityInfo, stations }
    */
-  async getBatumiPM25Average(options = {}) {
-    return this.getBatumiPollutantAverage('PM2.5', options);
-  }
+  async _fetchCityStations(city, options = {}) {
+    const cityInfo = this.resolveCity(city);
 
-  /**
-   * Get Batumi NO2 average from all stations
-   * @param {Object} options - Query options
-   * @returns {Object} NO2 average data
-   */
-  async getBatumiNO2Average(options = {}) {
-    return this.getBatumiPollutantAverage('NO2', options);
-  }
+    const allData = await this.getLatestData({
+      stationCode: 'all',
+      hoursBack: options.hoursBack || 6,
+      standard: options.standard
+    });
 
-  /**
-   * Get Batumi O3 average from all stations
-   * @param {Object} options - Query options
-   * @returns {Object} O3 average data
-   */
-  async getBatumiO3Average(options = {}) {
-    return this.getBatumiPollutantAverage('O3', options);
-  }
+    const stations = this.filterCityStations(cityInfo, allData.stations || []);
+    log.debug({ city: cityInfo.name, stations: stations.length }, 'Found city stations');
 
-  /**
-   * Get Batumi SO2 average from all stations
-   * @param {Object} options - Query options
-   * @returns {Object} SO2 average data
-   */
-  async getBatumiSO2Average(options = {}) {
-    return this.getBatumiPollutantAverage('SO2', options);
-  }
+    if (stations.length === 0) {
+      throw this._clientError(`No monitoring stations found for ${cityInfo.name}`, 404);
+    }
 
-  /**
-   * Get Batumi CO average from all stations
-   * @param {Object} options - Query options
-   * @returns {Object} CO average data
-   */
-  async getBatumiCOAverage(options = {}) {
-    return this.getBatumiPollutantAverage('CO', options);
+    return { cityInfo, stations };
   }
 
   /**
-   * Get comprehensive air quality report for all pollutants in Batumi
-   * @param {Object} options - Query options
-   * @returns {Object} Comprehensive air quality data for all pollutants
+   * City-wide index (from the hourly mean over all stations) plus each station's own index
+   * @param {Array} stations - Stations of the city, indexed by getLatestData
+   * @param {string} [standard] - Key of AQI_STANDARDS; nothing is added without it
+   * @returns {Object} { index, stationIndexes }
    */
-  async getBatumiAllPollutantsAverage(options = {}) {
-    console.log('🔍 Calculating all pollutants averages for Batumi...');
-    
-    const pollutants = ['PM10', 'PM2.5', 'NO2', 'O3', 'SO2', 'CO'];
-    const results = {};
-    const errors = {};
-    let successfulCalculations = 0;
-
-    for (const pollutant of pollutants) {
-      try {
-        const result = await this.getBatumiPollutantAverage(pollutant, options);
-        results[pollutant] = result;
-        successfulCalculations++;
-      } catch (error) {
-        console.error(`⚠️ Failed to get ${pollutant} average:`, error.message);
-        errors[pollutant] = error.message;
-      }
-    }
+  _cityIndex(stations, standard) {
+    if (!standard) return {};
 
     return {
-      success: true,
-      timestamp: new Date().toISOString(),
-      currentGeorgiaTime: new Date().toLocaleString('en-US', { 
-        timeZone: 'Asia/Tbilisi',
-        year: 'numeric',
-        month: 'short', 
-        day: 'numeric',
-        hour: '2-digit',
-        minute: '2-digit'
-      }),
-      city: 'Batumi',
-      pollutantAverages: results,
-      errors: Object.keys(errors).length > 0 ? errors : undefined,
-      summary: {
-        totalPollutants: pollutants.length,
-        successfulCalculations,
-        failedCalculations: pollutants.length - successfulCalculations
-      }
+      index: computeIndex(combinedSeries(stations), standard),
+      stationIndexes: stations.map(station => ({
+        code: station.code,
+        settlement: station.settlement,
+        index: station.index
+      }))
     };
   }
 
   /**
-   * Generic method to calculate pollutant average for Rustavi stations
-   * @param {string} substance - The pollutant substance (e.g., 'PM2.5', 'PM10', etc.)
-   * @param {Object} options - Query options
+   * Average the latest readings of one pollutant over the given stations
+   * @param {Object} cityInfo - Result of resolveCity
+   * @param {Array} stations - Stations of the city
+   * @param {string} pollutantName - Normalized pollutant name
+   * @param {Object} options - Echoed back as requestOptions
    * @returns {Object} Average pollutant data with station breakdown
    */
-  async getRustaviPollutantAverage(substance, options = {}) {
-    const { hoursBack = 6 } = options;
-    
-    console.log(`🔍 Calculating Rustavi ${substance} average...`);
-    
-    try {
-      // Get all data for the time period
-      const allData = await this.getLatestData({
-        stationCode: 'all',
-        hoursBack
-      });
-
-      // Filter for Rustavi stations (using Georgian text - starts with ქ.რუსთავი)
-      // Handle both formats: "ქ.რუსთავი - " and "ქ.რუსთავი-"
-      // Also handle BOM and other invisible characters by trimming
-      const rustaviStations = allData.stations.filter(station => {
-        const cleanSettlement = station.settlement.replace(/^\ufeff/, '').trim();
-        return cleanSettlement.startsWith('ქ.რუსთავი-') || 
-               cleanSettlement.startsWith('ქ.რუსთავი ');
-      });
-
-      console.log(`📍 Found ${rustaviStations.length} Rustavi stations`);
-
-      if (rustaviStations.length === 0) {
-        throw new Error(`No Rustavi monitoring stations found`);
+  _averagePollutant(cityInfo, stations, pollutantName, options) {
+    const pollutantData = [];
+    const stationDetails = [];
+    let unit = null;
+
+    stations.forEach(station => {
+      const substance = station.substances.find(s => s.name.toUpperCase() === pollutantName);
+      const value = substance ? parseFloat(substance.latestValue) : NaN;
+
+      if (!isNaN(value)) {
+        unit = unit || substance.unit_en;
+        pollutantData.push(value);
+        stationDetails.push({
+          code: station.code,
+          settlement: station.settlement,
+          address: station.address,
+          pollutantValue: value,
+          timestamp: substance.latestTimestamp,
+          dataAge: substance.dataAge,
+          qualityLevel: substance.qualityLevel
+        });
+        log.debug({ station: station.code, pollutant: pollutantName, value, unit: substance.unit_en || 'μg/m³' }, 'Station reading');
+      } else {
+        log.debug({ station: station.code, pollutant: pollutantName }, 'No data available');
+        stationDetails.push({
+          code: station.code,
+          settlement: station.settlement,
+          address: station.address,
+          pollutantValue: null,
+          timestamp: null,
+          dataAge: null,
+          qualityLevel: 'no_data'
+        });
       }
+    });
 
-      // Extract pollutant data from each station
-      const stationData = [];
-      let totalValue = 0;
-      let stationsWithData = 0;
-      let oldestDataAgeMinutes = 0;
-      let unit = '';
-
-      for (const station of rustaviStations) {
-        // Find the specific substance data
-        const substanceData = station.substances?.find(s => 
-          s.name === substance || s.name === substance.replace('.', '.')
-        );
-
-        if (substanceData && substanceData.latestValue !== null && substanceData.latestValue !== undefined) {
-          const value = parseFloat(substanceData.latestValue);
-          
-          if (!isNaN(value)) {
-            totalValue += value;
-            stationsWithData++;
-            unit = substanceData.unit || 'μg/m³';
-            
-            // Calculate data age
-            const dataAge = this.calculateDataAge(substanceData.latestTimestamp);
-            oldestDataAgeMinutes = Math.max(oldestDataAgeMinutes, dataAge.ageMinutes);
-            
-            console.log(`   ✅ ${station.code}: ${value.toFixed(2)} ${unit}`);
-            
-            stationData.push({
-              code: station.code,
-              settlement: station.settlement,
-              address: station.address,
-              pollutantValue: value,
-              timestamp: substanceData.latestTimestamp,
-              dataAge,
-              qualityLevel: this.determineQualityLevel(substance, value)
-            });
-          } else {
-            console.log(`   ❌ ${station.code}: Invalid ${substance} data`);
-            stationData.push({
-              code: station.code,
-              settlement: station.settlement,
-              address: station.address,
-              pollutantValue: null,
-              timestamp: null,
-              dataAge: null,
-              qualityLevel: 'no_data'
-            });
-          }
-        } else {
-          console.log(`   ❌ ${station.code}: No ${substance} data available`);
-          stationData.push({
-            code: station.code,
-            settlement: station.settlement,
-            address: station.address,
-            pollutantValue: null,
-            timestamp: null,
-            dataAge: null,
-            qualityLevel: 'no_data'
-          });
-        }
-      }
+    if (pollutantData.length === 0) {
+      throw this._clientError(`No ${pollutantName} data available from any ${cityInfo.name} station`, 404);
+    }
 
-      if (stationsWithData === 0) {
-        throw new Error(`No ${substance} data available from any Rustavi station`);
+    // Calculate average
+    const sum = pollutantData.reduce((acc, value) => acc + value, 0);
+    const average = sum / pollutantData.length;
+    const stationsWithData = pollutantData.length;
+    const totalStations = stations.length;
+    const averageQualityLevel = this.determineQualityLevel(pollutantName, average);
+
+    // Find the most recent timestamp among all stations
+    let mostRecentTimestamp = null;
+    let oldestDataAgeMinutes = 0;
+
+    stationDetails.forEach(station => {
+      if (station.timestamp && station.dataAge) {
+        const stationTime = new Date(station.timestamp);
+        if (!mostRecentTimestamp || stationTime > mostRecentTimestamp) {
+          mostRecentTimestamp = stationTime;
+        }
+        if (station.dataAge.ageMinutes > oldestDataAgeMinutes) {
+          oldestDataAgeMinutes = station.dataAge.ageMinutes;
+        }
       }
+    });
 
-      // Calculate average
-      const averageValue = totalValue / stationsWithData;
-      const qualityLevel = this.determineQualityLevel(substance, averageValue);
-      
-      console.log(`📊 Average ${substance}: ${averageValue.toFixed(2)} ${unit} (${qualityLevel})`);
-      console.log(`📈 Based on ${stationsWithData}/${rustaviStations.length} stations with data`);
+    log.info({
+      city: cityInfo.name,
+      pollutant: pollutantName,
+      average: Number(average.toFixed(2)),
+      unit: unit || 'μg/m³',
+      qualityLevel: averageQualityLevel,
+      stationsWithData,
+      totalStations
+    }, 'City average calculated');
 
-      return {
-        success: true,
-        timestamp: new Date().toISOString(),
-        currentGeorgiaTime: new Date().toLocaleString('en-US', { 
-          timeZone: 'Asia/Tbilisi',
-          year: 'numeric',
-          month: 'short', 
-          day: 'numeric',
-          hour: '2-digit',
-          minute: '2-digit'
-        }),
-        city: 'Rustavi',
-        substance,
-        average: {
-          value: Math.round(averageValue * 100) / 100,
-          unit,
-          qualityLevel,
-          calculation: {
-            sum: Math.round(totalValue * 100) / 100,
-            stationsWithData,
-            totalStations: rustaviStations.length,
-            formula: `${totalValue.toFixed(2)} ÷ ${stationsWithData} = ${averageValue.toFixed(2)}`
-          }
-        },
-        stations: stationData,
-        dataFreshness: {
-          mostRecentTimestamp: new Date(Date.now() - oldestDataAgeMinutes * 60000).toISOString(),
-          oldestDataAgeMinutes,
-          note: oldestDataAgeMinutes > 120 ? 'Some station data may have processing delays' : null
-        },
-        requestOptions: {
-          hoursBack
+    return {
+      success: true,
+      timestamp: new Date().toISOString(),
+      currentGeorgiaTime: this._formatGeorgiaTime(),
+      city: cityInfo.name,
+      substance: pollutantName,
+      average: {
+        value: parseFloat(average.toFixed(2)),
+        unit: unit || 'μg/m³',
+        qualityLevel: averageQualityLevel,
+        calculation: {
+          sum: parseFloat(sum.toFixed(2)),
+          stationsWithData: stationsWithData,
+          totalStations: totalStations,
+          formula: `${sum.toFixed(2)} ÷ ${stationsWithData} = ${average.toFixed(2)}`
         }
-      };
-
-    } catch (error) {
-      console.error(`Error calculating Rustavi ${substance} average:`, error);
-      throw new Error(`Failed to calculate Rustavi ${substance} average: ${error.message}`);
-    }
+      },
+      stations: stationDetails,
+      dataFreshness: {
+        mostRecentTimestamp: mostRecentTimestamp?.toISOString(),
+        oldestDataAgeMinutes: oldestDataAgeMinutes,
+        note: oldestDataAgeMinutes > 60 ? 'Some station data may have processing delays' : null
+      },
+      requestOptions: options
+    };
   }
 
   /**
-   * Get Rustavi PM10 average from all stations
-   * @param {Object} options - Query options
-   * @returns {Object} PM10 average data
+   * Validate a pollutant name and return its canonical form
+   * @param {string} pollutant
+   * @returns {string}
    */
-  async getRustaviPM10Average(options = {}) {
-    return this.getRustaviPollutantAverage('PM10', options);
+  normalizePollutant(pollutant) {
+    const pollutantName = String(pollutant ?? '').trim().toUpperCase();
+    if (!POLLUTANTS.includes(pollutantName)) {
+      throw this._clientError(`Invalid pollutant: ${pollutant}. Must be one of: ${POLLUTANTS.join(', ')}`, 400);
+    }
+    return pollutantName;
   }
 
   /**
-   * Get Rustavi PM2.5 average from all stations
-   * @param {Object} options - Query options
-   * @returns {Object} PM2.5 average data
+   * Whether `text` contains `word` not directly preceded or followed by a letter
+   * (so "რუსთავი" does not match "რუსთაველის გამზ.")
+   * @param {string} text - Settlement name
+   * @param {string} word
+   * @returns {boolean}
    */
-  async getRustaviPM25Average(options = {}) {
-    return this.getRustaviPollutantAverage('PM2.5', options);
-  }
+  _containsWord(text, word) {
+    if (!text || !word) return false;
 
-  /**
-   * Get Rustavi NO2 average from all stations
-   * @param {Object} options - Query options
-   * @returns {Object} NO2 average data
-   */
-  async getRustaviNO2Average(options = {}) {
-    return this.getRustaviPollutantAverage('NO2', options);
-  }
+    const haystack = text.replace(/^\ufeff/, '').toLowerCase();
+    const needle = word.toLowerCase();
+    const isLetter = char => char !== undefined && /\p{L}/u.test(char);
 
-  /**
-   * Get Rustavi O3 average from all stations
-   * @param {Object} options - Query options
-   * @returns {Object} O3 average data
-   */
-  async getRustaviO3Average(options = {}) {
-    return this.getRustaviPollutantAverage('O3', options);
+    for (let index = haystack.indexOf(needle); index !== -1; index = haystack.indexOf(needle, index + 1)) {
+      if (!isLetter(haystack[index - 1]) && !isLetter(haystack[index + needle.length])) {
+        return true;
+      }
+    }
+    return false;
   }
 
   /**
-   * Get Rustavi SO2 average from all stations
-   * @param {Object} options - Query options
-   * @returns {Object} SO2 average data
+   * Current Georgia time in the display format used by the responses
+   * @returns {string}
    */
-  async getRustaviSO2Average(options = {}) {
-    return this.getRustaviPollutantAverage('SO2', options);
+  _formatGeorgiaTime() {
+    return this.getCurrentGeorgiaTime().toLocaleString('en-US', {
+      timeZone: 'Asia/Tbilisi',
+      year: 'numeric',
+      month: 'short',
+      day: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+      hour12: true
+    });
   }
 
   /**
-   * Get Rustavi CO average from all stations
-   * @param {Object} options - Query options
-   * @returns {Object} CO average data
+   * Error with an HTTP status for the controller
+   * @param {string} message
+   * @param {number} statusCode
+   * @returns {Error}
    */
-  async getRustaviCOAverage(options = {}) {
-    return this.getRustaviPollutantAverage('CO', options);
+  _clientError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
   }
 
   /**
-   * Get comprehensive air quality report for all pollutants in Rustavi
-   * @param {Object} options - Query options
-   * @returns {Object} Comprehensive air quality data for all pollutants
+   * Determine quality level based on pollutant type and value
+   * @param {string} pollutant - Pollutant name
+   * @param {number} value - Pollutant value
+   * @returns {string} Quality level
    */
-  async getRustaviAllPollutantsAverage(options = {}) {
-    console.log('🔍 Calculating all pollutants averages for Rustavi...');
-    
-    const pollutants = ['PM10', 'PM2.5', 'NO2', 'O3', 'SO2', 'CO'];
-    const results = {};
-    const errors = {};
-    let successfulCalculations = 0;
+  determineQualityLevel(pollutant, value) {
+    const thresholds = {
+      'PM10': { good: 20, fair: 35, moderate: 50, poor: 100 },
+      'PM2.5': { good: 12, fair: 25, moderate: 35, poor: 60 },
+      'NO2': { good: 40, fair: 70, moderate: 150, poor: 200 },
+      'O3': { good: 60, fair: 120, moderate: 180, poor: 240 },
+      'SO2': { good: 20, fair: 80, moderate: 250, poor: 350 },
+      'CO': { good: 4000, fair: 8000, moderate: 15000, poor: 30000 }
+    };
 
-    for (const pollutant of pollutants) {
-      try {
-        const result = await this.getRustaviPollutantAverage(pollutant, options);
-        results[pollutant] = result;
-        successfulCalculations++;
-      } catch (error) {
-        console.error(`⚠️ Failed to get ${pollutant} average:`, error.message);
-        errors[pollutant] = error.message;
-      }
-    }
+    const levels = thresholds[pollutant];
+    if (!levels) return 'unknown';
 
-    return {
-      success: true,
-      timestamp: new Date().toISOString(),
-      currentGeorgiaTime: new Date().toLocaleString('en-US', { 
-        timeZone: 'Asia/Tbilisi',
-        year: 'numeric',
-        month: 'short', 
-        day: 'numeric',
-        hour: '2-digit',
-        minute: '2-digit'
-      }),
-      city: 'Rustavi',
-      pollutantAverages: results,
-      errors: Object.keys(errors).length > 0 ? errors : undefined,
-      summary: {
-        totalPollutants: pollutants.length,
-        successfulCalculations,
-        failedCalculations: pollutants.length - successfulCalculations
-      }
-    };
+    if (value <= levels.good) return 'good';
+    if (value <= levels.fair) return 'fair';
+    if (value <= levels.moderate) return 'moderate';
+    if (value <= levels.poor) return 'poor';
+    return 'very_poor';
   }
 }
 
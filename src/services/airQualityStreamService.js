@@ -0,0 +1,339 @@
+/**
+ * Air Quality Stream Service
+ * Server-Sent Events for /api/air-quality/stream. One shared poller fetches
+ * air.gov.ge while at least one client is connected and pushes what changed:
+ *
+ *   snapshot → latest reading per station and substance (sent on connect)
+ *   reading  → a station reported a new hourly value
+ *   quality  → the quality level of a station/substance changed
+ *   upstream_error → the poll failed; clients keep their last data
+ *
+ * Every client gets its own filter (stations, city, substances), so any number of
+ * dashboards costs one upstream request per interval. Under PM2 every worker with
+ * clients runs the poller, but with Redis connected only the worker that claims an
+ * interval fetches; it publishes the readings on a Redis channel, and the other
+ * workers push them to their own clients.
+ */
+import { randomUUID } from 'crypto';
+import { config } from '../config/index.js';
+import airQualityService from './airQualityService.js';
+import redisService from './redisService.js';
+import logger, { requestContext } from '../utils/logger.js';
+
+const log = logger.child({ component: 'air-quality-stream' });
+
+const POLL_CLAIM = 'air-quality-stream:poll';
+const CHANNEL = 'air-quality-stream:readings';
+const LATEST_KEY = 'air-quality-stream:latest';
+// Reconnect delay for EventSource after a dropped connection, not the poll interval
+const RETRY_MS = 3000;
+
+export class AirQualityStreamService {
+  constructor() {
+    this.clients = new Set();
+    this.readings = null; // Map "STATION|SUBSTANCE" → reading
+    this.pollTimer = null;
+    this.heartbeatTimer = null;
+    this.polling = null;
+    this.lastPoll = null;
+    this.eventId = 0;
+    this.nextClientId = 1;
+    this.subscription = null; // Promise of the unsubscribe function
+    this.origin = randomUUID(); // tells this worker's messages apart on the channel
+  }
+
+  /**
+   * Attach an SSE client; the response stays open until the client disconnects
+   * @param {Request} req
+   * @param {Response} res
+   * @param {Object} filter - { stations: string[], city: Object|null, substances: string[] }
+   */
+  subscribe(req, res, filter) {
+    if (this.clients.size >= config.airQualityStream.maxClients) {
+      const error = new Error(`Too many stream clients (max ${config.airQualityStream.maxClients})`);
+      error.statusCode = 503;
+      throw error;
+    }
+
+    res.set({
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.flushHeaders();
+    res.write(`retry: ${RETRY_MS}\n\n`);
+
+    const client = { id: this.nextClientId++, res, filter };
+    this.clients.add(client);
+    log.info({ client: client.id, open: this.clients.size }, 'Stream client connected');
+
+    req.on('close', () => {
+      this.clients.delete(client);
+      log.info({ client: client.id, open: this.clients.size }, 'Stream client disconnected');
+      if (this.clients.size === 0) this._stopPolling();
+    });
+
+    if (this.readings) {
+      this._sendSnapshot(client);
+    }
+    // The shared poller outlives this request; keep its logs out of the request's context
+    requestContext.exit(() => this._startPolling());
+  }
+
+  /**
+   * Fetch the latest data once, notify this worker's clients of changes and publish the
+   * result to the other workers
+   * @returns {Promise<void>}
+   */
+  async poll() {
+    if (this.polling) return this.polling;
+
+    this.polling = (async () => {
+      let result;
+      try {
+        const latest = await airQualityService.getLatestData({
+          stationCode: 'all',
+          hoursBack: config.airQualityStream.lookbackHours
+        });
+        const readings = this._collectReadings(latest.stations || []);
+        result = { polledAt: new Date().toISOString(), readings: [...readings] };
+      } catch (error) {
+        log.error({ err: error }, 'Air quality stream poll failed');
+        result = { polledAt: new Date().toISOString(), error: error.message };
+      }
+
+      this._apply(result);
+      await this._publish(result);
+    })().finally(() => {
+      this.polling = null;
+    });
+
+    return this.polling;
+  }
+
+  /**
+   * Stream status for health checks
+   * @returns {Object}
+   */
+  getStatus() {
+    return {
+      clients: this.clients.size,
+      polling: Boolean(this.pollTimer),
+      intervalSeconds: config.airQualityStream.intervalSeconds,
+      lastPoll: this.lastPoll
+    };
+  }
+
+  /**
+   * Start the shared poller and heartbeat if they are not running
+   */
+  _startPolling() {
+    if (this.pollTimer) return;
+
+    // Polls of the other workers arrive on the channel
+    this.subscription = redisService.subscribe(CHANNEL, message => this._receive(message));
+    this._tick();
+    this.pollTimer = setInterval(() => this._tick(), config.airQualityStream.intervalSeconds * 1000);
+    this.pollTimer.unref();
+
+    // Comments keep proxies from closing idle connections
+    this.heartbeatTimer = setInterval(() => {
+      this.clients.forEach(client => this._write(client, ': ping\n\n'));
+    }, config.airQualityStream.heartbeatSeconds * 1000);
+    this.heartbeatTimer.unref();
+  }
+
+  /**
+   * Stop polling once the last client has gone; the next client starts from a fresh snapshot
+   */
+  _stopPolling() {
+    clearInterval(this.pollTimer);
+    clearInterval(this.heartbeatTimer);
+    this.pollTimer = null;
+    this.heartbeatTimer = null;
+    this.readings = null;
+    this.subscription?.then(unsubscribe => unsubscribe?.());
+    this.subscription = null;
+  }
+
+  /**
+   * Poll unless another worker claimed this interval; a worker without readings yet
+   * starts from the last published poll instead of waiting for the next one
+   * @returns {Promise<void>}
+   */
+  async _tick() {
+    const intervalMs = config.airQualityStream.intervalSeconds * 1000;
+    if (await redisService.claimRun(POLL_CLAIM, intervalMs - 1000)) {
+      return this.poll();
+    }
+
+    const latest = !this.readings && await redisService.get(LATEST_KEY);
+    if (latest) this._receive(latest, { own: true });
+  }
+
+  /**
+   * Share a poll result with the other workers, and keep the last good one for workers
+   * that start streaming later
+   * @param {Object} result - { polledAt, readings?, error? }
+   * @returns {Promise<void>}
+   */
+  async _publish(result) {
+    const message = JSON.stringify({ origin: this.origin, ...result });
+    await redisService.publish(CHANNEL, message);
+    if (!result.error) {
+      await redisService.setex(LATEST_KEY, 2 * config.airQualityStream.intervalSeconds, message);
+    }
+  }
+
+  /**
+   * Apply a poll result from the channel; this worker's own results were applied already
+   * @param {string} message
+   * @param {Object} options - { own: also apply results of this worker }
+   */
+  _receive(message, { own = false } = {}) {
+    let result;
+    try {
+      result = JSON.parse(message);
+    } catch {
+      return;
+    }
+    if (own || result.origin !== this.origin) this._apply(result);
+  }
+
+  /**
+   * Update the readings from a poll result and notify clients of changes
+   * @param {Object} result - { polledAt, readings: [[key, reading]] } or { polledAt, error }
+   */
+  _apply(result) {
+    if (this.clients.size === 0) return;
+
+    if (result.error) {
+      this.lastPoll = { polledAt: result.polledAt, error: result.error };
+      this.clients.forEach(client => this._send(client, 'upstream_error', { message: result.error }));
+      return;
+    }
+
+    const readings = new Map(result.readings);
+    const isFirst = !this.readings;
+    const previous = this.readings || new Map();
+    this.readings = readings;
+    this.lastPoll = { polledAt: result.polledAt, readings: readings.size, error: null };
+
+    if (isFirst) {
+      this.clients.forEach(client => this._sendSnapshot(client));
+      return;
+    }
+
+    let changes = 0;
+    for (const [key, reading] of readings) {
+      const before = previous.get(key);
+      if (!before || reading.timestamp > before.timestamp) {
+        changes++;
+        this._broadcast('reading', reading, {
+          ...reading,
+          previous: before ? { value: before.value, timestamp: before.timestamp } : null
+        });
+      }
+      if (before && before.qualityLevel !== reading.qualityLevel) {
+        this._broadcast('quality', reading, {
+          station: reading.station,
+          substance: reading.substance,
+          from: before.qualityLevel,
+          to: reading.qualityLevel,
+          value: reading.value,
+          timestamp: reading.timestamp
+        });
+      }
+    }
+
+    if (changes > 0) {
+      log.info({ readings: changes, clients: this.clients.size }, 'Pushed new readings to stream clients');
+    }
+  }
+
+  /**
+   * Latest reading per station and substance
+   * @param {Array} stations - `stations` from getLatestData
+   * @returns {Map}
+   */
+  _collectReadings(stations) {
+    const readings = new Map();
+
+    for (const station of stations) {
+      for (const substance of station.substances) {
+        if (substance.latestValue === null || substance.latestValue === undefined) continue;
+
+        readings.set(`${station.code}|${substance.name}`, {
+          station: {
+            code: station.code,
+            settlement: station.settlement,
+            settlement_en: station.settlement_en,
+            address: station.address
+          },
+          substance: substance.name,
+          value: substance.latestValue,
+          unit: substance.unit_en || substance.unit_ge,
+          timestamp: substance.latestTimestamp,
+          qualityLevel: substance.qualityLevel
+        });
+      }
+    }
+
+    return readings;
+  }
+
+  /**
+   * Send the current readings that match a client's filter
+   * @param {Object} client
+   */
+  _sendSnapshot(client) {
+    const readings = [...this.readings.values()].filter(reading => this._matches(client.filter, reading));
+    this._send(client, 'snapshot', { polledAt: this.lastPoll?.polledAt, readings });
+  }
+
+  /**
+   * Send an event to every client whose filter matches the reading
+   * @param {string} event
+   * @param {Object} reading - Used for filtering
+   * @param {Object} data - Event payload
+   */
+  _broadcast(event, reading, data) {
+    this.clients.forEach(client => {
+      if (this._matches(client.filter, reading)) this._send(client, event, data);
+    });
+  }
+
+  /**
+   * @param {Object} filter
+   * @param {Object} reading
+   * @returns {boolean}
+   */
+  _matches(filter, reading) {
+    if (filter.substances.length > 0 && !filter.substances.includes(reading.substance.toUpperCase())) return false;
+    if (filter.stations.length > 0 && !filter.stations.includes(String(reading.station.code).toUpperCase())) return false;
+    if (filter.city && airQualityService.filterCityStations(filter.city, [reading.station]).length === 0) return false;
+    return true;
+  }
+
+  /**
+   * @param {Object} client
+   * @param {string} event
+   * @param {Object} data
+   */
+  _send(client, event, data) {
+    this._write(client, `id: ${++this.eventId}\nevent: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  /**
+   * Write and flush past the compression middleware
+   * @param {Object} client
+   * @param {string} chunk
+   */
+  _write(client, chunk) {
+    client.res.write(chunk);
+    client.res.flush?.();
+  }
+}
+
+export default new AirQualityStreamService();
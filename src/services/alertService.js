@@ -0,0 +1,530 @@
+/**
+ * Alert Service
+ * Threshold rules on air quality readings, evaluated on a schedule, with webhook
+ * notifications when a rule fires or recovers.
+ *
+ * A rule watches one pollutant for a city (hourly mean over its stations) or a
+ * single station, e.g. "PM2.5 in Tbilisi > 35 μg/m³ for 2 consecutive hours".
+ * Each rule keeps a state (ok | firing): a firing rule does not notify again until
+ * it recovers, and `cooldownMinutes` limits how often it may fire.
+ *
+ * Rules and their state are stored in one JSON file (config.alerts.file), shared by
+ * all PM2 workers and reloaded on every read. With Redis connected, writes hold the
+ * lock `alerts:rules` and evaluations the lock `alerts:run`, so workers do not
+ * overwrite each other's changes and a manual evaluation never overlaps a scheduled
+ * one (which would notify twice); only the worker that claims a scheduled run
+ * evaluates it. Without Redis, writes and evaluations are serialized per process only.
+ */
+import crypto from 'crypto';
+import fsp from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { config } from '../config/index.js';
+import airQualityService from './airQualityService.js';
+import redisService from './redisService.js';
+import { combinedSeries } from '../utils/airQualityIndex.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ component: 'alerts' });
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const OPERATORS = {
+  '>': (value, threshold) => value > threshold,
+  '>=': (value, threshold) => value >= threshold,
+  '<': (value, threshold) => value < threshold,
+  '<=': (value, threshold) => value <= threshold
+};
+const MAX_FOR_HOURS = 24;
+const HOUR_MS = 60 * 60 * 1000;
+const SCHEDULE_LOCK = 'alerts:evaluate';
+const RUN_LOCK = 'alerts:run';
+const RUN_LOCK_TTL_MS = 10 * 60 * 1000;
+const RULES_LOCK = 'alerts:rules';
+const RULES_LOCK_TTL_MS = 10 * 1000;
+const RULES_LOCK_WAIT_MS = 5 * 1000;
+const EDITABLE_FIELDS = ['name', 'city', 'station', 'pollutant', 'operator', 'threshold', 'forHours', 'cooldownMinutes', 'webhooks', 'secret', 'enabled'];
+
+export class AlertService {
+  constructor() {
+    this.file = path.resolve(__dirname, '../..', config.alerts.file);
+    this.rules = null; // last rules read from the file, for getStatus()
+    this.timer = null;
+    this.evaluating = null;
+    this.lastRun = null;
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Evaluate once and then every `intervalMinutes`
+   */
+  start() {
+    if (!config.alerts.enabled || this.timer) return;
+
+    const intervalMs = config.alerts.intervalMinutes * 60 * 1000;
+
+    // One worker per interval; failures are logged and kept in lastRun
+    const run = async () => {
+      if (!await redisService.claimRun(SCHEDULE_LOCK, intervalMs - 1000)) return;
+      await this.evaluate().catch(() => {});
+    };
+    run();
+    this.timer = setInterval(run, intervalMs);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop the scheduler
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * All rules
+   * @returns {Promise<Array>}
+   */
+  async listRules() {
+    const rules = await this._loadRules();
+    return rules.map(rule => this._publicRule(rule));
+  }
+
+  /**
+   * One rule by ID
+   * @param {string} id
+   * @returns {Promise<Object>}
+   */
+  async getRule(id) {
+    return this._publicRule(this._findRule(await this._loadRules(), id));
+  }
+
+  /**
+   * Validate and store a new rule
+   * @param {Object} input - Rule fields (see README)
+   * @returns {Promise<Object>}
+   */
+  async createRule(input = {}) {
+    const now = new Date().toISOString();
+    const rule = {
+      id: crypto.randomUUID(),
+      ...this._validateRule(input),
+      createdAt: now,
+      updatedAt: now,
+      state: { status: 'ok', since: now }
+    };
+
+    await this._updateRules(rules => {
+      rules.push(rule);
+    });
+    log.info({ rule: rule.id, name: rule.name }, 'Alert rule created');
+    return this._publicRule(rule);
+  }
+
+  /**
+   * Update a rule; omitted fields keep their values
+   * @param {string} id
+   * @param {Object} input
+   * @returns {Promise<Object>}
+   */
+  async updateRule(id, input = {}) {
+    return this._updateRules(rules => {
+      const rule = this._findRule(rules, id);
+      const merged = Object.fromEntries(EDITABLE_FIELDS.map(field => [field, field in input ? input[field] : rule[field]]));
+
+      // Switching target type drops the other one
+      if ('city' in input && input.city) merged.station = undefined;
+      if ('station' in input && input.station) merged.city = undefined;
+
+      const validated = this._validateRule(merged);
+      const targetChanged = ['city', 'station', 'pollutant', 'operator', 'threshold', 'forHours']
+        .some(field => validated[field] !== rule[field]);
+
+      EDITABLE_FIELDS.forEach(field => delete rule[field]);
+      Object.assign(rule, validated, { updatedAt: new Date().toISOString() });
+      if (targetChanged) {
+        rule.state = { status: 'ok', since: rule.updatedAt };
+      }
+
+      return this._publicRule(rule);
+    });
+  }
+
+  /**
+   * Delete a rule
+   * @param {string} id
+   * @returns {Promise<Object>} The deleted rule
+   */
+  async deleteRule(id) {
+    const rule = await this._updateRules(rules => {
+      const found = this._findRule(rules, id);
+      rules.splice(rules.indexOf(found), 1);
+      return found;
+    });
+    log.info({ rule: rule.id, name: rule.name }, 'Alert rule deleted');
+    return this._publicRule(rule);
+  }
+
+  /**
+   * Evaluate all enabled rules against the latest air.gov.ge data; fails with 409
+   * while another worker is evaluating
+   * @returns {Promise<Object>} - { evaluatedAt, rules: [{ id, name, status, event, value }] }
+   */
+  async evaluate() {
+    if (this.evaluating) return this.evaluating;
+
+    this.evaluating = (async () => {
+      const token = await redisService.acquireLock(RUN_LOCK, RUN_LOCK_TTL_MS);
+      if (redisService.isConnected() && !token) {
+        throw this._clientError('Alert evaluation in progress on another worker', 409);
+      }
+
+      try {
+        const rules = (await this._loadRules()).filter(rule => rule.enabled);
+        const results = [];
+
+        if (rules.length > 0) {
+          const latest = await airQualityService.getLatestData({
+            stationCode: 'all',
+            hoursBack: Math.max(...rules.map(rule => rule.forHours)) + 3
+          });
+
+          for (const rule of rules) {
+            results.push(await this._evaluateRule(rule, latest.stations || []));
+          }
+          await this._saveStates(rules);
+        }
+
+        this.lastRun = { evaluatedAt: new Date().toISOString(), rules: results.length, error: null };
+        return { evaluatedAt: this.lastRun.evaluatedAt, rules: results };
+      } catch (error) {
+        this.lastRun = { evaluatedAt: new Date().toISOString(), error: error.message };
+        log.error({ err: error }, 'Alert evaluation failed');
+        throw error;
+      } finally {
+        if (token) await redisService.releaseLock(RUN_LOCK, token);
+      }
+    })().finally(() => {
+      this.evaluating = null;
+    });
+
+    return this.evaluating;
+  }
+
+  /**
+   * Scheduler status for health checks
+   * @returns {Object}
+   */
+  getStatus() {
+    return {
+      enabled: config.alerts.enabled,
+      running: Boolean(this.timer),
+      intervalMinutes: config.alerts.intervalMinutes,
+      rules: this.rules?.length ?? null,
+      firing: this.rules?.filter(rule => rule.state.status === 'firing').length ?? null,
+      lastRun: this.lastRun
+    };
+  }
+
+  /**
+   * Update one rule's state and send notifications on transitions
+   * @param {Object} rule
+   * @param {Array} stations - `stations` from getLatestData
+   * @returns {Promise<Object>}
+   */
+  async _evaluateRule(rule, stations) {
+    const now = new Date();
+    const values = this._hourlyValues(rule, stations).slice(-rule.forHours);
+    const state = rule.state;
+    const latest = values[values.length - 1] || null;
+    let event = null;
+
+    state.lastEvaluatedAt = now.toISOString();
+    state.lastValue = latest;
+
+    const complete = values.length === rule.forHours && this._consecutive(values);
+    const breaching = complete && values.every(({ value }) => OPERATORS[rule.operator](value, rule.threshold));
+
+    if (state.status === 'ok' && breaching) {
+      const cooling = state.lastFiredAt && now - new Date(state.lastFiredAt) < rule.cooldownMinutes * 60 * 1000;
+      if (cooling) {
+        log.info({ rule: rule.id, name: rule.name }, 'Alert breached during cooldown, not notifying');
+      } else {
+        event = 'alert.fired';
+        Object.assign(state, { status: 'firing', since: now.toISOString(), lastFiredAt: now.toISOString() });
+      }
+    } else if (state.status === 'firing' && latest && !OPERATORS[rule.operator](latest.value, rule.threshold)) {
+      event = 'alert.recovered';
+      Object.assign(state, { status: 'ok', since: now.toISOString() });
+    }
+
+    if (event) {
+      log.info({ rule: rule.id, event }, this._describe(rule, latest));
+      state.lastDelivery = await this._notify(rule, event, values, now);
+    }
+
+    return { id: rule.id, name: rule.name, status: state.status, event, value: latest };
+  }
+
+  /**
+   * Hourly values the rule watches, oldest first
+   * @param {Object} rule
+   * @param {Array} stations
+   * @returns {Array} - [{ hour, value }] in μg/m³
+   */
+  _hourlyValues(rule, stations) {
+    const matched = rule.city
+      ? airQualityService.filterCityStations(airQualityService.resolveCity(rule.city), stations)
+      : stations.filter(station => String(station.code).toUpperCase() === rule.station.toUpperCase());
+
+    const series = combinedSeries(matched)[rule.pollutant];
+    if (!series) return [];
+
+    return series.readings
+      .map(({ timestamp, value }) => ({ hour: timestamp, value: Math.round(value * 100) / 100 }))
+      .sort((a, b) => a.hour.localeCompare(b.hour));
+  }
+
+  /**
+   * Whether hourly values have no gaps
+   * @param {Array} values - [{ hour }]
+   * @returns {boolean}
+   */
+  _consecutive(values) {
+    return values.every((entry, i) => i === 0 || Date.parse(entry.hour) - Date.parse(values[i - 1].hour) === HOUR_MS);
+  }
+
+  /**
+   * POST the event to every webhook of the rule
+   * @param {Object} rule
+   * @param {string} event - 'alert.fired' | 'alert.recovered'
+   * @param {Array} values - Hourly values that were evaluated
+   * @param {Date} now
+   * @returns {Promise<Array>} - [{ url, status, error }]
+   */
+  async _notify(rule, event, values, now) {
+    const latest = values[values.length - 1] || null;
+    const body = JSON.stringify({
+      event,
+      rule: this._publicRule(rule),
+      value: latest?.value ?? null,
+      unit: 'μg/m³',
+      values,
+      message: this._describe(rule, latest),
+      sentAt: now.toISOString()
+    });
+
+    const headers = { 'Content-Type': 'application/json', 'User-Agent': 'pcaxis-server-alerts' };
+    if (rule.secret) {
+      headers['X-Alert-Signature'] = `sha256=${crypto.createHmac('sha256', rule.secret).update(body).digest('hex')}`;
+    }
+
+    return Promise.all(rule.webhooks.map(async url => {
+      try {
+        const response = await fetch(url, {
+          method: 'POST',
+          headers,
+          body,
+          signal: AbortSignal.timeout(config.alerts.webhookTimeoutMs)
+        });
+        if (!response.ok) {
+          log.error({ url, status: response.status }, 'Webhook responded with an error');
+        }
+        return { url, status: response.status, error: response.ok ? null : `HTTP ${response.status}` };
+      } catch (error) {
+        log.error({ url, err: error }, 'Webhook failed');
+        return { url, status: null, error: error.message };
+      }
+    }));
+  }
+
+  /**
+   * Human-readable summary, e.g. "PM2.5 in Tbilisi is 41.2 μg/m³ (rule: > 35 for 2 h)"
+   * @param {Object} rule
+   * @param {Object|null} latest - { hour, value }
+   * @returns {string}
+   */
+  _describe(rule, latest) {
+    const target = rule.city ? airQualityService.resolveCity(rule.city).name : `station ${rule.station}`;
+    const value = latest ? `${latest.value} μg/m³ at ${latest.hour}` : 'no data';
+    return `${rule.pollutant} in ${target} is ${value} (rule: ${rule.operator} ${rule.threshold} for ${rule.forHours} h)`;
+  }
+
+  /**
+   * Check rule fields and fill in defaults
+   * @param {Object} input
+   * @returns {Object} Normalized rule fields
+   */
+  _validateRule(input) {
+    if (!input || typeof input !== 'object') {
+      throw this._clientError('Rule must be a JSON object', 400);
+    }
+
+    const { city, station } = input;
+    if (Boolean(city) === Boolean(station)) {
+      throw this._clientError('Set exactly one of "city" or "station"', 400);
+    }
+    if ((city && typeof city !== 'string') || (station && typeof station !== 'string')) {
+      throw this._clientError('"city" and "station" must be strings', 400);
+    }
+
+    let pollutant;
+    try {
+      pollutant = airQualityService.normalizePollutant(input.pollutant);
+    } catch (error) {
+      throw this._clientError(error.message, 400);
+    }
+
+    const operator = input.operator ?? '>';
+    if (!OPERATORS[operator]) {
+      throw this._clientError(`Invalid operator: ${operator}. Must be one of: ${Object.keys(OPERATORS).join(', ')}`, 400);
+    }
+
+    const threshold = Number(input.threshold);
+    if (input.threshold === null || input.threshold === '' || !Number.isFinite(threshold)) {
+      throw this._clientError('"threshold" must be a number (μg/m³)', 400);
+    }
+
+    const forHours = Number(input.forHours ?? 1);
+    if (!Number.isInteger(forHours) || forHours < 1 || forHours > MAX_FOR_HOURS) {
+      throw this._clientError(`"forHours" must be a whole number from 1 to ${MAX_FOR_HOURS}`, 400);
+    }
+
+    const cooldownMinutes = Number(input.cooldownMinutes ?? 60);
+    if (!Number.isFinite(cooldownMinutes) || cooldownMinutes < 0) {
+      throw this._clientError('"cooldownMinutes" must be zero or more', 400);
+    }
+
+    const webhooks = [].concat(input.webhooks ?? []);
+    if (webhooks.length === 0) {
+      throw this._clientError('At least one webhook URL is required', 400);
+    }
+    webhooks.forEach(url => {
+      let parsed;
+      try {
+        parsed = new URL(url);
+      } catch {
+        parsed = null;
+      }
+      if (!parsed || !['http:', 'https:'].includes(parsed.protocol)) {
+        throw this._clientError(`Invalid webhook URL: ${url}`, 400);
+      }
+    });
+
+    if (input.secret !== undefined && input.secret !== null && typeof input.secret !== 'string') {
+      throw this._clientError('"secret" must be a string', 400);
+    }
+
+    const target = city ? airQualityService.resolveCity(city).name : station.toUpperCase();
+
+    return {
+      name: input.name ? String(input.name) : `${pollutant} ${target} ${operator} ${threshold}`,
+      city: city ? airQualityService.resolveCity(city).key : undefined,
+      station: station ? station.toUpperCase() : undefined,
+      pollutant,
+      operator,
+      threshold,
+      forHours,
+      cooldownMinutes,
+      webhooks,
+      secret: input.secret || undefined,
+      enabled: input.enabled === undefined ? true : Boolean(input.enabled)
+    };
+  }
+
+  /**
+   * Rule as returned by the API (without the webhook secret)
+   * @param {Object} rule
+   * @returns {Object}
+   */
+  _publicRule(rule) {
+    const { secret, ...rest } = rule;
+    return { ...rest, hasSecret: Boolean(secret) };
+  }
+
+  /**
+   * @param {Array} rules
+   * @param {string} id
+   * @returns {Object}
+   */
+  _findRule(rules, id) {
+    const rule = rules.find(entry => entry.id === id);
+    if (!rule) {
+      throw this._clientError(`Alert rule not found: ${id}`, 404);
+    }
+    return rule;
+  }
+
+  /**
+   * Rules from disk; read on every call, since other workers write the same file
+   * @returns {Promise<Array>}
+   */
+  async _loadRules() {
+    try {
+      this.rules = JSON.parse(await fsp.readFile(this.file, 'utf8')).rules || [];
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this.rules = [];
+    }
+    return this.rules;
+  }
+
+  /**
+   * Read, change and write the rules; changes are queued so they never interleave, and
+   * hold the Redis lock `alerts:rules` so they do not interleave with other workers'
+   * @param {Function} change - (rules) => result; may mutate `rules`, throws to abort
+   * @returns {Promise<*>} What `change` returned
+   */
+  async _updateRules(change) {
+    const update = this.writing.catch(() => {}).then(async () => {
+      const token = await redisService.waitForLock(RULES_LOCK, RULES_LOCK_TTL_MS, RULES_LOCK_WAIT_MS);
+      if (redisService.isConnected() && !token) {
+        throw this._clientError('Alert rules are being changed by another worker, try again', 503);
+      }
+
+      try {
+        const rules = await this._loadRules();
+        const result = change(rules);
+        await fsp.mkdir(path.dirname(this.file), { recursive: true });
+        const tmp = `${this.file}.${process.pid}.tmp`;
+        await fsp.writeFile(tmp, JSON.stringify({ rules }, null, 2));
+        await fsp.rename(tmp, this.file);
+        return result;
+      } finally {
+        if (token) await redisService.releaseLock(RULES_LOCK, token);
+      }
+    });
+    this.writing = update;
+    return update;
+  }
+
+  /**
+   * Store the states from an evaluation; rules deleted or edited meanwhile keep theirs
+   * @param {Array} evaluated - Rules that were evaluated, with their new state
+   * @returns {Promise<void>}
+   */
+  async _saveStates(evaluated) {
+    const byId = new Map(evaluated.map(rule => [rule.id, rule]));
+    await this._updateRules(rules => {
+      rules.forEach(rule => {
+        const result = byId.get(rule.id);
+        if (result && result.updatedAt === rule.updatedAt) rule.state = result.state;
+      });
+    });
+  }
+
+  /**
+   * Error with an HTTP status for the controller
+   * @param {string} message
+   * @param {number} statusCode
+   * @returns {Error}
+   */
+  _clientError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+export default new AlertService();
@@ -0,0 +1,360 @@
+/**
+ * API Key Service
+ * API keys with roles (public < partner < admin) and optional per-key limits.
+ *
+ * Keys are stored hashed (SHA-256); the plaintext is shown once, when the key is created.
+ * The store is a JSON file (config.auth.file) or the Redis hash `auth:keys`
+ * (config.auth.store = 'redis'). Both are re-read every `reloadSeconds`, so keys created
+ * by another process (e.g. `npm run keys`) are picked up without a restart. Changes to
+ * the file hold the Redis lock `auth:keys:file` when Redis is connected, so PM2 workers
+ * and the script do not overwrite each other's keys.
+ * ADMIN_API_KEY adds an admin key that lives only in the environment.
+ */
+import crypto from 'crypto';
+import fsp from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { config } from '../config/index.js';
+import redisService from './redisService.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ component: 'auth' });
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+export const ROLES = ['public', 'partner', 'admin'];
+const REDIS_KEY = 'auth:keys';
+const ENV_ADMIN_ID = 'env-admin';
+const FILE_LOCK = 'auth:keys:file';
+const FILE_LOCK_TTL_MS = 10 * 1000;
+const FILE_LOCK_WAIT_MS = 5 * 1000;
+
+/**
+ * Whether a role includes another (admin includes partner and public)
+ * @param {string} role - Role of the caller
+ * @param {string} required - Role the route needs
+ * @returns {boolean}
+ */
+export function hasRole(role, required) {
+  return ROLES.indexOf(role) >= ROLES.indexOf(required);
+}
+
+export class ApiKeyService {
+  constructor() {
+    this.file = path.resolve(__dirname, '../..', config.auth.file);
+    this.keys = null;
+    this.loadedAt = 0;
+    this.fileMtime = null;
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * Key record for a plaintext key
+   * @param {string} rawKey
+   * @returns {Promise<Object|null>} - Public key record, null if unknown
+   */
+  async authenticate(rawKey) {
+    if (!rawKey) return null;
+
+    if (config.auth.adminKey && this._safeEqual(rawKey, config.auth.adminKey)) {
+      return this._envAdmin();
+    }
+
+    const hash = this._hash(rawKey);
+    const record = (await this._loadKeys()).find(entry => this._safeEqual(entry.keyHash, hash));
+    return record ? this._publicKey(record) : null;
+  }
+
+  /**
+   * All keys (without hashes)
+   * @returns {Promise<Array>}
+   */
+  async listKeys() {
+    const keys = (await this._loadKeys()).map(record => this._publicKey(record));
+    return config.auth.adminKey ? [this._envAdmin(), ...keys] : keys;
+  }
+
+  /**
+   * One key by ID
+   * @param {string} id
+   * @returns {Promise<Object>}
+   */
+  async getKey(id) {
+    if (id === ENV_ADMIN_ID && config.auth.adminKey) return this._envAdmin();
+    return this._publicKey(await this._findKey(id));
+  }
+
+  /**
+   * Create a key
+   * @param {Object} input - { name, role = 'public', limits: { perMinute, perDay } }
+   * @returns {Promise<Object>} - Key record with the plaintext `key` (shown only once)
+   */
+  async createKey(input = {}) {
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    const role = input.role || 'public';
+
+    if (!name) {
+      throw this._clientError('name is required', 400);
+    }
+    if (!ROLES.includes(role)) {
+      throw this._clientError(`role must be one of: ${ROLES.join(', ')}`, 400);
+    }
+
+    const key = `gsk_${crypto.randomBytes(24).toString('base64url')}`;
+    const record = {
+      id: `key_${crypto.randomBytes(6).toString('hex')}`,
+      name,
+      role,
+      prefix: key.slice(0, 10),
+      keyHash: this._hash(key),
+      ...(input.limits && { limits: this._validateLimits(input.limits) }),
+      createdAt: new Date().toISOString()
+    };
+
+    await this._saveKey(record);
+    log.info({ keyId: record.id, name: record.name, role: record.role }, 'API key created');
+    return { ...this._publicKey(record), key };
+  }
+
+  /**
+   * Delete a key
+   * @param {string} id
+   * @returns {Promise<Object>} The deleted key
+   */
+  async deleteKey(id) {
+    if (id === ENV_ADMIN_ID) {
+      throw this._clientError('The ADMIN_API_KEY key is configured in the environment and cannot be deleted', 400);
+    }
+
+    const record = await this._deleteStoredKey(id);
+    log.info({ keyId: record.id, name: record.name }, 'API key deleted');
+    return this._publicKey(record);
+  }
+
+  /**
+   * Rate limit and daily quota of a key: its own limits, else those of its role
+   * @param {Object} apiKey - Key record (role, limits)
+   * @returns {Object} - { perMinute, perDay }, 0 = unlimited
+   */
+  limitsFor(apiKey) {
+    return { ...config.auth.limits[apiKey.role], ...apiKey.limits };
+  }
+
+  /**
+   * Store summary for /api/health/status
+   * @returns {Object}
+   */
+  getStatus() {
+    return {
+      enabled: config.auth.enabled,
+      requireKey: config.auth.requireKey,
+      store: config.auth.store,
+      keys: this.keys ? this.keys.length : null,
+      adminKeyConfigured: Boolean(config.auth.adminKey),
+      limits: config.auth.limits
+    };
+  }
+
+  /**
+   * Keys from the store, re-read every `reloadSeconds`
+   * @param {boolean} force - Re-read now (before changing the store)
+   * @returns {Promise<Array>}
+   */
+  async _loadKeys(force = false) {
+    const stale = Date.now() - this.loadedAt > config.auth.reloadSeconds * 1000;
+    if (this.keys && !stale && !force) return this.keys;
+
+    if (config.auth.store === 'redis') {
+      const stored = await redisService.hGetAll(REDIS_KEY);
+      if (stored) {
+        this.keys = Object.values(stored).map(value => JSON.parse(value));
+        this.loadedAt = Date.now();
+      } else if (force) {
+        throw this._clientError('Redis is unavailable; API keys cannot be changed', 503);
+      }
+      // Redis not connected yet: keep the last snapshot and try again next time
+      this.keys ||= [];
+      return this.keys;
+    }
+
+    try {
+      const { mtimeMs } = await fsp.stat(this.file);
+      if (!this.keys || mtimeMs !== this.fileMtime) {
+        this.keys = JSON.parse(await fsp.readFile(this.file, 'utf8')).keys || [];
+        this.fileMtime = mtimeMs;
+      }
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      this.keys = [];
+      this.fileMtime = null;
+    }
+    this.loadedAt = Date.now();
+    return this.keys;
+  }
+
+  /**
+   * Persist a new key
+   * @param {Object} record
+   * @returns {Promise<void>}
+   */
+  async _saveKey(record) {
+    if (config.auth.store === 'redis') {
+      if (!await redisService.hSet(REDIS_KEY, record.id, JSON.stringify(record))) {
+        throw this._clientError('Redis is unavailable; API keys cannot be changed', 503);
+      }
+      await this._loadKeys(true);
+      return;
+    }
+    await this._updateFile(keys => {
+      keys.push(record);
+    });
+  }
+
+  /**
+   * Remove a key from the store
+   * @param {string} id
+   * @returns {Promise<Object>} The removed key record
+   */
+  async _deleteStoredKey(id) {
+    if (config.auth.store === 'redis') {
+      const record = this._findIn(await this._loadKeys(true), id);
+      if (!await redisService.hDel(REDIS_KEY, record.id)) {
+        throw this._clientError('Redis is unavailable; API keys cannot be changed', 503);
+      }
+      await this._loadKeys(true);
+      return record;
+    }
+    return this._updateFile(keys => {
+      const record = this._findIn(keys, id);
+      keys.splice(keys.indexOf(record), 1);
+      return record;
+    });
+  }
+
+  /**
+   * Read, change and write the keys file; changes are queued so they never interleave,
+   * and hold the Redis lock `auth:keys:file` so they do not interleave with other processes'
+   * @param {Function} change - (keys) => result; may mutate `keys`, throws to abort
+   * @returns {Promise<*>} What `change` returned
+   */
+  async _updateFile(change) {
+    const update = this.writing.catch(() => {}).then(async () => {
+      const token = await redisService.waitForLock(FILE_LOCK, FILE_LOCK_TTL_MS, FILE_LOCK_WAIT_MS);
+      if (redisService.isConnected() && !token) {
+        throw this._clientError('API keys are being changed by another process, try again', 503);
+      }
+
+      try {
+        // Re-read even if the modification time looks unchanged
+        this.fileMtime = null;
+        const keys = await this._loadKeys(true);
+        const result = change(keys);
+        await fsp.mkdir(path.dirname(this.file), { recursive: true });
+        const tmp = `${this.file}.${process.pid}.tmp`;
+        await fsp.writeFile(tmp, JSON.stringify({ keys }, null, 2), { mode: 0o600 });
+        await fsp.rename(tmp, this.file);
+        this.fileMtime = (await fsp.stat(this.file)).mtimeMs;
+        return result;
+      } finally {
+        if (token) await redisService.releaseLock(FILE_LOCK, token);
+      }
+    });
+    this.writing = update;
+    return update;
+  }
+
+  /**
+   * @param {string} id
+   * @returns {Promise<Object>}
+   */
+  async _findKey(id) {
+    return this._findIn(await this._loadKeys(), id);
+  }
+
+  /**
+   * @param {Array} keys
+   * @param {string} id
+   * @returns {Object}
+   */
+  _findIn(keys, id) {
+    const record = keys.find(entry => entry.id === id);
+    if (!record) {
+      throw this._clientError(`API key not found: ${id}`, 404);
+    }
+    return record;
+  }
+
+  /**
+   * @param {Object} limits - { perMinute, perDay }
+   * @returns {Object}
+   */
+  _validateLimits(limits) {
+    if (typeof limits !== 'object' || Array.isArray(limits)) {
+      throw this._clientError('limits must be an object with perMinute and/or perDay', 400);
+    }
+
+    const validated = {};
+    for (const field of ['perMinute', 'perDay']) {
+      if (limits[field] === undefined) continue;
+      const value = Number(limits[field]);
+      if (!Number.isInteger(value) || value < 0) {
+        throw this._clientError(`limits.${field} must be a non-negative integer (0 = unlimited)`, 400);
+      }
+      validated[field] = value;
+    }
+    return validated;
+  }
+
+  /**
+   * The ADMIN_API_KEY key
+   * @returns {Object}
+   */
+  _envAdmin() {
+    return { id: ENV_ADMIN_ID, name: 'ADMIN_API_KEY', role: 'admin', source: 'env' };
+  }
+
+  /**
+   * Key as returned by the API (without the hash)
+   * @param {Object} record
+   * @returns {Object}
+   */
+  _publicKey(record) {
+    const { keyHash, ...rest } = record;
+    return rest;
+  }
+
+  /**
+   * @param {string} value
+   * @returns {string}
+   */
+  _hash(value) {
+    return crypto.createHash('sha256').update(value).digest('hex');
+  }
+
+  /**
+   * Constant-time string comparison
+   * @param {string} a
+   * @param {string} b
+   * @returns {boolean}
+   */
+  _safeEqual(a, b) {
+    const left = Buffer.from(String(a));
+    const right = Buffer.from(String(b));
+    return left.length === right.length && crypto.timingSafeEqual(left, right);
+  }
+
+  /**
+   * Error with an HTTP status for the controller
+   * @param {string} message
+   * @param {number} statusCode
+   * @returns {Error}
+   */
+  _clientError(message, statusCode) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+export default new ApiKeyService();
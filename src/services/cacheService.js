@@ -0,0 +1,142 @@
+/**
+ * Cache Service
+ * Stale-while-revalidate on top of Redis for responses built from upstream data.
+ *
+ * Entries are stored as { storedAt, value } and kept for `staleTtl` seconds:
+ *   age < freshTtl   → HIT, served as is
+ *   age >= freshTtl  → STALE, served immediately while one background request refreshes it;
+ *                      when the upstream is down the stale copy keeps being served
+ *   no entry         → MISS, loaded synchronously (errors reach the caller)
+ */
+import { config } from '../config/index.js';
+import redisService from './redisService.js';
+import { cacheResponses } from '../utils/metrics.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ component: 'cache' });
+
+// Key prefixes of cached responses. Everything else in Redis (locks, schedule claims,
+// API keys, rate-limit counters, worker metrics) is coordination state, not cache
+export const CACHE_PREFIXES = ['data:', 'metadata:', 'px:', 'table:', 'graphql:'];
+
+export class CacheService {
+  constructor() {
+    this.freshTtl = config.cache.freshTtlSeconds;
+    this.staleTtl = config.cache.staleTtlSeconds;
+    this.revalidating = new Map(); // key → Promise
+  }
+
+  /**
+   * Read a cached value or load it
+   * @param {string} key
+   * @param {Function} loader - async () => value (JSON-serialisable)
+   * @returns {Promise<Object>} - { value, status: 'HIT'|'STALE'|'MISS', age, stale }
+   */
+  async get(key, loader) {
+    const entry = await this._read(key);
+
+    if (entry) {
+      const age = Math.max(0, Math.floor((Date.now() - entry.storedAt) / 1000));
+      if (age < this.freshTtl) {
+        cacheResponses.inc({ status: 'hit' });
+        return { value: entry.value, status: 'HIT', age, stale: false };
+      }
+
+      this._revalidate(key, loader);
+      cacheResponses.inc({ status: 'stale' });
+      return { value: entry.value, status: 'STALE', age, stale: true };
+    }
+
+    cacheResponses.inc({ status: 'miss' });
+    const value = await loader();
+    await this._write(key, value);
+    return { value, status: 'MISS', age: 0, stale: false };
+  }
+
+  /**
+   * Load and store an entry unless it stays fresh for at least `minFreshSeconds` more
+   * @param {string} key
+   * @param {Function} loader - async () => value
+   * @param {number} minFreshSeconds
+   * @returns {Promise<string>} - 'fresh' (left as is) or 'refreshed'
+   */
+  async warm(key, loader, minFreshSeconds = 0) {
+    const entry = await this._read(key);
+    if (entry && this.freshTtl - (Date.now() - entry.storedAt) / 1000 > minFreshSeconds) {
+      return 'fresh';
+    }
+
+    await this._write(key, await loader());
+    return 'refreshed';
+  }
+
+  /**
+   * Set X-Cache and Age response headers
+   * @param {Response} res
+   * @param {Object} cache - Result of get()
+   */
+  setHeaders(res, cache) {
+    res.set({ 'X-Cache': cache.status, 'Age': String(cache.age) });
+  }
+
+  /**
+   * Refresh an entry in the background; one request per key at a time
+   * @param {string} key
+   * @param {Function} loader
+   */
+  _revalidate(key, loader) {
+    if (this.revalidating.has(key)) return;
+
+    const refresh = (async () => {
+      try {
+        await this._write(key, await loader());
+      } catch (error) {
+        log.warn({ key, err: error }, 'Revalidation failed, serving stale copy');
+      } finally {
+        this.revalidating.delete(key);
+      }
+    })();
+
+    this.revalidating.set(key, refresh);
+  }
+
+  /**
+   * Delete cached responses, all of them or those of one dataset
+   * @param {string} [datasetId]
+   * @returns {Promise<number>} Keys deleted
+   */
+  async clear(datasetId = null) {
+    let deleted = 0;
+    for (const prefix of CACHE_PREFIXES) {
+      deleted += await redisService.flushByPattern(datasetId ? `${prefix}${datasetId}:*` : `${prefix}*`);
+    }
+    return deleted;
+  }
+
+  /**
+   * @param {string} key
+   * @returns {Promise<Object|null>} - { storedAt, value }
+   */
+  async _read(key) {
+    const raw = await redisService.get(key);
+    if (!raw) return null;
+
+    try {
+      const entry = JSON.parse(raw);
+      // Entries written before stale-while-revalidate have no storedAt
+      return typeof entry?.storedAt === 'number' ? entry : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * @param {string} key
+   * @param {*} value
+   */
+  async _write(key, value) {
+    await redisService.setex(key, this.staleTtl, JSON.stringify({ storedAt: Date.now(), value }));
+  }
+}
+
+export default new CacheService();
@@ -0,0 +1,222 @@
+/**
+ * Cache Warmer Service
+ * Walks DATASETS and fills the response cache with `/data` and `/metadata` in ka and en,
+ * so visitors after a deploy or a cache clear do not wait on geostat.ge.
+ *
+ * Runs shortly after startup, every `intervalMinutes`, after POST /api/health/cache/clear
+ * and on POST /api/health/cache/warm. Entries that stay fresh until the next scheduled
+ * run are skipped, except `/metadata` of datasets whose variable labels search has not
+ * recorded yet (see SearchService). Upstream load is bounded by `concurrency` and `maxRequestsPerMinute`;
+ * HTTP 429 from PXWeb pauses the run for `rateLimitBackoffSeconds` and retries once.
+ *
+ * The cache is shared by all PM2 workers, so a run holds a Redis lock and scheduled runs
+ * are claimed per interval: one worker warms at a time.
+ */
+import { config } from '../config/index.js';
+import { DATASETS } from '../config/datasets.js';
+import cacheService from './cacheService.js';
+import datasetService from './datasetService.js';
+import pxFileService from './pxFileService.js';
+import redisService from './redisService.js';
+import searchService from './searchService.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ component: 'cache-warmer' });
+
+const LANGUAGES = ['ka', 'en'];
+const REQUESTS_PER_TASK = 2; // PXWeb metadata + data (shared by /metadata and /data)
+const MAX_REPORTED_FAILURES = 50;
+const RUN_LOCK = 'cache-warmer:run';
+const SCHEDULE_LOCK = 'cache-warmer:schedule';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+export class CacheWarmerService {
+  constructor() {
+    this.startTimer = null;
+    this.timer = null;
+    this.running = null; // Promise of the current run
+    this.progress = null; // current or last run
+    this.nextSlot = 0; // earliest start of the next upstream task (ms)
+    this.pausedUntil = 0;
+  }
+
+  /**
+   * Warm once after `startupDelaySeconds`, then every `intervalMinutes`
+   */
+  start() {
+    if (!config.cacheWarmer.enabled || this.timer) return;
+
+    const intervalMs = config.cacheWarmer.intervalMinutes * 60 * 1000;
+    const run = async trigger => {
+      if (await redisService.claimRun(SCHEDULE_LOCK, intervalMs - 1000)) await this.warm({ trigger });
+    };
+
+    this.startTimer = setTimeout(() => run('startup'), config.cacheWarmer.startupDelaySeconds * 1000);
+    this.startTimer.unref();
+
+    this.timer = setInterval(() => run('schedule'), intervalMs);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop scheduled runs (a run in progress finishes)
+   */
+  stop() {
+    clearTimeout(this.startTimer);
+    clearInterval(this.timer);
+    this.startTimer = null;
+    this.timer = null;
+  }
+
+  /**
+   * Start a run in the background unless one is in progress on any worker
+   * @param {Object} options - { trigger, datasets: ids (default all), force: refresh fresh entries too }
+   * @returns {Promise<Object>} - { started, status, reason? }
+   */
+  async warm({ trigger = 'manual', datasets = null, force = false } = {}) {
+    if (this.running) {
+      return { started: false, status: this.getStatus() };
+    }
+    if (!redisService.isConnected()) {
+      log.warn({ trigger }, 'Cache warming skipped: Redis unavailable');
+      return { started: false, status: this.getStatus(), reason: 'Redis unavailable — nothing to warm' };
+    }
+
+    const ids = datasets || Object.keys(DATASETS);
+    const unknown = ids.filter(id => !DATASETS[id]);
+    if (unknown.length) {
+      const error = new Error(`Unknown dataset(s): ${unknown.join(', ')}`);
+      error.statusCode = 400;
+      throw error;
+    }
+
+    // Held for the run; expires after an interval in case the worker dies
+    const token = await redisService.acquireLock(RUN_LOCK, config.cacheWarmer.intervalMinutes * 60 * 1000);
+    if (!token) {
+      log.info({ trigger }, 'Cache warming skipped: another worker is warming');
+      return { started: false, status: this.getStatus(), reason: 'Cache warming in progress on another worker' };
+    }
+
+    this.running = this._run(ids, trigger, force)
+      .catch(error => log.error({ trigger, err: error }, 'Cache warming failed'))
+      .finally(() => {
+        this.running = null;
+        return redisService.releaseLock(RUN_LOCK, token);
+      });
+
+    return { started: true, status: this.getStatus() };
+  }
+
+  /**
+   * Warmer status and progress for /api/health/cache/warm
+   * @returns {Object}
+   */
+  getStatus() {
+    return {
+      enabled: config.cacheWarmer.enabled,
+      running: Boolean(this.running),
+      intervalMinutes: config.cacheWarmer.intervalMinutes,
+      concurrency: config.cacheWarmer.concurrency,
+      maxRequestsPerMinute: config.cacheWarmer.maxRequestsPerMinute,
+      pausedUntil: this.pausedUntil > Date.now() ? new Date(this.pausedUntil).toISOString() : null,
+      run: this.progress
+    };
+  }
+
+  /**
+   * @param {Array<string>} ids
+   * @param {string} trigger
+   * @param {boolean} force
+   */
+  async _run(ids, trigger, force) {
+    const queue = ids.flatMap(id => LANGUAGES.map(lang => ({ id, lang, attempts: 0 })));
+    // Entries fresh until the next scheduled run are skipped
+    const minFreshSeconds = force ? Infinity : config.cacheWarmer.intervalMinutes * 60;
+
+    this.progress = {
+      trigger,
+      startedAt: new Date().toISOString(),
+      finishedAt: null,
+      total: queue.length,
+      done: 0,
+      refreshed: 0,
+      fresh: 0,
+      failed: 0,
+      failures: []
+    };
+    log.info({ trigger, datasets: ids.length }, 'Warming cache');
+
+    const workers = Array.from({ length: Math.max(1, config.cacheWarmer.concurrency) }, () => this._work(queue, minFreshSeconds));
+    await Promise.all(workers);
+
+    this.progress.finishedAt = new Date().toISOString();
+    log.info({ trigger, refreshed: this.progress.refreshed, fresh: this.progress.fresh, failed: this.progress.failed }, 'Cache warming done');
+  }
+
+  /**
+   * Take tasks from the shared queue until it is empty
+   * @param {Array} queue
+   * @param {number} minFreshSeconds
+   */
+  async _work(queue, minFreshSeconds) {
+    while (queue.length) {
+      const task = queue.shift();
+      const dataset = DATASETS[task.id];
+      if (!dataset) continue; // removed while the run was queued
+
+      if (!pxFileService.isLocal(dataset)) await this._throttle();
+
+      try {
+        const data = datasetService.dataCacheEntry(task.id, task.lang);
+        const metadata = datasetService.metadataCacheEntry(task.id, task.lang);
+        // Fetching records the variable labels for search
+        const metadataFreshSeconds = searchService.hasMetadata(task.id, task.lang) ? minFreshSeconds : Infinity;
+        // Both loaders fetch the same PXWeb table; run together, they share one fetch
+        const results = await Promise.all([
+          cacheService.warm(data.key, data.load, minFreshSeconds),
+          cacheService.warm(metadata.key, metadata.load, metadataFreshSeconds)
+        ]);
+
+        this.progress.done++;
+        if (results.includes('refreshed')) this.progress.refreshed++;
+        else this.progress.fresh++;
+      } catch (error) {
+        if (/\b429\b/.test(error.message) && task.attempts === 0) {
+          task.attempts++;
+          this._pause();
+          queue.push(task);
+          continue;
+        }
+
+        this.progress.done++;
+        this.progress.failed++;
+        if (this.progress.failures.length < MAX_REPORTED_FAILURES) {
+          this.progress.failures.push({ dataset: task.id, lang: task.lang, error: error.message });
+        }
+      }
+    }
+  }
+
+  /**
+   * Space upstream tasks so that at most `maxRequestsPerMinute` PXWeb requests are made
+   */
+  async _throttle() {
+    const spacing = 60000 * REQUESTS_PER_TASK / config.cacheWarmer.maxRequestsPerMinute;
+    const start = Math.max(Date.now(), this.nextSlot, this.pausedUntil);
+    this.nextSlot = start + spacing;
+
+    const wait = start - Date.now();
+    if (wait > 0) await sleep(wait);
+  }
+
+  /**
+   * Back off after the upstream answered 429 Too Many Requests
+   */
+  _pause() {
+    this.pausedUntil = Date.now() + config.cacheWarmer.rateLimitBackoffSeconds * 1000;
+    log.warn({ pauseSeconds: config.cacheWarmer.rateLimitBackoffSeconds }, 'PXWeb rate limit hit, cache warming paused');
+  }
+}
+
+export default new CacheWarmerService();
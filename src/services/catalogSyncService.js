@@ -0,0 +1,427 @@
+/**
+ * Catalog Sync Service
+ * Crawls the configured PXWeb roots (in ka and en) and compares the tables found
+ * with the DATASETS catalog:
+ *   added    → table not in the catalog; registered with a generated id when `register` is on
+ *   moved    → catalog path is gone, a table with the same file name or title appeared in another folder
+ *   renamed  → catalog path is gone, a table with the same title appeared in the same folder
+ *   deleted  → catalog path is gone and nothing matches
+ * Moved, renamed and deleted datasets keep their ids and entries; they are flagged with
+ * `catalogStatus` in /api/datasets until the catalog is fixed or the table comes back.
+ *
+ * Registered tables are passed to the search index, which fetches their labels.
+ *
+ * Auto-registered entries and the last report are kept in `config.catalogSync.file`
+ * and restored on startup. PM2 workers share the file: a run holds a Redis lock, scheduled
+ * runs are claimed per interval, and the other workers reload the file when it changes.
+ */
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { config } from '../config/index.js';
+import { DATASETS, ENVIRONMENT_SUBCATEGORIES, GENDER_SUBCATEGORIES } from '../config/datasets.js';
+import pxwebNavigationService from './pxwebNavigationService.js';
+import pxFileService from './pxFileService.js';
+import redisService from './redisService.js';
+import searchService from './searchService.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ component: 'catalog-sync' });
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// PXWeb root folder → catalog category
+const ROOT_CATEGORIES = {
+  'environment statistics': 'environment',
+  'gender statistics': 'gender-statistics'
+};
+
+const SUBCATEGORIES = {
+  'environment': ENVIRONMENT_SUBCATEGORIES,
+  'gender-statistics': GENDER_SUBCATEGORIES
+};
+
+const MAX_SLUG_LENGTH = 60;
+const RUN_LOCK = 'catalog-sync:run';
+const RUN_LOCK_TTL_MS = 60 * 60 * 1000;
+const SCHEDULE_LOCK = 'catalog-sync:schedule';
+const WATCH_INTERVAL_MS = 5000;
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+export class CatalogSyncService {
+  constructor() {
+    this.file = path.resolve(__dirname, '../..', config.catalogSync.file);
+    this.startTimer = null;
+    this.timer = null;
+    this.running = null; // Promise of the current run
+    this.registered = {}; // id → DATASETS entry added by a sync
+    this.report = null; // last finished run
+  }
+
+  /**
+   * Restore auto-registered datasets and follow syncs by other workers, then sync after
+   * `startupDelaySeconds` and every `intervalHours`
+   */
+  async start() {
+    await this.load();
+    this.watch();
+    if (!config.catalogSync.enabled || this.timer) return;
+
+    const intervalMs = config.catalogSync.intervalHours * 3600 * 1000;
+    const run = async trigger => {
+      if (await redisService.claimRun(SCHEDULE_LOCK, intervalMs - 1000)) await this.sync({ trigger });
+    };
+
+    this.startTimer = setTimeout(() => run('startup'), config.catalogSync.startupDelaySeconds * 1000);
+    this.startTimer.unref();
+
+    this.timer = setInterval(() => run('schedule'), intervalMs);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop scheduled runs and watching the state file (a run in progress finishes)
+   */
+  stop() {
+    clearTimeout(this.startTimer);
+    clearInterval(this.timer);
+    fs.unwatchFile(this.file);
+    this.startTimer = null;
+    this.timer = null;
+  }
+
+  /**
+   * Reload the state file when another worker's sync writes it
+   */
+  watch() {
+    fs.watchFile(this.file, { persistent: false, interval: WATCH_INTERVAL_MS }, (current, previous) => {
+      if (current.mtimeMs === previous.mtimeMs || this.running) return;
+      this.load().catch(error => log.error({ err: error }, 'Cannot reload catalog sync state'));
+    });
+  }
+
+  /**
+   * Read the state file and re-register datasets added by earlier syncs
+   */
+  async load() {
+    let state;
+    try {
+      state = JSON.parse(await fsp.readFile(this.file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') log.error({ err: error }, 'Cannot read catalog sync state');
+      return;
+    }
+
+    this.registered = state.registered || {};
+    this.report = state.report || null;
+
+    for (const [id, entry] of Object.entries(this.registered)) {
+      if (!DATASETS[id]) DATASETS[id] = { ...entry };
+    }
+    if (this.report) this._flag(this.report);
+
+    const count = Object.keys(this.registered).length;
+    if (count) log.info({ datasets: count }, 'Restored datasets registered by catalog sync');
+  }
+
+  /**
+   * Start a sync in the background unless one is in progress on any worker
+   * @param {Object} options - { trigger, register: add new tables to DATASETS (default from config) }
+   * @returns {Promise<Object>} - { started, status, reason? }
+   */
+  async sync({ trigger = 'manual', register = config.catalogSync.autoRegister } = {}) {
+    if (this.running) {
+      return { started: false, status: this.getStatus() };
+    }
+
+    const token = await redisService.acquireLock(RUN_LOCK, RUN_LOCK_TTL_MS);
+    if (redisService.isConnected() && !token) {
+      log.info({ trigger }, 'Catalog sync skipped: another worker is syncing');
+      return { started: false, status: this.getStatus(), reason: 'Catalog sync in progress on another worker' };
+    }
+
+    this.running = this.load()
+      // Registrations by other workers must be in place before new ids are generated
+      .then(() => this._run(trigger, register))
+      .catch(error => log.error({ trigger, err: error }, 'Catalog sync failed'))
+      .finally(() => {
+        this.running = null;
+        return token && redisService.releaseLock(RUN_LOCK, token);
+      });
+
+    return { started: true, status: this.getStatus() };
+  }
+
+  /**
+   * Sync status and the last report for /api/navigation/sync
+   * @returns {Object}
+   */
+  getStatus() {
+    return {
+      enabled: config.catalogSync.enabled,
+      running: Boolean(this.running),
+      roots: config.catalogSync.roots,
+      intervalHours: config.catalogSync.intervalHours,
+      autoRegister: config.catalogSync.autoRegister,
+      registered: Object.keys(this.registered),
+      report: this.report
+    };
+  }
+
+  /**
+   * @param {string} trigger
+   * @param {boolean} register
+   */
+  async _run(trigger, register) {
+    const startedAt = new Date().toISOString();
+    log.info({ trigger }, 'Syncing catalog with PXWeb');
+
+    const tables = new Map(); // lowercased decoded path → table
+    const errors = [];
+    for (const root of config.catalogSync.roots) {
+      await this._crawl(root.split('/'), 0, tables, errors);
+    }
+
+    const report = {
+      trigger,
+      startedAt,
+      finishedAt: null,
+      register,
+      tablesFound: tables.size,
+      ...this._diff(tables, errors),
+      errors
+    };
+
+    if (register) {
+      for (const table of report.added) {
+        table.registeredAs = this._register(table);
+      }
+    }
+
+    report.finishedAt = new Date().toISOString();
+    this._flag(report);
+    this.report = report;
+    await this._save();
+
+    const registered = report.added.map(table => table.registeredAs).filter(Boolean);
+    if (registered.length) searchService.fill({ trigger: 'catalog-sync', datasets: registered });
+
+    log.info({
+      trigger,
+      added: report.added.length,
+      moved: report.moved.length,
+      renamed: report.renamed.length,
+      deleted: report.deleted.length,
+      folderErrors: errors.length
+    }, 'Catalog sync done');
+  }
+
+  /**
+   * List a folder in ka and en and descend into its subfolders
+   * @param {Array<string>} segments - Decoded folder path
+   * @param {number} depth
+   * @param {Map} tables
+   * @param {Array} errors
+   */
+  async _crawl(segments, depth, tables, errors) {
+    const folder = segments.join('/');
+    const encoded = segments.map(encodeURIComponent).join('/');
+
+    if (config.catalogSync.requestDelayMs) await sleep(config.catalogSync.requestDelayMs);
+
+    const [ka, en] = await Promise.allSettled([
+      pxwebNavigationService.explorePath(encoded, 'ka'),
+      pxwebNavigationService.explorePath(encoded, 'en')
+    ]);
+    if (ka.status === 'rejected') {
+      errors.push({ path: folder, error: ka.reason.message });
+      return;
+    }
+
+    const enTitles = new Map((en.value?.items || []).map(item => [item.id, item.text]));
+
+    for (const item of ka.value.items) {
+      if (item.isTable) {
+        tables.set(`${folder}/${item.id}`.toLowerCase(), {
+          path: `${encoded}/${encodeURIComponent(item.id)}`,
+          folder,
+          file: item.id,
+          title: { ka: item.text, en: enTitles.get(item.id) || null }
+        });
+      } else if (item.isFolder && depth + 1 < config.catalogSync.maxDepth) {
+        await this._crawl([...segments, item.id], depth + 1, tables, errors);
+      }
+    }
+  }
+
+  /**
+   * Compare crawled tables with DATASETS entries under the crawled roots
+   * @param {Map} tables
+   * @param {Array} errors - Folders that could not be listed (their entries are not judged)
+   * @returns {Object} - { added, moved, renamed, deleted }
+   */
+  _diff(tables, errors) {
+    const roots = config.catalogSync.roots.map(root => `${root.toLowerCase()}/`);
+    const unlisted = errors.map(error => `${error.path.toLowerCase()}/`);
+    const inScope = key => roots.some(root => key.startsWith(root)) && !unlisted.some(prefix => key.startsWith(prefix));
+
+    const catalog = Object.values(DATASETS)
+      .filter(dataset => dataset.path && !pxFileService.isLocal(dataset))
+      .map(dataset => ({ dataset, key: this._pathKey(dataset.path) }))
+      .filter(({ key }) => inScope(key));
+
+    const known = new Set(catalog.map(({ key }) => key));
+    const added = [...tables].filter(([key]) => !known.has(key)).map(([, table]) => table);
+
+    const moved = [];
+    const renamed = [];
+    const deleted = [];
+    for (const { dataset, key } of catalog) {
+      if (tables.has(key)) continue;
+
+      const match = this._findSuccessor(dataset, key, added);
+      if (!match) {
+        deleted.push({ id: dataset.id, path: dataset.path });
+        continue;
+      }
+
+      const sameFolder = match.folder.toLowerCase() === key.slice(0, key.lastIndexOf('/'));
+      (sameFolder ? renamed : moved).push({ id: dataset.id, from: dataset.path, to: match.path, title: match.title });
+    }
+
+    // Tables claimed as the new location of a catalog entry are not new
+    const claimed = new Set([...moved, ...renamed].map(change => change.to));
+    return { added: added.filter(table => !claimed.has(table.path)), moved, renamed, deleted };
+  }
+
+  /**
+   * Find the crawled table that replaced a missing catalog path: same file name in another
+   * folder, or the same title (Georgian description or English name)
+   * @param {Object} dataset - DATASETS entry
+   * @param {string} key - Its lowercased decoded path
+   * @param {Array} candidates - Tables not in the catalog
+   * @returns {Object|undefined}
+   */
+  _findSuccessor(dataset, key, candidates) {
+    const file = key.slice(key.lastIndexOf('/') + 1);
+    const normalize = text => (text || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+    return candidates.find(table => table.file.toLowerCase() === file) ||
+      candidates.find(table =>
+        (table.title.ka && normalize(table.title.ka) === normalize(dataset.description)) ||
+        (table.title.en && normalize(table.title.en) === normalize(dataset.name))
+      );
+  }
+
+  /**
+   * Add a DATASETS entry for a new table
+   * @param {Object} table - Crawled table
+   * @returns {string} - Generated dataset id
+   */
+  _register(table) {
+    const [root, folder] = table.folder.split('/');
+    const category = ROOT_CATEGORIES[root.toLowerCase()] || this._slug(root);
+    const subcategory = folder ? this._subcategory(category, table.folder, folder) : undefined;
+
+    const slug = this._slug(table.file.replace(/\.px$/i, '').replace(/^[\d\W_]+/, ''));
+    const base = category === 'gender-statistics' && subcategory ? `${subcategory}-${slug}` : slug;
+    let id = base;
+    for (let n = 2; DATASETS[id]; n++) id = `${base}-${n}`;
+
+    const entry = {
+      id,
+      name: table.title.en || table.title.ka,
+      description: table.title.ka,
+      path: table.path,
+      category,
+      ...(subcategory && { subcategory }),
+      registeredAt: new Date().toISOString()
+    };
+
+    DATASETS[id] = entry;
+    this.registered[id] = entry;
+    log.info({ dataset: id, path: decodeURIComponent(table.path) }, 'Registered dataset');
+    return id;
+  }
+
+  /**
+   * Subcategory of a folder: the one used by catalog entries in the same folder,
+   * else the configured subcategory with that name, else a slug of the folder
+   * @param {string} category
+   * @param {string} tableFolder - Decoded folder of the table
+   * @param {string} folder - First folder below the root
+   * @returns {string}
+   */
+  _subcategory(category, tableFolder, folder) {
+    const sibling = Object.values(DATASETS).find(dataset =>
+      dataset.subcategory && dataset.path && !pxFileService.isLocal(dataset) &&
+      this._pathKey(dataset.path).startsWith(`${tableFolder.toLowerCase()}/`)
+    );
+    if (sibling) return sibling.subcategory;
+
+    const known = Object.values(SUBCATEGORIES[category] || {})
+      .find(sub => sub.name.toLowerCase() === folder.toLowerCase());
+    if (known) return known.id;
+
+    const slug = this._slug(folder);
+    return category === 'gender-statistics' ? `gender-${slug}` : slug;
+  }
+
+  /**
+   * Mark moved, renamed and deleted datasets; clear the mark on everything else in scope
+   * @param {Object} report
+   */
+  _flag(report) {
+    const flags = new Map();
+    report.moved.forEach(change => flags.set(change.id, { status: 'moved', path: change.to }));
+    report.renamed.forEach(change => flags.set(change.id, { status: 'renamed', path: change.to }));
+    report.deleted.forEach(change => flags.set(change.id, { status: 'deleted' }));
+
+    for (const dataset of Object.values(DATASETS)) {
+      const flag = flags.get(dataset.id);
+      if (!flag) {
+        delete dataset.catalogStatus;
+        continue;
+      }
+      const since = dataset.catalogStatus?.status === flag.status ? dataset.catalogStatus.since : report.finishedAt;
+      dataset.catalogStatus = { ...flag, since };
+    }
+  }
+
+  /**
+   * Write registered entries and the last report through a temporary file
+   */
+  async _save() {
+    await fsp.mkdir(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.${process.pid}.tmp`;
+    await fsp.writeFile(tmp, JSON.stringify({ registered: this.registered, report: this.report }, null, 2));
+    await fsp.rename(tmp, this.file);
+  }
+
+  /**
+   * Comparable form of a PXWeb path
+   * @param {string} datasetPath - URL-encoded path from DATASETS
+   * @returns {string}
+   */
+  _pathKey(datasetPath) {
+    try {
+      return decodeURIComponent(datasetPath).toLowerCase();
+    } catch {
+      return datasetPath.toLowerCase();
+    }
+  }
+
+  /**
+   * @param {string} text
+   * @returns {string}
+   */
+  _slug(text) {
+    const slug = text.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    return (slug.length > MAX_SLUG_LENGTH ? slug.slice(0, MAX_SLUG_LENGTH).replace(/-[^-]*$/, '') : slug) || 'table';
+  }
+}
+
+export default new CatalogSyncService();
@@ -0,0 +1,286 @@
+/**
+ * Circuit Breaker Service
+ * One circuit breaker per upstream host (pc-axis.geostat.ge, air.gov.ge), applied to every
+ * network request in fixtureService.
+ *
+ *   closed    → requests pass; outcomes are counted in a sliding window of `windowSeconds`.
+ *               At `minimumRequests` or more and `failureRatePercent` failures it opens.
+ *   open      → requests fail immediately with a 503 (code CIRCUIT_OPEN) for `openSeconds`
+ *               instead of waiting for the upstream timeout.
+ *   half-open → up to `halfOpenRequests` trial requests pass, others still fail fast.
+ *               When all of them succeed the breaker closes; one failure opens it again.
+ *
+ * Outcomes count only in the state their request started in: a slow request from before
+ * the breaker opened does not decide the half-open trials.
+ *
+ * Failures are 5xx responses, timeouts and network errors; 4xx responses are answers of
+ * a working upstream. Every worker has its own breakers.
+ */
+import { config } from '../config/index.js';
+import { circuitBreakerState } from '../utils/metrics.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ component: 'circuit-breaker' });
+
+const STATE_VALUES = { closed: 0, 'half-open': 1, open: 2 };
+
+export class CircuitBreaker {
+  /**
+   * @param {string} host - Upstream host
+   * @param {Object} options - config.circuitBreaker
+   */
+  constructor(host, options) {
+    this.host = host;
+    this.options = options;
+    this.sources = new Set();
+    this.state = 'closed';
+    this.generation = 0; // incremented on every state change
+    this.buckets = []; // [{ second, requests, failures }] of the last windowSeconds
+    this.openedAt = null;
+    this.retryAt = null;
+    this.trials = 0; // half-open requests started
+    this.trialSuccesses = 0;
+    this.lastFailure = null;
+    this.lastStateChange = null;
+    this.rejected = 0;
+    circuitBreakerState.set({ host }, 0);
+  }
+
+  /**
+   * Run an upstream request through the breaker
+   * @param {Function} request - async () => Response
+   * @returns {Promise<Response>}
+   */
+  async execute(request) {
+    const call = this._acquire();
+
+    let response;
+    try {
+      response = await request();
+    } catch (error) {
+      const timedOut = error.name === 'AbortError' || error.name === 'TimeoutError';
+      this._record(call, false, timedOut ? 'timeout' : 'network');
+      throw error;
+    }
+    this._record(call, response.status < 500, `http_${response.status}`);
+    return response;
+  }
+
+  /**
+   * State and window counts for health endpoints
+   * @returns {Object}
+   */
+  getStatus() {
+    const { requests, failures } = this._windowCounts();
+    return {
+      host: this.host,
+      upstreams: [...this.sources],
+      state: this.state,
+      window: {
+        seconds: this.options.windowSeconds,
+        requests,
+        failures,
+        failureRate: requests > 0 ? Math.round(failures / requests * 100) : null
+      },
+      openedAt: this.openedAt && new Date(this.openedAt).toISOString(),
+      retryAt: this.state === 'open' ? new Date(this.retryAt).toISOString() : null,
+      rejected: this.rejected,
+      lastFailure: this.lastFailure,
+      lastStateChange: this.lastStateChange
+    };
+  }
+
+  /**
+   * Let a request through or fail it fast
+   * @returns {Object} - { state, generation } the request started in
+   */
+  _acquire() {
+    if (this.state === 'open') {
+      if (Date.now() < this.retryAt) throw this._openError();
+      this._transition('half-open');
+    }
+
+    if (this.state === 'half-open') {
+      if (this.trials >= this.options.halfOpenRequests) throw this._openError();
+      this.trials++;
+    }
+    return { state: this.state, generation: this.generation };
+  }
+
+  /**
+   * Count an outcome and change state if needed
+   * @param {Object} call - Result of _acquire()
+   * @param {boolean} ok
+   * @param {string} reason - Failure reason (http_503, timeout, network)
+   */
+  _record(call, ok, reason) {
+    if (!ok) this.lastFailure = { at: new Date().toISOString(), reason };
+
+    // The state changed while the request ran, e.g. it started before the breaker opened
+    if (call.generation !== this.generation) return;
+
+    if (call.state === 'half-open') {
+      if (!ok) return this._open(reason);
+      if (++this.trialSuccesses >= this.options.halfOpenRequests) this._transition('closed');
+      return;
+    }
+
+    const bucket = this._currentBucket();
+    bucket.requests++;
+    if (!ok) bucket.failures++;
+
+    const { requests, failures } = this._windowCounts();
+    if (!ok && requests >= this.options.minimumRequests &&
+        failures / requests * 100 >= this.options.failureRatePercent) {
+      this._open(reason);
+    }
+  }
+
+  /**
+   * @param {string} reason - Failure that opened the breaker
+   */
+  _open(reason) {
+    const from = this.state;
+    const counts = from === 'closed' ? this._windowCounts() : {};
+    this.openedAt = Date.now();
+    this.retryAt = this.openedAt + this.options.openSeconds * 1000;
+    this._transition('open');
+    log.warn({ host: this.host, from, reason, ...counts, openSeconds: this.options.openSeconds },
+      'Circuit breaker opened; failing requests fast');
+  }
+
+  /**
+   * @param {string} state - closed, half-open or open
+   */
+  _transition(state) {
+    const previous = this.state;
+    this.state = state;
+    this.generation++;
+    this.lastStateChange = new Date().toISOString();
+    this.trials = 0;
+    this.trialSuccesses = 0;
+    if (state !== 'open') this.buckets = [];
+    circuitBreakerState.set({ host: this.host }, STATE_VALUES[state]);
+
+    if (state === 'half-open') log.info({ host: this.host }, 'Circuit breaker half-open; sending trial requests');
+    if (state === 'closed') log.info({ host: this.host, from: previous }, 'Circuit breaker closed');
+  }
+
+  /**
+   * Bucket of the current second; buckets older than the window are dropped
+   * @returns {Object}
+   */
+  _currentBucket() {
+    const second = Math.floor(Date.now() / 1000);
+    this._prune(second);
+    let bucket = this.buckets[this.buckets.length - 1];
+    if (!bucket || bucket.second !== second) {
+      bucket = { second, requests: 0, failures: 0 };
+      this.buckets.push(bucket);
+    }
+    return bucket;
+  }
+
+  /**
+   * @returns {Object} - { requests, failures } in the window
+   */
+  _windowCounts() {
+    this._prune(Math.floor(Date.now() / 1000));
+    return this.buckets.reduce((sum, bucket) => ({
+      requests: sum.requests + bucket.requests,
+      failures: sum.failures + bucket.failures
+    }), { requests: 0, failures: 0 });
+  }
+
+  /**
+   * @param {number} second - Current second
+   */
+  _prune(second) {
+    const oldest = second - this.options.windowSeconds;
+    while (this.buckets.length && this.buckets[0].second <= oldest) this.buckets.shift();
+  }
+
+  /**
+   * Error for a request rejected while the breaker is open
+   * @returns {Error}
+   */
+  _openError() {
+    this.rejected++;
+    const retryAfter = Math.max(1, Math.ceil(((this.retryAt || Date.now()) - Date.now()) / 1000));
+    const error = new Error(`${this.host} is unavailable (circuit breaker ${this.state}); retry in ${retryAfter}s`);
+    error.statusCode = 503;
+    error.code = 'CIRCUIT_OPEN';
+    error.retryAfter = retryAfter;
+    return error;
+  }
+}
+
+export class CircuitBreakerService {
+  constructor() {
+    this.breakers = new Map(); // host → CircuitBreaker
+    this.hosts = new Map(); // upstream name → host
+  }
+
+  /**
+   * Breaker of the host of a URL
+   * @param {string} source - Upstream name ('pxweb', 'pxwebNavigation', 'airQuality')
+   * @param {string} url
+   * @returns {CircuitBreaker}
+   */
+  breakerFor(source, url) {
+    const { host } = new URL(url);
+    let breaker = this.breakers.get(host);
+    if (!breaker) {
+      breaker = new CircuitBreaker(host, config.circuitBreaker);
+      this.breakers.set(host, breaker);
+    }
+    breaker.sources.add(source);
+    this.hosts.set(source, host);
+    return breaker;
+  }
+
+  /**
+   * Run an upstream request through the breaker of its host
+   * @param {string} source
+   * @param {string} url
+   * @param {Function} request - async () => Response
+   * @returns {Promise<Response>}
+   */
+  execute(source, url, request) {
+    if (!config.circuitBreaker.enabled) return request();
+    return this.breakerFor(source, url).execute(request);
+  }
+
+  /**
+   * Service health derived from the breaker of an upstream
+   * @param {string} source
+   * @returns {Object} - { status: healthy | degraded | unavailable, host, circuit }
+   */
+  serviceStatus(source) {
+    const breaker = this.breakers.get(this.hosts.get(source));
+    if (!config.circuitBreaker.enabled || !breaker) {
+      return { status: 'healthy', circuit: config.circuitBreaker.enabled ? 'closed' : 'disabled' };
+    }
+
+    const status = { closed: 'healthy', 'half-open': 'degraded', open: 'unavailable' }[breaker.state];
+    const { retryAt, lastFailure } = breaker.getStatus();
+    return { status, host: breaker.host, circuit: breaker.state, retryAt, lastFailure };
+  }
+
+  /**
+   * All breakers for /api/health/status
+   * @returns {Object}
+   */
+  getStatus() {
+    return {
+      enabled: config.circuitBreaker.enabled,
+      windowSeconds: config.circuitBreaker.windowSeconds,
+      minimumRequests: config.circuitBreaker.minimumRequests,
+      failureRatePercent: config.circuitBreaker.failureRatePercent,
+      openSeconds: config.circuitBreaker.openSeconds,
+      breakers: [...this.breakers.values()].map(breaker => breaker.getStatus())
+    };
+  }
+}
+
+export default new CircuitBreakerService();
@@ -36,27 +36,61 @@
  * 2. CONFIGURATION MANAGEMENT
  * ================================================================================
  * 
- * CONFIGURATION OBJECTS (Static Properties):
- * ------------------------------------------
+ * A) `processor` SPEC (src/config/datasets.js):
+ *    Purpose: Describes how a dataset becomes chart series, without a custom method
+ *    Location: `processor` key on the dataset entry; handled by _processWithSpec()
+ *    Fields:
+ *    - series: dimensions combined into series, in order. Each entry is a
+ *      dimension ID ('Waste'), a position in the non-year dimensions (0) or
+ *      { match: 'region' } (case-insensitive substring). Default: all dimensions
+ *    - keys: row keys of the series - 'index' ("0", "1", ...; default),
+ *      'label' (combined label) or 'id' (value IDs joined with ' - ')
+ *    - include: keep only series whose label contains this text ({ ka, en } per language)
+ *    - minDimensions: use the spec only when the table has at least this many
+ *      non-year dimensions; smaller tables take the default processors
+ *    - years: 'label' | 'raw' | 'sequence' | 'parse' | 'index', or
+ *      { from, start } where start is the first year for 'sequence' and the
+ *      fallback for 'label'
+ *    - skipEmptyYears: drop years without any value
+ *    - missing: value for absent cells (default null)
+ *    - Response metadata (defaults match most datasets; set per dataset to keep
+ *      the fields its clients read):
+ *      yearMapping: 'array' ([{ index, value }], default) | 'object' ({ rawYear: year }) | false
+ *      categoryMapping: 'label' ([{ index, label }], default) | 'id' ([{ index, id, label }]) | false
+ *      counts: false to leave out dimensionCount and seriesCount
+ *      title: title when the table has none
+ *      dimensionLabels: { metadataKey: position in `series` } adds value ID → label
+ *        maps; { dimension, derived: true } also lists the derived values it gained
+ *    - derived: calculated series appended after the base series
+ *      { label: { ka, en }, op, of, by?, missing?, offset?, factor?, decimals?, per?, exclude?, bilingual? }
+ *      op: 'sum' | 'difference' | 'ratio' (of / by) | 'growth' (% vs previous year)
+ *          | 'scale' ((value + offset) * factor)
+ *      of/by name base series keys; with `per` (position in `series`) the
+ *      calculation runs for every value of that dimension and of/by name
+ *      positions in the other series dimension; `exclude` lists `per` value IDs
+ *      that get no derived value. `bilingual` keeps the { ka, en } label in
+ *      categoryMapping instead of the request language's text
+ *    Labels come from the PXWeb metadata (valueTexts), else from the JSON-Stat categories
+ *    Example: { series: ['Waste'], derived: [{ label: {...}, op: 'growth', of: '0' }] }
  * 
- * A) DATASET_PROCESSORS:
- *    Purpose: Maps dataset IDs to their specific processor methods
+ * B) DATASET_PROCESSORS:
+ *    Purpose: Maps dataset IDs to hand-written processor methods, for layouts
+ *             a spec cannot express
  *    Format: { 'dataset-id': '_methodName' }
  *    Example: { 'forest-fires': '_processForestFiresSpecial' }
  * 
- * B) EXCLUDE_FROM_TWO_DIM:
- *    Purpose: Datasets that need multi-dimensional processing even with 2 dimensions
- *    Reason: Usually because they need numeric indices instead of category names
- *    Format: Set(['dataset-id1', 'dataset-id2'])
- * 
  * C) DATASET_YEAR_MAPPINGS:
  *    Purpose: Custom year mappings for datasets using index-based years
  *    Format: { 'dataset-id': { 'index': actualYear } }
  *    Example: { 'forest-fires': { '0': 2017, '1': 2018 } }
  * 
- * D) FOREST_FIRES_REGION_MAPPINGS:
- *    Purpose: Example of dataset-specific mappings (extend pattern for other datasets)
- *    Structure: { indexToId: {...}, indexToCode: {...} }
+ * D) REGION CODES (src/config/regions.js, src/utils/gazetteer.js):
+ *    Purpose: Stable ISO 3166-2 codes for region and municipality dimensions
+ *    How: processForChart() finds the region dimension (_findRegionDimension) and
+ *         every processor adds metadata.regions and metadata.regionCodes
+ *         (series key → code) through _regionMetadata(). No per-dataset mapping needed;
+ *         unknown labels get null - add them as aliases to the gazetteer
+ *    FOREST_FIRES_REGION_MAPPINGS keeps only the numeric region IDs of forest-fires
  * 
  * ================================================================================
  * 3. ADDING NEW DATASETS - STEP-BY-STEP GUIDE
@@ -64,38 +98,43 @@
  * 
  * SCENARIO A: Dataset needs numeric indices instead of category names
  * ------------------------------------------------------------------
- * 1. Add to DATASET_PROCESSORS: { 'new-dataset': '_processNewDatasetSpecial' }
- * 2. Add to EXCLUDE_FROM_TWO_DIM: 'new-dataset'
- * 3. Create processor method following template in section 6
- * 4. Test with: curl "http://localhost:3000/api/datasets/new-dataset/data"
+ * 1. Add `processor: { series: ['DimensionCode'] }` to the dataset entry
+ * 2. Pick a `years` mode that yields actual years (see section 2)
+ * 3. Test with: curl "http://localhost:3000/api/datasets/new-dataset/data"
  * 
- * SCENARIO B: Dataset has custom year mappings
- * --------------------------------------------
+ * SCENARIO B: Dataset needs calculated series (totals, growth, shares)
+ * --------------------------------------------------------------------
  * 1. Follow steps from Scenario A
- * 2. Add to DATASET_YEAR_MAPPINGS: { 'new-dataset': { '0': 2020, '1': 2021 } }
- * 3. Use _parseYear(year, yearIndex, yearLabels, 'new-dataset') in processor
+ * 2. Add `derived` definitions with Georgian and English labels
+ * 3. Metadata picks the labels up automatically (processMetadata)
  * 
- * SCENARIO C: Dataset has region/location mappings
- * ------------------------------------------------
- * 1. Follow steps from previous scenarios
- * 2. Create NEW_DATASET_REGION_MAPPINGS static configuration
- * 3. Use configuration in processor instead of hardcoded mappings
+ * SCENARIO C: Layout the spec cannot express
+ * ------------------------------------------
+ * 1. Add to DATASET_PROCESSORS: { 'new-dataset': '_processNewDatasetSpecial' }
+ * 2. Create processor method following template in section 6
+ * 3. Use _parseYear(year, yearIndex, yearLabels, 'new-dataset') for years and
+ *    add DATASET_YEAR_MAPPINGS configuration as needed, and pass `regions` to
+ *    _regionMetadata() for region codes
  * 
  * ================================================================================
  * 4. TROUBLESHOOTING GUIDE
  * ================================================================================
  * 
  * PROBLEM: Dataset returns category names instead of numeric indices
- * SOLUTION: Add dataset to DATASET_PROCESSORS and EXCLUDE_FROM_TWO_DIM
+ * SOLUTION: Add a `processor` spec with the default 'index' keys
  * 
  * PROBLEM: Years appear as indices (0, 1, 2) instead of actual years
- * SOLUTION: Add year mapping to DATASET_YEAR_MAPPINGS or check _parseYear logic
+ * SOLUTION: Change the spec's `years` mode, add a year mapping to
+ *           DATASET_YEAR_MAPPINGS or check _parseYear logic
+ * 
+ * PROBLEM: New dataset not using its spec or special processor
+ * SOLUTION: Verify dataset ID matches exactly in src/config/datasets.js / DATASET_PROCESSORS
  * 
- * PROBLEM: New dataset not using special processor
- * SOLUTION: Verify dataset ID matches exactly in DATASET_PROCESSORS
+ * PROBLEM: Derived series are all null
+ * SOLUTION: Check that `of`/`by` name existing series keys (or positions with `per`)
  * 
  * PROBLEM: API returns empty data
- * SOLUTION: Check _logProcessing output in development mode
+ * SOLUTION: Check _logProcessing output with LOG_LEVEL=debug
  * 
  * DEBUGGING COMMANDS:
  * - Check dataset structure: curl "http://localhost:3000/api/datasets/DATASET/data" | head -100
@@ -106,6 +145,12 @@
  * 5. TESTING PROCEDURES
  * ================================================================================
  * 
+ * GOLDEN TESTS:
+ * -------------
+ * `npm test` compares processForChart/processMetadata output for every dataset
+ * with test/golden/snapshots. After an intended change: `npm run test:update`.
+ * New datasets: `npm run test:record` captures fixtures and snapshots.
+ * 
  * REQUIRED TESTS FOR NEW DATASETS:
  * --------------------------------
  * 1. Verify numeric indices: Should return "0", "1", "2" not category names
@@ -128,9 +173,11 @@
  * 6. COMMON PATTERNS - PROCESSOR METHOD TEMPLATES
  * ================================================================================
  * 
+ * Only needed for DATASET_PROCESSORS entries; prefer a `processor` spec.
+ * 
  * TEMPLATE A: Basic numeric indices processor
  * ------------------------------------------
- * _processNewDatasetSpecial(dataset, years, yearDimId, otherDims, lang = 'ka') {
+ * _processNewDatasetSpecial(dataset, years, yearDimId, otherDims, lang = 'ka', regions = null) {
  *   const validYears = years.filter(year => year && year.toString().trim() !== '');
  *   const yearLabels = this._getCategoryLabels(dataset, yearDimId);
  *   const categoryDim = otherDims[0];
@@ -158,7 +205,8 @@
  *       totalRecords: data.length,
  *       hasCategories: true,
  *       yearRange: this._getYearRange(data.map(row => row.year)),
- *       categoryMapping: this._createNumericCategoryMapping(categoryValues, categoryLabels, 'new-dataset')
+ *       categoryMapping: this._createNumericCategoryMapping(categoryValues, categoryLabels, 'new-dataset'),
+ *       ...this._regionMetadata(regions, categoryValues.map((id, index) => [index.toString(), { [categoryDim]: id }]))
  *     }
  *   };
  * }
@@ -199,6 +247,13 @@
  * - Include dataset ID and operation context in logs
  * - Avoid logging in production unless critical errors
  */
+import { DATASETS } from '../config/datasets.js';
+import { deriveError, evaluateExpression, expressionReferences, formatExpression } from '../utils/deriveExpression.js';
+import { isRegionDimensionName, resolveRegion } from '../utils/gazetteer.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ component: 'data-processing' });
+
 export class DataProcessingService {
   
   /**
@@ -208,66 +263,27 @@ export class DataProcessingService {
   constructor() {
     // Cache for expensive operations
     this._dimensionCache = new Map();
-    this._categoryLabelsCache = new Map();
+    this._categoryLabelsCache = new WeakMap(); // dataset → Map(dimension → labels)
     this._yearCache = new Map();
     
-    // Optimize Set operations by converting to Map for faster lookups
-    this._excludeFromTwoDimMap = new Map();
-    DataProcessingService.EXCLUDE_FROM_TWO_DIM.forEach(id => this._excludeFromTwoDimMap.set(id, true));
-    
     // Pre-compile regex for year dimension finding
     this._yearDimensionRegex = /year|წელი|vuosi|anio|time|dato/i;
   }
   
   /**
-   * CONFIGURATION: Dataset-specific processors
-   * ------------------------------------------
-   * Maps dataset IDs to their special processor methods.
+   * CONFIGURATION: Custom processor methods
+   * ---------------------------------------
+   * Most datasets describe their layout with a declarative `processor` spec in
+   * src/config/datasets.js. Datasets whose layout the spec cannot express map to
+   * a hand-written processor method here.
    * 
-   * MAINTENANCE: When adding a new dataset that needs special processing:
-   * 1. Add entry: 'dataset-id': '_processDatasetIdSpecial'
-   * 2. Create the corresponding method following naming convention
-   * 3. Test with curl command to verify correct processing
+   * MAINTENANCE: Prefer extending the spec engine (_processWithSpec) over adding
+   * entries here.
    */
   static DATASET_PROCESSORS = {
-    'water-use-households': '_processWaterUseHouseholdsSpecial',
-    'sewerage-network-population': '_processSewerageNetworkPopulationSpecial',
-    'water-abstraction': '_processWaterAbstractionSpecial',
-    'material-flow-indicators': '_processMaterialFlowIndicatorsSpecial',
-    'felled-timber-volume': '_processFelledTimberVolumeSpecial',
-    'illegal-logging': '_processIllegalLoggingSpecial',
-    'forest-planting-recovery': '_processForestPlantingRecoverySpecial',
-    'municipal-waste': '_processMunicipalWasteSpecial',
-    'fertilizer-use': '_processFertilizerUseSpecial',
-    'geological-phenomena': '_processGeologicalPhenomenaSpecial',
-    'final-energy-consumption': '_processFinalEnergyConsumptionSpecial',
-    'primary-energy-supply': '_processPrimaryEnergySupplySpecial',
-    'energy-intensity': '_processEnergyIntensitySpecial',
-    'protected-areas-mammals': '_processProtectedAreasMammalsSpecial',
-    'protected-areas-categories': '_processProtectedAreasCategoriesSpecial',
-    'protected-areas-birds': '_processProtectedAreasBirdsSpecial',
-    'timber-by-cutting-purpose': '_processTimberByCuttingPurposeSpecial',
-    'forest-fires': '_processForestFiresSpecial',
-    'hydro-meteorological-hazards': '_processHydroMeteorologicalHazardsSpecial'
+    'forest-fires': '_processForestFiresSpecial'
   };
 
-  /**
-   * CONFIGURATION: Two-dimensional processing exclusions
-   * ---------------------------------------------------
-   * Datasets that should use multi-dimensional processing even with only 2 dimensions.
-   * Usually because they need numeric indices instead of category names.
-   * 
-   * MAINTENANCE: Add dataset ID here if it should bypass simple 2D processing.
-   */
-  static EXCLUDE_FROM_TWO_DIM = new Set([
-    'water-abstraction', 'material-flow-indicators', 'felled-timber-volume',
-    'illegal-logging', 'forest-planting-recovery', 'municipal-waste',
-    'fertilizer-use', 'geological-phenomena', 'final-energy-consumption',
-    'primary-energy-supply', 'energy-intensity', 'protected-areas-mammals',
-    'protected-areas-categories', 'protected-areas-birds', 'timber-by-cutting-purpose',
-    'atmospheric-precipitation', 'hydro-meteorological-hazards'
-  ]);
-
   /**
    * CONFIGURATION: Dataset-specific year mappings
    * ---------------------------------------------
@@ -289,25 +305,30 @@ export class DataProcessingService {
   };
 
   /**
-   * CONFIGURATION: Forest-fires region mappings
-   * -------------------------------------------
-   * Example of dataset-specific region/location mappings.
-   * Extend this pattern for other datasets with similar needs.
-   * 
-   * MAINTENANCE: Create similar mappings for other geographic datasets.
-   * Pattern: [DATASET_NAME]_REGION_MAPPINGS = { indexToId: {...}, indexToCode: {...} }
+   * CONFIGURATION: Forest-fires region IDs
+   * --------------------------------------
+   * Numeric region IDs used in the forest-fires row keys ("<id>_<category>").
+   * Region codes come from the gazetteer like for every other dataset.
    */
   static FOREST_FIRES_REGION_MAPPINGS = {
     indexToId: {
       "0": 1, "1": -2, "2": 2, "3": 3, "4": 4, "5": 5,
       "6": 6, "7": 7, "8": 8, "9": 9, "10": 10, "11": 11, "12": 12
-    },
-    indexToCode: {
-      "0": "GE-TB", "1": "GE-AB", "2": "GE-AJ", "3": "GE-GU", 
-      "4": "GE-IM", "5": "GE-KA", "6": "GE-MM", "7": "GE-RL",
-      "8": "GE-SZ", "9": "GE-SJ", "10": "GE-KK", "11": "GE-SK", "12": "UNKNOWN"
     }
   };
+
+  /**
+   * CONFIGURATION: Label prefixes for request-time derived series
+   * -------------------------------------------------------------
+   * Used by applyDerivedSeries() to label `?derive=<kind>:<expression>` results.
+   * `calc` has no prefix; the formula alone is the label.
+   */
+  static DERIVE_KIND_LABELS = {
+    sum: { ka: 'ჯამი', en: 'Sum' },
+    share: { ka: 'წილი', en: 'Share' },
+    yoy: { ka: 'წლიური ცვლილება, %', en: 'Year-over-year change, %' },
+    delta: { ka: 'წლიური ცვლილება', en: 'Year-over-year change' }
+  };
   /**
    * MAIN ENTRY POINT: Process dataset into chart-friendly format
    * ============================================================
@@ -339,8 +360,11 @@ export class DataProcessingService {
     const dimTextToId = this._buildDimTextToIdMap(rawMetadata); // text → id (for filters)
     const dimIdToText = this._buildDimIdToTextMap(rawMetadata); // id → text (for labels)
 
+    // Region dimension with gazetteer codes, if the dataset has one
+    const regions = this._findRegionDimension(dataset, otherDims, dimIdToText, datasetId);
+
     // Delegate to routing logic
-    return this._routeToProcessor(dataset, datasetId, years, yearDimId, otherDims, lang, dynamicYearMap, dimTextToId, dimIdToText, dimensionFilters);
+    return this._routeToProcessor(dataset, datasetId, years, yearDimId, otherDims, lang, dynamicYearMap, dimTextToId, dimIdToText, dimensionFilters, regions);
   }
 
   /**
@@ -351,10 +375,12 @@ export class DataProcessingService {
    * It replaces the old complex conditional logic with clean configuration lookups.
    * 
    * ROUTING PRIORITY:
-   * 1. Special processor (if configured in DATASET_PROCESSORS)
-   * 2. Single dimension → _processSingleDimension
-   * 3. Two dimensions (not excluded) → _processTwoDimensions  
-   * 4. Multi-dimensional or excluded → _processMultiDimensions
+   * 1. Spec engine (if the dataset has a `processor` spec in src/config/datasets.js
+   *    and at least its `minDimensions` non-year dimensions)
+   * 2. Custom processor (if configured in DATASET_PROCESSORS)
+   * 3. Single dimension → _processSingleDimension
+   * 4. Two dimensions → _processTwoDimensions  
+   * 5. Multi-dimensional → _processMultiDimensions
    * 
    * MAINTENANCE NOTES:
    * - Add new datasets to configurations, not this method
@@ -367,26 +393,34 @@ export class DataProcessingService {
    * @param {string} yearDimId - Year dimension identifier
    * @param {Array} otherDims - Non-year dimensions
    * @param {string} lang - Language code
+   * @param {Object|null} regions - Region dimension from _findRegionDimension()
    * @returns {Object} - Processed data from appropriate processor
    */
-  _routeToProcessor(dataset, datasetId, years, yearDimId, otherDims, lang, dynamicYearMap = {}, dimTextToId = {}, dimIdToText = {}, dimensionFilters = {}) {
-    // STEP 1: Check for dataset-specific processor
+  _routeToProcessor(dataset, datasetId, years, yearDimId, otherDims, lang, dynamicYearMap = {}, dimTextToId = {}, dimIdToText = {}, dimensionFilters = {}, regions = null) {
+    // STEP 1: Declarative processor spec from src/config/datasets.js
+    const spec = datasetId ? DATASETS[datasetId]?.processor : null;
+    if (spec && otherDims.length >= (spec.minDimensions || 0)) {
+      this._logProcessing(datasetId, 'Routing to spec engine');
+      return this._processWithSpec(dataset, datasetId, spec, years, yearDimId, otherDims, lang, dimIdToText, regions);
+    }
+
+    // STEP 2: Custom processor method
     if (datasetId && DataProcessingService.DATASET_PROCESSORS[datasetId]) {
       const processorMethod = DataProcessingService.DATASET_PROCESSORS[datasetId];
       this._logProcessing(datasetId, `Routing to special processor: ${processorMethod}`);
-      return this[processorMethod](dataset, years, yearDimId, otherDims, lang);
+      return this[processorMethod](dataset, years, yearDimId, otherDims, lang, regions);
     }
 
-    // STEP 2: Route based on dimension structure (optimized lookups)
+    // STEP 3: Route based on dimension structure
     if (otherDims.length === 0) {
       this._logProcessing(datasetId, 'Routing to single dimension processor');
       return this._processSingleDimension(dataset, years, yearDimId);
-    } else if (otherDims.length === 1 && !this._excludeFromTwoDimMap.has(datasetId)) {
+    } else if (otherDims.length === 1) {
       this._logProcessing(datasetId, 'Routing to two dimension processor');
-      return this._processTwoDimensions(dataset, years, yearDimId, otherDims[0], dynamicYearMap, dimIdToText, datasetId);
+      return this._processTwoDimensions(dataset, years, yearDimId, otherDims[0], dynamicYearMap, dimIdToText, datasetId, regions);
     } else {
       this._logProcessing(datasetId, 'Routing to multi-dimensional processor');
-      return this._processMultiDimensions(dataset, years, yearDimId, otherDims, datasetId, lang, dynamicYearMap, dimTextToId, dimIdToText, dimensionFilters);
+      return this._processMultiDimensions(dataset, years, yearDimId, otherDims, datasetId, lang, dynamicYearMap, dimTextToId, dimIdToText, dimensionFilters, regions);
     }
   }
 
@@ -451,15 +485,13 @@ export class DataProcessingService {
    * @param {Array} years 
    * @param {string} yearDimId 
    * @param {string} catDimId 
+   * @param {Object|null} regions - Region dimension from _findRegionDimension()
    * @returns {Object}
    */
-  _processTwoDimensions(dataset, years, yearDimId, catDimId, dynamicYearMap = {}, dimIdToText = {}, datasetId = null) {
+  _processTwoDimensions(dataset, years, yearDimId, catDimId, dynamicYearMap = {}, dimIdToText = {}, datasetId = null, regions = null) {
     const catIds = dataset.Dimension(catDimId).id;
 
-    // Category labels: prefer rawMetadata-derived map, fall back to JSON-Stat
-    const metaCatLabels = dimIdToText[catDimId] || {};
-    const jsCatLabels   = this._getCategoryLabels(dataset, catDimId);
-    const catLabels = Object.keys(metaCatLabels).length ? metaCatLabels : jsCatLabels;
+    const catLabels = this._getDimensionLabels(dataset, catDimId, dimIdToText);
 
     const rows = years.map((year, yearIndex) => {
       const actualYear = this._parseYear(year, yearIndex, dynamicYearMap, datasetId);
@@ -484,7 +516,8 @@ export class DataProcessingService {
       metadata: {
         totalRecords: rows.length,
         hasCategories: true,
-        yearRange: this._getYearRange(actualYears)
+        yearRange: this._getYearRange(actualYears),
+        ...this._regionMetadata(regions, catIds.map(id => [catLabels[id] || id, { [catDimId]: id }]))
       }
     };
   }
@@ -496,105 +529,10 @@ export class DataProcessingService {
    * @param {string} yearDimId 
    * @param {Array} otherDims 
    * @param {string} datasetId - Dataset identifier for special handling
+   * @param {Object|null} regions - Region dimension from _findRegionDimension()
    * @returns {Object}
    */
-  _processMultiDimensions(dataset, years, yearDimId, otherDims, datasetId = null, lang = 'ka', dynamicYearMap = {}, dimTextToId = {}, dimIdToText = {}, dimensionFilters = {}) {
-    // Special handling for stationary-source-pollution dataset
-    if (datasetId === 'stationary-source-pollution') {
-      return this._processStationarySourcePollution(dataset, years, yearDimId, otherDims);
-    }
-
-    // Special handling for water-abstraction dataset (treat as multi-dimensional)
-    if (datasetId === 'water-abstraction') {
-      return this._processWaterAbstractionSpecial(dataset, years, yearDimId, otherDims);
-    }
-
-    // Special handling for material-flow-indicators dataset (treat as multi-dimensional)
-    if (datasetId === 'material-flow-indicators') {
-      return this._processMaterialFlowIndicatorsSpecial(dataset, years, yearDimId, otherDims, lang);
-    }
-
-    // Special handling for felled-timber-volume dataset (treat as multi-dimensional)
-    if (datasetId === 'felled-timber-volume') {
-      return this._processFelledTimberVolumeSpecial(dataset, years, yearDimId, otherDims);
-    }
-
-    // Special handling for illegal-logging dataset (treat as multi-dimensional)
-    if (datasetId === 'illegal-logging') {
-      return this._processIllegalLoggingSpecial(dataset, years, yearDimId, otherDims);
-    }
-
-    // Special handling for municipal-waste dataset (treat as multi-dimensional)
-    if (datasetId === 'municipal-waste') {
-      return this._processMunicipalWasteSpecial(dataset, years, yearDimId, otherDims, lang);
-    }
-
-    // Special handling for fertilizer-use dataset (treat as multi-dimensional)
-    if (datasetId === 'fertilizer-use') {
-      return this._processFertilizerUseSpecial(dataset, years, yearDimId, otherDims, lang);
-    }
-
-    // Special handling for forest-fires dataset (treat as multi-dimensional)
-    if (datasetId === 'forest-fires') {
-      return this._processForestFiresSpecial(dataset, years, yearDimId, otherDims);
-    }
-
-    // Special handling for forest-planting-recovery dataset (treat as multi-dimensional)
-    if (datasetId === 'forest-planting-recovery') {
-      return this._processForestPlantingRecoverySpecial(dataset, years, yearDimId, otherDims);
-    }
-
-    // Special handling for energy-intensity dataset (treat as multi-dimensional)
-    if (datasetId === 'energy-intensity') {
-      return this._processEnergyIntensitySpecial(dataset, years, yearDimId, otherDims, lang);
-    }
-
-    // Special handling for primary-energy-supply dataset (treat as multi-dimensional)
-    if (datasetId === 'primary-energy-supply') {
-      return this._processPrimaryEnergySupplySpecial(dataset, years, yearDimId, otherDims, lang);
-    }
-
-    // Special handling for final-energy-consumption dataset (treat as multi-dimensional)
-    if (datasetId === 'final-energy-consumption') {
-      return this._processFinalEnergyConsumptionSpecial(dataset, years, yearDimId, otherDims, lang);
-    }
-
-    // Special handling for geological-phenomena dataset (treat as multi-dimensional)
-    if (datasetId === 'geological-phenomena') {
-      return this._processGeologicalPhenomenaSpecial(dataset, years, yearDimId, otherDims);
-    }
-
-    // Special handling for protected-areas-mammals dataset (treat as multi-dimensional with numeric indices)
-    if (datasetId === 'protected-areas-mammals') {
-      return this._processProtectedAreasMammalsSpecial(dataset, years, yearDimId, otherDims, lang);
-    }
-
-    // Special handling for protected-areas-categories dataset (treat as multi-dimensional with numeric indices)
-    if (datasetId === 'protected-areas-categories') {
-      return this._processProtectedAreasCategoriesSpecial(dataset, years, yearDimId, otherDims, lang);
-    }
-
-    // Special handling for protected-areas-birds dataset (treat as multi-dimensional with numeric indices)
-    if (datasetId === 'protected-areas-birds') {
-      return this._processProtectedAreasBirdsSpecial(dataset, years, yearDimId, otherDims, lang);
-    }
-
-    // Special handling for timber-by-cutting-purpose dataset (treat as multi-dimensional with numeric indices)
-    if (datasetId === 'timber-by-cutting-purpose') {
-      return this._processTimberByCuttingPurposeSpecial(dataset, years, yearDimId, otherDims, lang);
-    }
-
-    // Special handling for atmospheric-precipitation dataset (treat as multi-dimensional with numeric indices)
-    if (datasetId === 'atmospheric-precipitation') {
-      return this._processAtmosphericPrecipitationSpecial(dataset, years, yearDimId, otherDims, lang);
-    }
-
-    // Special handling for hydro-meteorological-hazards dataset (add totals for each month)
-    if (datasetId === 'hydro-meteorological-hazards') {
-      return this._processHydroMeteorologicalHazardsSpecial(dataset, years, yearDimId, otherDims);
-    }
-
-    // Default processing for other datasets
+  _processMultiDimensions(dataset, years, yearDimId, otherDims, datasetId = null, lang = 'ka', dynamicYearMap = {}, dimTextToId = {}, dimIdToText = {}, dimensionFilters = {}, regions = null) {
     // For 3D data, we'll flatten it by creating separate series for each combination
     const allCombinations = this._getAllDimensionCombinations(dataset, otherDims, dimIdToText);
 
@@ -634,477 +572,412 @@ export class DataProcessingService {
         filtered: Object.keys(activeDimFilters).length > 0,
         yearRange: this._getYearRange(years),
         dimensionCount: otherDims.length + 1,
-        seriesCount: usedCombinations.length
+        seriesCount: usedCombinations.length,
+        ...this._regionMetadata(regions, usedCombinations.map(combo => [combo.label, combo.values]))
       }
     };
   }
 
   /**
-   * Special processing for stationary-source-pollution dataset with numeric indices
-   * @param {Object} dataset 
-   * @param {Array} years 
-   * @param {string} yearDimId 
-   * @param {Array} otherDims 
-   * @returns {Object}
+   * SPEC ENGINE: Process a dataset from its declarative `processor` spec
+   * ====================================================================
+   * 
+   * Replaces the per-dataset *_Special methods. The spec lives on the dataset
+   * entry in src/config/datasets.js; see section 2 of the header for the format.
+   * 
+   * PROCESSING STEPS:
+   * 1. Resolve the series dimensions and combine their values into base series
+   * 2. Read one row per year (base values only)
+   * 3. Add derived series (sums, ratios, growth...) computed from each row
+   * 4. Build categories, categoryMapping and yearMapping for the chosen key style
+   * 
+   * @param {Object} dataset - JSON-Stat dataset
+   * @param {string} datasetId - Dataset identifier
+   * @param {Object} spec - `processor` spec from the dataset configuration
+   * @param {Array} years - Year dimension values
+   * @param {string} yearDimId - Year dimension identifier
+   * @param {Array} otherDims - Non-year dimensions
+   * @param {string} lang - Language code used for derived series labels
+   * @param {Object} dimIdToText - rawMetadata labels (dimension → value ID → text)
+   * @param {Object|null} regions - Region dimension from _findRegionDimension()
+   * @returns {Object} - Standardized data structure for frontend consumption
    */
-  _processStationarySourcePollution(dataset, years, yearDimId, otherDims) {
-    // Filter out empty years first
-    const validYears = years.filter(year => year && year.toString().trim() !== '');
-    
-    // For 3D data, create separate series for each combination
-    const allCombinations = this._getAllDimensionCombinations(dataset, otherDims);
-    
-    // Filter to keep only "გაფრქვეული" (emitted) combinations
-    const emittedCombinations = allCombinations.filter(combo => 
-      combo.label.includes('გაფრქვეული')
-    );
-    
-    const data = [];
+  _processWithSpec(dataset, datasetId, spec, years, yearDimId, otherDims, lang = 'ka', dimIdToText = {}, regions = null) {
+    const validYears = years.filter(year => year && String(year).trim() !== '');
+    const yearLabels = this._getCategoryLabels(dataset, yearDimId);
+    const seriesDims = this._resolveSpecDimensions(spec, otherDims);
+    const keys = spec.keys || 'index';
 
-    // Create a row for each valid year with numeric indices
-    validYears.forEach((year, yearIndex) => {
-      const row = { year: yearIndex.toString() }; // Convert to numeric index
-      
-      emittedCombinations.forEach((combo, comboIndex) => {
-        const queryObj = { [yearDimId]: year, ...combo.values };
-        const cell = dataset.Data(queryObj);
-        row[comboIndex.toString()] = cell ? Number(cell.value) : null; // Use numeric indices
-      });
-      
-      data.push(row);
+    let series = this._combineSeriesDimensions(dataset, seriesDims, dimIdToText);
+    if (spec.include) {
+      const include = spec.include[lang] || spec.include.ka || spec.include;
+      series = series.filter(s => s.label.includes(include));
+    }
+    series.forEach((s, index) => {
+      s.key = this._specSeriesKey(s, index, keys);
     });
 
-    return {
-      title: dataset.label || 'Dataset',
-      dimensions: [yearDimId, ...otherDims],
-      categories: emittedCombinations.map((combo, index) => index.toString()), // Use numeric indices
-      data: data,
-      metadata: {
-        totalRecords: data.length,
-        hasCategories: true,
-        yearRange: this._getYearRange(validYears),
-        dimensionCount: otherDims.length + 1,
-        seriesCount: emittedCombinations.length,
-        yearMapping: validYears.map((year, index) => ({ index: index.toString(), value: year })), // Provide year mapping
-        categoryMapping: emittedCombinations.map((combo, index) => ({ index: index.toString(), label: combo.label })) // Provide category mapping
-      }
-    };
-  }
+    const derived = this._buildDerivedSeries(dataset, spec, seriesDims, series, lang, dimIdToText);
 
-  /**
-   * Special processing for water-abstraction dataset with numeric indices
-   * @param {Object} dataset 
-   * @param {Array} years 
-   * @param {string} yearDimId 
-   * @param {Array} otherDims 
-   * @returns {Object}
-   */
-  _processWaterAbstractionSpecial(dataset, years, yearDimId, otherDims) {
-    // Filter out empty years first
-    const validYears = years.filter(year => year && year.toString().trim() !== '');
-    
-    // Get the categories dimension
-    const categoryDim = otherDims.find(dim => dim === 'Categories') || otherDims[0];
-    const categoryValues = dataset.Dimension(categoryDim).id;
-    const categoryLabels = this._getCategoryLabels(dataset, categoryDim);
-    
-    // Get year labels to convert indices to actual years
-    const yearLabels = this._getCategoryLabels(dataset, yearDimId);
-    
     const data = [];
-
-    // Create a row for each valid year with actual years
+    const rawYears = [];
     validYears.forEach((year, yearIndex) => {
-      // Get the actual year from the year labels
-      let actualYear = Number(year) || year;
-      
-      if (yearLabels && yearLabels[year]) {
-        const yearLabel = yearLabels[year];
-        const parsedYear = parseInt(yearLabel);
-        if (!isNaN(parsedYear)) {
-          actualYear = parsedYear;
-        }
-      }
-      
-      const row = { year: actualYear }; // Use actual year instead of numeric index
-      
-      categoryValues.forEach((categoryId, categoryIndex) => {
-        const queryObj = { [yearDimId]: year, [categoryDim]: categoryId };
-        const cell = dataset.Data(queryObj);
-        row[categoryIndex.toString()] = cell ? Number(cell.value) : null; // Use numeric indices for categories
+      const row = { year: this._resolveSpecYear(spec.years, year, yearIndex, yearLabels, datasetId) };
+      let hasData = false;
+
+      series.forEach(s => {
+        const cell = dataset.Data({ [yearDimId]: year, ...s.query });
+        const value = cell ? Number(cell.value) : (spec.missing ?? null);
+        row[s.key] = value;
+        if (value !== null) hasData = true;
       });
-      
+
+      if (spec.skipEmptyYears && !hasData) return;
       data.push(row);
+      rawYears.push(year);
     });
 
-    // Calculate actual years for metadata
-    const actualYears = validYears.map((year, yearIndex) => {
-      let actualYear = Number(year) || year;
-      
-      if (yearLabels && yearLabels[year]) {
-        const yearLabel = yearLabels[year];
-        const parsedYear = parseInt(yearLabel);
-        if (!isNaN(parsedYear)) {
-          actualYear = parsedYear;
-        }
-      }
-      return actualYear;
+    // Derived series read the base values of their own row (and the previous row for growth)
+    data.forEach((row, index) => {
+      derived.forEach(d => {
+        row[d.key] = this._computeDerived(d, row, data[index - 1]);
+      });
     });
 
-    return {
-      title: dataset.label || 'წყლის რესურსების დაცვა და გამოყენება',
-      dimensions: [yearDimId, categoryDim],
-      categories: categoryValues.map((catId, index) => index.toString()), // Use numeric indices
-      data: data,
-      metadata: {
-        totalRecords: data.length,
-        hasCategories: true,
-        yearRange: this._getYearRange(actualYears), // Use actual years for range
-        dimensionCount: otherDims.length + 1,
-        seriesCount: categoryValues.length,
-        yearMapping: actualYears.map((actualYear, index) => ({ index: index.toString(), value: actualYear })), // Use actual years in mapping
-        categoryMapping: categoryValues.map((catId, index) => ({ 
-          index: index.toString(), 
-          label: categoryLabels[catId] || catId 
-        })) // Provide category mapping
-      }
-    };
-  }
-
-  /**
-   * Special processing for material-flow-indicators dataset with numeric indices
-   */
-  _processMaterialFlowIndicatorsSpecial(dataset, years, yearDimId, otherDims, lang = 'ka') {
-    // Filter out empty years first
-    const validYears = years.filter(year => year && year.toString().trim() !== '');
-
-    // Get the indicators dimension
-    const indicatorDim = otherDims.find(dim => dim === 'Indicators') || otherDims[0];
-    const indicatorValues = dataset.Dimension(indicatorDim).id;
-    const indicatorLabels = this._getCategoryLabels(dataset, indicatorDim);
+    const allSeries = [...series, ...derived];
+    const actualYears = spec.years === 'index' ? rawYears : data.map(row => row.year);
 
-    // Get year labels to convert indices to actual years
-    const yearLabels = this._getCategoryLabels(dataset, yearDimId);
-
-    const data = [];
-
-    // Create a row for each valid year with actual years
-    validYears.forEach((year, yearIndex) => {
-      // Get the actual year from the year labels
-      let actualYear = Number(year) || year;
-      
-      if (yearLabels && yearLabels[year]) {
-        const yearLabel = yearLabels[year];
-        const parsedYear = parseInt(yearLabel);
-        if (!isNaN(parsedYear)) {
-          actualYear = parsedYear;
-        }
-      }
-      
-      const row = { year: actualYear }; // Use actual year instead of numeric index
-
-      indicatorValues.forEach((indicatorId, indicatorIndex) => {
-        const queryObj = { [yearDimId]: year, [indicatorDim]: indicatorId };
-        const cell = dataset.Data(queryObj);
-        row[indicatorIndex.toString()] = cell ? Number(cell.value) : null; // Use numeric indices for indicators
-      });
+    const metadata = {
+      totalRecords: data.length,
+      hasCategories: true,
+      yearRange: this._getYearRange(actualYears)
+    };
 
-      // Add calculated field: "სხვა მოპოვება" = "ადგილობრივი მოპოვება" (index 0) - "ბიომასა" (index 1)
-      const domesticExtraction = row['0'] || 0;
-      const biomass = row['1'] || 0;
-      const calculatedIndex = indicatorValues.length; // Next available index
-      row[calculatedIndex.toString()] = domesticExtraction - biomass;
+    if (spec.counts !== false) {
+      metadata.dimensionCount = otherDims.length + 1;
+      metadata.seriesCount = allSeries.length;
+    }
 
-      data.push(row);
-    });
+    if (spec.yearMapping === 'object') {
+      metadata.yearMapping = Object.fromEntries(rawYears.map((year, index) => [year, data[index].year]));
+    } else if (spec.yearMapping !== false) {
+      metadata.yearMapping = actualYears.map((value, index) => ({ index: index.toString(), value }));
+    }
 
-    // Collect actual years for metadata
-    const actualYears = validYears.map(year => {
-      let actualYear = Number(year) || year;
-      if (yearLabels && yearLabels[year]) {
-        const yearLabel = yearLabels[year];
-        const parsedYear = parseInt(yearLabel);
-        if (!isNaN(parsedYear)) {
-          actualYear = parsedYear;
-        }
+    Object.entries(spec.dimensionLabels || {}).forEach(([name, option]) => {
+      const { dimension, derived: withDerived } = typeof option === 'object' ? option : { dimension: option };
+      const labels = { ...this._getDimensionLabels(dataset, seriesDims[dimension], dimIdToText) };
+      if (withDerived) {
+        derived.forEach(d => {
+          labels[d.ids[dimension]] ??= d.def.label?.[lang] || d.def.label?.ka || d.def.label;
+        });
       }
-      return actualYear;
+      metadata[name] = labels;
     });
 
-    // Create categories including the calculated field
-    const allCategories = indicatorValues.map((indId, index) => index.toString());
-    allCategories.push(indicatorValues.length.toString()); // Add calculated field index
+    Object.assign(metadata, this._regionMetadata(regions, series.map(s => [s.key, s.query])));
+    const regionCode = s => metadata.regionCodes?.[s.key] !== undefined && { regionCode: metadata.regionCodes[s.key] };
+
+    // Label-keyed rows are self-describing
+    if (keys === 'index' && spec.categoryMapping !== false) {
+      metadata.categoryMapping = allSeries.map(s => ({
+        index: s.key,
+        ...(spec.categoryMapping === 'id' && !s.derived && { id: s.ids.join(' - ') }),
+        label: s.mappingLabel ?? s.label,
+        ...regionCode(s)
+      }));
+    }
 
-    // Create category mapping including the calculated field
-    const categoryMapping = indicatorValues.map((indId, index) => ({
-      index: index.toString(),
-      label: indicatorLabels[indId] || indId
-    }));
-    
-    // Add the calculated field to category mapping with language support
-    const calculatedFieldLabel = lang === 'en' 
-      ? 'Other extraction (minerals, fossil fuels)'
-      : 'სხვა მოპოვება (მინერალები, წიაღისეული საწვავი)';
-    
-    categoryMapping.push({
-      index: indicatorValues.length.toString(),
-      label: calculatedFieldLabel
-    });
+    this._logProcessing(datasetId, `Spec engine built ${series.length} base and ${derived.length} derived series`);
 
     return {
-      title: dataset.label || 'მატერიალური ნაკადების ძირითადი მაჩვენებლები',
-      dimensions: [yearDimId, indicatorDim],
-      categories: allCategories, // Include calculated field
+      title: dataset.label || spec.title || 'Dataset',
+      dimensions: [yearDimId, ...seriesDims],
+      categories: allSeries.map(s => s.key),
       data: data,
-      metadata: {
-        totalRecords: data.length,
-        hasCategories: true,
-        yearRange: this._getYearRange(actualYears), // Use actual years for range
-        dimensionCount: otherDims.length + 1,
-        seriesCount: indicatorValues.length + 1, // Include calculated field
-        yearMapping: actualYears.map((actualYear, index) => ({ index: index.toString(), value: actualYear })), // Use actual years in mapping
-        categoryMapping: categoryMapping // Include calculated field mapping
-      }
+      metadata: metadata
     };
   }
 
   /**
-   * Special processing for municipal-waste dataset with actual years
+   * SPEC HELPER: Resolve `series` entries to dimension IDs
+   * ======================================================
+   * - string: exact dimension ID
+   * - number: position in otherDims
+   * - { match }: first dimension whose ID contains the text (case-insensitive)
+   * String and match entries fall back to otherDims at the same position.
+   * 
+   * @param {Object} spec - Processor spec
+   * @param {Array} otherDims - Non-year dimensions
+   * @returns {Array} - Dimension IDs in series order
    */
-  _processMunicipalWasteSpecial(dataset, years, yearDimId, otherDims, lang = 'ka') {
-    // Filter out empty years first
-    const validYears = years.filter(year => year && year.toString().trim() !== '');
+  _resolveSpecDimensions(spec, otherDims) {
+    if (!spec?.series) return otherDims;
 
-    // Get the waste categories dimension
-    const wasteDim = otherDims[0];
-    const wasteValues = dataset.Dimension(wasteDim).id;
-    const wasteLabels = this._getCategoryLabels(dataset, wasteDim);
-
-    // Get year values to convert indices to actual years dynamically
-    const yearValues = this._getCategoryValues(dataset, yearDimId);
-    
-    const data = [];
+    return spec.series.map((entry, index) => {
+      if (typeof entry === 'number') return otherDims[entry];
+      return otherDims.find(dim => this._matchesDimension(entry, dim)) || otherDims[index];
+    });
+  }
 
-    // Create a row for each valid year with actual years
-    validYears.forEach((year, yearIndex) => {
-      // Get the actual year from the year values array (dynamic approach)
-      let actualYear = Number(year) || year;
-      
-      // First try dynamic approach
-      if (yearValues && yearValues.length > 0 && yearValues[yearIndex]) {
-        const yearValue = yearValues[yearIndex];
-        const parsedYear = parseInt(yearValue);
-        if (!isNaN(parsedYear)) {
-          actualYear = parsedYear;
-        }
-      } else {
-        // Fallback: Use known municipal waste year range (2015-2022 for indices 0-7)
-        // This handles the case where dynamic mapping fails
-        const municipalWasteYearStart = 2015;
-        if (yearIndex !== undefined && yearIndex >= 0) {
-          actualYear = municipalWasteYearStart + yearIndex;
-        }
-      }
-      
-      const row = { year: actualYear }; // Use actual year instead of numeric index
+  /**
+   * SPEC HELPER: Check whether a `series` entry names a dimension
+   * @param {string|Object} entry - Dimension ID or { match }
+   * @param {string} dimId - Dimension ID
+   * @returns {boolean}
+   */
+  _matchesDimension(entry, dimId) {
+    if (typeof entry === 'string') return dimId === entry;
+    if (entry?.match) return String(dimId).toLowerCase().includes(entry.match.toLowerCase());
+    return false;
+  }
 
-      wasteValues.forEach((wasteId, wasteIndex) => {
-        const queryObj = { [yearDimId]: year, [wasteDim]: wasteId };
-        const cell = dataset.Data(queryObj);
-        row[wasteIndex.toString()] = cell ? Number(cell.value) : null; // Use numeric indices for waste categories
-      });
+  /**
+   * SPEC HELPER: Every combination of the series dimensions' values
+   * ===============================================================
+   * Labels of combined dimensions are joined with ' - '.
+   * 
+   * @param {Object} dataset - JSON-Stat dataset
+   * @param {Array} dims - Series dimension IDs
+   * @param {Object} dimIdToText - rawMetadata labels (dimension → value ID → text)
+   * @returns {Array} - [{ query, ids, positions, labels, label }]
+   */
+  _combineSeriesDimensions(dataset, dims, dimIdToText = {}) {
+    const dimData = dims.map(dimId => ({
+      id: dimId,
+      values: dataset.Dimension(dimId).id,
+      labels: this._getDimensionLabels(dataset, dimId, dimIdToText)
+    }));
 
-      // Calculate annual growth for "მუნიციპალური ნარჩენი, ათასი ტონა" (index 0)
-      const currentMunicipalWaste = row['0'];
-      let annualGrowth = null;
-
-      // Only calculate if we have current value and this is not the first year
-      if (currentMunicipalWaste !== null && yearIndex > 0) {
-        // Get the previous year's value
-        const previousYearIndex = validYears[yearIndex - 1];
-        const previousQueryObj = { [yearDimId]: previousYearIndex, [wasteDim]: wasteValues[0] };
-        const previousCell = dataset.Data(previousQueryObj);
-        const previousValue = previousCell ? Number(previousCell.value) : null;
-
-        if (previousValue !== null && previousValue !== 0) {
-          // Formula: ((current / previous) * 100) - 100
-          annualGrowth = ((currentMunicipalWaste / previousValue) * 100) - 100;
-        }
-      }
+    let combinations = [{ query: {}, ids: [], positions: [], labels: [] }];
+    dimData.forEach(dim => {
+      combinations = combinations.flatMap(combo => dim.values.map((valueId, position) => ({
+        query: { ...combo.query, [dim.id]: valueId },
+        ids: [...combo.ids, valueId],
+        positions: [...combo.positions, position],
+        labels: [...combo.labels, dim.labels[valueId] || valueId]
+      })));
+    });
 
-      const calculatedIndex = wasteValues.length; // Next available index
-      row[calculatedIndex.toString()] = annualGrowth;
+    return combinations.map(combo => ({ ...combo, label: combo.labels.join(' - ') }));
+  }
 
-      data.push(row);
-    });
+  /**
+   * SPEC HELPER: Row key for a series
+   * @param {Object} series - Combined series ({ ids, label })
+   * @param {number} index - Position among all series
+   * @param {string} keys - 'index' | 'label' | 'id'
+   * @returns {string}
+   */
+  _specSeriesKey(series, index, keys) {
+    if (keys === 'label') return series.label;
+    if (keys === 'id') return series.ids.join(' - ');
+    return index.toString();
+  }
 
-    // Collect actual years for metadata using dynamic mapping
-    const actualYears = validYears.map((year, yearIndex) => {
-      if (yearValues && yearValues[yearIndex]) {
-        const yearValue = yearValues[yearIndex];
-        const parsedYear = parseInt(yearValue);
-        if (!isNaN(parsedYear)) {
-          return parsedYear;
-        }
+  /**
+   * SPEC HELPER: Year value for a row
+   * =================================
+   * - 'label': year label parsed as a number, else `start + index` when a start is given, else the raw year
+   * - 'raw': the raw year value
+   * - 'sequence': `start + index`
+   * - 'parse': _parseYear() with its 4-tier fallback
+   * - 'index': the row index as a string (yearMapping then maps it to the raw year)
+   * 
+   * @param {string|Object} option - Mode or { from, start }
+   * @param {string} year - Raw year value
+   * @param {number} yearIndex - Position among valid years
+   * @param {Object} yearLabels - Year labels from dataset
+   * @param {string} datasetId - Dataset identifier
+   * @returns {number|string}
+   */
+  _resolveSpecYear(option = 'label', year, yearIndex, yearLabels, datasetId) {
+    const { from, start } = typeof option === 'object' ? option : { from: option };
+
+    switch (from) {
+      case 'raw':
+        return Number(year) || year;
+      case 'sequence':
+        return start + yearIndex;
+      case 'parse':
+        return this._parseYear(year, yearIndex, yearLabels, datasetId);
+      case 'index':
+        return yearIndex.toString();
+      default: {
+        const parsedYear = parseInt(yearLabels?.[year]);
+        if (!isNaN(parsedYear)) return parsedYear;
+        return start !== undefined ? start + yearIndex : Number(year) || year;
       }
-      return Number(year) || year;
-    });
+    }
+  }
 
-    // Add calculated field labels
-    const annualGrowthLabels = {
-      ka: 'ნარჩენების ჯამური რაოდენობის წლიური ზრდა (%)',
-      en: 'Annual growth in total waste (%)'
+  /**
+   * SPEC HELPER: Expand `derived` definitions into derived series
+   * =============================================================
+   * Without `per`, `of`/`by` name base series keys and one series is added.
+   * With `per` (position of a dimension in `series`), the definition is applied
+   * once for every value of that dimension and `of` names positions in the other
+   * series dimension.
+   * 
+   * @param {Object} dataset - JSON-Stat dataset
+   * @param {Object} spec - Processor spec
+   * @param {Array} seriesDims - Resolved series dimension IDs
+   * @param {Array} series - Base series
+   * @param {string} lang - Language code for labels
+   * @param {Object} dimIdToText - rawMetadata labels (dimension → value ID → text)
+   * @returns {Array} - [{ key, ids, label, mappingLabel?, derived, op, of, by, def }]
+   */
+  _buildDerivedSeries(dataset, spec, seriesDims, series, lang = 'ka', dimIdToText = {}) {
+    const definitions = spec.derived || [];
+    if (definitions.length === 0) return [];
+
+    const keys = spec.keys || 'index';
+    const byPosition = new Map(series.map(s => [s.positions.join(','), s.key]));
+    const added = new Map(); // target dimension → number of derived values so far
+    const derived = [];
+
+    const push = (entry) => {
+      entry.derived = true;
+      entry.key = this._specSeriesKey(entry, series.length + derived.length, keys);
+      derived.push(entry);
     };
 
-    // Build extended category mapping including calculated field
-    const extendedCategoryMapping = wasteValues.map((wasteId, index) => ({
-      index: index.toString(),
-      label: wasteLabels[wasteId] || wasteId
-    }));
+    definitions.forEach(def => {
+      const label = def.label?.[lang] || def.label?.ka || def.label;
+      const toList = value => [].concat(value ?? []).map(String);
+
+      if (def.per === undefined) {
+        const target = seriesDims[0];
+        const offset = added.get(target) || 0;
+        added.set(target, offset + 1);
+        const derivedId = String(dataset.Dimension(target).id.length + offset);
+        push({
+          ids: [derivedId],
+          label,
+          ...(def.bilingual && { mappingLabel: def.label }),
+          op: def.op,
+          of: toList(def.of),
+          by: toList(def.by),
+          def
+        });
+        return;
+      }
 
-    // Add calculated field to category mapping
-    const calculatedIndex = wasteValues.length;
-    extendedCategoryMapping.push({
-      index: calculatedIndex.toString(),
-      label: annualGrowthLabels
+      const perPos = def.per;
+      const targetPos = 1 - perPos;
+      const target = seriesDims[targetPos];
+      const offset = added.get(target) || 0;
+      added.set(target, offset + 1);
+      const derivedId = String(dataset.Dimension(target).id.length + offset);
+
+      const perDim = seriesDims[perPos];
+      const perValues = dataset.Dimension(perDim).id;
+      const perLabels = this._getDimensionLabels(dataset, perDim, dimIdToText);
+      const sourceKeys = (positions, perIndex) => positions
+        .map(position => {
+          const combo = [];
+          combo[perPos] = perIndex;
+          combo[targetPos] = Number(position);
+          return byPosition.get(combo.join(','));
+        })
+        .filter(key => key !== undefined);
+
+      const exclude = toList(def.exclude);
+      perValues.forEach((perId, perIndex) => {
+        if (exclude.includes(perId)) return;
+        const ids = [];
+        const labels = [];
+        ids[perPos] = perId;
+        ids[targetPos] = derivedId;
+        labels[perPos] = perLabels[perId] || perId;
+        labels[targetPos] = label;
+
+        push({
+          ids,
+          label: labels.join(' - '),
+          op: def.op,
+          of: sourceKeys(toList(def.of), perIndex),
+          by: sourceKeys(toList(def.by), perIndex),
+          def
+        });
+      });
     });
 
-    // Build extended categories array including calculated field
-    const extendedCategories = wasteValues.map((wasteId, index) => index.toString());
-    extendedCategories.push(calculatedIndex.toString());
+    return derived;
+  }
 
-    return {
-      title: dataset.label || 'ნაგავსაყრელებზე განთავსებული მუნიციპალური ნარჩენები',
-      dimensions: [yearDimId, wasteDim],
-      categories: extendedCategories, // Include calculated field
-      data: data,
-      metadata: {
-        totalRecords: data.length,
-        hasCategories: true,
-        yearRange: this._getYearRange(actualYears), // Use actual years for range
-        dimensionCount: otherDims.length + 1,
-        seriesCount: wasteValues.length + 1, // Include calculated field
-        yearMapping: actualYears.map((actualYear, index) => ({ index: index.toString(), value: actualYear })), // Use actual years in mapping
-        categoryMapping: extendedCategoryMapping // Include calculated field mapping
-      }
+  /**
+   * SPEC HELPER: Value of a derived series for one row
+   * ==================================================
+   * - sum: of[0] + of[1] + ...
+   * - difference: of[0] - (of[1] + ...)
+   * - ratio: (of[0] + ...) / (by[0] + ...), null when the divisor is 0
+   * - growth: of[0] against the previous row, as ((current / previous) * 100) - 100
+   * - scale: (of[0] + offset) * factor, rounded to `decimals`
+   * Missing inputs make the result null unless the definition sets `missing`.
+   * 
+   * @param {Object} derived - Derived series from _buildDerivedSeries
+   * @param {Object} row - Current data row
+   * @param {Object} previousRow - Previous data row (undefined for the first one)
+   * @returns {number|null}
+   */
+  _computeDerived(derived, row, previousRow) {
+    const { op, of, by, def } = derived;
+    const read = (source, fromRow = row) => {
+      const value = fromRow?.[source];
+      return value === null || value === undefined ? (def.missing ?? null) : value;
     };
+    const total = values => (values.some(value => value === null) ? null : values.reduce((a, b) => a + b, 0));
+
+    switch (op) {
+      case 'sum':
+        return total(of.map(source => read(source)));
+      case 'difference': {
+        const [first, ...rest] = of.map(source => read(source));
+        const subtrahend = total(rest);
+        return first === null || subtrahend === null ? null : first - subtrahend;
+      }
+      case 'ratio': {
+        const numerator = total(of.map(source => read(source)));
+        const denominator = total(by.map(source => read(source)));
+        return numerator === null || !denominator ? null : numerator / denominator;
+      }
+      case 'growth': {
+        const current = read(of[0]);
+        const previous = previousRow ? read(of[0], previousRow) : null;
+        return current === null || !previous ? null : ((current / previous) * 100) - 100;
+      }
+      case 'scale': {
+        const value = read(of[0]);
+        if (value === null) return null;
+        const scaled = (value + (def.offset || 0)) * (def.factor ?? 1);
+        return def.decimals === undefined ? scaled : Number(scaled.toFixed(def.decimals));
+      }
+      default:
+        this._logProcessing(null, `Unknown derived operation: ${op}`);
+        return null;
+    }
   }
 
   /**
-   * Special processing for fertilizer-use dataset with calculated total fertilizer intensity
+   * SPEC HELPER: Labels of derived series added to a metadata variable
+   * @param {Object} spec - Processor spec (may be null)
+   * @param {Array} variables - PXWeb metadata variables
+   * @param {string} code - Variable code
+   * @param {string} lang - Language code
+   * @returns {Array} - Extra valueTexts for the variable
    */
-  _processFertilizerUseSpecial(dataset, years, yearDimId, otherDims, lang = 'ka') {
-    // Filter out empty years first
-    const validYears = years.filter(year => year && year.toString().trim() !== '');
-
-    // Get the fertilizer consumption dimension
-    const fertilizerDim = otherDims[0];
-    const fertilizerValues = dataset.Dimension(fertilizerDim).id;
-    const fertilizerLabels = this._getCategoryLabels(dataset, fertilizerDim);
+  _derivedValueTexts(spec, variables, code, lang = 'ka') {
+    if (!spec?.derived) return [];
 
-    // Get year values to convert indices to actual years dynamically
-    const yearValues = this._getCategoryValues(dataset, yearDimId);
-    
-    const data = [];
+    const codes = variables.map(v => v.code);
+    const yearDimId = variables.find(v => v.time)?.code || this._findYearDimension(codes);
+    const seriesDims = this._resolveSpecDimensions(spec, codes.filter(c => c !== yearDimId));
 
-    // Create a row for each valid year with actual years
-    validYears.forEach((year, yearIndex) => {
-      // Get the actual year from the year values array (dynamic approach)
-      let actualYear = Number(year) || year;
-      
-      if (yearValues && yearValues[yearIndex]) {
-        const yearValue = yearValues[yearIndex];
-        const parsedYear = parseInt(yearValue);
-        if (!isNaN(parsedYear)) {
-          actualYear = parsedYear;
-        }
-      } else {
-        // For fertilizer use, if dynamic approach fails, use known mapping (2006-2024)
-        actualYear = 2006 + yearIndex;
-      }
-      
-      const row = { year: actualYear }; // Use actual year instead of numeric index
-
-      fertilizerValues.forEach((fertilizerId, fertilizerIndex) => {
-        const queryObj = { [yearDimId]: year, [fertilizerDim]: fertilizerId };
-        const cell = dataset.Data(queryObj);
-        row[fertilizerIndex.toString()] = cell ? Number(cell.value) : null; // Use numeric indices for fertilizer categories
-      });
-
-      // Calculate total fertilizer intensity using the formula:
-      // (Total mineral fertilizers + Total organic fertilizers) / Agricultural area
-      const totalMineralFertilizers = row['9']; // "Total consumption of mineral fertilizers, 1000 tons"
-      const totalOrganicFertilizers = row['15']; // "Total consumption of organic fertilizers, 1000 tons"
-      const agriculturalArea = row['0']; // "Agricultural area, million hectares"
-      
-      let totalFertilizerIntensity = null;
-
-      // Only calculate if we have all required values
-      if (totalMineralFertilizers !== null && totalOrganicFertilizers !== null && 
-          agriculturalArea !== null && agriculturalArea !== 0) {
-        // Convert agricultural area from million hectares to thousand hectares for consistent units
-        // Formula: (mineral + organic fertilizers in 1000 tons) / (agricultural area in million hectares)
-        // Result: tons per hectare (since 1000 tons / (million hectares * 1000) = tons/hectare)
-        totalFertilizerIntensity = (totalMineralFertilizers + totalOrganicFertilizers) / agriculturalArea;
-      }
-
-      const calculatedIndex = fertilizerValues.length; // Next available index
-      row[calculatedIndex.toString()] = totalFertilizerIntensity;
-
-      data.push(row);
-    });
-
-    // Collect actual years for metadata using dynamic mapping
-    const actualYears = validYears.map((year, yearIndex) => {
-      if (yearValues && yearValues[yearIndex]) {
-        const yearValue = yearValues[yearIndex];
-        const parsedYear = parseInt(yearValue);
-        if (!isNaN(parsedYear)) {
-          return parsedYear;
-        }
-      }
-      return Number(year) || year;
-    });
-
-    // Add calculated field labels
-    const totalIntensityLabels = {
-      ka: 'სასუქების ჯამური ინტენსივობა (ათასი ტონა/კგ ჰექტარი)',
-      en: 'Total fertilizer intensity (thousand tons/kg hectares)'
-    };
-
-    // Build extended category mapping including calculated field
-    const extendedCategoryMapping = fertilizerValues.map((fertilizerId, index) => ({
-      index: index.toString(),
-      label: fertilizerLabels[fertilizerId] || fertilizerId
-    }));
-
-    // Add calculated field to category mapping
-    const calculatedIndex = fertilizerValues.length;
-    extendedCategoryMapping.push({
-      index: calculatedIndex.toString(),
-      label: totalIntensityLabels
-    });
-
-    // Build extended categories array including calculated field
-    const extendedCategories = fertilizerValues.map((fertilizerId, index) => index.toString());
-    extendedCategories.push(calculatedIndex.toString());
-
-    return {
-      title: dataset.label || 'F-2. სასუქების გამოყენება',
-      dimensions: [yearDimId, fertilizerDim],
-      categories: extendedCategories, // Include calculated field
-      data: data,
-      metadata: {
-        totalRecords: data.length,
-        hasCategories: true,
-        yearRange: this._getYearRange(actualYears), // Use actual years for range
-        dimensionCount: otherDims.length + 1,
-        seriesCount: fertilizerValues.length + 1, // Include calculated field
-        yearMapping: actualYears.map((actualYear, index) => ({ index: index.toString(), value: actualYear })), // Use actual years in mapping
-        categoryMapping: extendedCategoryMapping // Include calculated field mapping
-      }
-    };
-  }
+    return spec.derived
+      .filter(def => seriesDims[def.per === undefined ? 0 : 1 - def.per] === code)
+      .map(def => def.label?.[lang] || def.label?.ka || def.label);
+  }
 
   /**
    * OPTIMIZED: Special processing for forest-fires dataset with actual years
@@ -1114,14 +987,13 @@ export class DataProcessingService {
    * - Reduce nested loops and object creation
    * - Cache frequently accessed values
    */
-  _processForestFiresSpecial(dataset, years, yearDimId, otherDims) {
+  _processForestFiresSpecial(dataset, years, yearDimId, otherDims, lang = 'ka', regions = null) {
     // Filter out empty years first (optimized)
     const validYears = years.filter(year => year && String(year).trim() !== '');
 
     // Pre-compute all required mappings and labels (cached)
     const yearLabels = this._getCategoryLabels(dataset, yearDimId);
     const regionIndexToIdMapping = DataProcessingService.FOREST_FIRES_REGION_MAPPINGS.indexToId;
-    const regionCodeMapping = DataProcessingService.FOREST_FIRES_REGION_MAPPINGS.indexToCode;
 
     // Find dimensions (optimized with early return)
     const regionDim = otherDims.find(dim => dim.toLowerCase().includes('region')) || otherDims[0];
@@ -1132,6 +1004,10 @@ export class DataProcessingService {
     const regionLabels = this._getCategoryLabels(dataset, regionDim);
     const categoryValues = dataset.Dimension(categoryDim).id;
     const categoryLabels = this._getCategoryLabels(dataset, categoryDim);
+    const regionCodeMapping = Object.fromEntries(regionValues.map(regionId => [
+      regionId,
+      (regions?.dimension === regionDim && regions.codes[regionId]?.regionCode) || 'UNKNOWN'
+    ]));
 
     // Pre-compute region-category key combinations to avoid repeated string concatenation
     const keyCombinations = [];
@@ -1168,1497 +1044,372 @@ export class DataProcessingService {
         
         const cell = dataset.Data(queryObj);
         const value = cell ? Number(cell.value) : null;
-        row[mapping.key] = value;
-        
-        if (value !== null && value !== undefined) {
-          hasData = true;
-        }
-      }
-
-      // Only include years with actual data
-      if (hasData) {
-        data.push(row);
-      }
-    }
-
-    // Build final categories and mapping using pre-computed mapping data
-    const categories = [];
-    
-    regionMappings.forEach(mapping => {
-      categories.push(mapping.key);
-      // Add label information to the mapping
-      const regionLabel = regionLabels[mapping.regionId] || mapping.regionId;
-      const categoryLabel = categoryLabels[mapping.categoryId] || mapping.categoryId;
-      const regionCode = regionCodeMapping[mapping.regionId] || mapping.regionId;
-      
-      mapping.regionLabel = regionLabel;
-      mapping.categoryLabel = categoryLabel;
-      mapping.regionCode = regionCode;
-      mapping.label = `${regionCode} - ${categoryLabel}`;
-    });
-
-    const totalSeries = regionValues.length * categoryValues.length;
-
-    return {
-      title: dataset.label || 'ტყისა და ველის ხანძრები რეგიონების მიხედვით',
-      dimensions: [yearDimId, regionDim, categoryDim],
-      categories: categories, // Use region ID with category suffix as keys
-      data: data,
-      metadata: {
-        totalRecords: data.length,
-        hasCategories: true,
-        yearRange: this._getYearRange(actualYears), // Use actual years for range
-        dimensionCount: otherDims.length + 1,
-        seriesCount: totalSeries,
-        yearMapping: actualYears.map((actualYear, index) => ({ index: index.toString(), value: actualYear })), // Use actual years in mapping
-        categoryMapping: regionMappings, // Provide detailed category mapping with region IDs
-        regionIndexToIdMapping: regionIndexToIdMapping, // Include the region index to ID mapping
-        regionCodeMapping: regionCodeMapping // Include the region code mapping for reference
-      }
-    };
-  }
-
-  /**
-   * Special processing for felled-timber-volume dataset with numeric indices
-   */
-  _processFelledTimberVolumeSpecial(dataset, years, yearDimId, otherDims) {
-    // Filter out empty years first
-    const validYears = years.filter(year => year && year.toString().trim() !== '');
-
-    // Get the categories dimension (regions, timber types, etc.)
-    const categoryDim = otherDims[0]; // Use the first non-year dimension
-    const categoryValues = dataset.Dimension(categoryDim).id;
-    const categoryLabels = this._getCategoryLabels(dataset, categoryDim);
-    
-    // Get year labels to convert indices to actual years
-    const yearLabels = this._getCategoryLabels(dataset, yearDimId);
-
-    const data = [];
-
-    // Create a row for each valid year with actual years
-    validYears.forEach((year, yearIndex) => {
-      // Get the actual year from the year labels or use hardcoded mapping
-      let actualYear = 2010 + yearIndex; // Default mapping starting from 2010
-      
-      if (yearLabels && yearLabels[year]) {
-        const yearLabel = yearLabels[year];
-        const parsedYear = parseInt(yearLabel);
-        if (!isNaN(parsedYear)) {
-          actualYear = parsedYear;
-        }
-      }
-      
-      const row = { year: actualYear }; // Use actual year instead of numeric index
-
-      categoryValues.forEach((categoryId, categoryIndex) => {
-        const queryObj = { [yearDimId]: year, [categoryDim]: categoryId };
-        const cell = dataset.Data(queryObj);
-        row[categoryIndex.toString()] = cell ? Number(cell.value) : null; // Use numeric indices for categories
-      });
-
-      data.push(row);
-    });
-
-    return {
-      title: dataset.label || 'ტყის ჭრით მიღებული ხე-ტყის მოცულობა',
-      dimensions: [yearDimId, categoryDim],
-      categories: categoryValues.map((catId, index) => index.toString()), // Use numeric indices
-      data: data,
-      metadata: {
-        totalRecords: data.length,
-        hasCategories: true,
-        yearRange: this._getYearRange(validYears.map((year, index) => {
-          // Calculate actual years for yearRange
-          let actualYear = 2010 + index;
-          if (yearLabels && yearLabels[year]) {
-            const yearLabel = yearLabels[year];
-            const parsedYear = parseInt(yearLabel);
-            if (!isNaN(parsedYear)) {
-              actualYear = parsedYear;
-            }
-          }
-          return actualYear;
-        })),
-        dimensionCount: otherDims.length + 1,
-        seriesCount: categoryValues.length,
-        yearMapping: validYears.map((year, index) => {
-          // Get actual year from labels or use hardcoded mapping
-          let actualYear = 2010 + index; // Default mapping starting from 2010
-          if (yearLabels && yearLabels[year]) {
-            const yearLabel = yearLabels[year];
-            const parsedYear = parseInt(yearLabel);
-            if (!isNaN(parsedYear)) {
-              actualYear = parsedYear;
-            }
-          }
-          return { index: index.toString(), value: actualYear };
-        }), // Provide year mapping
-        categoryMapping: categoryValues.map((catId, index) => ({
-          index: index.toString(),
-          label: categoryLabels[catId] || catId
-        })) // Provide category mapping
-      }
-    };
-  }
-
-  /**
-   * Special processing for illegal-logging dataset with numeric indices
-   */
-  _processIllegalLoggingSpecial(dataset, years, yearDimId, otherDims) {
-    // Filter out empty years first
-    const validYears = years.filter(year => year && year.toString().trim() !== '');
-
-    // Get the categories dimension (regions, violation types, etc.)
-    const categoryDim = otherDims[0]; // Use the first non-year dimension
-    const categoryValues = dataset.Dimension(categoryDim).id;
-    const categoryLabels = this._getCategoryLabels(dataset, categoryDim);
-    
-    // Get year labels to convert indices to actual years
-    const yearLabels = this._getCategoryLabels(dataset, yearDimId);
-
-    const data = [];
-
-    // Create a row for each valid year with actual years
-    validYears.forEach((year, yearIndex) => {
-      // Get the actual year from the year labels
-      let actualYear = Number(year) || year;
-      
-      if (yearLabels && yearLabels[year]) {
-        const yearLabel = yearLabels[year];
-        const parsedYear = parseInt(yearLabel);
-        if (!isNaN(parsedYear)) {
-          actualYear = parsedYear;
-        }
-      }
-      
-      const row = { year: actualYear }; // Use actual year instead of numeric index
-
-      categoryValues.forEach((categoryId, categoryIndex) => {
-        const queryObj = { [yearDimId]: year, [categoryDim]: categoryId };
-        const cell = dataset.Data(queryObj);
-        row[categoryIndex.toString()] = cell ? Number(cell.value) : null; // Use numeric indices for categories
-      });
-
-      data.push(row);
-    });
-
-    return {
-      title: dataset.label || 'ტყის უკანონო ჭრა',
-      dimensions: [yearDimId, categoryDim],
-      categories: categoryValues.map((catId, index) => index.toString()), // Use numeric indices
-      data: data,
-      metadata: {
-        totalRecords: data.length,
-        hasCategories: true,
-        yearRange: this._getYearRange(validYears),
-        dimensionCount: otherDims.length + 1,
-        seriesCount: categoryValues.length,
-        yearMapping: validYears.map((year, index) => {
-          // Get actual year from labels
-          let actualYear = year;
-          if (yearLabels && yearLabels[year]) {
-            const yearLabel = yearLabels[year];
-            const parsedYear = parseInt(yearLabel);
-            if (!isNaN(parsedYear)) {
-              actualYear = parsedYear;
-            }
-          }
-          return { index: index.toString(), value: actualYear };
-        }), // Provide year mapping
-        categoryMapping: categoryValues.map((catId, index) => ({
-          index: index.toString(),
-          label: categoryLabels[catId] || catId
-        })) // Provide category mapping
-      }
-    };
-  }
-
-  /**
-   * Special processing for forest-planting-recovery dataset with numeric indices
-   */
-  _processForestPlantingRecoverySpecial(dataset, years, yearDimId, otherDims) {
-    // Filter out empty years first
-    const validYears = years.filter(year => year && year.toString().trim() !== '');
-
-    // This dataset has 3 dimensions: Regions, Year, and Category
-    // We need to handle all dimensions properly
-    const regionDim = otherDims.find(dim => dim.toLowerCase().includes('region')) || otherDims[0];
-    const categoryDim = otherDims.find(dim => dim.toLowerCase().includes('category')) || otherDims[1];
-    
-    const regionValues = dataset.Dimension(regionDim).id;
-    const regionLabels = this._getCategoryLabels(dataset, regionDim);
-    const categoryValues = dataset.Dimension(categoryDim).id;
-    const categoryLabels = this._getCategoryLabels(dataset, categoryDim);
-
-    const data = [];
-    
-    // Get year labels to convert indices to actual years
-    const yearLabels = this._getCategoryLabels(dataset, yearDimId);
-
-    // Create a row for each valid year with actual years
-    validYears.forEach((year, yearIndex) => {
-      // Get the actual year from the year labels
-      let actualYear = Number(year) || year;
-      
-      if (yearLabels && yearLabels[year]) {
-        const yearLabel = yearLabels[year];
-        const parsedYear = parseInt(yearLabel);
-        if (!isNaN(parsedYear)) {
-          actualYear = parsedYear;
-        }
-      }
-      
-      const row = { year: actualYear }; // Use actual year instead of numeric index
-
-      let seriesIndex = 0;
-      // Combine regions and categories to create series
-      regionValues.forEach((regionId) => {
-        categoryValues.forEach((categoryId) => {
-          const queryObj = { 
-            [yearDimId]: year, 
-            [regionDim]: regionId, 
-            [categoryDim]: categoryId 
-          };
-          const cell = dataset.Data(queryObj);
-          row[seriesIndex.toString()] = cell ? Number(cell.value) : null;
-          seriesIndex++;
-        });
-      });
-
-      data.push(row);
-    });
-
-    // Create combined labels for regions and categories
-    const combinedLabels = [];
-    regionValues.forEach((regionId) => {
-      categoryValues.forEach((categoryId) => {
-        const regionLabel = regionLabels[regionId] || regionId;
-        const categoryLabel = categoryLabels[categoryId] || categoryId;
-        combinedLabels.push(`${regionLabel} - ${categoryLabel}`);
-      });
-    });
-
-    const totalSeries = regionValues.length * categoryValues.length;
-
-    return {
-      title: dataset.label || 'ტყის თესვა/დარგვა და ბუნებრივი განახლებისთვის ხელშეწყობა',
-      dimensions: [yearDimId, regionDim, categoryDim],
-      categories: Array.from({length: totalSeries}, (_, i) => i.toString()), // Use numeric indices
-      data: data,
-      metadata: {
-        totalRecords: data.length,
-        hasCategories: true,
-        yearRange: this._getYearRange(validYears),
-        dimensionCount: otherDims.length + 1,
-        seriesCount: totalSeries,
-        yearMapping: validYears.map((year, index) => {
-          // Get actual year from labels
-          let actualYear = year;
-          if (yearLabels && yearLabels[year]) {
-            const yearLabel = yearLabels[year];
-            const parsedYear = parseInt(yearLabel);
-            if (!isNaN(parsedYear)) {
-              actualYear = parsedYear;
-            }
-          }
-          return { index: index.toString(), value: actualYear };
-        }), // Provide year mapping
-        categoryMapping: combinedLabels.map((label, index) => ({
-          index: index.toString(),
-          label: label
-        })) // Provide category mapping with combined region-category labels
-      }
-    };
-  }
-
-  /**
-   * Process water-use-households dataset with actual years
-   * @param {Object} dataset 
-   * @param {Array} years 
-   * @param {string} yearDimId 
-   * @param {Array} otherDims 
-   * @returns {Object}
-   */
-  _processWaterUseHouseholdsSpecial(dataset, years, yearDimId, otherDims) {
-    const catDimId = otherDims[0];
-    const catIds = dataset.Dimension(catDimId).id;
-    const catLabels = this._getCategoryLabels(dataset, catDimId);
-    
-    // Directly get the year values from dataset metadata
-    // Since years are ["0", "1", "2", ...] and we need [2015, 2016, 2017, ...]
-    const yearValueTexts = dataset.Dimension(yearDimId).Category().label;
-    
-    const rows = years.map((year, index) => {
-      // Get the actual year from the valueTexts
-      let actualYear = 2015 + index; // Start from 2015 as per metadata
-      
-      // If we have year labels, try to extract the actual year
-      if (yearValueTexts && yearValueTexts[year]) {
-        const yearText = yearValueTexts[year];
-        const parsedYear = parseInt(yearText);
-        if (!isNaN(parsedYear)) {
-          actualYear = parsedYear;
-        }
-      }
-      
-      const row = { year: actualYear };
-      
-      catIds.forEach(catId => {
-        const cell = dataset.Data({ [yearDimId]: year, [catDimId]: catId });
-        const label = catLabels[catId] || catId;
-        row[label] = cell ? Number(cell.value) : null;
-      });
-      
-      return row;
-    });
-
-    // Calculate actual years for yearRange
-    const actualYears = years.map((year, index) => {
-      if (yearValueTexts && yearValueTexts[year]) {
-        const yearText = yearValueTexts[year];
-        const parsedYear = parseInt(yearText);
-        if (!isNaN(parsedYear)) {
-          return parsedYear;
-        }
-      }
-      return 2015 + index; // Default mapping
-    });
-
-    return {
-      title: dataset.label || 'წყლის გამოყენება შინამეურნეობებში ერთ სულ მოსახლეზე',
-      dimensions: [yearDimId, catDimId],
-      categories: catIds.map(id => catLabels[id] || id),
-      data: rows,
-      metadata: {
-        totalRecords: rows.length,
-        hasCategories: true,
-        yearRange: this._getYearRange(actualYears)
-      }
-    };
-  }
-
-  /**
-   * Process sewerage-network-population dataset with actual years
-   * @param {Object} dataset 
-   * @param {Array} years 
-   * @param {string} yearDimId 
-   * @param {Array} otherDims 
-   * @returns {Object}
-   */
-  _processSewerageNetworkPopulationSpecial(dataset, years, yearDimId, otherDims) {
-    const catDimId = otherDims[0];
-    const catIds = dataset.Dimension(catDimId).id;
-    const catLabels = this._getCategoryLabels(dataset, catDimId);
-    
-    // Directly get the year values from dataset metadata
-    // Since years are ["0", "1", "2", ...] and we need [2015, 2016, 2017, ...]
-    const yearValueTexts = dataset.Dimension(yearDimId).Category().label;
-    
-    const rows = years.map((year, index) => {
-      // Get the actual year from the valueTexts
-      let actualYear = 2015 + index; // Start from 2015 as per metadata
-      
-      // If we have year labels, try to extract the actual year
-      if (yearValueTexts && yearValueTexts[year]) {
-        const yearText = yearValueTexts[year];
-        const parsedYear = parseInt(yearText);
-        if (!isNaN(parsedYear)) {
-          actualYear = parsedYear;
-        }
-      }
-      
-      const row = { year: actualYear };
-      
-      catIds.forEach(catId => {
-        const cell = dataset.Data({ [yearDimId]: year, [catDimId]: catId });
-        const label = catLabels[catId] || catId;
-        row[label] = cell ? Number(cell.value) : null;
-      });
-      
-      return row;
-    });
-
-    // Calculate actual years for yearRange
-    const actualYears = years.map((year, index) => {
-      if (yearValueTexts && yearValueTexts[year]) {
-        const yearText = yearValueTexts[year];
-        const parsedYear = parseInt(yearText);
-        if (!isNaN(parsedYear)) {
-          return parsedYear;
-        }
-      }
-      return 2015 + index; // Default mapping
-    });
-
-    // Create year mapping
-    const yearMapping = {};
-    years.forEach((year, index) => {
-      let actualYear = 2015 + index;
-      if (yearValueTexts && yearValueTexts[year]) {
-        const yearText = yearValueTexts[year];
-        const parsedYear = parseInt(yearText);
-        if (!isNaN(parsedYear)) {
-          actualYear = parsedYear;
-        }
-      }
-      yearMapping[year] = actualYear;
-    });
-
-    return {
-      title: dataset.label || 'წყალარინების ქსელზე მიერთებული მოსახლეობა',
-      dimensions: [yearDimId, catDimId],
-      categories: catIds.map(id => catLabels[id] || id),
-      data: rows,
-      metadata: {
-        totalRecords: rows.length,
-        hasCategories: true,
-        yearRange: this._getYearRange(actualYears),
-        yearMapping: yearMapping
-      }
-    };
-  }
-
-  /**
-   * Get all combinations of non-year dimensions
-   * @param {Object} dataset 
-   * @param {Array} otherDims 
-   * @returns {Array}
-   */
-  _getAllDimensionCombinations(dataset, otherDims, dimIdToText = {}) {
-    const combinations = [];
-
-    const dimData = otherDims.map(dimId => ({
-      id: dimId,
-      values: dataset.Dimension(dimId).id,
-      // prefer rawMetadata labels; fall back to Category().label
-      labels: (Object.keys(dimIdToText[dimId] || {}).length
-        ? dimIdToText[dimId]
-        : this._getCategoryLabels(dataset, dimId))
-    }));
-
-    const generateCombos = (index, currentCombo, currentLabel) => {
-      if (index === dimData.length) {
-        combinations.push({ values: { ...currentCombo }, label: currentLabel });
-        return;
-      }
-
-      const currentDim = dimData[index];
-      currentDim.values.forEach(valueId => {
-        const valueLabel = currentDim.labels[valueId] || valueId;
-        const newLabel = currentLabel ? `${currentLabel} - ${valueLabel}` : valueLabel;
-        generateCombos(index + 1, { ...currentCombo, [currentDim.id]: valueId }, newLabel);
-      });
-    };
-
-    generateCombos(0, {}, '');
-    return combinations;
-  }
-
-  /**
-   * Get year range from years array
-   * @param {Array} years 
-   * @returns {Object|null}
-   */
-  _getYearRange(years) {
-    if (years.length === 0) return null;
-    const numericYears = years.map(y => Number(y)).filter(y => !isNaN(y));
-    if (numericYears.length === 0) return null;
-    
-    return {
-      start: Math.min(...numericYears),
-      end: Math.max(...numericYears)
-    };
-  }
-
-  /**
-   * OPTIMIZED: Get category labels for a dimension with caching
-   * ==========================================================
-   * This method is called frequently, so we cache results to avoid repeated processing.
-   * 
-   * @param {Object} dataset - JSON-Stat dataset
-   * @param {string} catDimId - Category dimension ID
-   * @returns {Object} - Category labels mapping
-   */
-  _getCategoryLabels(dataset, catDimId) {
-    if (!catDimId) return {};
-    
-    // Create cache key from dataset and dimension
-    const cacheKey = `${dataset?.label || 'unknown'}_${catDimId}`;
-    
-    // Check cache first
-    if (this._categoryLabelsCache.has(cacheKey)) {
-      return this._categoryLabelsCache.get(cacheKey);
-    }
-    
-    // Get labels from dataset
-    const category = dataset.Dimension(catDimId).Category();
-    const labels = category?.label || {};
-    
-    // Cache the result (limit cache size to prevent memory issues)
-    if (this._categoryLabelsCache.size < 100) {
-      this._categoryLabelsCache.set(cacheKey, labels);
-    }
-    
-    return labels;
-  }
-
-  /**
-   * Get category values (valueTexts) for dynamic year mapping
-   * @param {Object} dataset 
-   * @param {string} catDimId 
-   * @returns {Array}
-   */
-  _getCategoryValues(dataset, catDimId) {
-    if (!catDimId) return [];
-    
-    try {
-      const dimension = dataset.Dimension(catDimId);
-      const category = dimension.Category();
-      
-      // Try multiple approaches to get the actual year values
-      if (category?.valueTexts && Array.isArray(category.valueTexts)) {
-        return category.valueTexts;
-      }
-      
-      // Fallback: try to get from the dimension itself
-      if (dimension?.label && Array.isArray(dimension.label)) {
-        return Object.values(dimension.label);
-      }
-      
-      // Another fallback: try category.label values
-      if (category?.label && typeof category.label === 'object') {
-        return Object.values(category.label);
-      }
-      
-      return [];
-    } catch (error) {
-      console.log(`Error getting category values for ${catDimId}:`, error);
-      return [];
-    }
-  }
-
-  /**
-   * Process metadata for API response
-   * @param {Object} metadata 
-   * @returns {Object}
-   */
-  processMetadata(metadata, datasetId = null, lang = 'ka') {
-    return {
-      title: metadata.title || 'Unknown Dataset',
-      variables: metadata.variables?.map(v => {
-        // For protected areas datasets, keep the original valueTexts (which should be in the correct language)
-        const originalValues = v.values || [];
-        let valueTexts = v.valueTexts || [];
-        
-        // Special handling for material-flow-indicators dataset to add calculated field
-        if (datasetId === 'material-flow-indicators' && v.code === 'Indicators') {
-          // Add the calculated field to valueTexts based on language
-          const calculatedFieldText = lang === 'en' 
-            ? 'Other extraction (minerals, fossil fuels)'
-            : 'სხვა მოპოვება (მინერალები, წიაღისეული საწვავი)';
-          
-          valueTexts = [...valueTexts, calculatedFieldText];
-          // Add corresponding values index
-          originalValues.push(originalValues.length.toString());
-        }
-        
-        // Special handling for energy-intensity dataset to add calculated field
-        if (datasetId === 'energy-intensity' && v.code === 'Energy intensity') {
-          // Add the calculated field to valueTexts based on language
-          const calculatedFieldText = lang === 'en' 
-            ? 'Annual change, %'
-            : 'წლიური ცვლილება, %';
-          
-          valueTexts = [...valueTexts, calculatedFieldText];
-          // Add corresponding values index
-          originalValues.push(originalValues.length.toString());
-        }
-
-        // Special handling for primary-energy-supply dataset to add calculated fields
-        if (datasetId === 'primary-energy-supply' && v.code === 'Primary Energy Supply') {
-          // Add the first calculated field (renewable energy) to valueTexts based on language
-          const renewableFieldText = lang === 'en' 
-            ? 'Renewable energy'
-            : 'განახლებადი ენერგია';
-          
-          // Add the second calculated field (other) to valueTexts based on language
-          const otherFieldText = lang === 'en' 
-            ? 'Other'
-            : 'სხვა';
-          
-          valueTexts = [...valueTexts, renewableFieldText, otherFieldText];
-          // Add corresponding values indices
-          originalValues.push(originalValues.length.toString());
-          originalValues.push(originalValues.length.toString());
-        }
-
-        // Special handling for final-energy-consumption dataset to add calculated field
-        if (datasetId === 'final-energy-consumption' && v.code === 'Final energy consumption') {
-          // Add the calculated field to valueTexts based on language
-          const calculatedFieldText = lang === 'en' 
-            ? 'Agriculture and other'
-            : 'სოფ.მეურნეობა და სხვა';
-          
-          valueTexts = [...valueTexts, calculatedFieldText];
-          // Add corresponding values index
-          originalValues.push(originalValues.length.toString());
-        }
-
-        // Special handling for municipal-waste dataset to add calculated field
-        if (datasetId === 'municipal-waste' && v.code === 'Waste') {
-          // Add the calculated field to valueTexts based on language
-          const calculatedFieldText = lang === 'en' 
-            ? 'Annual growth in total waste (%)'
-            : 'ნარჩენების ჯამური რაოდენობის წლიური ზრდა (%)';
-          
-          valueTexts = [...valueTexts, calculatedFieldText];
-          // Add corresponding values index
-          originalValues.push(originalValues.length.toString());
-        }
-
-        // Special handling for fertilizer-use dataset to add calculated field
-        if (datasetId === 'fertilizer-use' && v.code === 'Fertilizer consumption') {
-          // Add the calculated field to valueTexts based on language
-          const calculatedFieldText = lang === 'en' 
-            ? 'Total fertilizer intensity (thousand tons/Kg hectares)'
-            : 'სასუქების ჯამური ინტენსივობა (ათასი ტონა/კგ ჰექტარი)';
-          
-          valueTexts = [...valueTexts, calculatedFieldText];
-          // Add corresponding values index
-          originalValues.push(originalValues.length.toString());
-        }
-
-        // Special handling for atmospheric-precipitation dataset to add calculated field
-        if (datasetId === 'atmospheric-precipitation' && v.code === 'Precipitation categories') {
-          // Add the calculated field "გადახრა" to valueTexts
-          const calculatedFieldText = 'გადახრა';
-          
-          valueTexts = [...valueTexts, calculatedFieldText];
-          // Add corresponding values index
-          originalValues.push(originalValues.length.toString());
-        }
-
-        // Special handling for hydro-meteorological-hazards dataset to add total field
-        if (datasetId === 'hydro-meteorological-hazards' && v.code === 'Hydrometeorological hazard') {
-          // Add the total field to valueTexts based on language
-          const totalFieldText = lang === 'en' 
-            ? 'Total each month'
-            : 'ჯამი თითოეულ თვეში';
-          
-          valueTexts = [...valueTexts, totalFieldText];
-          // Add corresponding values index
-          originalValues.push(originalValues.length.toString());
-        }
-        
-        return {
-          code: v.code,
-          text: v.text,
-          values: originalValues.map((_, index) => index.toString()), // Convert to string indices
-          valueTexts: valueTexts, // Include modified valueTexts for material-flow-indicators
-          time: v.time || false
-        };
-      }) || [],
-      updated: metadata.updated || null,
-      source: metadata.source || null,
-      note: metadata.note || null,
-      language: metadata.language || lang
-    };
-  }
-
-  _processGeologicalPhenomenaSpecial(dataset, years, yearDimId, otherDims) {
-    // Filter out empty years first
-    const validYears = years.filter(year => year && year.toString().trim() !== '');
-
-    // Get the geological phenomena dimension
-    const phenomenaDim = otherDims[0]; // Should be "Geological phenomena"
-    const phenomenaValues = dataset.Dimension(phenomenaDim).id;
-    const phenomenaLabels = this._getCategoryLabels(dataset, phenomenaDim);
-
-    const data = [];
-
-    // Create a row for each valid year with actual years
-    validYears.forEach((year, yearIndex) => {
-      // Geological phenomena years mapping: 0->1995, 1->1996, ..., 28->2023
-      const actualYear = 1995 + yearIndex; // Fix: use yearIndex instead of parseInt(year)
-      const row = { year: actualYear }; // Use actual year instead of numeric index
-
-      // For each geological phenomenon type, get the data using numeric indices
-      phenomenaValues.forEach((phenomenaId, phenomenaIndex) => {
-        const queryObj = { 
-          [yearDimId]: year, 
-          [phenomenaDim]: phenomenaId
-        };
-        const cell = dataset.Data(queryObj);
-        const value = cell ? Number(cell.value) : null;
-        
-        // Use numeric indices for categories to match other special processors
-        row[phenomenaIndex.toString()] = value;
-      });
-
-      data.push(row);
-    });
-
-    // Calculate actual years for metadata
-    const actualYears = validYears.map((year, yearIndex) => 1995 + yearIndex);
-
-    return {
-      title: dataset.label || 'გეოლოგიური მოვლენები',
-      dimensions: [yearDimId, phenomenaDim],
-      categories: phenomenaValues.map((phenId, index) => index.toString()), // Use numeric indices
-      data: data,
-      metadata: {
-        totalRecords: data.length,
-        hasCategories: true,
-        yearRange: this._getYearRange(actualYears), // Use actual years for range
-        dimensionCount: otherDims.length + 1,
-        seriesCount: phenomenaValues.length,
-        yearMapping: actualYears.map((actualYear, index) => ({ index: index.toString(), value: actualYear })), // Provide year mapping
-        categoryMapping: phenomenaValues.map((phenId, index) => ({
-          index: index.toString(),
-          label: phenomenaLabels[phenId] || phenId
-        })) // Provide category mapping
-      }
-    };
-  }
-
-  /**
-   * Special processing for protected-areas-mammals dataset with numeric indices
-   * @param {Object} dataset 
-   * @param {Array} years 
-   * @param {string} yearDimId 
-   * @param {Array} otherDims 
-   * @param {string} lang - Language code
-   * @returns {Object}
-   */
-  _processProtectedAreasMammalsSpecial(dataset, years, yearDimId, otherDims, lang = 'ka') {
-    // Filter out empty years first
-    const validYears = years.filter(year => year && year.toString().trim() !== '');
-
-    // Get the mammal species dimension
-    const speciesDim = otherDims[0]; // Should be the mammal species dimension
-    const speciesValues = dataset.Dimension(speciesDim).id;
-    const speciesLabels = this._getCategoryLabels(dataset, speciesDim);
-
-    const data = [];
-
-    // Create a row for each valid year
-    validYears.forEach((year, yearIndex) => {
-      const row = { year: Number(year) || year }; // Use the year as provided
-
-      // For each mammal species, get the data using numeric indices
-      speciesValues.forEach((speciesId, speciesIndex) => {
-        const queryObj = { 
-          [yearDimId]: year, 
-          [speciesDim]: speciesId 
-        };
-        const cell = dataset.Data(queryObj);
-        const value = cell ? Number(cell.value) : null;
-        
-        // Use numeric index as the key instead of species name
-        row[speciesIndex.toString()] = value;
-      });
-
-      data.push(row);
-    });
-
-    // Calculate actual years for metadata
-    const actualYears = validYears.map(year => Number(year) || year);
-
-    return {
-      title: dataset.label || 'Protected Areas Mammals',
-      dimensions: [yearDimId, speciesDim],
-      categories: speciesValues.map((_, index) => index.toString()), // Use numeric indices as categories
-      data: data,
-      metadata: {
-        totalRecords: data.length,
-        hasCategories: true,
-        yearRange: this._getYearRange(actualYears),
-        dimensionCount: otherDims.length + 1,
-        seriesCount: speciesValues.length,
-        categoryMapping: speciesValues.map((speciesId, index) => ({ 
-          index: index.toString(), 
-          id: speciesId,
-          label: speciesLabels[speciesId] || speciesId 
-        })) // Provide category mapping for metadata API
-      }
-    };
-  }
-
-  /**
-   * Special processing for protected-areas-categories dataset with numeric indices
-   * @param {Object} dataset 
-   * @param {Array} years 
-   * @param {string} yearDimId 
-   * @param {Array} otherDims 
-   * @param {string} lang - Language code
-   * @returns {Object}
-   */
-  _processProtectedAreasCategoriesSpecial(dataset, years, yearDimId, otherDims, lang = 'ka') {
-    // Filter out empty years first
-    const validYears = years.filter(year => year && year.toString().trim() !== '');
-
-    // Get the categories dimension
-    const categoriesDim = otherDims[0]; // Should be the categories dimension
-    const categoriesValues = dataset.Dimension(categoriesDim).id;
-    const categoriesLabels = this._getCategoryLabels(dataset, categoriesDim);
-
-    const data = [];
-
-    // Create a row for each valid year
-    validYears.forEach((year, yearIndex) => {
-      const row = { year: Number(year) || year }; // Use the year as provided
-
-      // For each category, get the data using numeric indices
-      categoriesValues.forEach((categoryId, categoryIndex) => {
-        const queryObj = { 
-          [yearDimId]: year, 
-          [categoriesDim]: categoryId 
-        };
-        const cell = dataset.Data(queryObj);
-        const value = cell ? Number(cell.value) : null;
-        
-        // Use numeric index as the key instead of category name
-        row[categoryIndex.toString()] = value;
-      });
-
-      data.push(row);
-    });
-
-    // Calculate actual years for metadata
-    const actualYears = validYears.map(year => Number(year) || year);
-
-    return {
-      title: dataset.label || 'Protected Areas Categories',
-      dimensions: [yearDimId, categoriesDim],
-      categories: categoriesValues.map((_, index) => index.toString()), // Use numeric indices as categories
-      data: data,
-      metadata: {
-        totalRecords: data.length,
-        hasCategories: true,
-        yearRange: this._getYearRange(actualYears),
-        dimensionCount: otherDims.length + 1,
-        seriesCount: categoriesValues.length,
-        categoryMapping: categoriesValues.map((categoryId, index) => ({ 
-          index: index.toString(), 
-          id: categoryId,
-          label: categoriesLabels[categoryId] || categoryId 
-        })) // Provide category mapping for metadata API
-      }
-    };
-  }
-
-  /**
-   * Special processing for protected-areas-birds dataset with numeric indices
-   * @param {Object} dataset 
-   * @param {Array} years 
-   * @param {string} yearDimId 
-   * @param {Array} otherDims 
-   * @param {string} lang - Language code
-   * @returns {Object}
-   */
-  _processProtectedAreasBirdsSpecial(dataset, years, yearDimId, otherDims, lang = 'ka') {
-    // Filter out empty years first
-    const validYears = years.filter(year => year && year.toString().trim() !== '');
-
-    // Get the bird species dimension
-    const speciesDim = otherDims[0]; // Should be the bird species dimension
-    const speciesValues = dataset.Dimension(speciesDim).id;
-    const speciesLabels = this._getCategoryLabels(dataset, speciesDim);
-
-    const data = [];
-
-    // Create a row for each valid year
-    validYears.forEach((year, yearIndex) => {
-      const row = { year: Number(year) || year }; // Use the year as provided
-
-      // For each bird species, get the data using numeric indices
-      speciesValues.forEach((speciesId, speciesIndex) => {
-        const queryObj = { 
-          [yearDimId]: year, 
-          [speciesDim]: speciesId 
-        };
-        const cell = dataset.Data(queryObj);
-        const value = cell ? Number(cell.value) : null;
-        
-        // Use numeric index as the key instead of species name
-        row[speciesIndex.toString()] = value;
-      });
-
-      data.push(row);
-    });
-
-    // Calculate actual years for metadata
-    const actualYears = validYears.map(year => Number(year) || year);
-
-    return {
-      title: dataset.label || 'Protected Areas Birds',
-      dimensions: [yearDimId, speciesDim],
-      categories: speciesValues.map((_, index) => index.toString()), // Use numeric indices as categories
-      data: data,
-      metadata: {
-        totalRecords: data.length,
-        hasCategories: true,
-        yearRange: this._getYearRange(actualYears),
-        dimensionCount: otherDims.length + 1,
-        seriesCount: speciesValues.length,
-        categoryMapping: speciesValues.map((speciesId, index) => ({ 
-          index: index.toString(), 
-          id: speciesId,
-          label: speciesLabels[speciesId] || speciesId 
-        })) // Provide category mapping for metadata API
-      }
-    };
-  }
-
-  /**
-   * Special processing for timber-by-cutting-purpose dataset with numeric indices
-   * @param {Object} dataset 
-   * @param {Array} years 
-   * @param {string} yearDimId 
-   * @param {Array} otherDims 
-   * @param {string} lang - Language code
-   * @returns {Object}
-   */
-  _processTimberByCuttingPurposeSpecial(dataset, years, yearDimId, otherDims, lang = 'ka') {
-    // Filter out empty years first
-    const validYears = years.filter(year => year && year.toString().trim() !== '');
-
-    // This dataset has 3 dimensions: Cutting purpose, Year, Forest Type
-    const purposeDim = otherDims.find(dim => dim === 'Cutting purpose') || otherDims[0];
-    const forestTypeDim = otherDims.find(dim => dim === 'Forest Type') || otherDims[1];
-    
-    const purposeValues = dataset.Dimension(purposeDim).id;
-    const purposeLabels = this._getCategoryLabels(dataset, purposeDim);
-    const forestTypeValues = dataset.Dimension(forestTypeDim).id;
-    const forestTypeLabels = this._getCategoryLabels(dataset, forestTypeDim);
-
-    // Get year labels to convert indices to actual years
-    const yearLabels = this._getCategoryLabels(dataset, yearDimId);
-
-    const data = [];
-
-    // Create a row for each valid year
-    validYears.forEach((year, yearIndex) => {
-      // Get the actual year from the year labels
-      let actualYear = Number(year) || year;
-      
-      if (yearLabels && yearLabels[year]) {
-        const yearLabel = yearLabels[year];
-        const parsedYear = parseInt(yearLabel);
-        if (!isNaN(parsedYear)) {
-          actualYear = parsedYear;
-        }
-      }
-
-      const row = { year: actualYear }; // Use actual year
-
-      let seriesIndex = 0;
-      // Combine cutting purpose and forest type to create series
-      purposeValues.forEach((purposeId) => {
-        forestTypeValues.forEach((forestTypeId) => {
-          const queryObj = { 
-            [yearDimId]: year, 
-            [purposeDim]: purposeId,
-            [forestTypeDim]: forestTypeId
-          };
-          const cell = dataset.Data(queryObj);
-          const value = cell ? Number(cell.value) : null;
-          
-          // Use numeric index as the key
-          row[seriesIndex.toString()] = value;
-          seriesIndex++;
-        });
-      });
-
-      data.push(row);
-    });
-
-    // Calculate actual years for metadata
-    const actualYears = validYears.map((year, yearIndex) => {
-      let actualYear = Number(year) || year;
-      
-      if (yearLabels && yearLabels[year]) {
-        const yearLabel = yearLabels[year];
-        const parsedYear = parseInt(yearLabel);
-        if (!isNaN(parsedYear)) {
-          actualYear = parsedYear;
-        }
-      }
-      return actualYear;
-    });
-
-    // Create combined labels for purpose and forest type
-    const combinedLabels = [];
-    purposeValues.forEach((purposeId) => {
-      forestTypeValues.forEach((forestTypeId) => {
-        const purposeLabel = purposeLabels[purposeId] || purposeId;
-        const forestTypeLabel = forestTypeLabels[forestTypeId] || forestTypeId;
-        combinedLabels.push(`${purposeLabel} - ${forestTypeLabel}`);
-      });
-    });
-
-    const totalSeries = purposeValues.length * forestTypeValues.length;
-
-    return {
-      title: dataset.label || 'Timber by Cutting Purpose',
-      dimensions: [yearDimId, purposeDim, forestTypeDim],
-      categories: Array.from({length: totalSeries}, (_, i) => i.toString()), // Use numeric indices as categories
-      data: data,
-      metadata: {
-        totalRecords: data.length,
-        hasCategories: true,
-        yearRange: this._getYearRange(actualYears),
-        dimensionCount: otherDims.length + 1,
-        seriesCount: totalSeries,
-        categoryMapping: combinedLabels.map((label, index) => ({ 
-          index: index.toString(), 
-          label: label 
-        })) // Provide category mapping for metadata API
-      }
-    };
-  }
-
-  /**
-   * Special processing for atmospheric-precipitation dataset with numeric indices
-   * 
-   * This dataset has 3 dimensions:
-   * - Locations (GEO, TBILISI, SAMEGRELO, KVEMO_KARTLI)
-   * - Years (1990-2014)  
-   * - Precipitation categories (HISTORICAL_AVG, ANNUAL, DEVIATION, MAX_MONTHLY, MIN_MONTHLY)
-   * 
-   * Returns numeric indices "0", "1", "2"... instead of category names like "GEO - HISTORICAL_AVG"
-   */
-  _processAtmosphericPrecipitationSpecial(dataset, years, yearDimId, otherDims, lang = 'ka') {
-    // Filter out empty years first
-    const validYears = years.filter(year => year && year.toString().trim() !== '');
-
-    // Get dimensions - should be Locations and Precipitation categories
-    const locationDim = otherDims.find(dim => dim.toLowerCase().includes('location')) || otherDims[0];
-    const precipitationDim = otherDims.find(dim => dim.toLowerCase().includes('precipitation')) || otherDims[1];
-    
-    const locationValues = dataset.Dimension(locationDim).id;
-    const locationLabels = this._getCategoryLabels(dataset, locationDim);
-    const precipitationValues = dataset.Dimension(precipitationDim).id;
-    const precipitationLabels = this._getCategoryLabels(dataset, precipitationDim);
-
-    const data = [];
-    const combinedLabels = [];
-    
-    // Build combined categories (Location - Precipitation Category)
-    let categoryIndex = 0;
-    locationValues.forEach(locationId => {
-      precipitationValues.forEach(precipitationId => {
-        const locationLabel = locationLabels[locationId] || locationId;
-        const precipitationLabel = precipitationLabels[precipitationId] || precipitationId;
-        combinedLabels.push(`${locationLabel} - ${precipitationLabel}`);
-        categoryIndex++;
-      });
-    });
-
-    // Add "გადახრა" categories for each location
-    locationValues.forEach(locationId => {
-      const locationLabel = locationLabels[locationId] || locationId;
-      combinedLabels.push(`${locationLabel} - გადახრა`);
-      categoryIndex++;
-    });
-
-    // Get year labels to convert indices to actual years  
-    const yearLabels = this._getCategoryLabels(dataset, yearDimId);
-
-    // Create a row for each valid year with actual years
-    validYears.forEach((year, yearIndex) => {
-      // Parse year to get actual year value
-      let actualYear = this._parseYear(year, yearIndex, yearLabels, 'atmospheric-precipitation');
-      
-      const row = { year: actualYear };
-      let hasData = false;
-      
-      // Create data for each location-precipitation combination with numeric indices
-      let comboIndex = 0;
-      const deviationValues = []; // Store deviation values for calculating "გადახრა"
-      
-      locationValues.forEach(locationId => {
-        precipitationValues.forEach((precipitationId, precipitationIndex) => {
-          const queryObj = { 
-            [yearDimId]: year, 
-            [locationDim]: locationId, 
-            [precipitationDim]: precipitationId 
-          };
-          const cell = dataset.Data(queryObj);
-          const value = cell ? Number(cell.value) : null;
-          
-          // Use numeric index as key instead of combined label
-          row[comboIndex.toString()] = value;
-          
-          // Store deviation values (index 2 = "ნალექის წლიური გადახრა...")
-          if (precipitationIndex === 2 && value !== null && value !== undefined) {
-            deviationValues.push(value);
-          }
-          
-          if (value !== null && value !== undefined) {
-            hasData = true;
-          }
-          
-          comboIndex++;
-        });
-      });
-      
-      // Add calculated "გადახრა" values (deviation values minus 1, multiplied by 100, formatted to 2 decimal places)
-      deviationValues.forEach(deviationValue => {
-        const calculatedValue = (deviationValue - 1) * 100;
-        // Format to 2 decimal places and convert back to number
-        // const formattedValue = parseFloat(calculatedValue.toFixed(1));
-        const formattedValue = Number(calculatedValue.toFixed(1)); // Same as parseFloat()
-        row[comboIndex.toString()] = formattedValue;
-        comboIndex++;
-        hasData = true;
-      });
-      
+        row[mapping.key] = value;
+        
+        if (value !== null && value !== undefined) {
+          hasData = true;
+        }
+      }
+
       // Only include years with actual data
       if (hasData) {
         data.push(row);
       }
+    }
+
+    // Build final categories and mapping using pre-computed mapping data
+    const categories = [];
+    
+    regionMappings.forEach(mapping => {
+      categories.push(mapping.key);
+      // Add label information to the mapping
+      const regionLabel = regionLabels[mapping.regionId] || mapping.regionId;
+      const categoryLabel = categoryLabels[mapping.categoryId] || mapping.categoryId;
+      const regionCode = regionCodeMapping[mapping.regionId];
+      
+      mapping.regionLabel = regionLabel;
+      mapping.categoryLabel = categoryLabel;
+      mapping.regionCode = regionCode;
+      mapping.label = `${regionCode} - ${categoryLabel}`;
     });
 
-    const actualYears = data.map(row => row.year);
-    const totalSeries = (locationValues.length * precipitationValues.length) + locationValues.length; // Original series + გადახრა series
+    const totalSeries = regionValues.length * categoryValues.length;
 
     return {
-      title: dataset.label || 'Atmospheric Precipitation',
-      dimensions: [yearDimId, locationDim, precipitationDim],
-      categories: Array.from({length: totalSeries}, (_, i) => i.toString()), // Use numeric indices as categories
+      title: dataset.label || 'ტყისა და ველის ხანძრები რეგიონების მიხედვით',
+      dimensions: [yearDimId, regionDim, categoryDim],
+      categories: categories, // Use region ID with category suffix as keys
       data: data,
       metadata: {
         totalRecords: data.length,
         hasCategories: true,
-        yearRange: this._getYearRange(actualYears),
+        yearRange: this._getYearRange(actualYears), // Use actual years for range
         dimensionCount: otherDims.length + 1,
         seriesCount: totalSeries,
         yearMapping: actualYears.map((actualYear, index) => ({ index: index.toString(), value: actualYear })), // Use actual years in mapping
-        categoryMapping: combinedLabels.map((label, index) => ({ 
-          index: index.toString(), 
-          label: label 
-        })) // Provide category mapping for metadata API
+        categoryMapping: regionMappings, // Provide detailed category mapping with region IDs
+        regionIndexToIdMapping: regionIndexToIdMapping, // Include the region index to ID mapping
+        regionCodeMapping: regionCodeMapping, // Region index → ISO 3166-2 code from the gazetteer
+        ...this._regionMetadata(regions, regionMappings.map(mapping => [mapping.key, { [regionDim]: mapping.regionId }]))
       }
     };
   }
 
-  _processEnergyIntensitySpecial(dataset, years, yearDimId, otherDims, lang = 'ka') {
-    // Filter out empty years first
-    const validYears = years.filter(year => year && year.toString().trim() !== '');
-
-    // Get the intensity dimension
-    const intensityDim = otherDims[0]; // Should be "Energy intensity"
-    const intensityValues = dataset.Dimension(intensityDim).id;
-    const intensityLabels = this._getCategoryLabels(dataset, intensityDim);
+  /**
+   * Get all combinations of non-year dimensions
+   * @param {Object} dataset 
+   * @param {Array} otherDims 
+   * @returns {Array}
+   */
+  _getAllDimensionCombinations(dataset, otherDims, dimIdToText = {}) {
+    const combinations = [];
 
-    const data = [];
+    const dimData = otherDims.map(dimId => ({
+      id: dimId,
+      values: dataset.Dimension(dimId).id,
+      labels: this._getDimensionLabels(dataset, dimId, dimIdToText)
+    }));
 
-    // Create a row for each valid year with actual years
-    validYears.forEach((year, yearIndex) => {
-      // Get year labels to convert indices to actual years
-      const yearLabels = this._getCategoryLabels(dataset, yearDimId);
-      let actualYear = Number(year) || year;
-      
-      if (yearLabels && yearLabels[year]) {
-        const yearLabel = yearLabels[year];
-        const parsedYear = parseInt(yearLabel);
-        if (!isNaN(parsedYear)) {
-          actualYear = parsedYear;
-        }
+    const generateCombos = (index, currentCombo, currentLabel) => {
+      if (index === dimData.length) {
+        combinations.push({ values: { ...currentCombo }, label: currentLabel });
+        return;
       }
 
-      const row = { year: actualYear }; // Use actual year instead of numeric index
-
-      intensityValues.forEach((intensityId, intensityIndex) => {
-        const queryObj = { [yearDimId]: year, [intensityDim]: intensityId };
-        const cell = dataset.Data(queryObj);
-        row[intensityIndex.toString()] = cell ? Number(cell.value) : null; // Use numeric indices
+      const currentDim = dimData[index];
+      currentDim.values.forEach(valueId => {
+        const valueLabel = currentDim.labels[valueId] || valueId;
+        const newLabel = currentLabel ? `${currentLabel} - ${valueLabel}` : valueLabel;
+        generateCombos(index + 1, { ...currentCombo, [currentDim.id]: valueId }, newLabel);
       });
+    };
 
-      // Calculate annual change for "ენერგოინტენსიურობა პირველადი ენერგიის მთლიან მიწოდებაში, ტნე/მლნ. საერ. დოლარი" (index 4)
-      const currentValue = row['4'];
-      let annualChange = null;
-
-      // Only calculate if we have current value and this is not the first year
-      if (currentValue !== null && yearIndex > 0) {
-        // Get the previous year's value
-        const previousYearIndex = validYears[yearIndex - 1];
-        const previousQueryObj = { [yearDimId]: previousYearIndex, [intensityDim]: intensityValues[4] };
-        const previousCell = dataset.Data(previousQueryObj);
-        const previousValue = previousCell ? Number(previousCell.value) : null;
-
-        if (previousValue !== null && previousValue !== 0) {
-          // Formula: ((current / previous) * 100) - 100
-          annualChange = ((currentValue / previousValue) * 100) - 100;
-        }
-      }
-
-      const calculatedIndex = intensityValues.length; // Next available index
-      row[calculatedIndex.toString()] = annualChange;
-
-      data.push(row);
-    });
+    generateCombos(0, {}, '');
+    return combinations;
+  }
 
-    // Collect actual years for metadata
-    const actualYears = validYears.map(year => {
-      let actualYear = Number(year) || year;
-      const yearLabels = this._getCategoryLabels(dataset, yearDimId);
-      if (yearLabels && yearLabels[year]) {
-        const yearLabel = yearLabels[year];
-        const parsedYear = parseInt(yearLabel);
-        if (!isNaN(parsedYear)) {
-          actualYear = parsedYear;
-        }
+  /**
+   * Find the region dimension of a dataset and resolve its values with the gazetteer.
+   * A dimension qualifies when its ID or title names regions or municipalities, or when
+   * at least half of its values are regions or municipalities; the first one wins.
+   * @param {Object} dataset - JSON-Stat dataset
+   * @param {Array} otherDims - Non-year dimension IDs
+   * @param {Object} dimIdToText - rawMetadata labels (dimension → value ID → text)
+   * @param {string} datasetId - Dataset identifier for logging
+   * @returns {Object|null} - { dimension, labels, codes: { valueId: gazetteer entry | null } }
+   */
+  _findRegionDimension(dataset, otherDims, dimIdToText = {}, datasetId = null) {
+    for (const dimId of otherDims) {
+      const labels = this._getDimensionLabels(dataset, dimId, dimIdToText);
+      const values = dataset.Dimension(dimId).id;
+      const codes = Object.fromEntries(values.map(valueId => [valueId, resolveRegion(labels[valueId])]));
+      const resolved = Object.values(codes).filter(Boolean);
+      if (resolved.length === 0) continue;
+
+      const named = isRegionDimensionName(dimId, dataset.Dimension(dimId).label);
+      const subnational = resolved.filter(entry => entry.level !== 'country').length;
+      if (!named && subnational * 2 < values.length) continue;
+
+      const unknown = values.filter(valueId => !codes[valueId]).map(valueId => labels[valueId] || valueId);
+      if (unknown.length) {
+        this._logProcessing(datasetId, 'Region labels missing from the gazetteer', { dimension: dimId, labels: unknown });
       }
-      return actualYear;
-    });
+      return { dimension: dimId, labels, codes };
+    }
+    return null;
+  }
 
-    // Create categories including the calculated field
-    const allCategories = intensityValues.map((intId, index) => index.toString());
-    allCategories.push(intensityValues.length.toString()); // Add annual change field index
+  /**
+   * Region metadata of processed output: the region dimension's values with their codes,
+   * and the region code of every series that is split by it
+   * @param {Object|null} regions - From _findRegionDimension()
+   * @param {Array} series - [seriesKey, query (dimension ID → value ID)] pairs
+   * @returns {Object} - { regions, regionCodes }, or {} without a region dimension
+   */
+  _regionMetadata(regions, series) {
+    if (!regions) return {};
 
-    // Create category mapping including the calculated field
-    const categoryMapping = intensityValues.map((intId, index) => ({
-      index: index.toString(),
-      label: intensityLabels[intId] || intId
-    }));
-    
-    // Add the calculated field to category mapping with language support
-    const calculatedFieldLabel = lang === 'en' 
-      ? 'Annual change, %'
-      : 'წლიური ცვლილება, %';
-
-    categoryMapping.push({
-      index: intensityValues.length.toString(),
-      label: calculatedFieldLabel
-    });
+    const regionCodes = {};
+    for (const [key, query] of series) {
+      const valueId = query[regions.dimension];
+      if (valueId !== undefined) regionCodes[key] = regions.codes[valueId]?.regionCode || null;
+    }
 
     return {
-      title: dataset.label || 'ენერგოინტენსიურობა',
-      dimensions: [yearDimId, intensityDim],
-      categories: allCategories, // Include calculated field
-      data: data,
-      metadata: {
-        totalRecords: data.length,
-        hasCategories: true,
-        yearRange: this._getYearRange(actualYears), // Use actual years for range
-        dimensionCount: otherDims.length + 1,
-        seriesCount: intensityValues.length + 1, // Include calculated field
-        yearMapping: actualYears.map((actualYear, index) => ({ index: index.toString(), value: actualYear })), // Use actual years in mapping
-        categoryMapping: categoryMapping // Include calculated field mapping
-      }
+      regions: {
+        dimension: regions.dimension,
+        values: Object.entries(regions.codes).map(([id, entry]) => ({
+          id,
+          label: regions.labels[id] || id,
+          regionCode: entry?.regionCode || null,
+          level: entry?.level || null,
+          ...(entry?.municipality && { municipality: entry.municipality })
+        }))
+      },
+      regionCodes
     };
   }
 
-  _processPrimaryEnergySupplySpecial(dataset, years, yearDimId, otherDims, lang = 'ka') {
-    // Filter out empty years first
-    const validYears = years.filter(year => year && year.toString().trim() !== '');
-
-    // Get the supply dimension
-    const supplyDim = otherDims[0]; // Should be "Primary Energy Supply"
-    const supplyValues = dataset.Dimension(supplyDim).id;
-    const supplyLabels = this._getCategoryLabels(dataset, supplyDim);
+  /**
+   * Get year range from years array
+   * @param {Array} years 
+   * @returns {Object|null}
+   */
+  _getYearRange(years) {
+    if (years.length === 0) return null;
+    const numericYears = years.map(y => Number(y)).filter(y => !isNaN(y));
+    if (numericYears.length === 0) return null;
+    
+    return {
+      start: Math.min(...numericYears),
+      end: Math.max(...numericYears)
+    };
+  }
 
-    const data = [];
+  /**
+   * OPTIMIZED: Get category labels for a dimension with caching
+   * ==========================================================
+   * This method is called frequently, so we cache results to avoid repeated processing.
+   * 
+   * Cached per dataset object, so tables that share a label never share labels.
+   * 
+   * @param {Object} dataset - JSON-Stat dataset
+   * @param {string} catDimId - Category dimension ID
+   * @returns {Object} - Category labels mapping (value ID → label)
+   */
+  _getCategoryLabels(dataset, catDimId) {
+    if (!catDimId) return {};
+    
+    let datasetLabels = this._categoryLabelsCache.get(dataset);
+    if (!datasetLabels) {
+      datasetLabels = new Map();
+      this._categoryLabelsCache.set(dataset, datasetLabels);
+    }
 
-    // Create a row for each valid year with actual years
-    validYears.forEach((year, yearIndex) => {
-      // Get year labels to convert indices to actual years
-      const yearLabels = this._getCategoryLabels(dataset, yearDimId);
-      let actualYear = Number(year) || year;
-      
-      if (yearLabels && yearLabels[year]) {
-        const yearLabel = yearLabels[year];
-        const parsedYear = parseInt(yearLabel);
-        if (!isNaN(parsedYear)) {
-          actualYear = parsedYear;
-        }
-      }
+    // Check cache first
+    if (datasetLabels.has(catDimId)) {
+      return datasetLabels.get(catDimId);
+    }
+    
+    // Category() without an argument returns an array of categories, so read each one
+    const dimension = dataset.Dimension(catDimId);
+    const labels = Object.fromEntries(dimension.id.map((id, index) => [id, dimension.Category(index)?.label ?? id]));
+    
+    datasetLabels.set(catDimId, labels);
+    return labels;
+  }
 
-      const row = { year: actualYear }; // Use actual year instead of numeric index
+  /**
+   * Labels of a dimension's values: the PXWeb metadata (valueTexts) when available,
+   * otherwise the JSON-Stat category labels
+   * @param {Object} dataset - JSON-Stat dataset
+   * @param {string} dimId - Dimension ID
+   * @param {Object} dimIdToText - rawMetadata labels (dimension → value ID → text)
+   * @returns {Object} - value ID → label
+   */
+  _getDimensionLabels(dataset, dimId, dimIdToText = {}) {
+    return Object.keys(dimIdToText[dimId] || {}).length
+      ? dimIdToText[dimId]
+      : this._getCategoryLabels(dataset, dimId);
+  }
 
-      supplyValues.forEach((supplyId, supplyIndex) => {
-        const queryObj = { [yearDimId]: year, [supplyDim]: supplyId };
-        const cell = dataset.Data(queryObj);
-        row[supplyIndex.toString()] = cell ? Number(cell.value) : null; // Use numeric indices
-      });
+  /**
+   * REQUEST-TIME DERIVED SERIES: Evaluate `?derive=` expressions on processed data
+   * =============================================================================
+   * 
+   * Works on the output of processForChart() for any dataset. Each expression adds
+   * one series: its key is the raw expression, its values are appended to every
+   * data row and its provenance (kind, formula, resolved source series) is listed
+   * in metadata.derived.
+   * 
+   * KINDS:
+   * - calc / sum / share: the arithmetic expression itself, per year
+   * - yoy: ((current / previous) * 100) - 100 of the expression against the previous row
+   * - delta: current - previous of the expression
+   * 
+   * @param {Object} processed - Output of processForChart()
+   * @param {Array} derivations - Parsed expressions from parseDeriveParam()
+   * @param {string} lang - Language code for labels
+   * @returns {Object} - Copy of `processed` with the derived series added
+   */
+  applyDerivedSeries(processed, derivations = [], lang = 'ka') {
+    if (!derivations.length) return processed;
 
-      // Add calculated field 1: "განახლებადი ენერგია" = index 11 + index 12 + index 14
-      // Index 11: "ჰიდროენერგიის მიწოდება, 1000 ტნე"
-      // Index 12: "გეოთერმული, მზის და სხვა ენერგიის მიწოდება, 1000 ტნე"
-      // Index 14: "ბიოსაწვავისა და ნარჩენების მიწოდება, 1000 ტნე"
-      const hydro = row['11'] || 0;
-      const geothermal = row['12'] || 0;
-      const biofuel = row['14'] || 0;
-      const renewableIndex = supplyValues.length; // Next available index
-      row[renewableIndex.toString()] = hydro + geothermal + biofuel;
-
-      // Add calculated field 2: "სხვა" = index 7 + index 13
-      // Index 7: "ნედლი ნავთობის მიწოდება, 1000 ტნე"
-      // Index 13: "ელექტროენერგიის მიწოდება, 1000 ტნე"
-      const crudeOil = row['7'] || 0;
-      const electricity = row['13'] || 0;
-      const otherIndex = supplyValues.length + 1; // Next available index after renewable
-      row[otherIndex.toString()] = crudeOil + electricity;
+    const resolve = this._buildSeriesResolver(processed, lang);
+    const data = (processed.data || []).map(row => ({ ...row }));
+    const categories = [...(processed.categories || [])];
 
-      data.push(row);
-    });
+    const derived = derivations.map(derivation => {
+      const sources = expressionReferences(derivation.ast).map(reference => ({ reference, ...resolve(reference, derivation.raw) }));
+      const byReference = Object.fromEntries(sources.map(source => [source.reference, source]));
 
-    // Collect actual years for metadata
-    const actualYears = validYears.map(year => {
-      let actualYear = Number(year) || year;
-      const yearLabels = this._getCategoryLabels(dataset, yearDimId);
-      if (yearLabels && yearLabels[year]) {
-        const yearLabel = yearLabels[year];
-        const parsedYear = parseInt(yearLabel);
-        if (!isNaN(parsedYear)) {
-          actualYear = parsedYear;
-        }
-      }
-      return actualYear;
-    });
+      const values = data.map(row => evaluateExpression(derivation.ast, reference => row[byReference[reference].key]));
+      const key = categories.includes(derivation.raw) ? `derive:${derivation.raw}` : derivation.raw;
 
-    // Create categories including the calculated fields
-    const allCategories = supplyValues.map((supId, index) => index.toString());
-    allCategories.push(supplyValues.length.toString()); // Add renewable energy field index
-    allCategories.push((supplyValues.length + 1).toString()); // Add other field index
+      data.forEach((row, index) => {
+        row[key] = this._derivedValue(derivation.kind, values, index);
+      });
+      categories.push(key);
 
-    // Create category mapping including the calculated fields
-    const categoryMapping = supplyValues.map((supId, index) => ({
-      index: index.toString(),
-      label: supplyLabels[supId] || supId
-    }));
-    
-    // Add the first calculated field to category mapping with language support
-    const renewableFieldLabel = lang === 'en' 
-      ? 'Renewable energy'
-      : 'განახლებადი ენერგია';
-    
-    categoryMapping.push({
-      index: supplyValues.length.toString(),
-      label: renewableFieldLabel
-    });
+      const formula = formatExpression(derivation.ast, reference => byReference[reference].label);
+      const prefix = DataProcessingService.DERIVE_KIND_LABELS[derivation.kind];
 
-    // Add the second calculated field to category mapping with language support
-    const otherFieldLabel = lang === 'en' 
-      ? 'Other'
-      : 'სხვა';
-    
-    categoryMapping.push({
-      index: (supplyValues.length + 1).toString(),
-      label: otherFieldLabel
+      return {
+        key,
+        label: prefix ? `${prefix[lang] || prefix.ka}: ${formula}` : formula,
+        kind: derivation.kind,
+        expression: derivation.expression,
+        formula: formatExpression(derivation.ast, reference => `[${byReference[reference].key}]`),
+        sources: sources.map(({ reference, key: sourceKey, label }) => ({ reference, key: sourceKey, label }))
+      };
     });
 
+    const metadata = processed.metadata || {};
     return {
-      title: dataset.label || 'პირველადი ენერგიის ჯამური მიწოდება',
-      dimensions: [yearDimId, supplyDim],
-      categories: allCategories, // Include calculated fields
-      data: data,
+      ...processed,
+      categories,
+      data,
       metadata: {
-        totalRecords: data.length,
-        hasCategories: true,
-        yearRange: this._getYearRange(actualYears), // Use actual years for range
-        dimensionCount: otherDims.length + 1,
-        seriesCount: supplyValues.length + 2, // Include both calculated fields
-        yearMapping: actualYears.map((actualYear, index) => ({ index: index.toString(), value: actualYear })), // Use actual years in mapping
-        categoryMapping: categoryMapping // Include calculated fields mapping
+        ...metadata,
+        ...(metadata.seriesCount !== undefined && { seriesCount: metadata.seriesCount + derived.length }),
+        derived: [...(metadata.derived || []), ...derived]
       }
     };
   }
 
-  _processFinalEnergyConsumptionSpecial(dataset, years, yearDimId, otherDims, lang = 'ka') {
-    // Filter out empty years first
-    const validYears = years.filter(year => year && year.toString().trim() !== '');
-
-    // Get the consumption dimension
-    const consumptionDim = otherDims[0]; // Should be "Final energy consumption"
-    const consumptionValues = dataset.Dimension(consumptionDim).id;
-    const consumptionLabels = this._getCategoryLabels(dataset, consumptionDim);
-
-    const data = [];
-
-    // Create a row for each valid year with actual years
-    validYears.forEach((year, yearIndex) => {
-      // Get year labels to convert indices to actual years
-      const yearLabels = this._getCategoryLabels(dataset, yearDimId);
-      let actualYear = Number(year) || year;
-      
-      if (yearLabels && yearLabels[year]) {
-        const yearLabel = yearLabels[year];
-        const parsedYear = parseInt(yearLabel);
-        if (!isNaN(parsedYear)) {
-          actualYear = parsedYear;
-        }
-      }
-
-      const row = { year: actualYear }; // Use actual year instead of numeric index
+  /**
+   * HELPER METHOD: Value of a derived series for one row
+   * @param {string} kind - Derive kind
+   * @param {Array} values - Expression value for every row
+   * @param {number} index - Row index
+   * @returns {number|null}
+   */
+  _derivedValue(kind, values, index) {
+    const current = values[index];
+    if (kind !== 'yoy' && kind !== 'delta') return current;
+
+    const previous = index > 0 ? values[index - 1] : null;
+    if (current === null || previous === null) return null;
+    if (kind === 'delta') return current - previous;
+    return previous === 0 ? null : ((current / previous) * 100) - 100;
+  }
 
-      consumptionValues.forEach((consumptionId, consumptionIndex) => {
-        const queryObj = { [yearDimId]: year, [consumptionDim]: consumptionId };
-        const cell = dataset.Data(queryObj);
-        row[consumptionIndex.toString()] = cell ? Number(cell.value) : null; // Use numeric indices
-      });
+  /**
+   * HELPER METHOD: Resolve series references used in derive expressions
+   * ===================================================================
+   * A reference matches, in order: a row key, a series label (case-insensitive)
+   * or a category ID from categoryMapping. Unknown or ambiguous references are
+   * client errors (statusCode 400).
+   * 
+   * @param {Object} processed - Output of processForChart()
+   * @param {string} lang - Language code for bilingual labels
+   * @returns {Function} - (reference, raw) → { key, label }
+   */
+  _buildSeriesResolver(processed, lang = 'ka') {
+    const pickLabel = label => (label && typeof label === 'object' ? label[lang] || label.ka || label.en : label);
+    const series = (processed.categories || []).map(key => ({ key: String(key), label: String(key), id: null }));
+    const byKey = new Map(series.map(entry => [entry.key, entry]));
+
+    (processed.metadata?.categoryMapping || []).forEach(entry => {
+      const target = byKey.get(String(entry.key ?? entry.index));
+      if (!target) return;
+      if (entry.label) target.label = String(pickLabel(entry.label));
+      if (entry.id !== undefined) target.id = String(entry.id);
+    });
 
-      // Add calculated field: "სოფ.მეურნეობა და სხვა" = index 9 + index 11
-      // Index 9: "სოფლის მეურნეობა, სატყეო მეურნეობა და თევზჭერა, ათასი ტნე"
-      // Index 11: "სხვა, ათასი ტნე"
-      const agriculture = row['9'] || 0;
-      const other = row['11'] || 0;
-      const calculatedIndex = consumptionValues.length; // Next available index
-      row[calculatedIndex.toString()] = agriculture + other;
+    const normalize = text => String(text).trim().toLowerCase();
 
-      data.push(row);
-    });
+    return (reference, raw) => {
+      const exact = byKey.get(reference);
+      if (exact) return { key: exact.key, label: exact.label };
 
-    // Collect actual years for metadata
-    const actualYears = validYears.map(year => {
-      let actualYear = Number(year) || year;
-      const yearLabels = this._getCategoryLabels(dataset, yearDimId);
-      if (yearLabels && yearLabels[year]) {
-        const yearLabel = yearLabels[year];
-        const parsedYear = parseInt(yearLabel);
-        if (!isNaN(parsedYear)) {
-          actualYear = parsedYear;
+      for (const field of ['label', 'id']) {
+        const matches = series.filter(entry => entry[field] !== null && normalize(entry[field]) === normalize(reference));
+        if (matches.length === 1) return { key: matches[0].key, label: matches[0].label };
+        if (matches.length > 1) {
+          throw deriveError(`Series "${reference}" in derive expression "${raw}" is ambiguous; use one of the keys ${matches.map(m => `[${m.key}]`).join(', ')}`);
         }
       }
-      return actualYear;
-    });
 
-    // Create categories including the calculated field
-    const allCategories = consumptionValues.map((consId, index) => index.toString());
-    allCategories.push(consumptionValues.length.toString()); // Add calculated field index
+      throw deriveError(`Unknown series "${reference}" in derive expression "${raw}"`);
+    };
+  }
 
-    // Create category mapping including the calculated field
-    const categoryMapping = consumptionValues.map((consId, index) => ({
-      index: index.toString(),
-      label: consumptionLabels[consId] || consId
-    }));
-    
-    // Add the calculated field to category mapping with language support
-    const calculatedFieldLabel = lang === 'en' 
-      ? 'Agriculture and other'
-      : 'სოფ.მეურნეობა და სხვა';
-    
-    categoryMapping.push({
-      index: consumptionValues.length.toString(),
-      label: calculatedFieldLabel
-    });
+  /**
+   * Process metadata for API response
+   * @param {Object} metadata 
+   * @returns {Object}
+   */
+  processMetadata(metadata, datasetId = null, lang = 'ka') {
+    const spec = datasetId ? DATASETS[datasetId]?.processor : null;
+    const regionVariable = metadata.variables?.find(v => !v.time &&
+      isRegionDimensionName(v.code, v.text) && (v.valueTexts || []).some(text => resolveRegion(text)));
 
     return {
-      title: dataset.label || 'ენერგიის საბოლოო მოხმარება',
-      dimensions: [yearDimId, consumptionDim],
-      categories: allCategories, // Include calculated field
-      data: data,
-      metadata: {
-        totalRecords: data.length,
-        hasCategories: true,
-        yearRange: this._getYearRange(actualYears), // Use actual years for range
-        dimensionCount: otherDims.length + 1,
-        seriesCount: consumptionValues.length + 1, // Include calculated field
-        yearMapping: actualYears.map((actualYear, index) => ({ index: index.toString(), value: actualYear })), // Use actual years in mapping
-        categoryMapping: categoryMapping // Include calculated field mapping
-      }
+      title: metadata.title || 'Unknown Dataset',
+      variables: metadata.variables?.map(v => {
+        // Derived series from the processor spec are listed as extra values
+        // of the dimension they extend
+        const derivedTexts = this._derivedValueTexts(spec, metadata.variables, v.code, lang);
+        const valueTexts = [...(v.valueTexts || []), ...derivedTexts];
+        const valueCount = (v.values || []).length + derivedTexts.length;
+
+        return {
+          code: v.code,
+          text: v.text,
+          values: Array.from({ length: valueCount }, (_, index) => index.toString()), // Convert to string indices
+          valueTexts: valueTexts,
+          time: v.time || false,
+          // ISO 3166-2 code per value (null for values outside the gazetteer and derived values)
+          ...(v === regionVariable && {
+            regionCodes: valueTexts.map((text, index) => (index < v.valueTexts.length && resolveRegion(text)?.regionCode) || null)
+          })
+        };
+      }) || [],
+      updated: metadata.updated || null,
+      source: metadata.source || null,
+      note: metadata.note || null,
+      language: metadata.language || lang
     };
   }
 
@@ -2824,107 +1575,6 @@ export class DataProcessingService {
     return map;
   }
 
-  /**
-   * Special processing for hydro-meteorological-hazards dataset
-   * Adds total for each month calculation (sum of all hazard types except human casualties)
-   */
-  _processHydroMeteorologicalHazardsSpecial(dataset, years, yearDimId, otherDims) {
-    // Filter out empty years first
-    const validYears = years.filter(year => year && String(year).trim() !== '');
-
-    // Get dimension information
-    const hazardDim = otherDims.find(dim => dim.toLowerCase().includes('hazard')) || otherDims[0];
-    const monthDim = otherDims.find(dim => dim.toLowerCase().includes('month')) || otherDims[1];
-    
-    const hazardValues = dataset.Dimension(hazardDim).id;
-    const hazardLabels = this._getCategoryLabels(dataset, hazardDim);
-    const monthValues = dataset.Dimension(monthDim).id;
-    const monthLabels = this._getCategoryLabels(dataset, monthDim);
-    const yearLabels = this._getCategoryLabels(dataset, yearDimId);
-
-    const data = [];
-    const categories = [];
-    const actualYears = [];
-
-    // Create categories for hazard-month combinations including the new total
-    hazardValues.forEach(hazardId => {
-      monthValues.forEach(monthId => {
-        categories.push(`${hazardId} - ${monthId}`);
-      });
-    });
-
-    // Add new total category for each month (hazard index 6 for "ჯამი თითოეულ თვეში")
-    const totalHazardIndex = '6';
-    monthValues.forEach(monthId => {
-      // Skip adding total for index 12 (human casualties)
-      if (monthId !== '12') {
-        categories.push(`${totalHazardIndex} - ${monthId}`);
-      }
-    });
-
-    // Process each year
-    validYears.forEach((year, yearIndex) => {
-      // Use the year index directly instead of parsing to actual year
-      const yearValue = parseInt(year);
-      actualYears.push(yearValue);
-      
-      const row = { year: yearValue };
-
-      // Process original hazard-month combinations
-      hazardValues.forEach(hazardId => {
-        monthValues.forEach(monthId => {
-          const queryObj = { [yearDimId]: year, [hazardDim]: hazardId, [monthDim]: monthId };
-          const cell = dataset.Data(queryObj);
-          const value = cell ? Number(cell.value) : 0;
-          row[`${hazardId} - ${monthId}`] = value;
-        });
-      });
-
-      // Calculate totals for each month (sum of hazards 0-5, excluding 12=human casualties)
-      monthValues.forEach(monthId => {
-        if (monthId !== '12') { // Skip human casualties month
-          let monthTotal = 0;
-          // Sum hazards 0-5 (წყალდიდობა-წყალმოვარდნა, ქარიშხალი, სეტყვა, დიდთოვლობა, შტორმი, ზვავი)
-          for (let hazardIndex = 0; hazardIndex <= 5; hazardIndex++) {
-            const hazardId = hazardIndex.toString();
-            const queryObj = { [yearDimId]: year, [hazardDim]: hazardId, [monthDim]: monthId };
-            const cell = dataset.Data(queryObj);
-            const value = cell ? Number(cell.value) : 0;
-            monthTotal += value;
-          }
-          row[`${totalHazardIndex} - ${monthId}`] = monthTotal;
-        }
-      });
-
-      data.push(row);
-    });
-
-    return {
-      title: dataset.label || 'სტიქიური ჰიდრომეტეოროლოგიური მოვლენების შემთხვევათა რაოდენობა (ერთეული)',
-      dimensions: [yearDimId, hazardDim, monthDim],
-      categories: categories,
-      data: data,
-      metadata: {
-        totalRecords: data.length,
-        hasCategories: true,
-        yearRange: this._getYearRange(actualYears),
-        dimensionCount: otherDims.length + 1,
-        seriesCount: categories.length,
-        yearMapping: actualYears.map((actualYear, index) => ({ 
-          index: index.toString(), 
-          value: actualYear 
-        })),
-        hazardLabels: hazardLabels,
-        monthLabels: monthLabels,
-        // Add metadata for the new total hazard type
-        enhancedHazardLabels: {
-          ...hazardLabels,
-          '6': 'ჯამი თითოეულ თვეში' // Georgian for "Total each month"
-        }
-      }
-    };
-  }
-
   /**
    * HELPER METHOD: Standardized category mapping creation
    * ====================================================
@@ -2960,13 +1610,13 @@ export class DataProcessingService {
   }
 
   /**
-   * HELPER METHOD: Development logging utility
-   * =========================================
+   * HELPER METHOD: Debug logging utility
+   * ===================================
    * 
    * Provides consistent logging for debugging dataset processing issues.
-   * Only active in development environment to avoid production noise.
+   * Logged at debug level (LOG_LEVEL=debug) to avoid production noise.
    * 
-   * LOG FORMAT: [DataProcessing:dataset-id] message {data}
+   * LOG FORMAT: { component: 'data-processing', dataset, ...data, msg }
    * 
    * USAGE:
    * - Processor routing decisions
@@ -2975,7 +1625,7 @@ export class DataProcessingService {
    * - Error conditions
    * 
    * MAINTENANCE NOTES:
-   * - Use this instead of console.log directly
+   * - Use this instead of the logger directly
    * - Include datasetId and meaningful message
    * - Add relevant data object for complex debugging
    * 
@@ -2984,11 +1634,7 @@ export class DataProcessingService {
    * @param {Object} data - Additional data to include in log
    */
   _logProcessing(datasetId, message, data = {}) {
-    if (process.env.NODE_ENV === 'development') {
-      const logPrefix = `[DataProcessing:${datasetId || 'unknown'}]`;
-      const hasData = Object.keys(data).length > 0;
-      console.log(`${logPrefix} ${message}${hasData ? '' : ''}`, hasData ? data : '');
-    }
+    log.debug({ dataset: datasetId || 'unknown', ...data }, message);
   }
 }
 
@@ -0,0 +1,153 @@
+/**
+ * Dataset Service
+ * Loads datasets from PXWeb or local PX files and builds the cached
+ * `/metadata` and `/data` response bodies, for DatasetController and the cache warmer.
+ */
+import { DATASETS } from '../config/datasets.js';
+import pxwebService from './pxwebService.js';
+import pxFileService from './pxFileService.js';
+import dataProcessingService from './dataProcessingService.js';
+import datasetVersionService from './datasetVersionService.js';
+import searchService from './searchService.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ component: 'datasets' });
+
+export class DatasetService {
+  /**
+   * Fetch a dataset from PXWeb or, for datasets registered from data/*.px, from the local file.
+   * Full fetches are recorded by DatasetVersionService; `vintage` names the version served.
+   * Variable labels and value texts are passed to the search index.
+   * @param {Object} dataset - Entry from DATASETS
+   * @param {string} lang - Language code
+   * @param {Object} selection - Per-variable selections keyed by variable code
+   * @returns {Promise<Object>} - { metadata, dataset, rawData, language, query, vintage }
+   */
+  async fetchDataset(dataset, lang, selection = {}) {
+    const fetched = pxFileService.isLocal(dataset)
+      ? await pxFileService.fetchData(dataset.id, lang, selection)
+      : await pxwebService.fetchData(dataset.path, lang, selection);
+
+    searchService.indexMetadata(dataset.id, lang, fetched.metadata);
+
+    // `fetched` may be shared with concurrent callers (single-flight), so it is not mutated
+    return { ...fetched, vintage: await this._vintage(dataset.id, fetched, selection) };
+  }
+
+  /**
+   * Cache key and loader for the `/metadata` response
+   * @param {string} id - Dataset ID (already validated)
+   * @param {string} lang - Language code
+   * @returns {Object} - { key, load } for cacheService
+   */
+  metadataCacheEntry(id, lang) {
+    const dataset = DATASETS[id];
+
+    return {
+      key: `metadata:${id}:${lang}`,
+      load: async () => {
+        // Fetch metadata in the requested language
+        const { metadata, vintage } = await this.fetchDataset(dataset, lang);
+        const processedMetadata = dataProcessingService.processMetadata(metadata, id, lang);
+
+        return {
+          success: true,
+          data: {
+            ...this._publicFields(dataset),
+            metadata: processedMetadata,
+            language: lang,
+            vintage
+          }
+        };
+      }
+    };
+  }
+
+  /**
+   * Cache key and loader for the `/data` response
+   * @param {string} id - Dataset ID (already validated)
+   * @param {string} lang - Language code
+   * @param {Object} dimensionFilters - PXWeb dimension code → value
+   * @param {Object} selection - Per-variable selections keyed by variable code
+   * @returns {Object} - { key, load } for cacheService
+   */
+  dataCacheEntry(id, lang, dimensionFilters = {}, selection = {}) {
+    const dataset = DATASETS[id];
+
+    // Cache key includes active filters so filtered results are cached separately
+    const filterSuffix = Object.keys(dimensionFilters).length
+      ? ':' + Object.entries(dimensionFilters).map(([k, v]) => `${k}=${v}`).join('&')
+      : '';
+
+    return {
+      key: `data:${id}:${lang}${filterSuffix}${this._selectionCacheSuffix(selection)}`,
+      load: async () => {
+        const { dataset: jsonStatDataset, metadata, vintage } = await this.fetchDataset(dataset, lang, selection);
+        const processedData = dataProcessingService.processForChart(jsonStatDataset, id, lang, metadata, dimensionFilters);
+
+        return {
+          success: true,
+          data: {
+            ...this._publicFields(dataset),
+            ...processedData,
+            language: lang,
+            filters: Object.keys(dimensionFilters).length ? dimensionFilters : undefined,
+            selection: Object.keys(selection).length ? selection : undefined,
+            fetchedAt: new Date().toISOString(),
+            vintage
+          }
+        };
+      }
+    };
+  }
+
+  /**
+   * Catalog entry fields included in responses; the `processor` spec is server-side configuration
+   * @param {Object} dataset - DATASETS entry
+   * @returns {Object}
+   */
+  _publicFields(dataset) {
+    const { processor, ...fields } = dataset;
+    return fields;
+  }
+
+  /**
+   * Record a full fetch as a version, or attribute a selected slice to the latest
+   * recorded version with the same `updated` timestamp
+   * @param {string} id - Dataset ID
+   * @param {Object} fetched - Result of fetchData
+   * @param {Object} selection
+   * @returns {Promise<Object>} - { version, hash, updated }; version and hash are null when unknown
+   */
+  async _vintage(id, fetched, selection) {
+    const updated = datasetVersionService.updatedOf(fetched);
+
+    try {
+      if (!Object.keys(selection).length) {
+        const version = await datasetVersionService.record(id, fetched);
+        return { version: version.version, hash: version.hash, updated };
+      }
+
+      const { current } = await datasetVersionService.getVersions(id);
+      if (current && updated && current.updated === updated) {
+        return { version: current.version, hash: current.hash, updated };
+      }
+    } catch (error) {
+      log.warn({ dataset: id, err: error }, 'Version tracking failed');
+    }
+    return { version: null, hash: null, updated };
+  }
+
+  /**
+   * Stable cache-key suffix for a selection
+   * @param {Object} selection
+   * @returns {string}
+   */
+  _selectionCacheSuffix(selection) {
+    const codes = Object.keys(selection).sort();
+    if (!codes.length) return '';
+    return ':select=' + codes.map(code => `${code}=${JSON.stringify(selection[code])}`).join('&');
+  }
+}
+
+export default new DatasetService();
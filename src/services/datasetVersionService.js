@@ -0,0 +1,319 @@
+/**
+ * Dataset Version Service
+ * Detects revisions of PXWeb tables. Every full fetch of a dataset is fingerprinted
+ * (JSON-Stat `updated` + a hash of dimension codes and values); a new fingerprint
+ * becomes a new version, with a snapshot kept for cell-level diffs.
+ *
+ * Storage layout:
+ *   <dir>/<id>/versions.json → { versions: [{ version, hash, updated, firstSeen, lastSeen, cells, dimensions }] }
+ *   <dir>/<id>/<hash>.json   → { dimensions: [{ code, label, values, labels }], values }
+ * The hash covers value codes, not labels, so ka and en fetches share versions;
+ * snapshot labels are in the language of the fetch that created the version.
+ */
+import crypto from 'crypto';
+import fsp from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { config } from '../config/index.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ component: 'dataset-versions' });
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_DIFF_LIMIT = 1000;
+const MAX_DIFF_LIMIT = 10000;
+
+export class DatasetVersionService {
+  constructor() {
+    this.dir = path.resolve(__dirname, '../..', config.datasetVersions.dir);
+    this.writes = new Map(); // id → Promise (serialises updates per dataset)
+  }
+
+  /**
+   * Record a full fetch of a dataset
+   * @param {string} id - Dataset ID
+   * @param {Object} fetched - Result of PXWebService.fetchData / PXFileService.fetchData
+   * @returns {Promise<Object>} - The matching version entry
+   */
+  record(id, fetched) {
+    const previous = this.writes.get(id) || Promise.resolve();
+    const next = previous.catch(() => {}).then(() => this._record(id, fetched));
+
+    this.writes.set(id, next);
+    next.finally(() => {
+      if (this.writes.get(id) === next) this.writes.delete(id);
+    }).catch(() => {});
+    return next;
+  }
+
+  /**
+   * Version history, newest first
+   * @param {string} id - Dataset ID
+   * @returns {Promise<Object>} - { current, versions }
+   */
+  async getVersions(id) {
+    const { versions } = await this._readJson(this._indexFile(id), { versions: [] });
+    const newestFirst = [...versions].reverse();
+    return { current: newestFirst[0] || null, versions: newestFirst };
+  }
+
+  /**
+   * Cells that changed between two versions
+   * @param {string} id - Dataset ID
+   * @param {Object} options - { from, to: version numbers (default: previous and latest), limit }
+   * @returns {Promise<Object>}
+   */
+  async diff(id, { from, to, limit } = {}) {
+    const { versions } = await this._readJson(this._indexFile(id), { versions: [] });
+    if (versions.length === 0) {
+      throw this._clientError(`No versions recorded for '${id}' yet`, 404);
+    }
+
+    const toVersion = this._findVersion(versions, to, versions[versions.length - 1]);
+    const fromVersion = this._findVersion(versions, from, versions[versions.indexOf(toVersion) - 1]);
+    if (!fromVersion) {
+      throw this._clientError(`'${id}' has only one version; nothing to compare`, 404);
+    }
+
+    const maxChanges = this._parseLimit(limit);
+    const [before, after] = await Promise.all([this._readSnapshot(id, fromVersion), this._readSnapshot(id, toVersion)]);
+    const beforeCells = this._cells(before);
+    const afterCells = this._cells(after);
+
+    const changes = [];
+    const summary = { changed: 0, added: 0, removed: 0 };
+    const push = (type, cell, previous, current) => {
+      summary[type]++;
+      if (changes.length < maxChanges) {
+        changes.push({ type, cell: cell.codes, labels: cell.labels, from: previous, to: current });
+      }
+    };
+
+    for (const [key, cell] of afterCells) {
+      const old = beforeCells.get(key);
+      if (!old) push('added', cell, null, cell.value);
+      else if (old.value !== cell.value) push('changed', cell, old.value, cell.value);
+    }
+    for (const [key, cell] of beforeCells) {
+      if (!afterCells.has(key)) push('removed', cell, cell.value, null);
+    }
+
+    const total = summary.changed + summary.added + summary.removed;
+    return {
+      from: this._describe(fromVersion),
+      to: this._describe(toVersion),
+      dimensions: after.dimensions.map(dim => ({ code: dim.code, label: dim.label })),
+      summary,
+      changes,
+      truncated: total > changes.length
+    };
+  }
+
+  /**
+   * PXWeb `updated` timestamp of a fetch
+   * @param {Object} fetched - Result of fetchData
+   * @returns {string|null}
+   */
+  updatedOf(fetched) {
+    return fetched.rawData?.dataset?.updated || fetched.rawData?.updated || fetched.dataset?.updated || null;
+  }
+
+  /**
+   * @param {string} id
+   * @param {Object} fetched
+   * @returns {Promise<Object>}
+   */
+  async _record(id, fetched) {
+    const snapshot = this._snapshot(fetched.dataset);
+    const hash = crypto.createHash('sha256')
+      .update(JSON.stringify({ dimensions: snapshot.dimensions.map(dim => [dim.code, dim.values]), values: snapshot.values }))
+      .digest('hex');
+    const updated = this.updatedOf(fetched);
+    const now = new Date().toISOString();
+
+    const indexFile = this._indexFile(id);
+    const index = await this._readJson(indexFile, { versions: [] });
+    const latest = index.versions[index.versions.length - 1];
+
+    if (latest && latest.hash === hash && latest.updated === updated) {
+      latest.lastSeen = now;
+      await this._writeJson(indexFile, index);
+      return latest;
+    }
+
+    const version = {
+      version: (latest?.version || 0) + 1,
+      hash,
+      updated,
+      firstSeen: now,
+      lastSeen: now,
+      cells: snapshot.values.length,
+      dimensions: Object.fromEntries(snapshot.dimensions.map(dim => [dim.code, dim.values.length]))
+    };
+
+    await this._writeJson(path.join(this.dir, this._safe(id), `${hash}.json`), snapshot);
+    index.versions.push(version);
+    await this._writeJson(indexFile, index);
+
+    log.info({ dataset: id, version: version.version, updated: updated || null }, 'Recorded dataset version');
+    return version;
+  }
+
+  /**
+   * Language-independent content of a JSON-Stat dataset plus labels for diffs
+   * @param {Object} dataset - jsonstat-toolkit dataset
+   * @returns {Object}
+   */
+  _snapshot(dataset) {
+    return {
+      dimensions: dataset.id.map(code => {
+        const dimension = dataset.Dimension(code);
+        return {
+          code,
+          label: dimension.label || code,
+          values: [...dimension.id],
+          labels: dimension.id.map(value => dimension.Category(value)?.label ?? value)
+        };
+      }),
+      values: dataset.value.map(value => (value === undefined ? null : value))
+    };
+  }
+
+  /**
+   * Map "code|code|…" → { codes, labels, value } for every cell of a snapshot
+   * @param {Object} snapshot
+   * @returns {Map}
+   */
+  _cells(snapshot) {
+    const cells = new Map();
+    const sizes = snapshot.dimensions.map(dim => dim.values.length);
+
+    snapshot.values.forEach((value, index) => {
+      // Row-major position → one value index per dimension
+      const positions = [];
+      let rest = index;
+      for (let d = sizes.length - 1; d >= 0; d--) {
+        positions[d] = rest % sizes[d];
+        rest = Math.floor(rest / sizes[d]);
+      }
+
+      const codes = {};
+      const labels = {};
+      snapshot.dimensions.forEach((dim, d) => {
+        codes[dim.code] = dim.values[positions[d]];
+        labels[dim.code] = dim.labels[positions[d]];
+      });
+      cells.set(Object.values(codes).join('|'), { codes, labels, value });
+    });
+
+    return cells;
+  }
+
+  /**
+   * @param {Array} versions
+   * @param {string|number|undefined} requested - Version number
+   * @param {Object|undefined} fallback
+   * @returns {Object|undefined}
+   */
+  _findVersion(versions, requested, fallback) {
+    if (requested === undefined || requested === null || requested === '') return fallback;
+
+    const number = Number(requested);
+    const version = versions.find(entry => entry.version === number);
+    if (!version) {
+      throw this._clientError(`Unknown version '${requested}'. Available: ${versions.map(entry => entry.version).join(', ')}`, 400);
+    }
+    return version;
+  }
+
+  /**
+   * @param {string|number|undefined} limit
+   * @returns {number}
+   */
+  _parseLimit(limit) {
+    if (limit === undefined || limit === '') return DEFAULT_DIFF_LIMIT;
+    const number = Number(limit);
+    if (!Number.isInteger(number) || number < 0) {
+      throw this._clientError('limit must be a non-negative integer');
+    }
+    return Math.min(number, MAX_DIFF_LIMIT);
+  }
+
+  /**
+   * @param {string} id
+   * @param {Object} version
+   * @returns {Promise<Object>}
+   */
+  async _readSnapshot(id, version) {
+    const snapshot = await this._readJson(path.join(this.dir, this._safe(id), `${version.hash}.json`), null);
+    if (!snapshot) {
+      throw this._clientError(`Snapshot of version ${version.version} is missing`, 404);
+    }
+    return snapshot;
+  }
+
+  /**
+   * @param {Object} version
+   * @returns {Object}
+   */
+  _describe(version) {
+    return { version: version.version, hash: version.hash, updated: version.updated, firstSeen: version.firstSeen };
+  }
+
+  /**
+   * @param {string} id
+   * @returns {string}
+   */
+  _indexFile(id) {
+    return path.join(this.dir, this._safe(id), 'versions.json');
+  }
+
+  /**
+   * @param {string} value
+   * @returns {string}
+   */
+  _safe(value) {
+    return String(value).replace(/[^A-Za-z0-9._-]/g, '_');
+  }
+
+  /**
+   * @param {string} file
+   * @param {*} fallback - Returned when the file does not exist
+   * @returns {Promise<*>}
+   */
+  async _readJson(file, fallback) {
+    try {
+      return JSON.parse(await fsp.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return fallback;
+      throw error;
+    }
+  }
+
+  /**
+   * Write through a temporary file so readers never see a partial file
+   * @param {string} file
+   * @param {*} value
+   */
+  async _writeJson(file, value) {
+    await fsp.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    await fsp.writeFile(tmp, JSON.stringify(value));
+    await fsp.rename(tmp, file);
+  }
+
+  /**
+   * @param {string} message
+   * @param {number} statusCode
+   * @returns {Error}
+   */
+  _clientError(message, statusCode = 400) {
+    const error = new Error(message);
+    error.statusCode = statusCode;
+    return error;
+  }
+}
+
+export default new DatasetVersionService();
@@ -0,0 +1,208 @@
+/**
+ * Export Service
+ * Serializes chart-ready dataset data (output of processForChart) to CSV and XLSX
+ */
+import XLSX from 'xlsx';
+
+const FORMATS = {
+  csv: {
+    contentType: 'text/csv; charset=utf-8',
+    extension: 'csv'
+  },
+  xlsx: {
+    contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    extension: 'xlsx'
+  }
+};
+
+export class ExportService {
+  constructor() {
+    this.formats = Object.keys(FORMATS);
+  }
+
+  /**
+   * Check whether an export format is supported
+   * @param {string} format
+   * @returns {boolean}
+   */
+  isSupportedFormat(format) {
+    return Object.prototype.hasOwnProperty.call(FORMATS, format);
+  }
+
+  /**
+   * Export processed dataset data
+   * @param {Object} data - `data` payload from the /data endpoint
+   * @param {string} format - 'csv' or 'xlsx'
+   * @param {string} lang - Language code used to pick bilingual labels
+   * @returns {Object} - { body, contentType, extension }
+   */
+  export(data, format, lang = 'ka') {
+    const table = this.toTable(data, lang);
+    const body = format === 'xlsx'
+      ? this.toXlsx(table, this.buildMetadataRows(data))
+      : this.toCsv(table);
+
+    return { body, ...FORMATS[format] };
+  }
+
+  /**
+   * Flatten processed data into a header row plus value rows,
+   * replacing numeric category/year indices with their labels
+   * @param {Object} data - Processed dataset data
+   * @param {string} lang
+   * @returns {Object} - { headers: string[], rows: Array[] }
+   */
+  toTable(data, lang = 'ka') {
+    const categories = data.categories?.length ? data.categories : ['value'];
+    const categoryLabels = this._buildCategoryLabels(data, lang);
+    const yearLabels = this._buildYearLabels(data.metadata?.yearMapping);
+
+    const yearHeader = lang === 'en' ? 'Year' : 'წელი';
+    const headers = [yearHeader, ...categories.map(key => categoryLabels[key] ?? key)];
+
+    const rows = (data.data || []).map(row => [
+      this._resolveYear(row.year, yearLabels),
+      ...categories.map(key => row[key] ?? null)
+    ]);
+
+    return { headers, rows };
+  }
+
+  /**
+   * Serialize a table as CSV (UTF-8 with BOM so Excel shows Georgian text correctly)
+   * @param {Object} table - { headers, rows }
+   * @returns {string}
+   */
+  toCsv(table) {
+    const lines = [table.headers, ...table.rows].map(row => row.map(cell => this._csvCell(cell)).join(','));
+    return '\uFEFF' + lines.join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Serialize a table as an XLSX workbook with a data sheet and a metadata sheet
+   * @param {Object} table - { headers, rows }
+   * @param {Array} metadataRows - [[key, value], ...]
+   * @returns {Buffer}
+   */
+  toXlsx(table, metadataRows = []) {
+    const workbook = XLSX.utils.book_new();
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([table.headers, ...table.rows]), 'Data');
+    XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([['Field', 'Value'], ...metadataRows]), 'Metadata');
+    return XLSX.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+  }
+
+  /**
+   * Describe where the exported numbers came from
+   * @param {Object} data - Processed dataset data
+   * @returns {Array} - [[key, value], ...]
+   */
+  buildMetadataRows(data) {
+    const json = value => (value && Object.keys(value).length ? JSON.stringify(value) : '');
+
+    return [
+      ['Dataset ID', data.id || ''],
+      ['Name', data.name || ''],
+      ['Title', data.title || ''],
+      ['Description', data.description || ''],
+      ['Source path', data.path ? decodeURIComponent(data.path) : ''],
+      ['Language', data.language || ''],
+      ['Filters', json(data.filters)],
+      ['Selection', json(data.selection)],
+      ['Fetched at', data.fetchedAt || ''],
+      ['Source updated', data.vintage?.updated || ''],
+      ['Dataset version', data.vintage?.version ?? ''],
+      ['Content hash', data.vintage?.hash || ''],
+      ['Exported at', new Date().toISOString()],
+      ...(data.metadata?.derived || []).map(entry => [
+        `Derived: ${entry.label}`,
+        `${entry.kind} of ${entry.formula} (${entry.sources.map(source => `[${source.key}] = ${source.label}`).join('; ')})`
+      ])
+    ];
+  }
+
+  /**
+   * Map category keys used in data rows to human-readable labels
+   * @param {Object} data
+   * @param {string} lang
+   * @returns {Object} - { key: label }
+   */
+  _buildCategoryLabels(data, lang) {
+    const labels = {};
+    const metadata = data.metadata || {};
+
+    (metadata.categoryMapping || []).forEach(entry => {
+      const key = entry.key ?? entry.index;
+      if (key === undefined) return;
+      labels[key] = this._pickLabel(entry.label, lang);
+    });
+
+    // hydro-meteorological-hazards uses "<hazard> - <month>" keys
+    if (metadata.hazardLabels && metadata.monthLabels) {
+      const hazardLabels = metadata.enhancedHazardLabels || metadata.hazardLabels;
+      (data.categories || []).forEach(key => {
+        const [hazardId, monthId] = String(key).split(' - ');
+        if (hazardLabels[hazardId] && metadata.monthLabels[monthId]) {
+          labels[key] = `${hazardLabels[hazardId]} - ${metadata.monthLabels[monthId]}`;
+        }
+      });
+    }
+
+    // Request-time `?derive=` series
+    (metadata.derived || []).forEach(entry => {
+      labels[entry.key] = entry.label;
+    });
+
+    return labels;
+  }
+
+  /**
+   * Build { index: year } from either yearMapping shape used by the processors
+   * @param {Array|Object} yearMapping
+   * @returns {Object}
+   */
+  _buildYearLabels(yearMapping) {
+    if (!yearMapping) return {};
+    if (Array.isArray(yearMapping)) {
+      return Object.fromEntries(yearMapping.map(({ index, value }) => [index, value]));
+    }
+    return { ...yearMapping };
+  }
+
+  /**
+   * Replace an index-based year with the actual year where needed
+   * @param {string|number} year
+   * @param {Object} yearLabels
+   * @returns {string|number}
+   */
+  _resolveYear(year, yearLabels) {
+    const numeric = Number(year);
+    if (!isNaN(numeric) && numeric > 1900 && numeric < 3000) return numeric;
+    return yearLabels[year] ?? year;
+  }
+
+  /**
+   * Labels are either plain strings or { ka, en } objects
+   * @param {string|Object} label
+   * @param {string} lang
+   * @returns {string}
+   */
+  _pickLabel(label, lang) {
+    if (label && typeof label === 'object') {
+      return label[lang] || label.ka || label.en || '';
+    }
+    return label ?? '';
+  }
+
+  /**
+   * Quote a CSV cell when needed
+   * @param {*} value
+   * @returns {string}
+   */
+  _csvCell(value) {
+    if (value === null || value === undefined) return '';
+    const text = String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+}
+
+export default new ExportService();
@@ -0,0 +1,222 @@
+/**
+ * Fixture Service
+ * Records and replays upstream HTTP responses (PXWeb metadata, JSON-Stat data,
+ * air.gov.ge get_data_1hour) so the server and the scripts in test/ can run offline.
+ *
+ * Modes per upstream (config.fixtures.modes):
+ *   off    → pass requests through to the network
+ *   replay → answer from <dir>/<source>/*.json, fail when a fixture is missing
+ *   record → call the network and save every response as a fixture
+ *
+ * A fixture is identified by method, URL and body. Query parameters that change on
+ * every call (the time window of air.gov.ge requests) are left out of the key, so a
+ * recorded payload keeps matching later requests for the same station and substance.
+ */
+import crypto from 'crypto';
+import fsp from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { config } from '../config/index.js';
+import { observeUpstream, upstreamErrors } from '../utils/metrics.js';
+import circuitBreakerService from './circuitBreakerService.js';
+import logger, { currentRequestId } from '../utils/logger.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const log = logger.child({ component: 'fixtures' });
+
+const MODES = ['off', 'replay', 'record'];
+const VOLATILE_PARAMS = {
+  airQuality: ['from_date_time', 'to_date_time']
+};
+
+export class FixtureService {
+  constructor() {
+    this.dir = path.resolve(__dirname, '../..', config.fixtures.dir);
+    this.stats = { replayed: 0, recorded: 0, missing: 0 };
+  }
+
+  /**
+   * Mode for an upstream; unknown values fall back to 'off'
+   * @param {string} source - 'pxweb', 'pxwebNavigation' or 'airQuality'
+   * @returns {string}
+   */
+  getMode(source) {
+    const mode = String(config.fixtures.modes[source] || 'off').toLowerCase();
+    return MODES.includes(mode) ? mode : 'off';
+  }
+
+  /**
+   * fetch() replacement used by the upstream services
+   * @param {string} source - Upstream name, also the fixture subdirectory
+   * @param {string} url
+   * @param {Object} options - fetch options
+   * @param {Function} fetchImpl - Network fetch used in 'off' and 'record' modes
+   * @returns {Promise<Response>}
+   */
+  async fetch(source, url, options = {}, fetchImpl = globalThis.fetch) {
+    const mode = this.getMode(source);
+    if (mode === 'off') return this._network(source, url, options, fetchImpl);
+
+    const request = this._describeRequest(source, url, options);
+    const file = this._fixturePath(source, request);
+
+    if (mode === 'replay') {
+      return this._replay(file, request);
+    }
+
+    const response = await this._network(source, url, options, fetchImpl);
+    await this._record(file, request, response.clone());
+    return response;
+  }
+
+  /**
+   * Network request, forwarding the ID of the request being handled (X-Request-Id);
+   * timed for /metrics and logged with the upstream name and request ID. Fails fast
+   * with a 503 while the circuit breaker of the upstream host is open
+   * @param {string} source
+   * @param {string} url
+   * @param {Object} options
+   * @param {Function} fetchImpl
+   * @returns {Promise<Response>}
+   */
+  async _network(source, url, options, fetchImpl) {
+    const requestId = currentRequestId();
+    const headers = requestId ? { ...options.headers, 'X-Request-Id': requestId } : options.headers;
+    const upstreamLog = logger.child({ component: 'upstream', upstream: source });
+    const method = options.method || 'GET';
+    const start = Date.now();
+
+    try {
+      const response = await circuitBreakerService.execute(source, url,
+        () => observeUpstream(source, () => fetchImpl(url, { ...options, headers })));
+      upstreamLog[response.ok ? 'info' : 'warn']({ method, url, status: response.status, durationMs: Date.now() - start }, 'Upstream request');
+      return response;
+    } catch (err) {
+      if (err.code === 'CIRCUIT_OPEN') {
+        upstreamErrors.inc({ upstream: source, reason: 'circuit_open' });
+        upstreamLog.debug({ method, url, retryAfter: err.retryAfter }, 'Upstream request rejected, circuit open');
+      } else {
+        upstreamLog.warn({ method, url, durationMs: Date.now() - start, err }, 'Upstream request failed');
+      }
+      throw err;
+    }
+  }
+
+  /**
+   * Fixture status for health checks
+   * @returns {Object}
+   */
+  getStatus() {
+    return {
+      dir: path.relative(process.cwd(), this.dir) || '.',
+      modes: Object.fromEntries(Object.keys(config.fixtures.modes).map(source => [source, this.getMode(source)])),
+      ...this.stats
+    };
+  }
+
+  /**
+   * @param {string} file
+   * @param {Object} request
+   * @returns {Promise<Response>}
+   */
+  async _replay(file, request) {
+    let fixture;
+    try {
+      fixture = JSON.parse(await fsp.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+
+      this.stats.missing++;
+      const missing = new Error(
+        `No fixture for ${request.method} ${request.url} (expected ${path.relative(process.cwd(), file)}; record it with FIXTURE_MODE=record)`
+      );
+      missing.statusCode = 503;
+      throw missing;
+    }
+
+    this.stats.replayed++;
+    const { status, statusText, headers, json, text } = fixture.response;
+    const body = json !== undefined ? JSON.stringify(json) : text;
+    return new Response(status === 204 || status === 304 ? null : body, { status, statusText, headers });
+  }
+
+  /**
+   * @param {string} file
+   * @param {Object} request
+   * @param {Response} response - A clone; its body is consumed here
+   */
+  async _record(file, request, response) {
+    const text = await response.text();
+    const contentType = response.headers.get('content-type') || '';
+    const stored = {
+      status: response.status,
+      statusText: response.statusText,
+      headers: contentType ? { 'content-type': contentType } : {}
+    };
+
+    try {
+      stored.json = contentType.includes('json') ? JSON.parse(text) : undefined;
+    } catch {
+      stored.json = undefined;
+    }
+    if (stored.json === undefined) stored.text = text;
+
+    const fixture = { recordedAt: new Date().toISOString(), request, response: stored };
+
+    await fsp.mkdir(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${crypto.randomUUID()}.tmp`;
+    await fsp.writeFile(tmp, JSON.stringify(fixture, null, 2));
+    await fsp.rename(tmp, file);
+
+    this.stats.recorded++;
+    log.info({ file: path.relative(process.cwd(), file) }, 'Recorded fixture');
+  }
+
+  /**
+   * Normalised request identity: volatile parameters dropped, query sorted
+   * @param {string} source
+   * @param {string} url
+   * @param {Object} options
+   * @returns {Object} - { method, url, body }
+   */
+  _describeRequest(source, url, options) {
+    const parsed = new URL(url);
+    (VOLATILE_PARAMS[source] || []).forEach(param => parsed.searchParams.delete(param));
+    parsed.searchParams.sort();
+
+    let body = options.body ?? null;
+    if (typeof body === 'string') {
+      try {
+        body = JSON.parse(body);
+      } catch {
+        // keep non-JSON bodies as text
+      }
+    }
+
+    return { method: (options.method || 'GET').toUpperCase(), url: parsed.toString(), body };
+  }
+
+  /**
+   * <dir>/<source>/<method>-<last path segments>-<hash>.json
+   * @param {string} source
+   * @param {Object} request
+   * @returns {string}
+   */
+  _fixturePath(source, request) {
+    const hash = crypto.createHash('sha1')
+      .update(`${request.method} ${request.url} ${JSON.stringify(request.body)}`)
+      .digest('hex')
+      .slice(0, 12);
+
+    const segments = decodeURIComponent(new URL(request.url).pathname).split('/').filter(Boolean).slice(-3);
+    const slug = [request.method.toLowerCase(), ...segments].join('-')
+      .replace(/[^A-Za-z0-9._-]+/g, '_')
+      .slice(0, 100);
+
+    return path.join(this.dir, source, `${slug}-${hash}.json`);
+  }
+}
+
+export default new FixtureService();
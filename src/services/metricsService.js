@@ -0,0 +1,125 @@
+/**
+ * Metrics Service
+ * Serves the Prometheus metrics of all workers at /metrics.
+ *
+ * Under PM2 cluster mode every worker has its own registry (utils/metrics.js) and a scrape
+ * reaches only one of them. Each worker therefore publishes its registry to the Redis hash
+ * `metrics:workers` every `publishSeconds`; the worker answering the scrape merges the
+ * entries of all live workers (counters and histograms are summed). Entries older than
+ * three publish intervals belong to stopped workers and are dropped. Without Redis the
+ * metrics of the answering worker are served.
+ */
+import os from 'os';
+import client from 'prom-client';
+import { config } from '../config/index.js';
+import redisService from './redisService.js';
+import { registry } from '../utils/metrics.js';
+
+const REDIS_KEY = 'metrics:workers';
+
+export class MetricsService {
+  constructor() {
+    // PM2 keeps INSTANCE_ID across restarts, so a restarted worker replaces its entry
+    this.workerId = `${os.hostname()}:${process.env.INSTANCE_ID ?? process.pid}`;
+    this.timer = null;
+    this.lastPublish = null;
+    this.lastWorkers = null;
+  }
+
+  /**
+   * Publish this worker's metrics now and then every `publishSeconds`
+   */
+  start() {
+    if (!config.metrics.enabled || this.timer) return;
+
+    const run = () => this.publish().catch(() => {});
+    run();
+    this.timer = setInterval(run, config.metrics.publishSeconds * 1000);
+    this.timer.unref();
+  }
+
+  /**
+   * Stop publishing
+   */
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Metrics in Prometheus exposition format, merged over all live workers
+   * @returns {Promise<Object>} - { contentType, body, workers }
+   */
+  async getMetrics() {
+    const local = await registry.getMetricsAsJSON();
+
+    if (!redisService.isConnected()) {
+      this.lastWorkers = 1;
+      return { contentType: registry.contentType, body: await registry.metrics(), workers: 1 };
+    }
+
+    await this.publish(local);
+    const snapshots = await this._liveSnapshots();
+    const merged = client.AggregatorRegistry.aggregate(snapshots.length ? snapshots : [local]);
+
+    this.lastWorkers = snapshots.length || 1;
+    return { contentType: merged.contentType, body: await merged.metrics(), workers: this.lastWorkers };
+  }
+
+  /**
+   * Store this worker's registry in Redis
+   * @param {Array} [metrics] - registry.getMetricsAsJSON() result, read now when omitted
+   * @returns {Promise<boolean>} Whether it was stored
+   */
+  async publish(metrics) {
+    if (!redisService.isConnected()) return false;
+
+    const stored = await redisService.hSet(REDIS_KEY, this.workerId, JSON.stringify({
+      publishedAt: Date.now(),
+      metrics: metrics || await registry.getMetricsAsJSON()
+    }));
+    if (stored) this.lastPublish = new Date().toISOString();
+    return stored;
+  }
+
+  /**
+   * Status for /api/health/status
+   * @returns {Object}
+   */
+  getStatus() {
+    return {
+      enabled: config.metrics.enabled,
+      workerId: this.workerId,
+      aggregation: redisService.isConnected() ? 'redis' : 'local',
+      publishSeconds: config.metrics.publishSeconds,
+      lastPublish: this.lastPublish,
+      workersInLastScrape: this.lastWorkers
+    };
+  }
+
+  /**
+   * Registries published by workers that are still running; stale entries are removed
+   * @returns {Promise<Array>} - [registry.getMetricsAsJSON() result]
+   */
+  async _liveSnapshots() {
+    const entries = await redisService.hGetAll(REDIS_KEY) || {};
+    const cutoff = Date.now() - 3 * config.metrics.publishSeconds * 1000;
+    const snapshots = [];
+
+    for (const [workerId, value] of Object.entries(entries)) {
+      let entry = null;
+      try {
+        entry = JSON.parse(value);
+      } catch {}
+
+      if (entry && entry.publishedAt >= cutoff) {
+        snapshots.push(entry.metrics);
+      } else {
+        await redisService.hDel(REDIS_KEY, workerId);
+      }
+    }
+    return snapshots;
+  }
+}
+
+export default new MetricsService();
@@ -0,0 +1,214 @@
+/**
+ * OpenAPI Service
+ * Builds the OpenAPI 3.1 document from the mounted Express routers: every route contributes
+ * its path and method, and the `route(spec)` annotation in its handler stack
+ * (middleware/validateRequest.js) contributes parameters, body and responses.
+ * A `requireRole(role)` guard (middleware/auth.js) marks the operation as needing an API key.
+ */
+
+const ERROR_RESPONSE = { $ref: '#/components/schemas/Error' };
+
+export class OpenApiService {
+  constructor() {
+    this.document = null;
+  }
+
+  /**
+   * OpenAPI document, built once
+   * @param {Array} mounts - [[mount path, express.Router]]
+   * @returns {Object}
+   */
+  getDocument(mounts) {
+    if (!this.document) this.document = this._build(mounts);
+    return this.document;
+  }
+
+  /**
+   * Routes with their summaries, for the GET /api index
+   * @param {Array} mounts - [[mount path, express.Router]]
+   * @returns {Object} - tag → ['GET /api/... - summary [role key]']
+   */
+  listRoutes(mounts) {
+    const routes = {};
+    for (const { method, path, spec, role } of this._routes(mounts)) {
+      const tag = spec.tags?.[0] || 'Other';
+      (routes[tag] ||= []).push(`${method.toUpperCase()} ${path}${spec.summary ? ` - ${spec.summary}` : ''}${role ? ` [${role === 'public' ? 'API' : role} key]` : ''}`);
+    }
+    return routes;
+  }
+
+  /**
+   * @param {Array} mounts
+   * @returns {Object}
+   */
+  _build(mounts) {
+    const paths = {};
+    const tags = new Set();
+
+    for (const { method, path, spec, role } of this._routes(mounts)) {
+      const openApiPath = path.replace(/:(\w+)/g, '{$1}');
+      (paths[openApiPath] ||= {})[method] = this._operation(path, spec, role);
+      spec.tags?.forEach(tag => tags.add(tag));
+    }
+
+    return {
+      openapi: '3.1.0',
+      info: {
+        title: 'PXWeb Environmental API',
+        version: '1.0.0',
+        description: 'Georgian environmental and gender statistics from PXWeb (geostat.ge), real-time air quality from air.gov.ge, rivers and lakes.'
+      },
+      servers: [{ url: '/' }],
+      // The key is optional except where an operation requires a role
+      security: [{}, { ApiKey: [] }],
+      tags: [...tags].map(name => ({ name })),
+      paths,
+      components: {
+        securitySchemes: {
+          ApiKey: {
+            type: 'apiKey',
+            in: 'header',
+            name: 'X-API-Key',
+            description: 'Roles public, partner and admin. Without a key, requests are limited per IP address with the public limits.'
+          }
+        },
+        responses: {
+          TooManyRequests: {
+            description: 'Rate limit or daily quota exceeded (see Retry-After)',
+            content: { 'application/json': { schema: ERROR_RESPONSE } }
+          }
+        },
+        schemas: {
+          Error: {
+            type: 'object',
+            properties: {
+              success: { const: false },
+              error: { type: 'string' },
+              message: { type: 'string' },
+              details: {
+                type: 'array',
+                description: 'Validation failures (400 Invalid request)',
+                items: {
+                  type: 'object',
+                  properties: { in: { type: 'string' }, field: { type: 'string' }, message: { type: 'string' } }
+                }
+              }
+            },
+            required: ['success', 'error']
+          },
+          Success: {
+            type: 'object',
+            properties: { success: { const: true }, data: {} },
+            required: ['success']
+          }
+        }
+      }
+    };
+  }
+
+  /**
+   * Every routed method under the mounts
+   * @param {Array} mounts - [[mount path, express.Router]]
+   * @returns {Array} - [{ method, path, spec, role }]
+   */
+  _routes(mounts) {
+    const routes = [];
+    for (const [mountPath, router] of mounts) {
+      for (const layer of router.stack) {
+        if (!layer.route) continue;
+
+        const path = (mountPath + (layer.route.path === '/' ? '' : layer.route.path)) || '/';
+        const spec = layer.route.stack.find(entry => entry.handle.openapi)?.handle.openapi || {};
+        const role = layer.route.stack.find(entry => entry.handle.role)?.handle.role;
+        for (const method of Object.keys(layer.route.methods)) {
+          if (method !== '_all') routes.push({ method, path, spec, role });
+        }
+      }
+    }
+    return routes;
+  }
+
+  /**
+   * Operation object for one route
+   * @param {string} path - Express path
+   * @param {Object} spec - route(spec) annotation
+   * @param {string} [role] - Role required by requireRole()
+   * @returns {Object}
+   */
+  _operation(path, spec, role) {
+    const pathParams = [...path.matchAll(/:(\w+)/g)].map(match => match[1]);
+    const parameters = [
+      ...pathParams.map(name => this._parameter(name, 'path', spec.params?.[name] || { type: 'string' }, true)),
+      ...Object.entries(spec.query?.properties || {}).map(([name, schema]) =>
+        this._parameter(name, 'query', schema, spec.query.required?.includes(name)))
+    ];
+
+    const responses = {};
+    for (const [status, response] of Object.entries(spec.responses || { 200: 'OK' })) {
+      responses[status] = this._response(status, response);
+    }
+    if (parameters.length || spec.body) {
+      responses[400] ||= this._response(400, 'Invalid request');
+    }
+    if (role) {
+      responses[401] ||= this._response(401, 'API key missing or invalid');
+      responses[403] ||= this._response(403, `API key without role ${role}`);
+    }
+    responses[429] = { $ref: '#/components/responses/TooManyRequests' };
+
+    return {
+      ...(spec.tags && { tags: spec.tags }),
+      ...(spec.summary && { summary: spec.summary }),
+      ...(spec.description && { description: spec.description }),
+      ...(spec.deprecated && { deprecated: true }),
+      ...(role && { security: [{ ApiKey: [] }], 'x-required-role': role }),
+      ...(parameters.length && { parameters }),
+      ...(spec.body && {
+        requestBody: {
+          required: Boolean(spec.body.required),
+          ...(spec.body.description && { description: spec.body.description }),
+          content: { 'application/json': { schema: spec.body.schema } }
+        }
+      }),
+      responses
+    };
+  }
+
+  /**
+   * @param {string} name
+   * @param {string} location - 'path' | 'query'
+   * @param {Object} schema - JSON Schema; its description becomes the parameter description
+   * @param {boolean} required
+   * @returns {Object}
+   */
+  _parameter(name, location, schema, required) {
+    const { description, ...rest } = schema;
+    return {
+      name,
+      in: location,
+      required: Boolean(required),
+      ...(description && { description }),
+      // select[Region]=0,3
+      ...(rest.type === 'object' && { style: 'deepObject', explode: true }),
+      schema: rest
+    };
+  }
+
+  /**
+   * @param {string|number} status
+   * @param {string|Object} response - Description, or { description, contentType, schema }
+   * @returns {Object}
+   */
+  _response(status, response) {
+    const { description, contentType = 'application/json', schema } = typeof response === 'string'
+      ? { description: response }
+      : response;
+    const fallback = contentType === 'application/json'
+      ? (Number(status) < 400 ? { $ref: '#/components/schemas/Success' } : ERROR_RESPONSE)
+      : { type: 'string' };
+
+    return { description, content: { [contentType]: { schema: schema || fallback } } };
+  }
+}
+
+export default new OpenApiService();
@@ -0,0 +1,354 @@
+/**
+ * PX File Service
+ * Registers local PC-Axis files from data/ as datasets and renders
+ * any configured dataset as a PX file
+ */
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import JSONstat from 'jsonstat-toolkit';
+import { DATASETS } from '../config/datasets.js';
+import pxwebService from './pxwebService.js';
+import cacheService from './cacheService.js';
+import { parsePx, serializePx } from '../utils/pxFormat.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ component: 'px-files' });
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const PX_LANGUAGES = ['ka', 'en'];
+
+const DEFAULT_SOURCE = {
+  ka: 'საქართველოს სტატისტიკის ეროვნული სამსახური',
+  en: 'National Statistics Office of Georgia'
+};
+
+export class PxFileService {
+  constructor() {
+    this.dataDir = path.resolve(__dirname, '../../data');
+    this.tables = new Map(); // dataset id → { file, mtime, table }
+    this.watcher = null;
+    this.reloadTimer = null;
+  }
+
+  /**
+   * Load data/*.px and keep watching the directory for added, changed or removed files
+   */
+  async start() {
+    await this.loadDirectory();
+    this.watch();
+  }
+
+  /**
+   * Register every .px file in data/ as a dataset. Unchanged files are skipped,
+   * files that disappeared are unregistered.
+   */
+  async loadDirectory() {
+    let files;
+    try {
+      files = (await fsp.readdir(this.dataDir)).filter(file => file.toLowerCase().endsWith('.px'));
+    } catch (error) {
+      log.error({ dir: this.dataDir, err: error }, 'Cannot read PX file directory');
+      return;
+    }
+
+    const seen = new Set();
+    for (const file of files) {
+      const id = this._datasetId(file);
+      seen.add(id);
+
+      try {
+        const filePath = path.join(this.dataDir, file);
+        const { mtimeMs } = await fsp.stat(filePath);
+        const loaded = this.tables.get(id);
+        if (loaded?.mtime === mtimeMs) continue;
+
+        const table = parsePx(await fsp.readFile(filePath));
+        this.tables.set(id, { file, mtime: mtimeMs, table });
+        this._register(id, file, table);
+        if (loaded) await cacheService.clear(id);
+
+        log.info({ file, dataset: id, cells: table.data.length }, 'Loaded PX file');
+      } catch (error) {
+        log.error({ file, err: error }, 'Failed to load PX file');
+      }
+    }
+
+    for (const id of [...this.tables.keys()]) {
+      if (seen.has(id)) continue;
+      this.tables.delete(id);
+      delete DATASETS[id];
+      await cacheService.clear(id);
+      log.info({ dataset: id }, 'Unregistered dataset (PX file removed)');
+    }
+  }
+
+  /**
+   * Reload data/ shortly after any .px file in it changes
+   */
+  watch() {
+    if (this.watcher) return;
+    try {
+      this.watcher = fs.watch(this.dataDir, { persistent: false }, (event, file) => {
+        if (file && !file.toLowerCase().endsWith('.px')) return;
+        clearTimeout(this.reloadTimer);
+        this.reloadTimer = setTimeout(() => this.loadDirectory(), 500);
+        this.reloadTimer.unref();
+      });
+    } catch (error) {
+      log.error({ dir: this.dataDir, err: error }, 'Cannot watch PX file directory');
+    }
+  }
+
+  /**
+   * Check whether a dataset is backed by a local PX file
+   * @param {Object} dataset - Entry from DATASETS
+   * @returns {boolean}
+   */
+  isLocal(dataset) {
+    return dataset?.source === 'px-file';
+  }
+
+  /**
+   * Read a local dataset in the same shape as PXWebService.fetchData
+   * @param {string} id - Dataset ID
+   * @param {string} language - Falls back to the file's default language
+   * @param {Object} selection - Per-variable selections keyed by variable code
+   * @returns {Promise<Object>} - { metadata, dataset, rawData, language, query }
+   */
+  async fetchData(id, language = 'ka', selection = {}) {
+    try {
+      const entry = this.tables.get(id);
+      if (!entry) {
+        throw new Error(`No PX file loaded for dataset '${id}'`);
+      }
+
+      const { table } = entry;
+      const lang = table.languages.includes(language) ? language : table.language;
+      const metadata = this._toMetadata(table, lang);
+      const query = pxwebService._buildQuery(metadata.variables, selection);
+      const rawData = this._toJsonStat(this._select(table, query), lang);
+
+      return {
+        metadata,
+        dataset: JSONstat(rawData).Dataset(0),
+        rawData,
+        language: lang,
+        query
+      };
+    } catch (error) {
+      const wrapped = new Error(`PX file error: ${error.message}`);
+      if (error.statusCode) wrapped.statusCode = error.statusCode;
+      throw wrapped;
+    }
+  }
+
+  /**
+   * Render a dataset as a PX file. PXWeb-backed datasets are fetched
+   * in Georgian and English and written with both languages.
+   * @param {Object} dataset - Entry from DATASETS
+   * @returns {Promise<string>}
+   */
+  async renderDataset(dataset) {
+    if (this.isLocal(dataset)) {
+      return serializePx(this.tables.get(dataset.id).table);
+    }
+
+    const results = await Promise.all(PX_LANGUAGES.map(lang => pxwebService.fetchData(dataset.path, lang)));
+    const byLanguage = Object.fromEntries(PX_LANGUAGES.map((lang, i) => [lang, results[i]]));
+    return serializePx(this.fromPxweb(byLanguage, dataset));
+  }
+
+  /**
+   * Build a table model from PXWebService.fetchData results in several languages
+   * @param {Object} results - { ka: fetchResult, en: fetchResult }
+   * @param {Object} dataset - Entry from DATASETS
+   * @returns {Object} - Table model (see utils/pxFormat.js)
+   */
+  fromPxweb(results, dataset) {
+    const languages = Object.keys(results);
+    const [language] = languages;
+    const primary = results[language].dataset;
+    const perLanguage = fn => Object.fromEntries(languages.map(lang => [lang, fn(results[lang], lang)]));
+
+    const variables = primary.id.map(code => {
+      const metaVariable = results[language].metadata.variables.find(v => v.code === code);
+      const values = primary.Dimension(code).id;
+
+      return {
+        code,
+        text: perLanguage(({ dataset: ds }) => ds.Dimension(code)?.label || metaVariable?.text || code),
+        values,
+        valueTexts: perLanguage(({ dataset: ds }) => values.map(value => ds.Dimension(code)?.Category(value)?.label ?? value)),
+        time: Boolean(primary.role?.time?.includes(code) || metaVariable?.time)
+      };
+    });
+
+    const unit = primary.id
+      .map(code => primary.Dimension(code).Category(0)?.unit?.label)
+      .find(Boolean);
+    const segments = decodeURIComponent(dataset.path).split('/');
+    const subjectArea = segments.slice(0, -1).join(' / ') || dataset.category;
+
+    return {
+      matrix: dataset.id,
+      language,
+      languages,
+      subjectCode: dataset.subcategory || dataset.category || '',
+      subjectArea: perLanguage(() => subjectArea),
+      title: perLanguage(({ metadata }) => metadata.title || dataset.name),
+      contents: perLanguage(({ metadata }, lang) => (lang === 'en' ? dataset.name : dataset.description) || metadata.title),
+      units: perLanguage(() => unit || '-'),
+      source: perLanguage(({ dataset: ds }, lang) => ds.source || DEFAULT_SOURCE[lang] || DEFAULT_SOURCE.en),
+      updated: primary.updated || null,
+      variables,
+      data: primary.value.map(value => value ?? null)
+    };
+  }
+
+  /**
+   * PXWeb-style table metadata for one language
+   * @param {Object} table
+   * @param {string} lang
+   * @returns {Object}
+   */
+  _toMetadata(table, lang) {
+    return {
+      title: table.title[lang] || table.title[table.language],
+      variables: table.variables.map(v => ({
+        code: v.code,
+        text: v.text[lang] || v.text[table.language],
+        values: [...v.values],
+        valueTexts: [...(v.valueTexts[lang] || v.valueTexts[table.language])],
+        ...(v.time && { time: true })
+      })),
+      language: lang
+    };
+  }
+
+  /**
+   * PXWeb-style JSON-Stat (version 1 bundle) for one language
+   * @param {Object} table
+   * @param {string} lang
+   * @returns {Object}
+   */
+  _toJsonStat(table, lang) {
+    const dimension = {
+      id: table.variables.map(v => v.code),
+      size: table.variables.map(v => v.values.length)
+    };
+
+    table.variables.forEach(v => {
+      const texts = v.valueTexts[lang] || v.valueTexts[table.language];
+      dimension[v.code] = {
+        label: v.text[lang] || v.text[table.language],
+        category: {
+          index: Object.fromEntries(v.values.map((value, i) => [value, i])),
+          label: Object.fromEntries(v.values.map((value, i) => [value, texts[i]]))
+        }
+      };
+    });
+
+    const time = table.variables.filter(v => v.time).map(v => v.code);
+    if (time.length) dimension.role = { time };
+
+    return {
+      dataset: {
+        dimension,
+        label: table.title[lang] || table.title[table.language],
+        source: table.source[lang] || table.source[table.language],
+        updated: table.updated,
+        value: table.data
+      }
+    };
+  }
+
+  /**
+   * Cut a sub-table out of a table using a PXWeb query (all, item and top filters)
+   * @param {Object} table
+   * @param {Array} query - Output of PXWebService._buildQuery
+   * @returns {Object}
+   */
+  _select(table, query) {
+    const picks = query.map(({ code, selection }, i) => {
+      const all = table.variables[i].values.map((_, index) => index);
+      switch (selection.filter) {
+        case 'all':
+          return all;
+        case 'top':
+          return all.slice(-Number(selection.values[0]));
+        case 'item':
+          return selection.values.map(value => table.variables[i].values.indexOf(value));
+        default: {
+          const error = new Error(`Filter '${selection.filter}' for '${code}' is not supported for local PX files`);
+          error.statusCode = 400;
+          throw error;
+        }
+      }
+    });
+
+    const sizes = table.variables.map(v => v.values.length);
+    const strides = sizes.map((_, i) => sizes.slice(i + 1).reduce((n, size) => n * size, 1));
+    const data = [];
+    const collect = (depth, offset) => {
+      if (depth === picks.length) {
+        data.push(table.data[offset]);
+        return;
+      }
+      picks[depth].forEach(index => collect(depth + 1, offset + index * strides[depth]));
+    };
+    collect(0, 0);
+
+    return {
+      ...table,
+      variables: table.variables.map((v, i) => ({
+        ...v,
+        values: picks[i].map(index => v.values[index]),
+        valueTexts: Object.fromEntries(
+          Object.entries(v.valueTexts).map(([lang, texts]) => [lang, picks[i].map(index => texts[index])])
+        )
+      })),
+      data
+    };
+  }
+
+  /**
+   * Add (or replace) the DATASETS entry for a local PX file
+   * @param {string} id
+   * @param {string} file - File name inside data/
+   * @param {Object} table
+   */
+  _register(id, file, table) {
+    const lang = table.language;
+    DATASETS[id] = {
+      id,
+      name: table.title.en || table.title[lang] || table.matrix || id,
+      description: table.title.ka || table.contents[lang] || '',
+      path: `data/${file}`,
+      category: 'local',
+      subcategory: 'px-files',
+      source: 'px-file',
+      languages: table.languages
+    };
+  }
+
+  /**
+   * Dataset ID for a PX file name, kept clear of PXWeb-backed dataset IDs
+   * @param {string} file
+   * @returns {string}
+   */
+  _datasetId(file) {
+    const slug = path.basename(file, path.extname(file))
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-+|-+$/g, '') || 'px-file';
+
+    const existing = DATASETS[slug];
+    return existing && !this.isLocal(existing) ? `local-${slug}` : slug;
+  }
+}
+
+export default new PxFileService();
@@ -3,21 +3,26 @@
  * Handles navigation and discovery of PXWeb API structure
  */
 import { config } from '../config/index.js';
+import fixtureService from './fixtureService.js';
+import circuitBreakerService from './circuitBreakerService.js';
 
 export class PXWebNavigationService {
   constructor() {
     this.baseUrl = config.pxweb.baseUrl;
     this.timeout = config.pxweb.timeout;
+    circuitBreakerService.breakerFor('pxwebNavigation', this.baseUrl);
   }
 
   /**
    * Explore a PXWeb path and return its structure
    * @param {string} path - Path to explore (relative to base URL)
+   * @param {string} language - Language code ('ka' or 'en')
    * @returns {Promise<Object>} - Navigation structure
    */
-  async explorePath(path = '') {
+  async explorePath(path = '', language = 'ka') {
     try {
-      const url = path ? `${this.baseUrl}/${path}` : this.baseUrl;
+      const baseUrl = this.baseUrl.replace('/ka/', `/${language}/`);
+      const url = path ? `${baseUrl}/${path}` : baseUrl;
       
       const response = await this._makeRequest(url, {
         headers: { 'Accept': 'application/json' }
@@ -130,7 +135,7 @@ export class PXWebNavigationService {
     const timeoutId = setTimeout(() => controller.abort(), this.timeout);
 
     try {
-      const response = await fetch(url, {
+      const response = await fixtureService.fetch('pxwebNavigation', url, {
         ...options,
         signal: controller.signal
       });
@@ -5,6 +5,9 @@
 import JSONstat from 'jsonstat-toolkit';
 import { Agent, fetch as undiciFetch } from 'undici';
 import { config } from '../config/index.js';
+import fixtureService from './fixtureService.js';
+import singleFlightService from './singleFlightService.js';
+import circuitBreakerService from './circuitBreakerService.js';
 
 // Dispatcher that skips TLS certificate validation —
 // equivalent to PHP's "verify_peer" => false / "verify_peer_name" => false.
@@ -18,15 +21,69 @@ export class PXWebService {
   constructor() {
     this.baseUrl = config.pxweb.baseUrl;
     this.timeout = config.pxweb.timeout;
+    circuitBreakerService.breakerFor('pxweb', this.baseUrl);
   }
 
   /**
    * Fetch data from PXWeb API
+   *
+   * Without a selection the whole cube is requested. A selection narrows the
+   * query per variable code, e.g.:
+   *   { Region: ['0', '3'] }                          → filter "item"
+   *   { Year: { top: 3 } }                            → last 3 periods
+   *   { Gender: { agg: 'Gender_total.agg', values: ['T'] } } → aggregation
+   *   { Year: { filter: 'item', values: ['2020'] } }  → raw PXWeb selection
+   * Item values may be given as value codes or as value texts.
+   *
+   * Concurrent calls for the same path, language and selection share one upstream
+   * fetch (see SingleFlightService), also across PM2 workers.
+   *
    * @param {string} datasetPath - Path to the dataset
    * @param {string} language - Language code ('ka' for Georgian, 'en' for English)
+   * @param {Object} selection - Optional per-variable selections keyed by variable code
    * @returns {Promise<Object>} - Object containing metadata, dataset, and raw data
    */
-  async fetchData(datasetPath, language = 'ka') {
+  fetchData(datasetPath, language = 'ka', selection = {}) {
+    const selectionKey = JSON.stringify(Object.keys(selection).sort().map(code => [code, selection[code]]));
+
+    return singleFlightService.run(
+      `pxweb:${language}:${datasetPath}:${selectionKey}`,
+      () => this._fetchData(datasetPath, language, selection),
+      {
+        serialize: ({ metadata, rawData, query }) => JSON.stringify({ metadata, rawData, query }),
+        deserialize: shared => {
+          const { metadata, rawData, query } = JSON.parse(shared);
+          return { metadata, dataset: this._toDataset(rawData), rawData, language, query };
+        }
+      }
+    );
+  }
+
+  /**
+   * Fetch the metadata of a table (title, variables and their values) without its data
+   * @param {string} datasetPath - Path to the dataset
+   * @param {string} language - Language code
+   * @returns {Promise<Object>}
+   */
+  async fetchMetadata(datasetPath, language = 'ka') {
+    try {
+      return await this._fetchMetadata(datasetPath, language);
+    } catch (error) {
+      const wrapped = new Error(`PXWeb API error: ${error.message}`);
+      if (error.statusCode) wrapped.statusCode = error.statusCode;
+      if (error.code === 'CIRCUIT_OPEN') Object.assign(wrapped, { code: error.code, retryAfter: error.retryAfter });
+      throw wrapped;
+    }
+  }
+
+  /**
+   * Fetch metadata and data from the PXWeb API (see fetchData)
+   * @param {string} datasetPath
+   * @param {string} language
+   * @param {Object} selection
+   * @returns {Promise<Object>}
+   */
+  async _fetchData(datasetPath, language, selection) {
     try {
       // 1. Get metadata
       const metadata = await this._fetchMetadata(datasetPath, language);
@@ -35,32 +92,46 @@ export class PXWebService {
         throw new Error('Invalid metadata: missing variables');
       }
 
-      // 2. Build query for all data
-      const query = this._buildQuery(metadata.variables);
+      // 2. Build query (whole cube unless a selection narrows it)
+      const query = this._buildQuery(metadata.variables, selection);
 
       // 3. Fetch actual data
       const rawData = await this._fetchRawData(datasetPath, query, language);
       
       // 4. Process with JSON-Stat
-      const jstat = JSONstat(rawData);
-      if (!jstat.length) {
-        throw new Error('No datasets in JSON-Stat response');
-      }
-
-      const dataset = jstat.Dataset(0);
-      if (!dataset) {
-        throw new Error('Dataset not found');
-      }
+      const dataset = this._toDataset(rawData);
 
       return {
         metadata,
         dataset,
         rawData,
-        language
+        language,
+        query
       };
     } catch (error) {
-      throw new Error(`PXWeb API error: ${error.message}`);
+      const wrapped = new Error(`PXWeb API error: ${error.message}`);
+      if (error.statusCode) wrapped.statusCode = error.statusCode;
+      if (error.code === 'CIRCUIT_OPEN') Object.assign(wrapped, { code: error.code, retryAfter: error.retryAfter });
+      throw wrapped;
+    }
+  }
+
+  /**
+   * Read the first dataset of a JSON-Stat response
+   * @param {Object} rawData
+   * @returns {Object} - jsonstat-toolkit dataset
+   */
+  _toDataset(rawData) {
+    const jstat = JSONstat(rawData);
+    if (!jstat.length) {
+      throw new Error('No datasets in JSON-Stat response');
     }
+
+    const dataset = jstat.Dataset(0);
+    if (!dataset) {
+      throw new Error('Dataset not found');
+    }
+    return dataset;
   }
 
   /**
@@ -92,15 +163,95 @@ export class PXWebService {
   /**
    * Build query object for PXWeb API
    * @param {Array} variables 
+   * @param {Object} selection - Per-variable selections keyed by variable code
    * @returns {Array}
    */
-  _buildQuery(variables) {
+  _buildQuery(variables, selection = {}) {
+    const unknown = Object.keys(selection).filter(code => !variables.some(v => v.code === code));
+    if (unknown.length) {
+      throw this._selectionError(`Unknown variable(s) in selection: ${unknown.join(', ')}`);
+    }
+
     return variables.map(v => ({
       code: v.code,
-      selection: { filter: "all", values: ["*"] }
+      selection: this._toPxSelection(v, selection[v.code])
     }));
   }
 
+  /**
+   * Translate one variable's selection spec into a PXWeb selection object
+   * @param {Object} variable - Variable from the table metadata
+   * @param {Array|Object|string|undefined} spec - Selection spec (see fetchData)
+   * @returns {Object} - { filter, values }
+   */
+  _toPxSelection(variable, spec) {
+    if (spec === undefined || spec === null || spec === '*') {
+      return { filter: "all", values: ["*"] };
+    }
+
+    if (Array.isArray(spec)) {
+      spec = { filter: 'item', values: spec };
+    } else if (spec.top !== undefined) {
+      spec = { filter: 'top', values: [spec.top] };
+    } else if (spec.agg) {
+      spec = { filter: `agg:${spec.agg}`, values: spec.values };
+    }
+
+    const filter = spec.filter || 'item';
+    const values = (spec.values || []).map(String);
+
+    if (filter === 'all') {
+      return { filter: "all", values: ["*"] };
+    }
+
+    if (values.length === 0) {
+      throw this._selectionError(`Selection for '${variable.code}' has no values`);
+    }
+
+    if (filter === 'item') {
+      return { filter, values: values.map(value => this._resolveValue(variable, value)) };
+    }
+
+    if (filter === 'top') {
+      const count = parseInt(values[0], 10);
+      if (!Number.isInteger(count) || count < 1) {
+        throw this._selectionError(`Invalid top count for '${variable.code}': ${values[0]}`);
+      }
+      return { filter, values: [String(count)] };
+    }
+
+    // agg:*, vs:* and other PXWeb filters refer to codes outside the variable's
+    // own value list, so they are passed through unchanged.
+    return { filter, values };
+  }
+
+  /**
+   * Resolve a selected value given as a value code or a value text
+   * @param {Object} variable - Variable from the table metadata
+   * @param {string} value 
+   * @returns {string} - Value code
+   */
+  _resolveValue(variable, value) {
+    const codes = variable.values || [];
+    if (codes.includes(value)) return value;
+
+    const textIndex = (variable.valueTexts || []).indexOf(value);
+    if (textIndex !== -1) return codes[textIndex];
+
+    throw this._selectionError(`Unknown value '${value}' for variable '${variable.code}'`);
+  }
+
+  /**
+   * Create a client error for an invalid selection
+   * @param {string} message 
+   * @returns {Error}
+   */
+  _selectionError(message) {
+    const error = new Error(message);
+    error.statusCode = 400;
+    return error;
+  }
+
   /**
    * Fetch raw data from PXWeb API
    * @param {string} datasetPath 
@@ -130,6 +281,7 @@ export class PXWebService {
 
   /**
    * Make HTTP request with timeout and automatic retries.
+   * While the circuit breaker of geostat.ge is open it fails at once (503, code CIRCUIT_OPEN).
    * @param {string} url
    * @param {Object} options
    * @param {number} attempt - current attempt (0-based)
@@ -141,7 +293,7 @@ export class PXWebService {
     const timeoutId   = setTimeout(() => controller.abort(), this.timeout);
 
     try {
-      const response = await undiciFetch(url, { ...options, signal: controller.signal, dispatcher: insecureDispatcher });
+      const response = await fixtureService.fetch('pxweb', url, { ...options, signal: controller.signal, dispatcher: insecureDispatcher }, undiciFetch);
       clearTimeout(timeoutId);
       return response;
     } catch (error) {
@@ -0,0 +1,251 @@
+/**
+ * Rate Limit Service
+ * Per-key request counters: a sliding-window rate limit per minute and a daily quota.
+ *
+ * The minute window is approximated from two fixed windows: the count of the previous
+ * minute, weighted by how much of it still overlaps the last 60 seconds, plus the count
+ * of the current minute. Daily counters (UTC days) are kept for `USAGE_DAYS` and are
+ * what GET /api/admin/keys/:id/usage reports, together with rejected requests.
+ *
+ * Counters live in Redis so that all instances share them; without Redis they are kept
+ * in memory per process. A request is checked and counted in one step (a Lua script in
+ * Redis), so concurrent requests cannot all pass on the same stale count.
+ */
+import redisService from './redisService.js';
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const USAGE_DAYS = 30;
+const MINUTE_TTL_MS = 2 * MINUTE_MS;
+const DAY_TTL_MS = USAGE_DAYS * DAY_MS;
+
+// KEYS: current minute, previous minute, requests today, rejected today
+// ARGV: perMinute, perDay (0 = unlimited), overlap of the previous minute, minute TTL, day TTL (ms)
+// Returns { allowed (0/1), current, previous, today }, counted when allowed
+const HIT_SCRIPT = `
+local current = tonumber(redis.call('get', KEYS[1]) or '0')
+local previous = tonumber(redis.call('get', KEYS[2]) or '0')
+local today = tonumber(redis.call('get', KEYS[3]) or '0')
+local perMinute, perDay = tonumber(ARGV[1]), tonumber(ARGV[2])
+if (perMinute > 0 and math.floor(previous * tonumber(ARGV[3]) + current) + 1 > perMinute)
+  or (perDay > 0 and today + 1 > perDay) then
+  redis.call('incr', KEYS[4])
+  redis.call('pexpire', KEYS[4], ARGV[5])
+  return { 0, current, previous, today }
+end
+current = redis.call('incr', KEYS[1])
+redis.call('pexpire', KEYS[1], ARGV[4])
+today = redis.call('incr', KEYS[3])
+redis.call('pexpire', KEYS[3], ARGV[5])
+return { 1, current, previous, today }
+`;
+
+export class RateLimitService {
+  constructor() {
+    this.memory = new Map();
+    this.lastPrune = Date.now();
+  }
+
+  /**
+   * Count a request if it is within the limits
+   * @param {string} id - Key ID (or ip:<address> for requests without a key)
+   * @param {Object} limits - { perMinute, perDay }, 0 = unlimited
+   * @returns {Promise<Object>} - { allowed, retryAfter, minute: {...}, day: {...} }
+   */
+  async hit(id, limits) {
+    const now = Date.now();
+    const window = Math.floor(now / MINUTE_MS);
+    const day = this._day(now);
+    const keys = [
+      this._minuteKey(id, window),
+      this._minuteKey(id, window - 1),
+      this._dayKey('requests', id, day),
+      this._dayKey('rejected', id, day)
+    ];
+
+    const { allowed, current, previous, today } = await this._count(keys, limits, now);
+    const minute = this._minuteState(limits.perMinute, current, previous, now);
+    const quota = this._dayState(limits.perDay, today, now);
+
+    if (allowed) return { allowed: true, retryAfter: 0, minute, day: quota };
+
+    let retryAfter = 0;
+    if (limits.perMinute && minute.used + 1 > limits.perMinute) retryAfter = minute.reset;
+    if (limits.perDay && quota.used + 1 > limits.perDay) retryAfter = Math.max(retryAfter, quota.reset);
+    return { allowed: false, retryAfter, minute, day: quota };
+  }
+
+  /**
+   * Current window and daily counters of a key
+   * @param {string} id
+   * @param {Object} limits - { perMinute, perDay }
+   * @param {number} days - Days of history, today included
+   * @returns {Promise<Object>}
+   */
+  async getUsage(id, limits, days = 7) {
+    const now = Date.now();
+    const window = Math.floor(now / MINUTE_MS);
+    const dates = Array.from({ length: Math.min(days, USAGE_DAYS) }, (_, i) => this._day(now - i * DAY_MS));
+
+    const [current, previous, ...daily] = await this._get([
+      this._minuteKey(id, window),
+      this._minuteKey(id, window - 1),
+      ...dates.flatMap(date => [this._dayKey('requests', id, date), this._dayKey('rejected', id, date)])
+    ]);
+
+    return {
+      backend: redisService.isConnected() ? 'redis' : 'memory',
+      limits,
+      minute: this._minuteState(limits.perMinute, current, previous, now),
+      today: { ...this._dayState(limits.perDay, daily[0], now), rejected: daily[1] },
+      daily: dates.map((date, i) => ({ date, requests: daily[2 * i], rejected: daily[2 * i + 1] }))
+    };
+  }
+
+  /**
+   * Check a request against the limits and count it, or count the rejection
+   * @param {Array<string>} keys - [current minute, previous minute, requests today, rejected today]
+   * @param {Object} limits - { perMinute, perDay }
+   * @param {number} now
+   * @returns {Promise<Object>} - { allowed, current, previous, today }, including this request when allowed
+   */
+  async _count(keys, limits, now) {
+    const overlap = this._overlap(now);
+    const reply = await redisService.eval(HIT_SCRIPT, keys, [
+      limits.perMinute || 0, limits.perDay || 0, overlap, MINUTE_TTL_MS, DAY_TTL_MS
+    ]);
+    if (reply) {
+      const [allowed, current, previous, today] = reply.map(Number);
+      return { allowed: allowed === 1, current, previous, today };
+    }
+
+    // Same steps as HIT_SCRIPT, without awaiting in between
+    const [currentKey, previousKey, todayKey, rejectedKey] = keys;
+    const [current, previous, today] = [currentKey, previousKey, todayKey].map(key => this._memoryValue(key, now));
+    if ((limits.perMinute && Math.floor(previous * overlap + current) + 1 > limits.perMinute) ||
+        (limits.perDay && today + 1 > limits.perDay)) {
+      this._memoryIncr(rejectedKey, DAY_TTL_MS, now);
+      return { allowed: false, current, previous, today };
+    }
+    return {
+      allowed: true,
+      current: this._memoryIncr(currentKey, MINUTE_TTL_MS, now),
+      previous,
+      today: this._memoryIncr(todayKey, DAY_TTL_MS, now)
+    };
+  }
+
+  /**
+   * Share of the previous minute still inside the last 60 seconds
+   * @param {number} now
+   * @returns {number}
+   */
+  _overlap(now) {
+    return 1 - (now % MINUTE_MS) / MINUTE_MS;
+  }
+
+  /**
+   * @param {number} limit
+   * @param {number} current - Requests in the current minute
+   * @param {number} previous - Requests in the previous minute
+   * @param {number} now
+   * @returns {Object} - { limit, used, remaining, reset (seconds) }
+   */
+  _minuteState(limit, current, previous, now) {
+    const used = Math.floor(previous * this._overlap(now) + current);
+    return {
+      limit: limit || null,
+      used,
+      remaining: limit ? Math.max(0, limit - used) : null,
+      reset: Math.ceil((MINUTE_MS - now % MINUTE_MS) / 1000)
+    };
+  }
+
+  /**
+   * @param {number} limit
+   * @param {number} used - Requests today
+   * @param {number} now
+   * @returns {Object} - { limit, used, remaining, reset (seconds until UTC midnight) }
+   */
+  _dayState(limit, used, now) {
+    return {
+      limit: limit || null,
+      used,
+      remaining: limit ? Math.max(0, limit - used) : null,
+      reset: Math.ceil((DAY_MS - now % DAY_MS) / 1000)
+    };
+  }
+
+  /**
+   * Counter values (0 when missing)
+   * @param {Array<string>} keys
+   * @returns {Promise<Array<number>>}
+   */
+  async _get(keys) {
+    if (redisService.isConnected()) {
+      return (await redisService.mGet(keys)).map(value => Number(value) || 0);
+    }
+    const now = Date.now();
+    return keys.map(key => this._memoryValue(key, now));
+  }
+
+  /**
+   * In-memory counter value (0 when missing or expired)
+   * @param {string} key
+   * @param {number} now
+   * @returns {number}
+   */
+  _memoryValue(key, now) {
+    const entry = this.memory.get(key);
+    return entry && entry.expiresAt > now ? entry.value : 0;
+  }
+
+  /**
+   * Increment an in-memory counter
+   * @param {string} key
+   * @param {number} ttlMs
+   * @param {number} now
+   * @returns {number} - New value
+   */
+  _memoryIncr(key, ttlMs, now) {
+    const entry = this.memory.get(key);
+    let value = 1;
+    if (entry && entry.expiresAt > now) {
+      value = ++entry.value;
+    } else {
+      this.memory.set(key, { value, expiresAt: now + ttlMs });
+    }
+    this._prune(now);
+    return value;
+  }
+
+  /**
+   * Drop expired in-memory counters, at most once a minute
+   * @param {number} now
+   */
+  _prune(now) {
+    if (now - this.lastPrune < MINUTE_MS) return;
+    this.lastPrune = now;
+    for (const [key, entry] of this.memory) {
+      if (entry.expiresAt <= now) this.memory.delete(key);
+    }
+  }
+
+  _minuteKey(id, window) {
+    return `auth:rate:${id}:${window}`;
+  }
+
+  _dayKey(kind, id, date) {
+    return `auth:${kind}:${id}:${date}`;
+  }
+
+  /**
+   * @param {number} time
+   * @returns {string} - YYYY-MM-DD (UTC)
+   */
+  _day(time) {
+    return new Date(time).toISOString().slice(0, 10);
+  }
+}
+
+export default new RateLimitService();
@@ -1,9 +1,15 @@
+import { randomUUID } from 'crypto';
 import { createClient } from 'redis';
+import { redisLookups } from '../utils/metrics.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ component: 'redis' });
 
 class RedisService {
   constructor() {
     this.client = null;
     this.connected = false;
+    this.connecting = null;
   }
 
   async connect() {
@@ -17,13 +23,13 @@ class RedisService {
       this.client.on('error', (err) => {
         this.connected = false;
         if (!errorLogged) {
-          console.warn('[Redis] Unavailable — caching disabled. Start Redis to enable it.');
+          log.warn('Redis unavailable, caching disabled. Start Redis to enable it.');
           errorLogged = true;
         }
       });
 
       this.client.on('connect', () => {
-        console.log('[Redis] Connected — caching enabled');
+        log.info('Redis connected, caching enabled');
         this.connected = true;
         errorLogged = false;
       });
@@ -32,18 +38,23 @@ class RedisService {
         this.connected = false;
       });
 
-      await this.client.connect();
+      this.connecting = this.client.connect();
+      await this.connecting;
     } catch (err) {
-      console.warn('[Redis] Failed to connect — caching disabled:', err.message);
+      log.warn({ err }, 'Redis connection failed, caching disabled');
       this.connected = false;
     }
   }
 
   async get(key) {
     if (!this.connected) return null;
+    const keyspace = key.split(':')[0];
     try {
-      return await this.client.get(key);
+      const value = await this.client.get(key);
+      redisLookups.inc({ keyspace, result: value === null ? 'miss' : 'hit' });
+      return value;
     } catch {
+      redisLookups.inc({ keyspace, result: 'error' });
       return null;
     }
   }
@@ -64,6 +75,141 @@ class RedisService {
     } catch {}
   }
 
+  async acquireLock(key, ttlMs) {
+    if (!this.connected) return null;
+    try {
+      const token = randomUUID();
+      const reply = await this.client.set(key, token, { condition: 'NX', expiration: { type: 'PX', value: ttlMs } });
+      return reply === 'OK' ? token : null;
+    } catch {
+      return null;
+    }
+  }
+
+  async releaseLock(key, token) {
+    if (!this.connected) return;
+    try {
+      // Delete only our own lock, not one taken over after it expired
+      await this.client.eval(
+        "if redis.call('get', KEYS[1]) == ARGV[1] then return redis.call('del', KEYS[1]) else return 0 end",
+        { keys: [key], arguments: [token] }
+      );
+    } catch {}
+  }
+
+  // Send a message to the subscribers of a channel; false when Redis is unavailable
+  async publish(channel, message) {
+    if (!this.connected) return false;
+    try {
+      await this.client.publish(channel, message);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  // Call listener(message) for every message on a channel, over a connection of its own
+  // (a subscribed connection runs no other commands); resolves to an unsubscribe
+  // function, or null when Redis is unavailable
+  async subscribe(channel, listener) {
+    if (!this.connected) return null;
+    const subscriber = this.client.duplicate();
+    subscriber.on('error', () => {});
+    try {
+      await subscriber.connect();
+      await subscriber.subscribe(channel, listener);
+      return async () => {
+        try {
+          await subscriber.close();
+        } catch {}
+      };
+    } catch {
+      try {
+        subscriber.destroy();
+      } catch {}
+      return null;
+    }
+  }
+
+  // Retry acquireLock every pollMs for up to timeoutMs; the token, or null on timeout or
+  // without Redis
+  async waitForLock(key, ttlMs, timeoutMs, pollMs = 50) {
+    const deadline = Date.now() + timeoutMs;
+    for (;;) {
+      const token = await this.acquireLock(key, ttlMs);
+      if (token || !this.connected || Date.now() >= deadline) return token;
+      await new Promise(resolve => setTimeout(resolve, pollMs));
+    }
+  }
+
+  // Wait up to timeoutMs for the first connection; resolves to whether Redis is connected
+  async whenConnected(timeoutMs) {
+    if (this.connected || !this.connecting) return this.connected;
+    let timer;
+    const timeout = new Promise(resolve => {
+      timer = setTimeout(resolve, timeoutMs);
+    });
+    await Promise.race([this.connecting.catch(() => {}), timeout]);
+    clearTimeout(timer);
+    return this.connected;
+  }
+
+  // Claim one run of a scheduled job across workers: the lock is left to expire, so
+  // workers whose timers fire within ttlMs skip the run; always true without Redis
+  async claimRun(key, ttlMs) {
+    if (!this.connected) return true;
+    return Boolean(await this.acquireLock(key, ttlMs));
+  }
+
+  async mGet(keys) {
+    if (!this.connected || keys.length === 0) return keys.map(() => null);
+    try {
+      return await this.client.mGet(keys);
+    } catch {
+      return keys.map(() => null);
+    }
+  }
+
+  // Run a Lua script atomically; null when Redis is unavailable
+  async eval(script, keys, args) {
+    if (!this.connected) return null;
+    try {
+      return await this.client.eval(script, { keys, arguments: args.map(String) });
+    } catch {
+      return null;
+    }
+  }
+
+  async hGetAll(key) {
+    if (!this.connected) return null;
+    try {
+      return await this.client.hGetAll(key);
+    } catch {
+      return null;
+    }
+  }
+
+  async hSet(key, field, value) {
+    if (!this.connected) return false;
+    try {
+      await this.client.hSet(key, field, value);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  async hDel(key, field) {
+    if (!this.connected) return false;
+    try {
+      await this.client.hDel(key, field);
+      return true;
+    } catch {
+      return false;
+    }
+  }
+
+  // `keep`: key prefixes that survive (e.g. API keys and usage counters)
   async flushByPattern(pattern) {
     if (!this.connected) return 0;
     try {
@@ -78,6 +224,15 @@ class RedisService {
   isConnected() {
     return this.connected;
   }
+
+  // Close the connection (or stop reconnecting) so short-lived scripts can exit
+  async disconnect() {
+    if (!this.client) return;
+    try {
+      await this.client.disconnect();
+    } catch {}
+    this.connected = false;
+  }
 }
 
 export default new RedisService();
@@ -0,0 +1,437 @@
+/**
+ * Search Service
+ * Ranked full-text search over the dataset catalog: names, descriptions, categories,
+ * PXWeb table titles, variable labels and value texts in Georgian and English.
+ *
+ * Variable labels and value texts come from every dataset fetch (DatasetService.fetchDataset)
+ * and are kept in `config.search.file`. At startup the index is built from the catalog and
+ * the stored labels, then the PXWeb metadata of datasets without labels is fetched in the
+ * background (fill), so a fresh server finds them without waiting for visitors or the cache
+ * warmer; catalog sync fills the datasets it registers. One worker fills at a time (Redis
+ * lock); the index is rebuilt when another worker rewrites the file.
+ *
+ * Terms are normalised by utils/textSearch.js; query terms also match index terms by prefix
+ * and with a few typos, at a lower weight. The informal-typing reading of a Latin query word
+ * ("xandzrebi" → khandzr) is matched only against terms from Georgian text.
+ */
+import fs from 'fs';
+import fsp from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { config } from '../config/index.js';
+import { DATASETS, CATEGORIES, ENVIRONMENT_SUBCATEGORIES, GENDER_SUBCATEGORIES } from '../config/datasets.js';
+import pxwebService from './pxwebService.js';
+import pxFileService from './pxFileService.js';
+import redisService from './redisService.js';
+import { analyze, editDistance, allowedTypos } from '../utils/textSearch.js';
+import logger from '../utils/logger.js';
+
+const log = logger.child({ component: 'search' });
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const FIELD_WEIGHTS = {
+  name: 3,
+  title: 2.5,
+  description: 2,
+  variable: 1.5,
+  value: 1,
+  category: 0.8
+};
+
+const MATCH_WEIGHTS = { exact: 1, prefix: 0.7, typo: 0.5 };
+const MAX_MATCHES_PER_RESULT = 3;
+const SAVE_DELAY_MS = 5000;
+const WATCH_INTERVAL_MS = 5000;
+const LANGUAGES = ['ka', 'en'];
+const FILL_LOCK = 'search:fill';
+const FILL_LOCK_TTL_MS = 30 * 60 * 1000;
+
+const SUBCATEGORIES = { ...ENVIRONMENT_SUBCATEGORIES, ...GENDER_SUBCATEGORIES };
+
+export class SearchService {
+  constructor() {
+    this.file = path.resolve(__dirname, '../..', config.search.file);
+    this.tables = {}; // dataset id → { ka: { title, variables }, en: { ... } }
+    this.loading = null;
+    this.index = null;
+    this.indexedIds = null; // DATASETS keys the index was built from
+    this.saveTimer = null;
+    this.filling = null; // Promise of the current fill
+  }
+
+  /**
+   * Build the index from the catalog and the stored labels, then follow changes to the file
+   * and fetch the labels that are missing
+   * @returns {Promise<void>}
+   */
+  async start() {
+    fs.watchFile(this.file, { persistent: false, interval: WATCH_INTERVAL_MS }, (current, previous) => {
+      if (current.mtimeMs === previous.mtimeMs) return;
+      this._read().then(() => this._getIndex());
+    });
+
+    await this._load();
+    const { postings } = this._getIndex();
+    log.info({ datasets: Object.keys(DATASETS).length, withVariables: this.getStatus().withVariables, terms: postings.size }, 'Search index built');
+
+    if (config.search.fillOnStartup) this.fill({ trigger: 'startup' });
+  }
+
+  /**
+   * Stop following the stored labels
+   */
+  stop() {
+    fs.unwatchFile(this.file);
+  }
+
+  /**
+   * Whether labels of a dataset were recorded in a language
+   * @param {string} id - Dataset ID
+   * @param {string} lang - Language code
+   * @returns {boolean}
+   */
+  hasMetadata(id, lang) {
+    return Boolean(this.tables[id]?.[lang]);
+  }
+
+  /**
+   * Record the table title, variable labels and value texts of a fetched dataset
+   * @param {string} id - Dataset ID
+   * @param {string} lang - Language code
+   * @param {Object} metadata - PXWeb metadata ({ title, variables: [{ code, text, valueTexts, time }] })
+   */
+  indexMetadata(id, lang, metadata) {
+    if (!metadata?.variables) return;
+
+    const entry = {
+      title: metadata.title || null,
+      variables: metadata.variables.map(variable => ({
+        code: variable.code,
+        text: variable.text,
+        // Periods match almost every table; searching "2015" is not useful
+        valueTexts: variable.time ? [] : (variable.valueTexts || [])
+      }))
+    };
+
+    const current = this.tables[id]?.[lang];
+    if (current && JSON.stringify(current) === JSON.stringify(entry)) return;
+
+    this.tables[id] = { ...this.tables[id], [lang]: entry };
+    this.index = null;
+    this._scheduleSave();
+  }
+
+  /**
+   * Fetch the metadata of datasets without stored labels, one table at a time, after the
+   * fill in progress on this worker; skipped while another worker fills
+   * @param {Object} options - { trigger, datasets: ids (default all) }
+   * @returns {Promise<Object|null>} - { indexed, failed }, or null when skipped
+   */
+  fill({ trigger = 'manual', datasets = null } = {}) {
+    const current = (this.filling || Promise.resolve())
+      .then(() => this._fill(trigger, datasets))
+      .catch(error => {
+        log.error({ trigger, err: error }, 'Search index fill failed');
+        return null;
+      });
+
+    this.filling = current;
+    current.finally(() => {
+      if (this.filling === current) this.filling = null;
+    });
+    return current;
+  }
+
+  /**
+   * Search the catalog
+   * @param {string} query
+   * @param {Object} options - { category, subcategory, limit }
+   * @returns {Promise<Object>} - { results, partial, terms }
+   */
+  async search(query, { category, subcategory, limit = 20 } = {}) {
+    await this._load();
+    const index = this._getIndex();
+
+    let words = analyze(query);
+    if (!words.length) words = analyze(query, { keepStopwords: true });
+    const queryTerms = new Map(words.map(word => [word.term, word.informal]));
+    const terms = [...queryTerms.keys()];
+
+    const hits = new Map(); // doc → { score, matched, matches }
+    for (const [term, informal] of queryTerms) {
+      const perDoc = new Map(); // doc → best { score, posting }
+
+      for (const [indexTerm, kind] of this._expand(term, informal, index)) {
+        const postings = index.postings.get(indexTerm);
+        const idf = Math.log(1 + index.docs.length / postings.size);
+
+        for (const [doc, posting] of postings) {
+          const score = MATCH_WEIGHTS[kind] * idf * posting.weight;
+          if (!perDoc.has(doc) || perDoc.get(doc).score < score) perDoc.set(doc, { score, posting });
+        }
+      }
+
+      for (const [doc, { score, posting }] of perDoc) {
+        const hit = hits.get(doc) || { score: 0, matched: 0, matches: [] };
+        hit.score += score;
+        hit.matched++;
+        if (!hit.matches.some(match => match.field === posting.field && match.text === posting.text)) {
+          hit.matches.push({ field: posting.field, lang: posting.lang, text: posting.text, ...(posting.variable && { variable: posting.variable }) });
+        }
+        hits.set(doc, hit);
+      }
+    }
+
+    let results = [...hits].filter(([doc]) =>
+      (!category || doc.dataset.category === category) &&
+      (!subcategory || doc.dataset.subcategory === subcategory)
+    );
+
+    // Prefer datasets matching every term; otherwise show the best partial matches
+    const best = Math.max(0, ...results.map(([, hit]) => hit.matched));
+    results = results.filter(([, hit]) => hit.matched === best);
+
+    return {
+      terms,
+      partial: best > 0 && best < terms.length,
+      total: results.length,
+      results: results
+        .sort((a, b) => b[1].score - a[1].score)
+        .slice(0, limit)
+        .map(([doc, hit]) => ({
+          id: doc.dataset.id,
+          name: doc.dataset.name,
+          description: doc.dataset.description,
+          category: doc.dataset.category,
+          subcategory: doc.dataset.subcategory || null,
+          score: Math.round(hit.score * 1000) / 1000,
+          matches: hit.matches
+            .sort((a, b) => FIELD_WEIGHTS[b.field] - FIELD_WEIGHTS[a.field])
+            .slice(0, MAX_MATCHES_PER_RESULT)
+        }))
+    };
+  }
+
+  /**
+   * Index coverage for health checks
+   * @returns {Object}
+   */
+  getStatus() {
+    return {
+      datasets: Object.keys(DATASETS).length,
+      withVariables: Object.keys(this.tables).filter(id => DATASETS[id]).length,
+      terms: this.index?.postings.size ?? null
+    };
+  }
+
+  /**
+   * Index terms matching a query term, or its informal reading among terms from Georgian text
+   * @param {string} term
+   * @param {string|null} informal - Informal-typing reading of a Latin query word
+   * @param {Object} index
+   * @returns {Map} - index term → 'exact' | 'prefix' | 'typo'
+   */
+  _expand(term, informal, index) {
+    const found = this._match(term, index.postings.keys());
+    if (informal) {
+      for (const [indexTerm, kind] of this._match(informal, index.georgianTerms)) {
+        if (!found.has(indexTerm) || MATCH_WEIGHTS[found.get(indexTerm)] < MATCH_WEIGHTS[kind]) found.set(indexTerm, kind);
+      }
+    }
+    return found;
+  }
+
+  /**
+   * Index terms matching a term exactly, by prefix, or within the allowed typos
+   * @param {string} term
+   * @param {Iterable<string>} indexTerms
+   * @returns {Map} - index term → 'exact' | 'prefix' | 'typo'
+   */
+  _match(term, indexTerms) {
+    const found = new Map();
+    const typos = allowedTypos(term);
+    for (const indexTerm of indexTerms) {
+      if (indexTerm === term) {
+        found.set(indexTerm, 'exact');
+      } else if (term.length >= 2 && indexTerm.startsWith(term)) {
+        found.set(indexTerm, 'prefix');
+      } else if (typos && editDistance(term, indexTerm, typos) <= typos) {
+        found.set(indexTerm, 'typo');
+      }
+    }
+    return found;
+  }
+
+  /**
+   * Build the inverted index when DATASETS or the stored tables changed
+   * @returns {Object} - { docs, postings: term → Map(doc → { weight, field, lang, text, variable }), georgianTerms }
+   */
+  _getIndex() {
+    const ids = Object.keys(DATASETS).join('\n');
+    if (this.index && this.indexedIds === ids) return this.index;
+
+    const docs = [];
+    const postings = new Map();
+    const georgianTerms = new Set(); // terms romanised from Georgian words
+
+    for (const dataset of Object.values(DATASETS)) {
+      const doc = { dataset };
+      docs.push(doc);
+
+      for (const field of this._fields(dataset)) {
+        const weight = FIELD_WEIGHTS[field.field];
+        for (const { term, georgian } of analyze(field.text)) {
+          if (georgian) georgianTerms.add(term);
+          if (!postings.has(term)) postings.set(term, new Map());
+          const current = postings.get(term).get(doc);
+          if (!current || current.weight < weight) postings.get(term).set(doc, { weight, ...field });
+        }
+      }
+    }
+
+    this.index = { docs, postings, georgianTerms };
+    this.indexedIds = ids;
+    return this.index;
+  }
+
+  /**
+   * Searchable texts of a dataset
+   * @param {Object} dataset - Entry from DATASETS
+   * @returns {Array} - [{ field, lang, text, variable? }]
+   */
+  _fields(dataset) {
+    const fields = [
+      { field: 'name', lang: 'en', text: dataset.name },
+      { field: 'description', lang: /[Ⴀ-ჿ]/.test(dataset.description || '') ? 'ka' : 'en', text: dataset.description }
+    ];
+
+    const category = CATEGORIES[dataset.category];
+    const subcategory = SUBCATEGORIES[dataset.subcategory];
+    for (const entry of [category, subcategory]) {
+      if (!entry) continue;
+      fields.push({ field: 'category', lang: 'en', text: entry.name });
+      if (entry.georgianName) fields.push({ field: 'category', lang: 'ka', text: entry.georgianName });
+    }
+
+    for (const [lang, table] of Object.entries(this.tables[dataset.id] || {})) {
+      if (table.title) fields.push({ field: 'title', lang, text: table.title });
+      for (const variable of table.variables) {
+        fields.push({ field: 'variable', lang, text: variable.text, variable: variable.code });
+        for (const value of variable.valueTexts) {
+          fields.push({ field: 'value', lang, text: value, variable: variable.text });
+        }
+      }
+    }
+
+    return fields.filter(field => field.text);
+  }
+
+  /**
+   * @param {string} trigger
+   * @param {Array<string>|null} datasets
+   * @returns {Promise<Object|null>}
+   */
+  async _fill(trigger, datasets) {
+    await this._load();
+
+    const token = await redisService.acquireLock(FILL_LOCK, FILL_LOCK_TTL_MS);
+    if (redisService.isConnected() && !token) {
+      log.info({ trigger }, 'Search index fill skipped: another worker is filling');
+      return null;
+    }
+
+    try {
+      // Labels stored by the last worker to fill are not fetched again
+      await this._read();
+
+      const tasks = (datasets || Object.keys(DATASETS))
+        .filter(id => DATASETS[id])
+        .flatMap(id => LANGUAGES.filter(lang => !this.hasMetadata(id, lang)).map(lang => ({ id, lang })));
+      if (!tasks.length) return { indexed: 0, failed: 0 };
+
+      log.info({ trigger, tables: tasks.length }, 'Fetching missing search labels');
+      const result = { indexed: 0, failed: 0 };
+      for (const { id, lang } of tasks) {
+        const dataset = DATASETS[id];
+        try {
+          const metadata = pxFileService.isLocal(dataset)
+            ? (await pxFileService.fetchData(id, lang)).metadata
+            : await this._fetchMetadata(dataset, lang);
+          this.indexMetadata(id, lang, metadata);
+          result.indexed++;
+        } catch (error) {
+          result.failed++;
+          log.warn({ dataset: id, lang, err: error }, 'Cannot fetch search labels');
+          // Everything after it would fail as well
+          if (error.code === 'CIRCUIT_OPEN') break;
+        }
+      }
+
+      log.info({ trigger, ...result }, 'Search labels fetched');
+      return result;
+    } finally {
+      if (token) await redisService.releaseLock(FILL_LOCK, token);
+    }
+  }
+
+  /**
+   * Fetch PXWeb metadata at most every `fillRequestDelayMs`
+   * @param {Object} dataset - Entry from DATASETS
+   * @param {string} lang
+   * @returns {Promise<Object>}
+   */
+  async _fetchMetadata(dataset, lang) {
+    if (config.search.fillRequestDelayMs) {
+      await new Promise(resolve => setTimeout(resolve, config.search.fillRequestDelayMs).unref());
+    }
+    return pxwebService.fetchMetadata(dataset.path, lang);
+  }
+
+  /**
+   * Restore stored table metadata once
+   */
+  _load() {
+    if (!this.loading) this.loading = this._read();
+    return this.loading;
+  }
+
+  /**
+   * Merge stored table metadata into memory
+   */
+  async _read() {
+    try {
+      // Fetches made by this worker win over stored entries
+      const stored = JSON.parse(await fsp.readFile(this.file, 'utf8'));
+      for (const [id, languages] of Object.entries(stored)) {
+        this.tables[id] = { ...languages, ...this.tables[id] };
+      }
+      this.index = null;
+    } catch (error) {
+      if (error.code !== 'ENOENT') log.error({ err: error }, 'Cannot read search index');
+    }
+  }
+
+  /**
+   * Write stored table metadata a few seconds after the last change
+   */
+  _scheduleSave() {
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(async () => {
+      this.saveTimer = null;
+      try {
+        await this._load();
+        await fsp.mkdir(path.dirname(this.file), { recursive: true });
+        const tmp = `${this.file}.${process.pid}.tmp`;
+        await fsp.writeFile(tmp, JSON.stringify(this.tables));
+        await fsp.rename(tmp, this.file);
+      } catch (error) {
+        log.error({ err: error }, 'Cannot write search index');
+      }
+    }, SAVE_DELAY_MS);
+    this.saveTimer.unref();
+  }
+}
+
+export default new SearchService();
@@ -0,0 +1,107 @@
+/**
+ * Single-Flight Service
+ * Deduplicates concurrent identical upstream fetches.
+ *
+ * In-process: callers with the same key share one promise.
+ * Across PM2 workers (when Redis is connected): the first worker takes a Redis lock
+ * and publishes its result under flight:result:<key>:<lock token>; the others poll
+ * for that result instead of fetching. If the lock owner fails or the wait times
+ * out, the waiting worker fetches itself.
+ */
+import { config } from '../config/index.js';
+import redisService from './redisService.js';
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+export class SingleFlightService {
+  constructor() {
+    this.inFlight = new Map(); // key → Promise
+    this.stats = { executed: 0, coalesced: 0, shared: 0 };
+  }
+
+  /**
+   * Run `work` once for all concurrent callers with the same key
+   * @param {string} key
+   * @param {Function} work - async () => value
+   * @param {Object} options - { serialize, deserialize } to share the result between
+   *                           workers; without them only in-process callers are coalesced
+   * @returns {Promise<*>}
+   */
+  run(key, work, options = {}) {
+    if (this.inFlight.has(key)) {
+      this.stats.coalesced++;
+      return this.inFlight.get(key);
+    }
+
+    const flight = this._runShared(key, work, options).finally(() => this.inFlight.delete(key));
+    this.inFlight.set(key, flight);
+    return flight;
+  }
+
+  /**
+   * Coalescing status for health checks
+   * @returns {Object}
+   */
+  getStatus() {
+    return {
+      inFlight: this.inFlight.size,
+      distributed: redisService.isConnected(),
+      ...this.stats
+    };
+  }
+
+  /**
+   * @param {string} key
+   * @param {Function} work
+   * @param {Object} options - { serialize, deserialize }
+   * @returns {Promise<*>}
+   */
+  async _runShared(key, work, { serialize, deserialize } = {}) {
+    if (!serialize || !deserialize || !redisService.isConnected()) {
+      return this._execute(work);
+    }
+
+    const { lockTtlMs, waitMs, pollMs, resultTtlSeconds } = config.coalescing;
+    const lockKey = `flight:lock:${key}`;
+    const token = await redisService.acquireLock(lockKey, lockTtlMs);
+
+    if (token) {
+      try {
+        const value = await this._execute(work);
+        await redisService.setex(`flight:result:${key}:${token}`, resultTtlSeconds, serialize(value));
+        return value;
+      } finally {
+        await redisService.releaseLock(lockKey, token);
+      }
+    }
+
+    // Another worker holds the lock: wait for the result it publishes
+    const owner = await redisService.get(lockKey);
+    const deadline = Date.now() + waitMs;
+    while (owner && Date.now() < deadline) {
+      await sleep(pollMs);
+
+      // Read the lock first: the owner publishes before it releases
+      const released = await redisService.get(lockKey) !== owner;
+      const shared = await redisService.get(`flight:result:${key}:${owner}`);
+      if (shared) {
+        this.stats.shared++;
+        return deserialize(shared);
+      }
+      if (released) break; // owner failed or its lock expired
+    }
+
+    return this._execute(work);
+  }
+
+  /**
+   * @param {Function} work
+   * @returns {Promise<*>}
+   */
+  _execute(work) {
+    this.stats.executed++;
+    return work();
+  }
+}
+
+export default new SingleFlightService();
@@ -0,0 +1,357 @@
+/**
+ * Air Quality Index Standards
+ * Computes official indices from hourly readings:
+ *
+ *   caqi-hourly → EU Common Air Quality Index, hourly grid (CITEAIR)
+ *   caqi-daily  → EU Common Air Quality Index, daily grid
+ *   us-epa      → US EPA AQI (breakpoints as revised in 2024)
+ *
+ * Each pollutant is first reduced to the concentration its standard is defined on
+ * (e.g. 24 h mean for PM, 8 h rolling mean for O3 and CO, 1 h for NO2 under US EPA),
+ * then mapped to a sub-index by linear interpolation between breakpoints. The overall
+ * index is the highest sub-index; that pollutant is reported as dominant.
+ *
+ * Windows end at the latest reading of each pollutant and need 75% of their hours.
+ */
+
+export const DEFAULT_STANDARD = 'caqi-hourly';
+
+const POLLUTANTS = ['PM10', 'PM2.5', 'NO2', 'O3', 'SO2', 'CO'];
+const MIN_COVERAGE = 0.75;
+const HOUR_MS = 60 * 60 * 1000;
+
+// Molar volume at 25 °C / 1 atm (l/mol) and molecular weights for μg/m³ → ppb
+const MOLAR_VOLUME = 24.45;
+const MOLECULAR_WEIGHT = { NO2: 46.01, O3: 48.0, SO2: 64.07, CO: 28.01 };
+
+const CAQI_CATEGORIES = [
+  { key: 'very_low', label: 'Very low', max: 25 },
+  { key: 'low', label: 'Low', max: 50 },
+  { key: 'medium', label: 'Medium', max: 75 },
+  { key: 'high', label: 'High', max: 100 },
+  { key: 'very_high', label: 'Very high', max: Infinity }
+];
+
+const EPA_CATEGORIES = [
+  { key: 'good', label: 'Good', max: 50 },
+  { key: 'moderate', label: 'Moderate', max: 100 },
+  { key: 'unhealthy_sensitive', label: 'Unhealthy for Sensitive Groups', max: 150 },
+  { key: 'unhealthy', label: 'Unhealthy', max: 200 },
+  { key: 'very_unhealthy', label: 'Very Unhealthy', max: 300 },
+  { key: 'hazardous', label: 'Hazardous', max: Infinity }
+];
+
+/**
+ * CAQI grid in μg/m³: concentrations at index 0, 25, 50, 75 and 100.
+ * Above 100 the last band's slope is extended.
+ * @param {number[]} points
+ * @returns {Array} - [[cLo, cHi, iLo, iHi], ...]
+ */
+function caqiGrid(points) {
+  return points.slice(1).map((cHi, i) => [points[i], cHi, i * 25, (i + 1) * 25]);
+}
+
+/**
+ * Averaging windows
+ *   { hours }        → mean of the last `hours` hours
+ *   { hours, span }  → highest `hours`-hour rolling mean within the last `span` hours
+ */
+export const AQI_STANDARDS = {
+  'caqi-hourly': {
+    name: 'EU CAQI (hourly)',
+    categories: CAQI_CATEGORIES,
+    aboveTop: 'extrapolate',
+    pollutants: {
+      'PM10': { window: { hours: 1 }, unit: 'μg/m³', breakpoints: caqiGrid([0, 25, 50, 90, 180]) },
+      'PM2.5': { window: { hours: 1 }, unit: 'μg/m³', breakpoints: caqiGrid([0, 15, 30, 55, 110]) },
+      'NO2': { window: { hours: 1 }, unit: 'μg/m³', breakpoints: caqiGrid([0, 50, 100, 200, 400]) },
+      'O3': { window: { hours: 1 }, unit: 'μg/m³', breakpoints: caqiGrid([0, 60, 120, 180, 240]) },
+      'SO2': { window: { hours: 1 }, unit: 'μg/m³', breakpoints: caqiGrid([0, 50, 100, 350, 500]) },
+      'CO': { window: { hours: 8 }, unit: 'μg/m³', breakpoints: caqiGrid([0, 5000, 7500, 10000, 20000]) }
+    }
+  },
+  'caqi-daily': {
+    name: 'EU CAQI (daily)',
+    categories: CAQI_CATEGORIES,
+    aboveTop: 'extrapolate',
+    pollutants: {
+      'PM10': { window: { hours: 24 }, unit: 'μg/m³', breakpoints: caqiGrid([0, 15, 30, 50, 100]) },
+      'PM2.5': { window: { hours: 24 }, unit: 'μg/m³', breakpoints: caqiGrid([0, 10, 20, 30, 60]) },
+      'NO2': { window: { hours: 1, span: 24 }, unit: 'μg/m³', breakpoints: caqiGrid([0, 50, 100, 200, 400]) },
+      'O3': { window: { hours: 1, span: 24 }, unit: 'μg/m³', breakpoints: caqiGrid([0, 60, 120, 180, 240]) },
+      'SO2': { window: { hours: 1, span: 24 }, unit: 'μg/m³', breakpoints: caqiGrid([0, 50, 100, 350, 500]) },
+      'CO': { window: { hours: 8, span: 24 }, unit: 'μg/m³', breakpoints: caqiGrid([0, 5000, 7500, 10000, 20000]) }
+    }
+  },
+  'us-epa': {
+    name: 'US EPA AQI',
+    categories: EPA_CATEGORIES,
+    aboveTop: 'cap',
+    pollutants: {
+      'PM2.5': {
+        window: { hours: 24 }, unit: 'μg/m³', decimals: 1,
+        breakpoints: [[0, 9.0, 0, 50], [9.1, 35.4, 51, 100], [35.5, 55.4, 101, 150], [55.5, 125.4, 151, 200], [125.5, 225.4, 201, 300], [225.5, 325.4, 301, 500]]
+      },
+      'PM10': {
+        window: { hours: 24 }, unit: 'μg/m³', decimals: 0,
+        breakpoints: [[0, 54, 0, 50], [55, 154, 51, 100], [155, 254, 101, 150], [255, 354, 151, 200], [355, 424, 201, 300], [425, 604, 301, 500]]
+      },
+      'O3': {
+        window: { hours: 8 }, unit: 'ppm', decimals: 3,
+        breakpoints: [[0, 0.054, 0, 50], [0.055, 0.070, 51, 100], [0.071, 0.085, 101, 150], [0.086, 0.105, 151, 200], [0.106, 0.200, 201, 300]]
+      },
+      'CO': {
+        window: { hours: 8 }, unit: 'ppm', decimals: 1,
+        breakpoints: [[0, 4.4, 0, 50], [4.5, 9.4, 51, 100], [9.5, 12.4, 101, 150], [12.5, 15.4, 151, 200], [15.5, 30.4, 201, 300], [30.5, 50.4, 301, 500]]
+      },
+      'SO2': {
+        window: { hours: 1 }, unit: 'ppb', decimals: 0,
+        breakpoints: [[0, 35, 0, 50], [36, 75, 51, 100], [76, 185, 101, 150], [186, 304, 151, 200], [305, 604, 201, 300], [605, 1004, 301, 500]]
+      },
+      'NO2': {
+        window: { hours: 1 }, unit: 'ppb', decimals: 0,
+        breakpoints: [[0, 53, 0, 50], [54, 100, 51, 100], [101, 360, 101, 150], [361, 649, 151, 200], [650, 1249, 201, 300], [1250, 2049, 301, 500]]
+      }
+    }
+  }
+};
+
+/**
+ * Validate a `?standard=` value
+ * @param {string} [standard] - Defaults to DEFAULT_STANDARD
+ * @returns {string} Standard key
+ */
+export function resolveStandard(standard) {
+  const key = String(standard || DEFAULT_STANDARD).trim().toLowerCase();
+  if (!AQI_STANDARDS[key]) {
+    const error = new Error(`Unknown standard "${standard}". Must be one of: ${Object.keys(AQI_STANDARDS).join(', ')}`);
+    error.statusCode = 400;
+    throw error;
+  }
+  return key;
+}
+
+/**
+ * Hours of history a standard needs (longest window plus rolling span)
+ * @param {string} standard
+ * @returns {number}
+ */
+export function requiredHours(standard) {
+  const { pollutants } = AQI_STANDARDS[resolveStandard(standard)];
+  return Math.max(...Object.values(pollutants).map(({ window }) => window.hours + (window.span ? window.span - 1 : 0)));
+}
+
+/**
+ * Hourly series of one station, as used by computeIndex
+ * @param {Object} station - Station from AirQualityService.extractLatestData
+ * @returns {Object} - { [pollutant]: { unit, readings: [{ value, timestamp }] } }
+ */
+export function stationSeries(station) {
+  const series = {};
+  for (const substance of station.substances || []) {
+    const name = substance.name?.toUpperCase();
+    if (!POLLUTANTS.includes(name)) continue;
+    series[name] = { unit: substance.unit_en || substance.unit_ge, readings: substance.allReadings || [] };
+  }
+  return series;
+}
+
+/**
+ * Hourly series of a group of stations: each hour is the mean over the stations reporting it
+ * @param {Array} stations
+ * @returns {Object} - Same shape as stationSeries
+ */
+export function combinedSeries(stations) {
+  const hours = {};
+
+  for (const station of stations) {
+    for (const [name, { unit, readings }] of Object.entries(stationSeries(station))) {
+      const scale = toMicrograms(1, unit);
+      for (const reading of readings) {
+        const value = Number(reading.value);
+        if (reading.value === null || reading.value === undefined || Number.isNaN(value)) continue;
+        const bucket = ((hours[name] ||= {})[reading.timestamp] ||= { sum: 0, count: 0 });
+        bucket.sum += value * scale;
+        bucket.count++;
+      }
+    }
+  }
+
+  return Object.fromEntries(Object.entries(hours).map(([name, byHour]) => [name, {
+    unit: 'μg/m³',
+    readings: Object.entries(byHour).map(([timestamp, { sum, count }]) => ({ value: sum / count, timestamp }))
+  }]));
+}
+
+/**
+ * Compute an index from hourly series
+ * @param {Object} series - Output of stationSeries / combinedSeries
+ * @param {string} standard - Key of AQI_STANDARDS
+ * @returns {Object} - { standard, name, value, category, label, dominantPollutant, subIndices, missing }
+ */
+export function computeIndex(series, standard = DEFAULT_STANDARD) {
+  const key = resolveStandard(standard);
+  const definition = AQI_STANDARDS[key];
+  const subIndices = {};
+  const missing = [];
+
+  for (const [pollutant, spec] of Object.entries(definition.pollutants)) {
+    const concentration = series[pollutant] && windowConcentration(series[pollutant], spec.window);
+    if (!concentration) {
+      missing.push(pollutant);
+      continue;
+    }
+
+    const value = convertUnit(concentration.value, pollutant, spec.unit);
+    const index = subIndex(value, spec, definition.aboveTop);
+    subIndices[pollutant] = {
+      value: index,
+      ...categoryOf(index, definition.categories),
+      concentration: spec.decimals === undefined ? round(value, 1) : truncate(value, spec.decimals),
+      unit: spec.unit,
+      window: describeWindow(spec.window),
+      hours: concentration.hours,
+      until: concentration.until
+    };
+  }
+
+  const dominant = Object.entries(subIndices).reduce((top, entry) => (!top || entry[1].value > top[1].value ? entry : top), null);
+
+  return {
+    standard: key,
+    name: definition.name,
+    value: dominant ? dominant[1].value : null,
+    category: dominant ? dominant[1].category : null,
+    label: dominant ? dominant[1].label : null,
+    dominantPollutant: dominant ? dominant[0] : null,
+    subIndices,
+    missing
+  };
+}
+
+/**
+ * Reduce a series to the concentration an averaging window is defined on
+ * @param {Object} series - { unit, readings }
+ * @param {Object} window - { hours, span }
+ * @returns {Object|null} - { value (μg/m³), hours, until } or null without enough data
+ */
+function windowConcentration({ unit, readings }, window) {
+  const byHour = new Map();
+  for (const reading of readings) {
+    const time = Date.parse(reading.timestamp);
+    const value = Number(reading.value);
+    if (Number.isNaN(time) || reading.value === null || reading.value === undefined || Number.isNaN(value)) continue;
+    byHour.set(Math.floor(time / HOUR_MS), { value: toMicrograms(value, unit), timestamp: reading.timestamp });
+  }
+  if (byHour.size === 0) return null;
+
+  const latest = Math.max(...byHour.keys());
+  const span = window.span || window.hours;
+  const inSpan = [...byHour.keys()].filter(hour => hour > latest - span);
+  if (inSpan.length < Math.ceil(span * MIN_COVERAGE)) return null;
+
+  const meanEndingAt = end => {
+    const values = [];
+    for (let hour = end - window.hours + 1; hour <= end; hour++) {
+      if (byHour.has(hour)) values.push(byHour.get(hour).value);
+    }
+    return values.length >= Math.ceil(window.hours * MIN_COVERAGE)
+      ? values.reduce((sum, value) => sum + value, 0) / values.length
+      : null;
+  };
+
+  const ends = window.span ? inSpan : [latest];
+  const means = ends.map(meanEndingAt).filter(value => value !== null);
+  if (means.length === 0) return null;
+
+  return {
+    value: Math.max(...means),
+    hours: inSpan.length,
+    until: byHour.get(latest).timestamp
+  };
+}
+
+/**
+ * Linear interpolation between breakpoints
+ * @param {number} value - Concentration in the standard's unit
+ * @param {Object} spec - { breakpoints, decimals }
+ * @param {string} aboveTop - 'extrapolate' | 'cap'
+ * @returns {number}
+ */
+function subIndex(value, spec, aboveTop) {
+  const concentration = spec.decimals === undefined ? value : truncate(Math.max(value, 0), spec.decimals);
+  const { breakpoints } = spec;
+  const band = breakpoints.find(([, cHi]) => concentration <= cHi);
+
+  if (!band) {
+    const [cLo, cHi, iLo, iHi] = breakpoints[breakpoints.length - 1];
+    if (aboveTop === 'cap') return iHi;
+    return Math.round(iHi + (concentration - cHi) * (iHi - iLo) / (cHi - cLo));
+  }
+
+  const [cLo, cHi, iLo, iHi] = band;
+  const clamped = Math.max(concentration, cLo);
+  return Math.round(iLo + (clamped - cLo) * (iHi - iLo) / (cHi - cLo));
+}
+
+/**
+ * @param {number} index
+ * @param {Array} categories
+ * @returns {Object} - { category, label }
+ */
+function categoryOf(index, categories) {
+  const match = categories.find(category => index <= category.max);
+  return { category: match.key, label: match.label };
+}
+
+/**
+ * Convert a reading to μg/m³ using the unit reported upstream
+ * @param {number} value
+ * @param {string} unit - e.g. 'μg/m³' or 'mg/m³'
+ * @returns {number}
+ */
+function toMicrograms(value, unit) {
+  return /^\s*mg/i.test(unit || '') ? value * 1000 : value;
+}
+
+/**
+ * Convert μg/m³ into the unit a standard's breakpoints use
+ * @param {number} value - μg/m³
+ * @param {string} pollutant
+ * @param {string} unit - 'μg/m³' | 'ppb' | 'ppm'
+ * @returns {number}
+ */
+function convertUnit(value, pollutant, unit) {
+  if (unit === 'μg/m³') return value;
+  const ppb = value * MOLAR_VOLUME / MOLECULAR_WEIGHT[pollutant];
+  return unit === 'ppm' ? ppb / 1000 : ppb;
+}
+
+/**
+ * @param {Object} window - { hours, span }
+ * @returns {string} - e.g. '8h mean' or 'max 1h mean over 24h'
+ */
+function describeWindow({ hours, span }) {
+  return span ? `max ${hours}h mean over ${span}h` : `${hours}h mean`;
+}
+
+/**
+ * US EPA truncates concentrations before the breakpoint lookup
+ * @param {number} value
+ * @param {number} decimals
+ * @returns {number}
+ */
+function truncate(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.floor(value * factor + 1e-9) / factor;
+}
+
+/**
+ * @param {number} value
+ * @param {number} decimals
+ * @returns {number}
+ */
+function round(value, decimals) {
+  const factor = 10 ** decimals;
+  return Math.round(value * factor) / factor;
+}
@@ -0,0 +1,277 @@
+/**
+ * Derived Series Expressions
+ * Parses `?derive=` expressions evaluated on processed dataset rows:
+ *
+ *   share:[Biomass]/[Domestic extraction]*100   → arithmetic on series
+ *   sum:Hydro+Geothermal                        → same, labeled as a sum
+ *   yoy:Total                                   → % change against the previous year
+ *   delta:Total                                 → absolute change against the previous year
+ *
+ * Series are referenced by row key, label or category ID. Bare words may use
+ * letters, digits and "_"; anything else (spaces, punctuation, numeric keys
+ * such as "0") goes in square brackets or double quotes.
+ */
+
+export const DERIVE_KINDS = ['calc', 'sum', 'share', 'yoy', 'delta'];
+
+const MAX_EXPRESSIONS = 10;
+const MAX_EXPRESSION_LENGTH = 300;
+const OPERATORS = new Set(['+', '-', '*', '/', '(', ')']);
+const WORD_START = /[\p{L}_]/u;
+const WORD_PART = /[\p{L}\p{N}_]/u;
+
+/**
+ * Parse the `derive` query param (repeated params or `;`-separated)
+ * @param {string|string[]|undefined} param
+ * @returns {Array} - [{ raw, kind, expression, ast }]
+ */
+export function parseDeriveParam(param) {
+  if (param === undefined || param === '') return [];
+  if (typeof param === 'object' && !Array.isArray(param)) {
+    throw deriveError('Use derive=<kind>:<expression>, e.g. derive=yoy:Total');
+  }
+
+  const raws = [].concat(param)
+    .flatMap(value => String(value).split(';'))
+    .map(value => value.trim())
+    .filter(Boolean);
+
+  const unique = [...new Set(raws)];
+  if (unique.length > MAX_EXPRESSIONS) {
+    throw deriveError(`At most ${MAX_EXPRESSIONS} derive expressions are allowed per request`);
+  }
+
+  return unique.map(parseDerive);
+}
+
+/**
+ * Parse one `<kind>:<expression>` string; the kind defaults to `calc`
+ * @param {string} raw
+ * @returns {Object} - { raw, kind, expression, ast }
+ */
+export function parseDerive(raw) {
+  if (raw.length > MAX_EXPRESSION_LENGTH) {
+    throw deriveError(`Derive expression is longer than ${MAX_EXPRESSION_LENGTH} characters`);
+  }
+
+  const match = /^([a-z]+):(.*)$/is.exec(raw);
+  const kind = match ? match[1].toLowerCase() : 'calc';
+  const expression = match ? match[2].trim() : raw;
+  if (!DERIVE_KINDS.includes(kind)) {
+    throw deriveError(`Unknown derive kind "${match[1]}" (use ${DERIVE_KINDS.join(', ')})`);
+  }
+
+  const tokens = tokenize(expression, raw);
+  const parser = new Parser(tokens, raw);
+  const ast = parser.parseExpression();
+  if (!parser.done()) {
+    throw deriveError(`Unexpected "${parser.peek().value}" in derive expression "${raw}"`);
+  }
+
+  return { raw, kind, expression, ast };
+}
+
+/**
+ * Series names referenced by an expression, in order of first use
+ * @param {Object} ast
+ * @returns {string[]}
+ */
+export function expressionReferences(ast) {
+  const names = [];
+  const walk = node => {
+    if (node.type === 'ref' && !names.includes(node.name)) names.push(node.name);
+    if (node.arg) walk(node.arg);
+    if (node.left) walk(node.left);
+    if (node.right) walk(node.right);
+  };
+  walk(ast);
+  return names;
+}
+
+/**
+ * Evaluate an expression; any missing input, division by zero or
+ * non-finite result gives null
+ * @param {Object} ast
+ * @param {Function} read - name → number|null
+ * @returns {number|null}
+ */
+export function evaluateExpression(ast, read) {
+  switch (ast.type) {
+    case 'number':
+      return ast.value;
+    case 'ref': {
+      const value = read(ast.name);
+      return value === null || value === undefined || Number.isNaN(Number(value)) ? null : Number(value);
+    }
+    case 'negate': {
+      const value = evaluateExpression(ast.arg, read);
+      return value === null ? null : -value;
+    }
+    default: {
+      const left = evaluateExpression(ast.left, read);
+      const right = evaluateExpression(ast.right, read);
+      if (left === null || right === null) return null;
+
+      let result;
+      if (ast.op === '+') result = left + right;
+      else if (ast.op === '-') result = left - right;
+      else if (ast.op === '*') result = left * right;
+      else result = right === 0 ? null : left / right;
+
+      return result === null || !Number.isFinite(result) ? null : result;
+    }
+  }
+}
+
+/**
+ * Render an expression as text, naming references through `nameOf`
+ * @param {Object} ast
+ * @param {Function} nameOf - name → display text
+ * @returns {string}
+ */
+export function formatExpression(ast, nameOf = name => name) {
+  const precedence = { '+': 1, '-': 1, '*': 2, '/': 2 };
+  const render = (node, parentPrecedence = 0, rightSide = false) => {
+    if (node.type === 'number') return String(node.value);
+    if (node.type === 'ref') return nameOf(node.name);
+    if (node.type === 'negate') return `-${render(node.arg, 3)}`;
+
+    const own = precedence[node.op];
+    const text = `${render(node.left, own)} ${node.op} ${render(node.right, own, true)}`;
+    const needsParens = own < parentPrecedence || (rightSide && own === parentPrecedence);
+    return needsParens ? `(${text})` : text;
+  };
+  return render(ast);
+}
+
+/**
+ * Split an expression into number, reference and operator tokens
+ * @param {string} expression
+ * @param {string} raw - Full derive string for error messages
+ * @returns {Array} - [{ type, value, spaceBefore }]
+ */
+function tokenize(expression, raw) {
+  const tokens = [];
+  let i = 0;
+  let spaceBefore = false;
+
+  while (i < expression.length) {
+    const char = expression[i];
+
+    if (/\s/.test(char)) {
+      spaceBefore = true;
+      i++;
+      continue;
+    }
+
+    if (OPERATORS.has(char)) {
+      tokens.push({ type: 'op', value: char, spaceBefore });
+      i++;
+    } else if (/[0-9.]/.test(char)) {
+      const [number] = /^\d*\.?\d+(?:e[+-]?\d+)?/i.exec(expression.slice(i)) || [];
+      if (!number) throw deriveError(`Invalid number in derive expression "${raw}"`);
+      tokens.push({ type: 'number', value: Number(number), spaceBefore });
+      i += number.length;
+    } else if (char === '[' || char === '"') {
+      const close = expression.indexOf(char === '[' ? ']' : '"', i + 1);
+      const name = close === -1 ? '' : expression.slice(i + 1, close).trim();
+      if (!name) throw deriveError(`Unterminated or empty series reference in derive expression "${raw}"`);
+      tokens.push({ type: 'ref', value: name, spaceBefore });
+      i = close + 1;
+    } else if (WORD_START.test(char)) {
+      let end = i + 1;
+      while (end < expression.length && WORD_PART.test(expression[end])) end++;
+      tokens.push({ type: 'ref', value: expression.slice(i, end), spaceBefore });
+      i = end;
+    } else {
+      throw deriveError(`Unexpected "${char}" in derive expression "${raw}"`);
+    }
+
+    spaceBefore = false;
+  }
+
+  if (tokens.length === 0) throw deriveError(`Empty derive expression "${raw}"`);
+  return tokens;
+}
+
+/**
+ * Recursive-descent parser for + - * / with parentheses and unary minus
+ */
+class Parser {
+  constructor(tokens, raw) {
+    this.tokens = tokens;
+    this.raw = raw;
+    this.pos = 0;
+  }
+
+  peek() {
+    return this.tokens[this.pos];
+  }
+
+  done() {
+    return this.pos >= this.tokens.length;
+  }
+
+  parseExpression() {
+    let node = this.parseTerm();
+    for (;;) {
+      const token = this.peek();
+      if (token?.type === 'op' && (token.value === '+' || token.value === '-')) {
+        this.pos++;
+        node = { type: 'binary', op: token.value, left: node, right: this.parseTerm() };
+      } else if (token && token.spaceBefore && token.value !== ')' && token.type !== 'op') {
+        // An unencoded "+" in a query string arrives as a space: "X Y" means "X+Y"
+        node = { type: 'binary', op: '+', left: node, right: this.parseTerm() };
+      } else {
+        return node;
+      }
+    }
+  }
+
+  parseTerm() {
+    let node = this.parseUnary();
+    for (;;) {
+      const token = this.peek();
+      if (token?.type !== 'op' || (token.value !== '*' && token.value !== '/')) return node;
+      this.pos++;
+      node = { type: 'binary', op: token.value, left: node, right: this.parseUnary() };
+    }
+  }
+
+  parseUnary() {
+    const token = this.peek();
+    if (token?.type === 'op' && token.value === '-') {
+      this.pos++;
+      return { type: 'negate', arg: this.parseUnary() };
+    }
+    return this.parsePrimary();
+  }
+
+  parsePrimary() {
+    const token = this.tokens[this.pos++];
+    if (!token) throw deriveError(`Derive expression "${this.raw}" ends unexpectedly`);
+
+    if (token.type === 'number') return { type: 'number', value: token.value };
+    if (token.type === 'ref') return { type: 'ref', name: token.value };
+    if (token.value === '(') {
+      const node = this.parseExpression();
+      if (this.tokens[this.pos++]?.value !== ')') {
+        throw deriveError(`Missing ")" in derive expression "${this.raw}"`);
+      }
+      return node;
+    }
+    throw deriveError(`Unexpected "${token.value}" in derive expression "${this.raw}"`);
+  }
+}
+
+/**
+ * Client error for a malformed expression
+ * @param {string} message
+ * @returns {Error}
+ */
+export function deriveError(message) {
+  const error = new Error(message);
+  error.statusCode = 400;
+  error.title = 'Invalid derive expression';
+  return error;
+}
@@ -0,0 +1,108 @@
+/**
+ * Gazetteer Lookup
+ * Resolves region and municipality labels (Georgian or English, as PXWeb returns them)
+ * to the entries of src/config/regions.js:
+ *
+ *   "აჭარის ა.რ."              → { regionCode: 'GE-AJ', level: 'region' }
+ *   "Mtskheta-Mtianeti region" → { regionCode: 'GE-MM', level: 'region' }
+ *   "ქ. ბათუმი"                → { regionCode: 'GE-AJ', level: 'municipality', municipality: 'batumi' }
+ *   "საქართველო"               → { regionCode: 'GE', level: 'country' }
+ *
+ * Georgian names are also matched in the genitive ("თელავის მუნიციპალიტეტი").
+ */
+import { COUNTRY, MUNICIPALITIES, REGIONS } from '../config/regions.js';
+import { transliterate } from './textSearch.js';
+
+// Administrative words that are not part of a name (romanised)
+const GENERIC_WORDS = new Set([
+  'region', 'regions', 'mkhare', 'autonomous', 'republic', 'avtonomiuri', 'respublika',
+  'ar', 'a', 'r', 'municipality', 'munitsipaliteti', 'city', 'kalaki', 'k',
+  'self', 'governing', 'tvitmmartveli', 'of', 'the', 'and', 'da'
+]);
+
+const GEORGIAN = /[Ⴀ-ჿ]/;
+
+// Dimension IDs and titles that hold regions or municipalities
+const REGION_DIMENSION = /region|municipal|რეგიონ|მხარე|მუნიციპ/i;
+
+const INDEX = buildIndex();
+
+/**
+ * Gazetteer entry for a label
+ * @param {string} label - Region or municipality label in Georgian or English
+ * @returns {Object|null} - { regionCode, level, name: { ka, en }, municipality? }
+ */
+export function resolveRegion(label) {
+  if (label === undefined || label === null) return null;
+  return INDEX.get(normalizeName(String(label))) || null;
+}
+
+/**
+ * Whether a dimension ID or title names regions or municipalities
+ * @param {...string} names - Dimension ID, title
+ * @returns {boolean}
+ */
+export function isRegionDimensionName(...names) {
+  return names.some(name => name && REGION_DIMENSION.test(name));
+}
+
+/**
+ * Comparable form of a name: romanised, lower case, without punctuation and generic words.
+ * Latin spelling variants (q/k, gh/g, dj/j) are folded so "Tsqaltubo" matches "Tskaltubo".
+ * @param {string} name
+ * @returns {string}
+ */
+export function normalizeName(name) {
+  return transliterate(name.toLowerCase())
+    .replace(/dj/g, 'j')
+    .replace(/gh/g, 'g')
+    .replace(/q/g, 'k')
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(word => word && !GENERIC_WORDS.has(word))
+    .join(' ');
+}
+
+/**
+ * Genitive of a Georgian name: თელავი → თელავის, ქედა → ქედის, ხულო → ხულოს
+ * @param {string} name
+ * @returns {string}
+ */
+function georgianGenitive(name) {
+  return /[იაე]$/.test(name) ? `${name.slice(0, -1)}ის` : `${name}ს`;
+}
+
+/**
+ * normalised name → entry, for the country, regions and municipalities
+ * @returns {Map}
+ */
+function buildIndex() {
+  const index = new Map();
+  const add = (names, entry) => {
+    const genitives = names.filter(name => GEORGIAN.test(name)).map(georgianGenitive);
+    for (const name of [...names, ...genitives]) {
+      const key = normalizeName(name);
+      const existing = index.get(key);
+      if (existing && existing !== entry) {
+        throw new Error(`Gazetteer: "${name}" matches both ${existing.municipality || existing.regionCode} and ${entry.municipality || entry.regionCode}`);
+      }
+      index.set(key, entry);
+    }
+  };
+
+  add([COUNTRY.name.ka, COUNTRY.name.en, ...COUNTRY.aliases],
+    { regionCode: COUNTRY.code, level: 'country', name: COUNTRY.name });
+
+  for (const [code, region] of Object.entries(REGIONS)) {
+    add([region.name.ka, region.name.en, ...region.aliases],
+      { regionCode: code, level: 'region', name: region.name });
+  }
+
+  for (const [code, municipalities] of Object.entries(MUNICIPALITIES)) {
+    for (const municipality of municipalities) {
+      add([municipality.name.ka, municipality.name.en, ...(municipality.aliases || [])],
+        { regionCode: code, level: 'municipality', municipality: municipality.id, name: municipality.name });
+    }
+  }
+
+  return index;
+}
@@ -0,0 +1,77 @@
+/**
+ * Logger
+ * Structured logging with levels (pino). Every entry logged while handling a request carries
+ * its `requestId` (see middleware/requestLogger.js), including the entries of the upstream
+ * calls it makes, so a slow response can be traced to the PXWeb or air.gov.ge call behind it.
+ *
+ * Sinks (config.logging):
+ *   stdout → JSON lines (`json`) or readable colored lines (`pretty`)
+ *   file   → JSON lines in `<dir>/<name>.log`, rotated by time and size; one file per PM2 worker
+ *
+ * Modules log through a child logger: `const log = logger.child({ component: 'alerts' })`,
+ * then `log.info({ rule: id }, 'Alert fired')` or `log.error({ err }, 'Webhook failed')`.
+ */
+import os from 'os';
+import path from 'path';
+import { AsyncLocalStorage } from 'async_hooks';
+import pino from 'pino';
+import pretty from 'pino-pretty';
+import { createStream } from 'rotating-file-stream';
+import { config } from '../config/index.js';
+
+// { requestId } of the request being handled
+export const requestContext = new AsyncLocalStorage();
+
+const worker = process.env.INSTANCE_ID;
+
+/**
+ * ID of the request being handled, if any
+ * @returns {string|undefined}
+ */
+export function currentRequestId() {
+  return requestContext.getStore()?.requestId;
+}
+
+/**
+ * Rotating log file; PM2 workers write separate files
+ * @param {Object} options - config.logging.file
+ * @returns {stream.Writable}
+ */
+function fileStream(options) {
+  const base = path.basename(options.name, '.log') + (worker !== undefined ? `-${worker}` : '');
+  const fileName = (time, index) => {
+    if (!time) return `${base}.log`;
+    return `${base}-${time.toISOString().slice(0, 10)}${index > 1 ? `-${index}` : ''}.log`;
+  };
+
+  return createStream(fileName, {
+    path: path.resolve(options.dir),
+    interval: options.interval,
+    size: options.maxSize,
+    maxFiles: options.maxFiles
+  });
+}
+
+const streams = [];
+if (config.logging.stdout) {
+  streams.push({
+    level: config.logging.level,
+    stream: config.logging.format === 'pretty'
+      ? pretty({ colorize: process.stdout.isTTY, translateTime: 'SYS:standard', ignore: 'pid,hostname', singleLine: true, sync: true })
+      : pino.destination({ dest: 1, sync: true })
+  });
+}
+if (config.logging.file.enabled) {
+  streams.push({ level: config.logging.level, stream: fileStream(config.logging.file) });
+}
+
+export const logger = pino({
+  level: config.logging.level,
+  base: { pid: process.pid, hostname: os.hostname(), ...(worker !== undefined && { worker }) },
+  timestamp: pino.stdTimeFunctions.isoTime,
+  formatters: { level: label => ({ level: label }) },
+  // A copy: pino merges the fields of the entry into the object returned here
+  mixin: () => ({ ...requestContext.getStore() })
+}, pino.multistream(streams));
+
+export default logger;
@@ -0,0 +1,80 @@
+/**
+ * Prometheus Metrics
+ * The registry of this process and the metrics recorded across the app. Served at /metrics
+ * by metricsService, which merges the registries of all workers.
+ */
+import client from 'prom-client';
+
+export const registry = new client.Registry();
+
+// process_* and nodejs_* (memory, CPU, event loop lag, GC)
+client.collectDefaultMetrics({ register: registry });
+
+export const httpRequestDuration = new client.Histogram({
+  name: 'http_request_duration_seconds',
+  help: 'HTTP request duration by route template and status',
+  labelNames: ['method', 'route', 'status'],
+  buckets: [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [registry]
+});
+
+export const upstreamRequestDuration = new client.Histogram({
+  name: 'upstream_request_duration_seconds',
+  help: 'Duration of requests to geostat.ge PXWeb and air.gov.ge',
+  labelNames: ['upstream', 'outcome'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60],
+  registers: [registry]
+});
+
+export const upstreamErrors = new client.Counter({
+  name: 'upstream_errors_total',
+  help: 'Failed upstream requests by reason (http_4xx, http_5xx, timeout, network, circuit_open)',
+  labelNames: ['upstream', 'reason'],
+  registers: [registry]
+});
+
+// 0 = closed, 1 = half-open, 2 = open; merged over workers with max (worst state)
+export const circuitBreakerState = new client.Gauge({
+  name: 'circuit_breaker_state',
+  help: 'Circuit breaker state per upstream host (0 closed, 1 half-open, 2 open)',
+  labelNames: ['host'],
+  aggregator: 'max',
+  registers: [registry]
+});
+
+export const redisLookups = new client.Counter({
+  name: 'redis_lookups_total',
+  help: 'Redis reads by key prefix and result (hit, miss, error)',
+  labelNames: ['keyspace', 'result'],
+  registers: [registry]
+});
+
+export const cacheResponses = new client.Counter({
+  name: 'cache_responses_total',
+  help: 'Responses of the stale-while-revalidate cache (hit, stale, miss)',
+  labelNames: ['status'],
+  registers: [registry]
+});
+
+/**
+ * Time an upstream request and count its failures
+ * @param {string} upstream - 'pxweb', 'pxwebNavigation' or 'airQuality'
+ * @param {Function} request - async () => Response
+ * @returns {Promise<Response>}
+ */
+export async function observeUpstream(upstream, request) {
+  const end = upstreamRequestDuration.startTimer({ upstream });
+  try {
+    const response = await request();
+    end({ outcome: response.ok ? 'success' : 'error' });
+    if (!response.ok) {
+      upstreamErrors.inc({ upstream, reason: `http_${Math.floor(response.status / 100)}xx` });
+    }
+    return response;
+  } catch (error) {
+    end({ outcome: 'error' });
+    const timedOut = error.name === 'AbortError' || error.name === 'TimeoutError';
+    upstreamErrors.inc({ upstream, reason: timedOut ? 'timeout' : 'network' });
+    throw error;
+  }
+}
@@ -0,0 +1,492 @@
+/**
+ * PC-Axis (.px) File Format
+ * Parses and serializes PX files to and from a language-aware table model:
+ *
+ *   {
+ *     matrix, language: 'ka', languages: ['ka', 'en'],
+ *     subjectCode, subjectArea: { ka, en }, title: { ka, en }, contents: { ka, en },
+ *     units: { ka, en }, source: { ka, en }, updated,
+ *     variables: [{ code, text: { ka, en }, values: [codes], valueTexts: { ka: [], en: [] }, time }],
+ *     data: []  // row-major over `variables` (last variable varies fastest), null = missing
+ *   }
+ */
+
+const MISSING_VALUE = /^(\.{1,7}|-)$/;
+const MAX_STRING_LENGTH = 200;
+const VALUES_PER_DATA_LINE = 20;
+
+/**
+ * Parse a PX file
+ * @param {string|Buffer} input - File contents
+ * @param {Object} options
+ * @param {string} options.defaultLanguage - Used when the file has no LANGUAGE keyword
+ * @returns {Object} - Table model
+ */
+export function parsePx(input, { defaultLanguage = 'ka' } = {}) {
+  const text = Buffer.isBuffer(input) ? decodePx(input) : input;
+
+  const keywords = new Map();
+  let dataRaw = null;
+
+  for (const statement of splitStatements(text)) {
+    const parsed = parseStatement(statement);
+    if (!parsed) continue;
+    if (parsed.keyword === 'DATA') {
+      dataRaw = parsed.raw;
+    } else {
+      keywords.set(keywordKey(parsed.keyword, parsed.lang, parsed.subkey), parseList(parsed.raw));
+    }
+  }
+
+  if (dataRaw === null) {
+    throw new Error('PX file has no DATA section');
+  }
+
+  const language = keywords.get(keywordKey('LANGUAGE'))?.[0] || defaultLanguage;
+  const languages = keywords.get(keywordKey('LANGUAGES')) || [language];
+  const get = (keyword, lang = language, subkey = '') =>
+    keywords.get(keywordKey(keyword, lang === language ? '' : lang, subkey));
+  const perLanguage = keyword => Object.fromEntries(
+    languages.map(lang => [lang, (get(keyword, lang) || get(keyword) || []).join('')])
+  );
+
+  const stub = get('STUB') || [];
+  const heading = get('HEADING') || [];
+  if (!stub.length && !heading.length) {
+    throw new Error('PX file has neither STUB nor HEADING');
+  }
+
+  const names = [...stub, ...heading];
+  const namesByLanguage = Object.fromEntries(languages.map(lang => [
+    lang,
+    [...(get('STUB', lang) || stub), ...(get('HEADING', lang) || heading)]
+  ]));
+
+  const variables = names.map((name, i) => {
+    const valueTexts = get('VALUES', language, name);
+    if (!valueTexts) {
+      throw new Error(`PX file has no VALUES for "${name}"`);
+    }
+
+    return {
+      code: get('VARIABLE-CODE', language, name)?.[0] || name,
+      text: Object.fromEntries(languages.map(lang => [lang, namesByLanguage[lang][i] || name])),
+      values: get('CODES', language, name) || valueTexts,
+      valueTexts: Object.fromEntries(languages.map(lang => [
+        lang,
+        get('VALUES', lang, namesByLanguage[lang][i]) || valueTexts
+      ])),
+      time: Boolean(get('TIMEVAL', language, name))
+    };
+  });
+
+  const keyTypes = stub.map(name => get('KEYS', language, name)?.[0]);
+  const data = keyTypes.some(Boolean)
+    ? readKeyedData(tokenizeData(dataRaw), variables, stub.length, keyTypes, language)
+    : readDenseData(tokenizeData(dataRaw), variables);
+
+  return {
+    matrix: get('MATRIX')?.[0] || '',
+    language,
+    languages,
+    subjectCode: get('SUBJECT-CODE')?.[0] || '',
+    subjectArea: perLanguage('SUBJECT-AREA'),
+    title: perLanguage('TITLE'),
+    contents: perLanguage('CONTENTS'),
+    units: perLanguage('UNITS'),
+    source: perLanguage('SOURCE'),
+    updated: parsePxDate(get('LAST-UPDATED')?.[0] || get('CREATION-DATE')?.[0]),
+    variables,
+    data
+  };
+}
+
+/**
+ * Serialize a table model as a PX file (UTF-8, keyed DATA rows).
+ * Time variables go to HEADING and the rest to STUB, as PXWeb lays tables out.
+ * @param {Object} table - Table model
+ * @returns {string}
+ */
+export function serializePx(table) {
+  const language = table.language;
+  const languages = [language, ...table.languages.filter(lang => lang !== language)];
+  const lines = [];
+
+  const write = (keyword, value, { lang, subkey } = {}) => {
+    const langPart = lang && lang !== language ? `[${lang}]` : '';
+    const subkeyPart = subkey !== undefined ? `(${quote(subkey)})` : '';
+    lines.push(`${keyword}${langPart}${subkeyPart}=${value};`);
+  };
+  const writeText = (keyword, texts) => languages.forEach(lang => {
+    write(keyword, quoteLong(texts?.[lang] || texts?.[language] || '-'), { lang });
+  });
+
+  const { order, stubCount } = pxLayout(table.variables);
+  const stub = order.slice(0, stubCount).map(i => table.variables[i]);
+  const heading = order.slice(stubCount).map(i => table.variables[i]);
+  const textOf = (variable, lang) => variable.text[lang] || variable.text[language] || variable.code;
+  const decimals = countDecimals(table.data);
+
+  write('CHARSET', quote('ANSI'));
+  write('AXIS-VERSION', quote('2013'));
+  write('CODEPAGE', quote('utf-8'));
+  write('LANGUAGE', quote(language));
+  write('LANGUAGES', quoteList(languages));
+  write('CREATION-DATE', quote(formatPxDate(new Date())));
+  write('DECIMALS', decimals);
+  write('SHOWDECIMALS', decimals);
+  write('MATRIX', quote(table.matrix || 'TABLE'));
+  write('SUBJECT-CODE', quote(table.subjectCode || '-'));
+  writeText('SUBJECT-AREA', table.subjectArea);
+  writeText('TITLE', table.title);
+  writeText('CONTENTS', table.contents);
+  writeText('UNITS', table.units);
+
+  languages.forEach(lang => {
+    if (stub.length) write('STUB', quoteList(stub.map(v => textOf(v, lang))), { lang });
+    write('HEADING', quoteList(heading.map(v => textOf(v, lang))), { lang });
+  });
+
+  [...stub, ...heading].forEach(variable => {
+    languages.forEach(lang => {
+      const name = textOf(variable, lang);
+      const valueTexts = variable.valueTexts[lang] || variable.valueTexts[language];
+      write('VALUES', quoteList(valueTexts), { lang, subkey: name });
+
+      const scale = variable.time && timeScale(variable.values);
+      if (scale) write('TIMEVAL', `TLIST(${scale}),${quoteList(variable.values)}`, { lang, subkey: name });
+
+      write('CODES', quoteList(variable.values), { lang, subkey: name });
+    });
+
+    if (variable.code !== textOf(variable, language)) {
+      write('VARIABLE-CODE', quote(variable.code), { subkey: textOf(variable, language) });
+    }
+  });
+
+  stub.forEach(variable => write('KEYS', 'CODES', { subkey: textOf(variable, language) }));
+
+  const updated = table.updated ? new Date(table.updated) : null;
+  if (updated && !isNaN(updated)) write('LAST-UPDATED', quote(formatPxDate(updated)));
+  writeText('SOURCE', table.source);
+
+  lines.push('DATA=');
+  lines.push(...dataLines(table, order, stubCount));
+  lines[lines.length - 1] += ';';
+
+  return lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * Decode PX file bytes using the declared CODEPAGE (defaults to UTF-8)
+ * @param {Buffer} buffer
+ * @returns {string}
+ */
+function decodePx(buffer) {
+  const header = buffer.subarray(0, 2048).toString('latin1');
+  const codepage = header.match(/CODEPAGE\s*=\s*"([^"]+)"/i)?.[1]?.toLowerCase() || 'utf-8';
+  try {
+    return new TextDecoder(codepage).decode(buffer);
+  } catch {
+    return new TextDecoder('utf-8').decode(buffer);
+  }
+}
+
+/**
+ * Split PX text into `KEYWORD=value` statements terminated by `;` outside quotes
+ * @param {string} text
+ * @returns {string[]}
+ */
+function splitStatements(text) {
+  const statements = [];
+  let inQuotes = false;
+  let start = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === '"') inQuotes = !inQuotes;
+    if (ch === ';' && !inQuotes) {
+      statements.push(text.slice(start, i));
+      start = i + 1;
+    }
+  }
+  return statements.map(s => s.trim()).filter(Boolean);
+}
+
+/**
+ * Split a statement into keyword, language, subkey and raw value
+ * @param {string} statement
+ * @returns {Object|null} - { keyword, lang, subkey, raw }
+ */
+function parseStatement(statement) {
+  let inQuotes = false;
+  let depth = 0;
+  let eq = -1;
+
+  for (let i = 0; i < statement.length; i++) {
+    const ch = statement[i];
+    if (ch === '"') inQuotes = !inQuotes;
+    else if (!inQuotes && ch === '(') depth++;
+    else if (!inQuotes && ch === ')') depth--;
+    else if (!inQuotes && depth === 0 && ch === '=') { eq = i; break; }
+  }
+  if (eq === -1) return null;
+
+  const match = statement.slice(0, eq).trim().match(/^([A-Za-z0-9-]+)\s*(?:\[([^\]]+)\])?\s*(?:\(([\s\S]*)\))?$/);
+  if (!match) return null;
+
+  return {
+    keyword: match[1].toUpperCase(),
+    lang: match[2] || '',
+    subkey: match[3] !== undefined ? parseList(match[3]).join(',') : '',
+    raw: statement.slice(eq + 1)
+  };
+}
+
+/**
+ * Parse a comma-separated PX value list. Adjacent quoted strings
+ * (a long text continued on the next line) are concatenated.
+ * @param {string} raw
+ * @returns {string[]}
+ */
+function parseList(raw) {
+  const items = [];
+  let current = null;
+  let i = 0;
+
+  while (i < raw.length) {
+    const ch = raw[i];
+    if (ch === '"') {
+      const end = raw.indexOf('"', i + 1);
+      const stop = end === -1 ? raw.length : end;
+      current = (current ?? '') + raw.slice(i + 1, stop);
+      i = stop + 1;
+    } else if (ch === ',') {
+      items.push(current ?? '');
+      current = null;
+      i++;
+    } else if (/\s/.test(ch)) {
+      i++;
+    } else {
+      // Bare token such as YES, 1 or TLIST(A1, "1994"-"1996")
+      let depth = 0;
+      let inQuotes = false;
+      let token = '';
+      while (i < raw.length && (inQuotes || depth > 0 || raw[i] !== ',')) {
+        if (raw[i] === '"') inQuotes = !inQuotes;
+        else if (!inQuotes && raw[i] === '(') depth++;
+        else if (!inQuotes && raw[i] === ')') depth--;
+        token += raw[i++];
+      }
+      current = (current ?? '') + token.trim();
+    }
+  }
+
+  if (current !== null) items.push(current);
+  return items;
+}
+
+/**
+ * Split the DATA section into tokens (quotes removed)
+ * @param {string} raw
+ * @returns {string[]}
+ */
+function tokenizeData(raw) {
+  return (raw.match(/"[^"]*"|[^\s,"]+/g) || []).map(token => token.replace(/^"|"$/g, ''));
+}
+
+/**
+ * Convert a DATA token to a number, or null for missing-value markers
+ * @param {string} token
+ * @returns {number|null}
+ */
+function toValue(token) {
+  if (token === undefined || MISSING_VALUE.test(token)) return null;
+  const value = Number(token);
+  return isNaN(value) ? null : value;
+}
+
+/**
+ * Read a DATA section with one value per cell in STUB/HEADING order
+ * @param {string[]} tokens
+ * @param {Array} variables
+ * @returns {Array}
+ */
+function readDenseData(tokens, variables) {
+  const total = variables.reduce((n, v) => n * v.values.length, 1);
+  if (tokens.length !== total) {
+    throw new Error(`PX file DATA has ${tokens.length} values, expected ${total}`);
+  }
+  return tokens.map(toValue);
+}
+
+/**
+ * Read a DATA section whose rows start with KEYS for the stub variables.
+ * Rows that are not present are missing values.
+ * @param {string[]} tokens
+ * @param {Array} variables - Stub variables first, then heading variables
+ * @param {number} stubCount
+ * @param {Array} keyTypes - 'CODES' or 'VALUES' per stub variable
+ * @param {string} language
+ * @returns {Array}
+ */
+function readKeyedData(tokens, variables, stubCount, keyTypes, language) {
+  const sizes = variables.map(v => v.values.length);
+  const total = sizes.reduce((n, size) => n * size, 1);
+  const rowLength = sizes.slice(stubCount).reduce((n, size) => n * size, 1);
+  const data = new Array(total).fill(null);
+
+  for (let pos = 0; pos < tokens.length; pos += stubCount + rowLength) {
+    let offset = 0;
+    for (let k = 0; k < stubCount; k++) {
+      const variable = variables[k];
+      const keys = keyTypes[k] === 'CODES' ? variable.values : variable.valueTexts[language];
+      const index = keys.indexOf(tokens[pos + k]);
+      if (index === -1) {
+        throw new Error(`PX file DATA has unknown key "${tokens[pos + k]}" for "${variable.text[language]}"`);
+      }
+      offset = offset * sizes[k] + index;
+    }
+    for (let j = 0; j < rowLength; j++) {
+      data[offset * rowLength + j] = toValue(tokens[pos + stubCount + j]);
+    }
+  }
+  return data;
+}
+
+/**
+ * Decide STUB/HEADING placement: time variables in HEADING, the rest in STUB
+ * @param {Array} variables
+ * @returns {Object} - { order: variable indices (stub first), stubCount }
+ */
+function pxLayout(variables) {
+  const indices = variables.map((_, i) => i);
+  let heading = indices.filter(i => variables[i].time);
+  if (!heading.length || heading.length === variables.length) {
+    heading = [indices[indices.length - 1]];
+  }
+  const stub = indices.filter(i => !heading.includes(i));
+  return { order: [...stub, ...heading], stubCount: stub.length };
+}
+
+/**
+ * Render keyed DATA rows, skipping rows where every value is missing
+ * @param {Object} table
+ * @param {number[]} order - Variable indices in PX order
+ * @param {number} stubCount
+ * @returns {string[]}
+ */
+function dataLines(table, order, stubCount) {
+  const sizes = table.variables.map(v => v.values.length);
+  const strides = sizes.map((_, i) => sizes.slice(i + 1).reduce((n, size) => n * size, 1));
+  const stubIdx = order.slice(0, stubCount);
+  const headingIdx = order.slice(stubCount);
+  const format = value => (value === null || value === undefined ? '".."' : String(value));
+  const lines = [];
+
+  forEachCombination(stubIdx.map(i => sizes[i]), stubPos => {
+    const base = stubPos.reduce((sum, pos, k) => sum + pos * strides[stubIdx[k]], 0);
+    const row = [];
+    forEachCombination(headingIdx.map(i => sizes[i]), headingPos => {
+      row.push(table.data[headingPos.reduce((sum, pos, k) => sum + pos * strides[headingIdx[k]], base)]);
+    });
+
+    if (stubCount && row.every(value => value === null || value === undefined)) return;
+
+    const keys = stubPos.map((pos, k) => quote(table.variables[stubIdx[k]].values[pos]));
+    for (let i = 0; i < row.length; i += VALUES_PER_DATA_LINE) {
+      const values = row.slice(i, i + VALUES_PER_DATA_LINE).map(format).join(' ');
+      lines.push(i === 0 && keys.length ? `${keys.join(',')},${values}` : values);
+    }
+  });
+
+  // A table with no data at all still needs one (missing) row for its keys
+  if (!lines.length) {
+    const keys = stubIdx.map(i => quote(table.variables[i].values[0]));
+    const row = new Array(headingIdx.reduce((n, i) => n * sizes[i], 1)).fill('".."').join(' ');
+    lines.push(keys.length ? `${keys.join(',')},${row}` : row);
+  }
+  return lines;
+}
+
+/**
+ * Call fn with every index combination (last position varies fastest)
+ * @param {number[]} sizes
+ * @param {Function} fn
+ */
+function forEachCombination(sizes, fn) {
+  if (sizes.some(size => size === 0)) return;
+  const pos = sizes.map(() => 0);
+  while (true) {
+    fn(pos);
+    let k = sizes.length - 1;
+    while (k >= 0 && ++pos[k] === sizes[k]) pos[k--] = 0;
+    if (k < 0) return;
+  }
+}
+
+/**
+ * Detect the TLIST time scale of a list of period codes
+ * @param {string[]} codes
+ * @returns {string|null} - A1, H1, Q1, M1 or null when codes are not periods
+ */
+function timeScale(codes) {
+  const scales = { A1: /^\d{4}$/, H1: /^\d{4}H[12]$/, Q1: /^\d{4}Q[1-4]$/, M1: /^\d{4}M(0[1-9]|1[0-2])$/ };
+  return Object.keys(scales).find(scale => codes.every(code => scales[scale].test(code))) || null;
+}
+
+/**
+ * Largest number of decimal places in the data (max 6)
+ * @param {Array} data
+ * @returns {number}
+ */
+function countDecimals(data) {
+  return data.reduce((max, value) => {
+    if (typeof value !== 'number' || Number.isInteger(value)) return max;
+    return Math.min(6, Math.max(max, (String(value).split('.')[1] || '').length));
+  }, 0);
+}
+
+function keywordKey(keyword, lang = '', subkey = '') {
+  return `${keyword}|${lang}|${subkey}`;
+}
+
+function quote(value) {
+  return `"${String(value ?? '').replace(/"/g, "'").replace(/[\r\n]+/g, ' ')}"`;
+}
+
+function quoteLong(value) {
+  const text = String(value ?? '');
+  const parts = [];
+  for (let i = 0; i < text.length; i += MAX_STRING_LENGTH) {
+    parts.push(quote(text.slice(i, i + MAX_STRING_LENGTH)));
+  }
+  return parts.length ? parts.join('\r\n') : '""';
+}
+
+function quoteList(values) {
+  const lines = [];
+  let line = '';
+  values.forEach((value, i) => {
+    const item = quote(value) + (i < values.length - 1 ? ',' : '');
+    if (line && line.length + item.length > MAX_STRING_LENGTH) {
+      lines.push(line);
+      line = '';
+    }
+    line += item;
+  });
+  lines.push(line);
+  return lines.join('\r\n');
+}
+
+function formatPxDate(date) {
+  const pad = n => String(n).padStart(2, '0');
+  return `${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+function parsePxDate(value) {
+  const match = value?.match(/^(\d{4})(\d{2})(\d{2})(?:\s+(\d{2}):(\d{2}))?/);
+  if (!match) return null;
+  const [, y, m, d, hh = '00', mm = '00'] = match;
+  return new Date(`${y}-${m}-${d}T${hh}:${mm}:00`).toISOString();
+}
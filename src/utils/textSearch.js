@@ -0,0 +1,163 @@
+/**
+ * Text Search Helpers
+ * Normalises Georgian and Latin text to one comparable form for the search index:
+ *
+ *   "ტყის ხანძრები" → ['tqi', 'khandzr']
+ *   "PM2.5 emissions" → ['pm2.5', 'emission']
+ *
+ * Georgian is romanised (national system, without apostrophes, so თ/ტ, ქ/კ, ფ/პ,
+ * ჩ/ჭ, ც/წ collapse), then common Georgian case and plural endings and English
+ * plural "s" are stripped. Index and queries go through the same steps.
+ *
+ * Latin words also get an informal-typing reading ("tyis xandzrebi" → 'tqi', 'khandzr'),
+ * which the search service matches against terms from Georgian text only, so English
+ * words keep their spelling ("waste" never becomes "shaste").
+ */
+
+const GEORGIAN_TO_LATIN = {
+  'ა': 'a', 'ბ': 'b', 'გ': 'g', 'დ': 'd', 'ე': 'e', 'ვ': 'v', 'ზ': 'z', 'თ': 't',
+  'ი': 'i', 'კ': 'k', 'ლ': 'l', 'მ': 'm', 'ნ': 'n', 'ო': 'o', 'პ': 'p', 'ჟ': 'zh',
+  'რ': 'r', 'ს': 's', 'ტ': 't', 'უ': 'u', 'ფ': 'p', 'ქ': 'k', 'ღ': 'gh', 'ყ': 'q',
+  'შ': 'sh', 'ჩ': 'ch', 'ც': 'ts', 'ძ': 'dz', 'წ': 'ts', 'ჭ': 'ch', 'ხ': 'kh', 'ჯ': 'j',
+  'ჰ': 'h', 'ჶ': 'f'
+};
+
+// Informal Latin spellings of Georgian letters
+const LATIN_VARIANTS = [
+  [/x/g, 'kh'],
+  [/y/g, 'q'],
+  [/w/g, 'sh'],
+  [/c/g, 'ts']
+];
+
+// Romanised endings, longest first: plural -ებ-, genitive -ის(ა), instrumental -ით,
+// postpositions -ში, -ზე, -თვის, adverbial -ად, ergative -მა, nominative -ი, English -s
+const SUFFIXES = [
+  'ebistvis', 'istvis', 'ebisa', 'ebshi', 'ebze', 'ebit', 'ebis', 'ebma',
+  'isa', 'ebi', 'ebs', 'shi', 'is', 'it', 'ze', 'ad', 'ma', 's', 'i', 'a'
+];
+const MIN_STEM_LENGTH = 3;
+
+const STOPWORDS = new Set(['and', 'or', 'of', 'the', 'by', 'in', 'for', 'to', 'a', 'an', 'per', 'with', 'და', 'ან', 'მიხედვით']);
+
+const TOKEN = /[\p{L}\p{N}]+(?:[.,]\p{N}+)*/gu;
+const GEORGIAN = /[Ⴀ-ჿ]/;
+
+/**
+ * Split text into normalised search terms
+ * @param {string} text
+ * @param {Object} options - { keepStopwords }
+ * @returns {Array<string>}
+ */
+export function tokenize(text, options) {
+  return analyze(text, options).map(word => word.term);
+}
+
+/**
+ * Split text into normalised search terms, noting where each came from
+ * @param {string} text
+ * @param {Object} options - { keepStopwords }
+ * @returns {Array<Object>} - [{ term, georgian: written in Georgian, informal: informal-typing reading or null }]
+ */
+export function analyze(text, { keepStopwords = false } = {}) {
+  const words = String(text ?? '').normalize('NFKC').toLowerCase().match(TOKEN) || [];
+  return words
+    .filter(word => keepStopwords || !STOPWORDS.has(word))
+    .map(word => {
+      const term = normalizeWord(word);
+      const informal = informalReading(word);
+      return { term, georgian: GEORGIAN.test(word), informal: informal !== term ? informal : null };
+    })
+    .filter(word => word.term);
+}
+
+/**
+ * Romanise and stem one lowercase word
+ * @param {string} word
+ * @returns {string}
+ */
+export function normalizeWord(word) {
+  const term = GEORGIAN.test(word) ? transliterate(word) : word;
+  if (/\d/.test(term)) return term; // codes like pm10, pm2.5, co2
+  return stem(term);
+}
+
+/**
+ * Read a Latin word as informally typed Georgian ("xandzrebi" → 'khandzr')
+ * @param {string} word - Lowercase word
+ * @returns {string|null} - Stemmed reading, or null for Georgian words and codes
+ */
+export function informalReading(word) {
+  if (GEORGIAN.test(word) || /\d/.test(word)) return null;
+
+  let term = word;
+  for (const [pattern, replacement] of LATIN_VARIANTS) {
+    term = term.replace(pattern, replacement);
+  }
+  return stem(term);
+}
+
+/**
+ * Romanise Georgian letters (other characters are kept)
+ * @param {string} text
+ * @returns {string}
+ */
+export function transliterate(text) {
+  return [...text].map(char => GEORGIAN_TO_LATIN[char] ?? char).join('');
+}
+
+/**
+ * Strip up to two endings while at least MIN_STEM_LENGTH letters remain
+ * @param {string} term - Romanised lowercase word
+ * @returns {string}
+ */
+export function stem(term) {
+  let result = term;
+  for (let round = 0; round < 2; round++) {
+    const suffix = SUFFIXES.find(end => result.endsWith(end) && result.length - end.length >= MIN_STEM_LENGTH);
+    if (!suffix) break;
+    result = result.slice(0, -suffix.length);
+  }
+  return result;
+}
+
+/**
+ * Edit distance with transpositions (optimal string alignment), or `max + 1` once it exceeds `max`
+ * @param {string} a
+ * @param {string} b
+ * @param {number} max
+ * @returns {number}
+ */
+export function editDistance(a, b, max = Infinity) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous2 = [];
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        current[j] = Math.min(current[j], previous2[j - 2] + 1);
+      }
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous2 = previous;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Number of typos tolerated for a query term
+ * @param {string} term
+ * @returns {number}
+ */
+export function allowedTypos(term) {
+  if (term.length >= 8) return 2;
+  if (term.length >= 4) return 1;
+  return 0;
+}
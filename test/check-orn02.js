@@ -1,3 +1,4 @@
+import './replay-fixtures.js';
 import airQualityService from '../src/services/airQualityService.js';
 
 console.log('🔍 Checking ORN02 station data...');
@@ -2,6 +2,7 @@
  * Real-time check for all stations to see data availability
  */
 
+import './replay-fixtures.js';
 import airQualityService from '../src/services/airQualityService.js';
 
 async function checkAllStationsDataFreshness() {
@@ -2,6 +2,7 @@
  * Debug script to check current API data availability
  */
 
+import './replay-fixtures.js';
 import airQualityService from '../src/services/airQualityService.js';
 
 async function debugApiData() {
@@ -3,6 +3,7 @@
  * Shows different scenarios and use cases
  */
 
+import './replay-fixtures.js';
 import airQualityService from '../src/services/airQualityService.js';
 
 async function showDifferentScenarios() {
@@ -12,7 +13,7 @@ async function showDifferentScenarios() {
   console.log('🟢 SCENARIO 1: All stations have data');
   console.log('='.repeat(50));
   try {
-    const result1 = await airQualityService.getTbilisiPM25Average({ hoursBack: 6 });
+    const result1 = await airQualityService.getCityPollutantAverage('tbilisi', 'PM2.5', { hoursBack: 6 });
     console.log(`Average: ${result1.average.value} μg/m³ (${result1.average.qualityLevel})`);
     console.log(`Stations: ${result1.average.calculation.stationsWithData}/${result1.average.calculation.totalStations}`);
     console.log(`Formula: ${result1.average.calculation.formula}\n`);
@@ -27,7 +28,7 @@ async function showDifferentScenarios() {
   
   for (const hours of timeRanges) {
     try {
-      const result = await airQualityService.getTbilisiPM25Average({ hoursBack: hours });
+      const result = await airQualityService.getCityPollutantAverage('tbilisi', 'PM2.5', { hoursBack: hours });
       const stationsWithData = result.stations.filter(s => s.pm25Value !== null).length;
       console.log(`${hours}h back: ${result.average.value} μg/m³ (${stationsWithData}/4 stations)`);
     } catch (error) {
@@ -48,7 +49,7 @@ async function showDifferentScenarios() {
     { range: '60+ μg/m³', level: 'very_poor', emoji: '🟣', advice: 'Very unhealthy - avoid outdoor activities' }
   ];
   
-  const currentResult = await airQualityService.getTbilisiPM25Average();
+  const currentResult = await airQualityService.getCityPollutantAverage('tbilisi', 'PM2.5');
   const currentValue = currentResult.average.value;
   
   healthRanges.forEach(range => {
@@ -65,7 +66,7 @@ async function demonstrateCalculation() {
   console.log('\n🧮 CALCULATION DEMONSTRATION\n');
   console.log('='.repeat(50));
   
-  const result = await airQualityService.getTbilisiPM25Average();
+  const result = await airQualityService.getCityPollutantAverage('tbilisi', 'PM2.5');
   
   console.log('Step-by-step calculation:');
   console.log('1. Get PM2.5 from all Tbilisi stations:');
@@ -3,6 +3,7 @@
  * This example demonstrates how to calculate the average PM2.5 for all Tbilisi stations
  */
 
+import './replay-fixtures.js';
 import airQualityService from '../src/services/airQualityService.js';
 
 async function getTbilisiPM25Average() {
@@ -10,7 +11,7 @@ async function getTbilisiPM25Average() {
     console.log('🏙️ Calculating Tbilisi PM2.5 Average...\n');
 
     // Get the average PM2.5 for all Tbilisi stations
-    const averageData = await airQualityService.getTbilisiPM25Average({
+    const averageData = await airQualityService.getCityPollutantAverage('tbilisi', 'PM2.5', {
       hoursBack: 6 // Look back 6 hours for data
     });
 
@@ -103,7 +104,7 @@ async function compareTbilisiStations() {
   try {
     console.log('\n📊 TBILISI STATIONS COMPARISON\n');
     
-    const averageData = await airQualityService.getTbilisiPM25Average();
+    const averageData = await airQualityService.getCityPollutantAverage('tbilisi', 'PM2.5');
     
     // Sort stations by PM2.5 value
     const stationsWithData = averageData.stations
@@ -0,0 +1,89 @@
+/**
+ * Golden-output tests for DataProcessingService
+ *
+ * Every entry in DATASETS is replayed from its PXWeb fixtures (test/fixtures/pxweb,
+ * see src/services/fixtureService.js) through processForChart and processMetadata
+ * in ka and en, and the result is compared with test/golden/snapshots/<id>.<lang>.json.
+ *
+ *   npm test              → compare with the committed snapshots
+ *   npm run test:update   → rewrite snapshots after an intended output change
+ *   npm run test:record   → record fixtures from geostat.ge, then rewrite snapshots
+ *
+ * A dataset without fixtures fails unless MISSING_FIXTURES lists it with the reason
+ * it cannot be recorded; those are reported as skipped.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// Must be set before the config is loaded
+process.env.FIXTURE_MODE ||= 'replay';
+
+const { DATASETS } = await import('../../src/config/datasets.js');
+const { default: pxwebService } = await import('../../src/services/pxwebService.js');
+const { default: dataProcessingService } = await import('../../src/services/dataProcessingService.js');
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const SNAPSHOT_DIR = path.join(__dirname, 'snapshots');
+const LANGUAGES = ['ka', 'en'];
+const UPDATE = process.env.UPDATE_GOLDEN === '1';
+
+/**
+ * Datasets allowed to run without fixtures: dataset ID → reason
+ * @type {Object<string, string>}
+ */
+const MISSING_FIXTURES = {};
+
+/**
+ * Fetch a dataset from fixtures; null when it has not been recorded
+ * @param {Object} dataset - Entry from DATASETS
+ * @param {string} lang
+ * @returns {Promise<Object|null>}
+ */
+async function loadFixture(dataset, lang) {
+  try {
+    return await pxwebService.fetchData(dataset.path, lang);
+  } catch (error) {
+    if (error.statusCode === 503 && error.message.includes('No fixture')) return null;
+    throw error;
+  }
+}
+
+for (const dataset of Object.values(DATASETS)) {
+  for (const lang of LANGUAGES) {
+    test(`${dataset.id} (${lang})`, async t => {
+      const fixture = await loadFixture(dataset, lang);
+      if (!fixture) {
+        const reason = MISSING_FIXTURES[dataset.id];
+        assert.ok(reason, `No fixture for ${dataset.id} (${lang}); record it with npm run test:record or list it in MISSING_FIXTURES`);
+        t.skip(`no recorded fixture: ${reason}`);
+        return;
+      }
+      assert.ok(!MISSING_FIXTURES[dataset.id], `${dataset.id} has fixtures now; remove it from MISSING_FIXTURES`);
+
+      // JSON round trip: compare what the API would send
+      const actual = JSON.parse(JSON.stringify({
+        chart: dataProcessingService.processForChart(fixture.dataset, dataset.id, lang, fixture.metadata),
+        metadata: dataProcessingService.processMetadata(fixture.metadata, dataset.id, lang)
+      }));
+
+      const file = path.join(SNAPSHOT_DIR, `${dataset.id}.${lang}.json`);
+      if (UPDATE) {
+        fs.mkdirSync(SNAPSHOT_DIR, { recursive: true });
+        fs.writeFileSync(file, `${JSON.stringify(actual, null, 2)}\n`);
+        return;
+      }
+
+      assert.ok(fs.existsSync(file), `No golden snapshot ${path.relative(process.cwd(), file)} (run npm run test:update)`);
+      assert.deepStrictEqual(actual, JSON.parse(fs.readFileSync(file, 'utf8')));
+    });
+  }
+}
+
+test('MISSING_FIXTURES lists only configured datasets', () => {
+  for (const id of Object.keys(MISSING_FIXTURES)) {
+    assert.ok(DATASETS[id], `MISSING_FIXTURES lists unknown dataset ${id}`);
+  }
+});
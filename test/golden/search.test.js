@@ -0,0 +1,112 @@
+/**
+ * Search index tests
+ *
+ * Variable labels are stored the way fetches leave them in SEARCH_INDEX_FILE: the PXWeb
+ * fixtures of every dataset, plus a pollutant table for transport-emissions, whose
+ * fixture is a placeholder without pollutants. A fresh SearchService must build its index from the catalog and that file
+ * at startup, before the first query. A server without the file fetches the labels itself.
+ */
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'search-index-'));
+
+// Must be set before the config is loaded
+process.env.FIXTURE_MODE ||= 'replay';
+process.env.SEARCH_INDEX_FILE = path.join(dir, 'search-index.json');
+process.env.SEARCH_FILL_REQUEST_DELAY_MS = '0';
+
+const { DATASETS } = await import('../../src/config/datasets.js');
+const { default: pxwebService } = await import('../../src/services/pxwebService.js');
+const { SearchService } = await import('../../src/services/searchService.js');
+const { tokenize } = await import('../../src/utils/textSearch.js');
+
+const LANGUAGES = ['ka', 'en'];
+
+const POLLUTANTS = {
+  ka: { title: 'ავტოტრანსპორტიდან გაფრქვეული მავნე ნივთიერებები', variables: [{ code: 'Pollutant', text: 'დამაბინძურებელი', valueTexts: ['სულ', 'PM10', 'PM2.5', 'აზოტის ოქსიდები'] }] },
+  en: { title: 'Emissions of harmful substances from road transport', variables: [{ code: 'Pollutant', text: 'Pollutant', valueTexts: ['Total', 'PM10', 'PM2.5', 'Nitrogen oxides'] }] }
+};
+
+let service;
+
+before(async () => {
+  const recorder = new SearchService();
+  for (const dataset of Object.values(DATASETS)) {
+    for (const lang of LANGUAGES) {
+      try {
+        const { metadata } = await pxwebService.fetchData(dataset.path, lang);
+        recorder.indexMetadata(dataset.id, lang, metadata);
+      } catch (error) {
+        if (!(error.statusCode === 503 && error.message.includes('No fixture'))) throw error;
+      }
+    }
+  }
+  for (const lang of LANGUAGES) recorder.indexMetadata('transport-emissions', lang, POLLUTANTS[lang]);
+
+  clearTimeout(recorder.saveTimer);
+  fs.writeFileSync(process.env.SEARCH_INDEX_FILE, JSON.stringify(recorder.tables));
+
+  service = new SearchService();
+  await service.start();
+});
+
+after(() => {
+  service.stop();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+test('the index is built at startup', () => {
+  const status = service.getStatus();
+  assert.ok(status.terms > 0);
+  assert.ok(status.withVariables > 1);
+});
+
+test('a server without stored labels fetches them from PXWeb at startup', async () => {
+  const fresh = new SearchService();
+  fresh.file = path.join(dir, 'fresh-index.json');
+  await fresh.start();
+  const fill = await fresh.filling;
+  clearTimeout(fresh.saveTimer);
+  fresh.stop();
+
+  const datasets = Object.keys(DATASETS).length;
+  assert.deepStrictEqual(fill, { indexed: datasets * LANGUAGES.length, failed: 0 });
+  assert.equal(fresh.getStatus().withVariables, datasets);
+
+  const { results } = await fresh.search('იმერეთი');
+  assert.ok(results.length > 0);
+  assert.ok(results[0].matches.some(match => match.field === 'value' && match.text === 'იმერეთი'));
+});
+
+test('PM10 finds the table listing it as a value', async () => {
+  const { terms, results } = await service.search('PM10');
+  assert.deepStrictEqual(terms, ['pm10']);
+  assert.equal(results[0].id, 'transport-emissions');
+  assert.ok(results[0].matches.some(match => match.field === 'value' && match.text === 'PM10'));
+});
+
+test('ნარჩენები finds the waste tables', async () => {
+  const { results } = await service.search('ნარჩენები');
+  const ids = results.map(result => result.id);
+  assert.ok(ids.includes('municipal-waste'));
+  assert.ok(ids.includes('waste-recycling'));
+  assert.ok(results[0].matches.some(match => match.lang === 'ka'));
+});
+
+test('informal Latin typing matches Georgian text', async () => {
+  const { results } = await service.search('tyis xandzrebi');
+  assert.equal(results[0].id, 'forest-fires');
+  assert.ok(results[0].matches.every(match => match.lang === 'ka'));
+});
+
+test('English words keep their spelling', async () => {
+  assert.deepStrictEqual(tokenize('waste water'), ['waste', 'water']);
+
+  const { terms, results } = await service.search('waste');
+  assert.deepStrictEqual(terms, ['waste']);
+  assert.ok(results.map(result => result.id).includes('municipal-waste'));
+});
@@ -1,3 +1,4 @@
+import './replay-fixtures.js';
 import express from 'express';
 import cors from 'cors';
 import datasetController from '../src/controllers/datasetController.js';
@@ -0,0 +1,7 @@
+/**
+ * Imported first by the scripts in test/ so that upstream calls are answered from
+ * test/fixtures (see src/services/fixtureService.js) and the scripts run offline.
+ * FIXTURE_MODE on the command line still wins: `off` for the live APIs, `record`
+ * to refresh the fixtures.
+ */
+process.env.FIXTURE_MODE ||= 'replay';
@@ -2,6 +2,7 @@
  * Smart Data Retrieval - Finds the most recent available data
  */
 
+import './replay-fixtures.js';
 import airQualityService from '../src/services/airQualityService.js';
 
 async function findMostRecentData(stationCode = 'TSRT') {
@@ -3,6 +3,7 @@
  * This script tests the dynamic air quality data fetching functionality
  */
 
+import './replay-fixtures.js';
 import airQualityService from '../src/services/airQualityService.js';
 
 async function testAirQualityService() {
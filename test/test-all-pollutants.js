@@ -3,6 +3,7 @@
  * Tests the new functionality to calculate averages for PM10, NO2, O3, SO2, CO
  */
 
+import './replay-fixtures.js';
 import airQualityService from '../src/services/airQualityService.js';
 
 console.log('🧪 Testing All Pollutant Averages for Tbilisi');
@@ -13,19 +14,19 @@ async function testIndividualPollutants() {
   console.log('-'.repeat(50));
   
   const pollutants = [
-    { name: 'PM10', method: 'getTbilisiPM10Average' },
-    { name: 'PM2.5', method: 'getTbilisiPM25Average' },
-    { name: 'NO2', method: 'getTbilisiNO2Average' },
-    { name: 'O3', method: 'getTbilisiO3Average' },
-    { name: 'SO2', method: 'getTbilisiSO2Average' },
-    { name: 'CO', method: 'getTbilisiCOAverage' }
+    { name: 'PM10' },
+    { name: 'PM2.5' },
+    { name: 'NO2' },
+    { name: 'O3' },
+    { name: 'SO2' },
+    { name: 'CO' }
   ];
 
   for (const pollutant of pollutants) {
     try {
       console.log(`\n📊 Testing ${pollutant.name} Average:`);
       
-      const result = await airQualityService[pollutant.method]();
+      const result = await airQualityService.getCityPollutantAverage('tbilisi', pollutant.name);
       
       if (result.success) {
         const avg = result.average;
@@ -54,7 +55,7 @@ async function testAllPollutantsTogether() {
   console.log('-'.repeat(50));
   
   try {
-    const result = await airQualityService.getTbilisiAllPollutantsAverage();
+    const result = await airQualityService.getCityAverages('tbilisi');
     
     if (result.success) {
       console.log(`\n📍 City: ${result.city}`);
@@ -3,6 +3,7 @@
  * Tests the new functionality to calculate averages for all pollutants in Batumi
  */
 
+import './replay-fixtures.js';
 import airQualityService from '../src/services/airQualityService.js';
 
 console.log('🏖️ Testing Batumi Air Quality Averages');
@@ -13,19 +14,19 @@ async function testBatumiPollutants() {
   console.log('-'.repeat(55));
   
   const pollutants = [
-    { name: 'PM10', method: 'getBatumiPM10Average' },
-    { name: 'PM2.5', method: 'getBatumiPM25Average' },
-    { name: 'NO2', method: 'getBatumiNO2Average' },
-    { name: 'O3', method: 'getBatumiO3Average' },
-    { name: 'SO2', method: 'getBatumiSO2Average' },
-    { name: 'CO', method: 'getBatumiCOAverage' }
+    { name: 'PM10' },
+    { name: 'PM2.5' },
+    { name: 'NO2' },
+    { name: 'O3' },
+    { name: 'SO2' },
+    { name: 'CO' }
   ];
 
   for (const pollutant of pollutants) {
     try {
       console.log(`\n📊 Testing ${pollutant.name} Average:`);
       
-      const result = await airQualityService[pollutant.method]();
+      const result = await airQualityService.getCityPollutantAverage('batumi', pollutant.name);
       
       if (result.success) {
         const avg = result.average;
@@ -54,7 +55,7 @@ async function testBatumiAllPollutants() {
   console.log('-'.repeat(55));
   
   try {
-    const result = await airQualityService.getBatumiAllPollutantsAverage();
+    const result = await airQualityService.getCityAverages('batumi');
     
     if (result.success) {
       console.log(`\n📍 City: ${result.city}`);
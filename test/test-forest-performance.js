@@ -1,3 +1,4 @@
+import './replay-fixtures.js';
 import DataProcessingService from '../src/services/dataProcessingService.js';
 import pxwebService from '../src/services/pxwebService.js';
 import { DATASETS } from '../src/config/datasets.js';
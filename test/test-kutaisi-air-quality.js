@@ -3,6 +3,7 @@
  * Tests the new functionality to calculate averages for all pollutants in Kutaisi
  */
 
+import './replay-fixtures.js';
 import airQualityService from '../src/services/airQualityService.js';
 
 console.log('🏛️ Testing Kutaisi Air Quality Averages');
@@ -13,19 +14,19 @@ async function testKutaisiPollutants() {
   console.log('-'.repeat(55));
   
   const pollutants = [
-    { name: 'PM10', method: 'getKutaisiPM10Average' },
-    { name: 'PM2.5', method: 'getKutaisiPM25Average' },
-    { name: 'NO2', method: 'getKutaisiNO2Average' },
-    { name: 'O3', method: 'getKutaisiO3Average' },
-    { name: 'SO2', method: 'getKutaisiSO2Average' },
-    { name: 'CO', method: 'getKutaisiCOAverage' }
+    { name: 'PM10' },
+    { name: 'PM2.5' },
+    { name: 'NO2' },
+    { name: 'O3' },
+    { name: 'SO2' },
+    { name: 'CO' }
   ];
 
   for (const pollutant of pollutants) {
     try {
       console.log(`\n📊 Testing ${pollutant.name} Average:`);
       
-      const result = await airQualityService[pollutant.method]();
+      const result = await airQualityService.getCityPollutantAverage('kutaisi', pollutant.name);
       
       if (result.success) {
         const avg = result.average;
@@ -54,7 +55,7 @@ async function testKutaisiAllPollutants() {
   console.log('-'.repeat(55));
   
   try {
-    const result = await airQualityService.getKutaisiAllPollutantsAverage();
+    const result = await airQualityService.getCityAverages('kutaisi');
     
     if (result.success) {
       console.log(`\n📍 City: ${result.city}`);
@@ -3,6 +3,7 @@
  * Tests the new functionality to calculate averages for all pollutants in Rustavi
  */
 
+import './replay-fixtures.js';
 import airQualityService from '../src/services/airQualityService.js';
 
 console.log('🏭 Testing Rustavi Air Quality Averages');
@@ -13,19 +14,19 @@ async function testRustaviPollutants() {
   console.log('-'.repeat(55));
   
   const pollutants = [
-    { name: 'PM10', method: 'getRustaviPM10Average' },
-    { name: 'PM2.5', method: 'getRustaviPM25Average' },
-    { name: 'NO2', method: 'getRustaviNO2Average' },
-    { name: 'O3', method: 'getRustaviO3Average' },
-    { name: 'SO2', method: 'getRustaviSO2Average' },
-    { name: 'CO', method: 'getRustaviCOAverage' }
+    { name: 'PM10' },
+    { name: 'PM2.5' },
+    { name: 'NO2' },
+    { name: 'O3' },
+    { name: 'SO2' },
+    { name: 'CO' }
   ];
 
   for (const pollutant of pollutants) {
     try {
       console.log(`\n📊 Testing ${pollutant.name} Average:`);
       
-      const result = await airQualityService[pollutant.method]();
+      const result = await airQualityService.getCityPollutantAverage('rustavi', pollutant.name);
       
       if (result.success) {
         const avg = result.average;
@@ -54,7 +55,7 @@ async function testRustaviAllPollutants() {
   console.log('-'.repeat(55));
   
   try {
-    const result = await airQualityService.getRustaviAllPollutantsAverage();
+    const result = await airQualityService.getCityAverages('rustavi');
     
     if (result.success) {
       console.log(`\n📍 City: ${result.city}`);
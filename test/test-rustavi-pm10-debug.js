@@ -1,10 +1,11 @@
+import './replay-fixtures.js';
 import airQualityService from '../src/services/airQualityService.js';
 
 console.log('🔍 Testing Rustavi PM10 calculation with debug info...');
 
 async function testRustaviPM10() {
   try {
-    const result = await airQualityService.getRustaviPM10Average();
+    const result = await airQualityService.getCityPollutantAverage('rustavi', 'PM10');
     
     console.log('\n📊 RESULT SUMMARY:');
     console.log(`Average: ${result.average.value} ${result.average.unit}`);
@@ -1,6 +1,7 @@
 /**
  * Test the Tbilisi PM2.5 average API endpoint
  */
+import './replay-fixtures.js';
 
 async function testTbilisiAverageAPI() {
   try {
@@ -47,7 +48,7 @@ async function testDirectService() {
     // Import and test the service directly
     const { default: airQualityService } = await import('../src/services/airQualityService.js');
     
-    const result = await airQualityService.getTbilisiPM25Average();
+    const result = await airQualityService.getCityPollutantAverage('tbilisi', 'PM2.5');
     
     console.log('✅ Direct service test successful!\n');
     console.log('📊 RESULT:');
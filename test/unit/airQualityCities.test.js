@@ -0,0 +1,64 @@
+/**
+ * Air quality city tests
+ *
+ * Stations belong to a city by code (`stations` in src/config/cities.js) or by a
+ * settlement containing the city name as a whole word; readings are replayed from the
+ * air.gov.ge fixtures.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Must be set before the config is loaded
+process.env.FIXTURE_MODE ||= 'replay';
+
+const { default: airQualityService } = await import('../../src/services/airQualityService.js');
+
+test('settlements match city names as whole words only', () => {
+  const contains = (text, word) => airQualityService._containsWord(text, word);
+
+  assert.ok(contains('ქ.რუსთავი', 'რუსთავი'));
+  assert.ok(contains('ქ.რუსთავი - მეგობრობის გამზ.', 'რუსთავი'));
+  assert.ok(contains('\ufeffრუსთავი', 'რუსთავი'));
+  assert.ok(contains('RUSTAVI', 'Rustavi'));
+  assert.ok(contains('ქ.თბილისი, რუსთაველის გამზ.', 'თბილისი'));
+
+  assert.ok(!contains('რუსთაველის გამზ.', 'რუსთავი'));
+  assert.ok(!contains('ქ.თბილისი, რუსთაველის გამზ.', 'რუსთავი'));
+  assert.ok(!contains('Rustaveli Ave', 'Rustavi'));
+  assert.ok(!contains('გორისუბანი', 'გორი'));
+  assert.ok(!contains(null, 'გორი'));
+  assert.ok(!contains('გორი', ''));
+});
+
+test('stations belong to a city by code or by settlement', () => {
+  const stations = [
+    { code: 'ORN01', settlement: 'ქ.თბილისი', settlement_en: 'Tbilisi' },
+    { code: 'orn02', settlement: null, settlement_en: null },
+    { code: 'RST99', settlement: 'ქ.რუსთავი', settlement_en: 'Rustavi' },
+    { code: 'TBS99', settlement: 'რუსთაველის გამზ.', settlement_en: 'Rustaveli Ave' }
+  ];
+
+  const rustavi = airQualityService.resolveCity('რუსთავი');
+  assert.deepEqual(rustavi.stations, ['RST18', 'ORN02']);
+  assert.deepEqual(airQualityService.filterCityStations(rustavi, stations).map(station => station.code), ['orn02', 'RST99']);
+
+  const tbilisi = airQualityService.resolveCity('Tbilisi');
+  assert.deepEqual(airQualityService.filterCityStations(tbilisi, stations).map(station => station.code), ['ORN01']);
+
+  // Unregistered names have no codes and match settlements only
+  const telavi = airQualityService.resolveCity('Telavi');
+  assert.deepEqual(telavi.stations, []);
+  assert.deepEqual(airQualityService.filterCityStations(telavi, stations), []);
+});
+
+test('every registered city lists its known station codes', async () => {
+  const { stations } = await airQualityService.getLatestData({ stationCode: 'all', hoursBack: 48 });
+
+  for (const city of airQualityService.getCities()) {
+    assert.ok(Array.isArray(city.stations), city.key);
+    const byCode = stations.filter(station => city.stations.includes(station.code));
+    const bySettlement = airQualityService.filterCityStations({ ...city, stations: [] }, stations);
+    // Stations in the fixtures are listed under the city their settlement names
+    assert.deepEqual(byCode.map(station => station.code).sort(), bySettlement.map(station => station.code).sort(), city.key);
+  }
+});
@@ -0,0 +1,65 @@
+/**
+ * Air quality history tests
+ *
+ * The readings of the air.gov.ge fixtures (June 2025) are stored in a temporary
+ * AIR_QUALITY_HISTORY_DIR and read back through getHistory.
+ */
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'air-quality-history-'));
+
+// Must be set before the config is loaded
+process.env.FIXTURE_MODE ||= 'replay';
+process.env.AIR_QUALITY_HISTORY_DIR = dir;
+
+const { AirQualityHistoryService } = await import('../../src/services/airQualityHistoryService.js');
+const { default: airQualityService } = await import('../../src/services/airQualityService.js');
+
+const service = new AirQualityHistoryService();
+const RANGE = { from: '2025-06', to: '2025-06' };
+
+before(async () => {
+  const latest = await airQualityService.getLatestData({ stationCode: 'all', hoursBack: 48 });
+  await service.store(latest.stations);
+});
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+test('reads stored readings by station and substance, case-insensitively', async () => {
+  const history = await service.getHistory({ station: 'tsrt', substance: 'pm2.5', ...RANGE, interval: 'day' });
+  assert.equal(history.station.code, 'TSRT');
+  assert.equal(history.substance, 'PM2.5');
+  assert.ok(history.count > 0);
+  assert.ok(history.points.every(point => point.period.startsWith('2025-06-')));
+});
+
+test('rejects stations and substances that are not in the station index', async () => {
+  for (const [station, substance] of [['..', 'PM10'], ['.', 'PM10'], ['TSRT', '..'], ['TSRT', '../../stations.json'], ['NOPE', 'PM10'], ['ORN02', 'PM2.5']]) {
+    await assert.rejects(service.getHistory({ station, substance, ...RANGE }), { statusCode: 404 }, `${station} ${substance}`);
+  }
+});
+
+test('never builds a path that leaves the history directory', () => {
+  for (const name of ['.', '..', '...']) {
+    assert.throws(() => service._monthFile(name, 'PM10', '2025-06'), { statusCode: 400 });
+    assert.throws(() => service._monthFile('TSRT', name, '2025-06'), { statusCode: 400 });
+  }
+  assert.equal(service._monthFile('TSRT', 'PM2.5', '2025-06'), path.join(dir, 'TSRT', 'PM2.5', '2025-06.json'));
+  assert.equal(service._monthFile('a/../b', 'PM10', '2025-06'), path.join(dir, 'a_.._b', 'PM10', '2025-06.json'));
+});
+
+test('expands partial dates and rejects impossible ones', () => {
+  assert.equal(service._parseBound('2024-02', 'end'), '2024-02-29T23:00:00');
+  assert.equal(service._parseBound('2023-02', 'end'), '2023-02-28T23:00:00');
+  assert.equal(service._parseBound('2024-02-29', 'start'), '2024-02-29T00:00:00');
+  assert.equal(service._parseBound('2024', 'end'), '2024-12-31T23:00:00');
+  assert.equal(service._parseBound('2024-06-01T07:30', 'start'), '2024-06-01T07:00:00');
+
+  for (const value of ['2024-02-31', '2023-02-29', '2024-04-31', '2024-13', '2024-00', '2024-06-00', '2024-06-01T24', 'june']) {
+    assert.throws(() => service._parseBound(value, 'start'), { statusCode: 400 }, value);
+  }
+});
@@ -0,0 +1,108 @@
+/**
+ * Air quality stream tests
+ *
+ * SSE clients are plain objects that collect what is written to them; the poller
+ * replays the air.gov.ge fixtures. AirQualityStreamService instances on the fake
+ * Redis stand in for PM2 workers.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventEmitter } from 'events';
+
+// Must be set before the config is loaded
+process.env.FIXTURE_MODE ||= 'replay';
+
+const { AirQualityStreamService } = await import('../../src/services/airQualityStreamService.js');
+const { default: airQualityService } = await import('../../src/services/airQualityService.js');
+const { installFakeRedis } = await import('./helpers/fakeRedis.js');
+
+const NO_FILTER = { stations: [], city: null, substances: [] };
+
+/**
+ * Open a stream on a worker
+ * @param {AirQualityStreamService} worker
+ * @param {Object} filter
+ * @returns {Object} - { chunks, events(name), close() }
+ */
+function connect(worker, filter = NO_FILTER) {
+  const req = new EventEmitter();
+  const chunks = [];
+  const res = { set() {}, flushHeaders() {}, write: chunk => chunks.push(chunk) };
+  worker.subscribe(req, res, filter);
+
+  return {
+    chunks,
+    events: name => chunks
+      .map(chunk => chunk.match(/^id: \d+\nevent: (\S+)\ndata: (.*)\n\n$/))
+      .filter(match => match?.[1] === name)
+      .map(match => JSON.parse(match[2])),
+    close: () => req.emit('close')
+  };
+}
+
+/**
+ * Wait until `check` returns true
+ * @param {Function} check
+ * @param {number} timeoutMs
+ */
+async function waitFor(check, timeoutMs = 2000) {
+  const deadline = Date.now() + timeoutMs;
+  while (!check()) {
+    assert.ok(Date.now() < deadline, 'timed out');
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+test('tells browsers to reconnect after a few seconds and sends a snapshot', async () => {
+  const worker = new AirQualityStreamService();
+  const client = connect(worker, { ...NO_FILTER, stations: ['TSRT'] });
+
+  assert.equal(client.chunks[0], 'retry: 3000\n\n');
+  await waitFor(() => client.events('snapshot').length === 1);
+  const [{ readings }] = client.events('snapshot');
+  assert.ok(readings.length > 0);
+  assert.ok(readings.every(reading => reading.station.code === 'TSRT'));
+
+  client.close();
+  assert.equal(worker.getStatus().polling, false);
+});
+
+test('one worker polls each interval and the others stream its readings', async t => {
+  const redis = installFakeRedis();
+  t.after(redis.restore);
+  const fetches = t.mock.method(airQualityService, 'getLatestData');
+  const [worker1, worker2, worker3] = [new AirQualityStreamService(), new AirQualityStreamService(), new AirQualityStreamService()];
+
+  // Both workers start polling at once; one claims the interval
+  const clientA = connect(worker1);
+  const clientB = connect(worker2, { ...NO_FILTER, stations: ['TSRT'] });
+  await waitFor(() => clientA.events('snapshot').length === 1 && clientB.events('snapshot').length === 1);
+  assert.equal(fetches.mock.callCount(), 1);
+  assert.deepEqual(clientB.events('snapshot')[0].readings,
+    clientA.events('snapshot')[0].readings.filter(reading => reading.station.code === 'TSRT'));
+
+  // A worker that starts later takes the last published readings
+  const clientC = connect(worker3);
+  await waitFor(() => clientC.events('snapshot').length === 1);
+  assert.equal(fetches.mock.callCount(), 1);
+  assert.deepEqual(clientC.events('snapshot')[0].readings, clientA.events('snapshot')[0].readings);
+
+  // A new reading polled by one worker (the next interval's claim) reaches the clients of all of them
+  const latest = structuredClone(await fetches.mock.calls[0].result);
+  const tsrt = latest.stations.find(station => station.code === 'TSRT');
+  const pm10 = tsrt.substances.find(substance => substance.name === 'PM10');
+  Object.assign(pm10, { latestValue: 99, latestTimestamp: '2099-01-01T00:00:00' });
+  fetches.mock.mockImplementation(async () => latest);
+
+  await worker2.poll();
+  for (const client of [clientA, clientB, clientC]) {
+    await waitFor(() => client.events('reading').length === 1);
+    assert.deepEqual(
+      [client.events('reading')[0].station.code, client.events('reading')[0].substance, client.events('reading')[0].value],
+      ['TSRT', 'PM10', 99]
+    );
+  }
+
+  [clientA, clientB, clientC].forEach(client => client.close());
+  await waitFor(() => redis.channels.get('air-quality-stream:readings').size === 0);
+});
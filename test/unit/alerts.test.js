@@ -0,0 +1,153 @@
+/**
+ * Alert rule tests
+ *
+ * Rules are stored in a temporary ALERTS_FILE and evaluated against the air.gov.ge
+ * fixtures (latest Tbilisi PM10 hourly means 50.78, 51.36, 51.36 μg/m³). Webhooks go
+ * to a local HTTP server. Two AlertService instances on the fake Redis locks stand in
+ * for two PM2 workers.
+ */
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import crypto from 'crypto';
+import fs from 'fs';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'alerts-'));
+
+// Must be set before the config is loaded
+process.env.FIXTURE_MODE ||= 'replay';
+process.env.ALERTS_FILE = path.join(dir, 'alerts.json');
+
+const { AlertService } = await import('../../src/services/alertService.js');
+const { installFakeRedis } = await import('./helpers/fakeRedis.js');
+
+const deliveries = [];
+let server;
+let webhook;
+
+before(async () => {
+  server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      deliveries.push({ headers: req.headers, body });
+      res.end();
+    });
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  webhook = `http://127.0.0.1:${server.address().port}/hook`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  fs.rmSync(process.env.ALERTS_FILE, { force: true });
+  deliveries.length = 0;
+});
+
+const stored = () => JSON.parse(fs.readFileSync(process.env.ALERTS_FILE, 'utf8')).rules;
+
+test('createRule validates, fills in defaults and stores the rule', async () => {
+  const service = new AlertService();
+  const rule = await service.createRule({ city: 'Tbilisi', pollutant: 'pm10', threshold: '50', webhooks: webhook, secret: 's3cret' });
+
+  assert.equal(rule.city, 'tbilisi');
+  assert.equal(rule.pollutant, 'PM10');
+  assert.deepEqual([rule.operator, rule.threshold, rule.forHours, rule.cooldownMinutes], ['>', 50, 1, 60]);
+  assert.deepEqual(rule.webhooks, [webhook]);
+  assert.equal(rule.hasSecret, true);
+  assert.equal(rule.secret, undefined);
+  assert.equal(rule.state.status, 'ok');
+
+  const [saved] = stored();
+  assert.equal(saved.id, rule.id);
+  assert.equal(saved.secret, 's3cret');
+
+  await assert.rejects(service.createRule({ city: 'Tbilisi', station: 'TSRT', pollutant: 'PM10', threshold: 1, webhooks: webhook }), { statusCode: 400 });
+  await assert.rejects(service.createRule({ station: 'TSRT', pollutant: 'PM10', threshold: 1, webhooks: 'ftp://example.com' }), { statusCode: 400 });
+  await assert.rejects(service.createRule({ station: 'TSRT', pollutant: 'PM10', threshold: 1, forHours: 25, webhooks: webhook }), { statusCode: 400 });
+  assert.equal(stored().length, 1);
+});
+
+test('updateRule keeps omitted fields and resets the state when the condition changes', async () => {
+  const service = new AlertService();
+  const { id } = await service.createRule({ city: 'tbilisi', pollutant: 'PM10', threshold: 50, webhooks: webhook, name: 'Tbilisi PM10' });
+
+  const firing = stored();
+  firing[0].state = { status: 'firing', since: '2025-06-02T23:00:00.000Z' };
+  fs.writeFileSync(process.env.ALERTS_FILE, JSON.stringify({ rules: firing }));
+
+  const renamed = await service.updateRule(id, { name: 'Renamed', cooldownMinutes: 5 });
+  assert.equal(renamed.name, 'Renamed');
+  assert.equal(renamed.cooldownMinutes, 5);
+  assert.equal(renamed.threshold, 50);
+  assert.equal(renamed.state.status, 'firing');
+
+  const moved = await service.updateRule(id, { station: 'tsrt' });
+  assert.equal(moved.station, 'TSRT');
+  assert.equal(moved.city, undefined);
+  assert.equal(moved.state.status, 'ok');
+  assert.equal(stored()[0].station, 'TSRT');
+
+  await assert.rejects(service.updateRule(id, { threshold: 'high' }), { statusCode: 400 });
+  await assert.rejects(service.updateRule('missing', { threshold: 1 }), { statusCode: 404 });
+});
+
+test('evaluate fires once, signs the webhook and stores the state', async () => {
+  const service = new AlertService();
+  const fired = await service.createRule({ city: 'tbilisi', pollutant: 'PM10', threshold: 45, forHours: 3, webhooks: webhook, secret: 's3cret' });
+  const quiet = await service.createRule({ city: 'tbilisi', pollutant: 'PM10', threshold: 52, forHours: 3, webhooks: webhook });
+
+  const first = await service.evaluate();
+  const byId = Object.fromEntries(first.rules.map(result => [result.id, result]));
+  assert.equal(byId[fired.id].event, 'alert.fired');
+  assert.equal(byId[fired.id].value.value, 51.36);
+  assert.equal(byId[quiet.id].event, null);
+  assert.equal(byId[quiet.id].status, 'ok');
+
+  assert.equal(deliveries.length, 1);
+  const [{ headers, body }] = deliveries;
+  assert.equal(headers['x-alert-signature'], `sha256=${crypto.createHmac('sha256', 's3cret').update(body).digest('hex')}`);
+  assert.equal(JSON.parse(body).event, 'alert.fired');
+  assert.deepEqual(JSON.parse(body).values.map(({ value }) => value), [50.78, 51.36, 51.36]);
+
+  const state = stored().find(rule => rule.id === fired.id).state;
+  assert.equal(state.status, 'firing');
+  assert.equal(state.lastDelivery[0].status, 200);
+
+  // Still breaching: no second notification
+  const second = await service.evaluate();
+  assert.equal(second.rules.find(result => result.id === fired.id).event, null);
+  assert.equal(deliveries.length, 1);
+});
+
+test('workers serialize rule changes and evaluations through Redis locks', async t => {
+  const redis = installFakeRedis();
+  t.after(redis.restore);
+  const [worker1, worker2] = [new AlertService(), new AlertService()];
+
+  // A change waits for the lock held by the other worker, then sees its rule
+  await redis.hold('alerts:rules');
+  const created = worker1.createRule({ station: 'TSRT', pollutant: 'PM10', threshold: 45, webhooks: webhook });
+  await new Promise(resolve => setTimeout(resolve, 100));
+  assert.equal(fs.existsSync(process.env.ALERTS_FILE), false);
+  redis.locks.delete('alerts:rules');
+  const { id } = await created;
+
+  await worker2.createRule({ station: 'KZBG', pollutant: 'PM10', threshold: 1000, webhooks: webhook });
+  assert.deepEqual(stored().map(rule => rule.station), ['TSRT', 'KZBG']);
+  assert.equal(redis.locks.has('alerts:rules'), false);
+
+  // A manual evaluation while another worker evaluates is refused, so nothing is sent twice
+  const results = await Promise.allSettled([worker1.evaluate(), worker2.evaluate()]);
+  assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+  assert.equal(results.find(result => result.status === 'rejected').reason.statusCode, 409);
+  assert.equal(deliveries.length, 1);
+  assert.equal(JSON.parse(deliveries[0].body).rule.id, id);
+  assert.equal(redis.locks.has('alerts:run'), false);
+});
@@ -0,0 +1,156 @@
+/**
+ * API key, authentication middleware and role tests
+ *
+ * An Express app with `authenticate` and routes guarded by `requireRole` runs on a
+ * random port; keys are stored in a temporary API_KEYS_FILE. Public callers are
+ * limited to 2 requests per minute. Two ApiKeyService instances on the fake Redis
+ * locks stand in for two PM2 workers sharing the file.
+ */
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'auth-'));
+const ADMIN_KEY = 'admin-test-key';
+
+// Must be set before the config is loaded
+Object.assign(process.env, {
+  AUTH_ENABLED: 'true',
+  AUTH_REQUIRE_KEY: 'false',
+  API_KEYS_STORE: 'file',
+  API_KEYS_FILE: path.join(dir, 'api-keys.json'),
+  ADMIN_API_KEY: ADMIN_KEY,
+  RATE_LIMIT_PUBLIC_PER_MINUTE: '2',
+  QUOTA_PUBLIC_PER_DAY: '0'
+});
+
+const { default: express } = await import('express');
+const { authenticate, requireRole } = await import('../../src/middleware/auth.js');
+const { default: apiKeyService, ApiKeyService, hasRole } = await import('../../src/services/apiKeyService.js');
+const { default: rateLimitService } = await import('../../src/services/rateLimitService.js');
+const { installFakeRedis } = await import('./helpers/fakeRedis.js');
+
+let server;
+let base;
+
+before(async () => {
+  const app = express();
+  app.use(authenticate);
+  app.get('/open', (req, res) => res.json({ role: req.apiKey.role, id: req.apiKey.id }));
+  app.get('/partner', requireRole('partner'), (req, res) => res.json({ ok: true }));
+  app.get('/admin', requireRole('admin'), (req, res) => res.json({ ok: true }));
+
+  await new Promise(resolve => {
+    server = app.listen(0, '127.0.0.1', resolve);
+  });
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => {
+  server.close();
+  fs.rmSync(dir, { recursive: true, force: true });
+});
+
+const get = (route, headers = {}) => fetch(`${base}${route}`, { headers });
+
+test('hasRole orders public < partner < admin', () => {
+  assert.ok(hasRole('admin', 'partner'));
+  assert.ok(hasRole('partner', 'partner'));
+  assert.ok(hasRole('partner', 'public'));
+  assert.ok(!hasRole('public', 'partner'));
+  assert.ok(!hasRole('partner', 'admin'));
+});
+
+test('requests without a key are public and limited per IP', async () => {
+  const first = await get('/open');
+  assert.equal(first.status, 200);
+  assert.deepEqual(await first.json(), { role: 'public', id: null });
+  assert.equal(first.headers.get('x-ratelimit-limit'), '2');
+  assert.equal(first.headers.get('x-ratelimit-remaining'), '1');
+  assert.equal(first.headers.get('x-quota-limit'), null);
+
+  assert.equal((await get('/open')).status, 200);
+  const limited = await get('/open');
+  assert.equal(limited.status, 429);
+  assert.ok(Number(limited.headers.get('retry-after')) > 0);
+  assert.equal((await limited.json()).error, 'Rate limit exceeded');
+});
+
+test('keys are read from X-API-Key, Bearer and ?api_key=; unknown keys are rejected', async () => {
+  const { key, id } = await apiKeyService.createKey({ name: 'Dashboard', role: 'partner' });
+
+  for (const response of [
+    await get('/open', { 'X-API-Key': key }),
+    await get('/open', { Authorization: `Bearer ${key}` }),
+    await get(`/open?api_key=${key}`)
+  ]) {
+    assert.equal(response.status, 200);
+    assert.deepEqual(await response.json(), { role: 'partner', id });
+  }
+
+  const unknown = await get('/open', { 'X-API-Key': 'gsk_unknown' });
+  assert.equal(unknown.status, 401);
+  assert.equal((await unknown.json()).error, 'Invalid API key');
+
+  await apiKeyService.deleteKey(id);
+  assert.equal((await get('/open', { 'X-API-Key': key })).status, 401);
+});
+
+test('requireRole answers 401 without a key and 403 for a lower role', async () => {
+  const { key: publicKey } = await apiKeyService.createKey({ name: 'Public', role: 'public', limits: { perMinute: 0 } });
+  const { key: partnerKey } = await apiKeyService.createKey({ name: 'Partner', role: 'partner' });
+  const admin = { 'X-API-Key': ADMIN_KEY };
+  rateLimitService.memory.clear(); // earlier tests used up the anonymous limit
+
+  assert.equal((await get('/partner', { Authorization: 'Bearer' })).status, 401);
+  const forbidden = await get('/partner', { 'X-API-Key': publicKey });
+  assert.equal(forbidden.status, 403);
+  assert.match((await forbidden.json()).message, /requires role partner; the API key has role public/);
+
+  assert.equal((await get('/partner', { 'X-API-Key': partnerKey })).status, 200);
+  assert.equal((await get('/admin', { 'X-API-Key': partnerKey })).status, 403);
+  assert.equal((await get('/admin', admin)).status, 200);
+  assert.equal((await get('/partner', admin)).status, 200);
+});
+
+test('a key with its own daily quota is rejected once it is used up', async () => {
+  const { key } = await apiKeyService.createKey({ name: 'Quota', role: 'partner', limits: { perMinute: 0, perDay: 1 } });
+
+  const first = await get('/open', { 'X-API-Key': key });
+  assert.equal(first.headers.get('x-quota-limit'), '1');
+  assert.equal(first.headers.get('x-quota-remaining'), '0');
+  assert.equal(first.headers.get('x-ratelimit-limit'), null);
+
+  const second = await get('/open', { 'X-API-Key': key });
+  assert.equal(second.status, 429);
+  assert.equal((await second.json()).error, 'Daily quota exceeded');
+});
+
+test('createKey validates its input and the env admin key cannot be deleted', async () => {
+  await assert.rejects(apiKeyService.createKey({ role: 'partner' }), { statusCode: 400 });
+  await assert.rejects(apiKeyService.createKey({ name: 'x', role: 'owner' }), { statusCode: 400 });
+  await assert.rejects(apiKeyService.deleteKey('env-admin'), { statusCode: 400 });
+  await assert.rejects(apiKeyService.deleteKey('key_missing'), { statusCode: 404 });
+});
+
+test('workers sharing the keys file do not overwrite each other', async t => {
+  const redis = installFakeRedis();
+  t.after(redis.restore);
+  const [worker1, worker2] = [new ApiKeyService(), new ApiKeyService()];
+  await Promise.all([worker1.listKeys(), worker2.listKeys()]);
+
+  // A change waits while another process holds the lock
+  await redis.hold('auth:keys:file');
+  const created = worker1.createKey({ name: 'Worker 1' });
+  await new Promise(resolve => setTimeout(resolve, 100));
+  assert.ok(!JSON.parse(fs.readFileSync(process.env.API_KEYS_FILE, 'utf8')).keys.some(key => key.name === 'Worker 1'));
+  redis.locks.delete('auth:keys:file');
+  await created;
+
+  await Promise.all([worker1.createKey({ name: 'Worker 1 again' }), worker2.createKey({ name: 'Worker 2' })]);
+  const names = JSON.parse(fs.readFileSync(process.env.API_KEYS_FILE, 'utf8')).keys.map(key => key.name);
+  assert.deepEqual(names.filter(name => name.startsWith('Worker')).sort(), ['Worker 1', 'Worker 1 again', 'Worker 2']);
+  assert.equal(redis.locks.has('auth:keys:file'), false);
+});
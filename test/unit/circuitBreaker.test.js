@@ -0,0 +1,145 @@
+/**
+ * Circuit breaker tests
+ *
+ * A CircuitBreaker with small limits runs requests that resolve when the test says so;
+ * Date is mocked, so the window and the open period move with `tick`.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { CircuitBreaker } = await import('../../src/services/circuitBreakerService.js');
+
+const OPTIONS = { windowSeconds: 60, minimumRequests: 4, failureRatePercent: 50, openSeconds: 30, halfOpenRequests: 2 };
+
+/**
+ * Start a request whose outcome is decided later
+ * @param {CircuitBreaker} breaker
+ * @returns {Object} - { result, respond(status), fail() }
+ */
+function pending(breaker) {
+  let settle;
+  const response = new Promise((resolve, reject) => {
+    settle = { resolve, reject };
+  });
+  const result = breaker.execute(() => response).then(res => res.status, error => error);
+  return {
+    result,
+    respond: status => settle.resolve({ status }),
+    fail: () => settle.reject(new Error('fetch failed'))
+  };
+}
+
+const respond = (breaker, status) => breaker.execute(async () => ({ status })).then(res => res.status, error => error);
+const fail = breaker => breaker.execute(async () => { throw new Error('fetch failed'); }).catch(error => error);
+
+/**
+ * Open a breaker with four failed requests
+ * @param {CircuitBreaker} breaker
+ */
+async function open(breaker) {
+  for (let i = 0; i < OPTIONS.minimumRequests; i++) await respond(breaker, 503);
+  assert.equal(breaker.state, 'open');
+}
+
+test('opens at the failure rate once the window holds the minimum of requests', async t => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.UTC(2025, 5, 2, 12) });
+  const breaker = new CircuitBreaker('upstream.test', OPTIONS);
+
+  // Three failures are below the minimum
+  for (let i = 0; i < 3; i++) await fail(breaker);
+  assert.equal(breaker.state, 'closed');
+
+  // Outside the window they no longer count; 4xx answers are successes
+  t.mock.timers.tick(61 * 1000);
+  assert.equal(await respond(breaker, 200), 200);
+  assert.equal(await respond(breaker, 404), 404);
+  await fail(breaker);
+  assert.equal(breaker.state, 'closed');
+  assert.deepEqual(breaker.getStatus().window, { seconds: 60, requests: 3, failures: 1, failureRate: 33 });
+
+  // 2 of 4 is 50%
+  assert.equal(await respond(breaker, 502), 502);
+  assert.equal(breaker.state, 'open');
+  assert.equal(breaker.getStatus().lastFailure.reason, 'http_502');
+
+  let called = false;
+  const rejected = await breaker.execute(async () => {
+    called = true;
+  }).catch(error => error);
+  assert.equal(called, false);
+  assert.deepEqual([rejected.statusCode, rejected.code, rejected.retryAfter], [503, 'CIRCUIT_OPEN', 30]);
+  assert.equal(breaker.getStatus().rejected, 1);
+});
+
+test('lets only halfOpenRequests trials through after openSeconds and closes when all succeed', async t => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.UTC(2025, 5, 2, 12) });
+  const breaker = new CircuitBreaker('upstream.test', OPTIONS);
+  await open(breaker);
+
+  t.mock.timers.tick(29 * 1000);
+  assert.equal((await respond(breaker, 200)).code, 'CIRCUIT_OPEN');
+
+  t.mock.timers.tick(1000);
+  const [first, second] = [pending(breaker), pending(breaker)];
+  assert.equal(breaker.state, 'half-open');
+  assert.equal((await respond(breaker, 200)).code, 'CIRCUIT_OPEN');
+
+  first.respond(200);
+  assert.equal(await first.result, 200);
+  assert.equal(breaker.state, 'half-open');
+
+  second.respond(200);
+  assert.equal(await second.result, 200);
+  assert.equal(breaker.state, 'closed');
+  assert.equal(breaker.getStatus().window.requests, 0);
+});
+
+test('a failed trial opens the breaker again for openSeconds', async t => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.UTC(2025, 5, 2, 12) });
+  const breaker = new CircuitBreaker('upstream.test', OPTIONS);
+  await open(breaker);
+
+  t.mock.timers.tick(30 * 1000);
+  const [first, second] = [pending(breaker), pending(breaker)];
+  first.fail();
+  await first.result;
+  assert.equal(breaker.state, 'open');
+  assert.equal(breaker.getStatus().retryAt, new Date(Date.now() + 30 * 1000).toISOString());
+
+  // The other trial started in the half-open state that is gone
+  second.respond(200);
+  await second.result;
+  assert.equal(breaker.state, 'open');
+  assert.equal((await respond(breaker, 200)).code, 'CIRCUIT_OPEN');
+});
+
+test('outcomes of requests started in an earlier state are ignored', async t => {
+  t.mock.timers.enable({ apis: ['Date'], now: Date.UTC(2025, 5, 2, 12) });
+  const breaker = new CircuitBreaker('upstream.test', OPTIONS);
+
+  // Slow requests from before the breaker opened
+  const [slowSuccess, slowFailure, lateSuccess] = [pending(breaker), pending(breaker), pending(breaker)];
+  await open(breaker);
+
+  // Finishing while open changes nothing
+  slowSuccess.respond(200);
+  assert.equal(await slowSuccess.result, 200);
+  assert.equal(breaker.state, 'open');
+
+  // During the trials a failure does not reopen the breaker...
+  t.mock.timers.tick(30 * 1000);
+  const trial = pending(breaker);
+  slowFailure.respond(503);
+  assert.equal(await slowFailure.result, 503);
+  assert.equal(breaker.state, 'half-open');
+
+  // ...and a success does not count as a trial
+  lateSuccess.respond(200);
+  await lateSuccess.result;
+  trial.respond(200);
+  await trial.result;
+  assert.equal(breaker.state, 'half-open');
+
+  assert.equal(await respond(breaker, 200), 200);
+  assert.equal(breaker.state, 'closed');
+});
@@ -0,0 +1,62 @@
+/**
+ * Dataset controller error responses
+ *
+ * The controller is called with minimal request and response objects; the upstream
+ * failure is raised by a mocked datasetService.fetchDataset.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+// Must be set before the config is loaded
+process.env.FIXTURE_MODE ||= 'replay';
+
+const { default: datasetController } = await import('../../src/controllers/datasetController.js');
+const { default: datasetService } = await import('../../src/services/datasetService.js');
+
+/**
+ * @returns {Object} Response that records status, headers and body
+ */
+function response() {
+  return {
+    statusCode: 200,
+    headers: {},
+    body: null,
+    status(code) {
+      this.statusCode = code;
+      return this;
+    },
+    set(name, value) {
+      this.headers[name] = value;
+      return this;
+    },
+    json(body) {
+      this.body = body;
+      return this;
+    }
+  };
+}
+
+const request = (query = {}) => ({ params: { id: 'waste-recycling' }, query });
+
+test('getJsonStat answers 503 with Retry-After while the geostat.ge circuit is open', async t => {
+  t.mock.method(datasetService, 'fetchDataset', async () => {
+    throw Object.assign(new Error('PXWeb API error: Circuit open for pc-axis.geostat.ge'), { code: 'CIRCUIT_OPEN', retryAfter: 42 });
+  });
+
+  const res = response();
+  await datasetController.getJsonStat(request(), res);
+  assert.equal(res.statusCode, 503);
+  assert.equal(res.headers['Retry-After'], '42');
+  assert.equal(res.body.error, 'External API unavailable');
+});
+
+test('getJsonStat answers 400 for an invalid selection and serves the table otherwise', async () => {
+  const res = response();
+  await datasetController.getJsonStat(request({ select: 'Year' }), res);
+  assert.equal(res.statusCode, 400);
+
+  const ok = response();
+  await datasetController.getJsonStat(request(), ok);
+  assert.equal(ok.statusCode, 200);
+  assert.equal(ok.body.data.dataset.label, 'ნარჩენების გადამუშავება');
+});
@@ -0,0 +1,136 @@
+/**
+ * In-memory stand-in for Redis, installed on the redisService singleton and shared by
+ * every service in the test process as if each service instance were a PM2 worker on
+ * one Redis: locks (acquireLock/releaseLock), strings (get, setex, mGet), pub/sub
+ * (publish, subscribe) and Lua scripts (eval), which run in fengari with the `get`,
+ * `incr`, `pexpire` and `del` commands.
+ */
+import { randomUUID } from 'crypto';
+import fengari from 'fengari';
+import redisService from '../../../src/services/redisService.js';
+
+const { lua, lauxlib, lualib, to_luastring } = fengari;
+const FAKED = ['acquireLock', 'releaseLock', 'get', 'setex', 'mGet', 'eval', 'publish', 'subscribe'];
+
+/**
+ * Mark redisService connected and answer its calls from memory; time is Date.now(),
+ * so mocked timers move expiries too
+ * @returns {Object} - { locks: Map key → { token, expiresAt }, values: Map key → { value, expiresAt },
+ *                     channels: Map channel → Set of listeners, hold(key, ttlMs), restore() }
+ */
+export function installFakeRedis() {
+  const connected = redisService.connected;
+  const locks = new Map();
+  const values = new Map();
+  const channels = new Map(); // channel → Set of listeners
+
+  const read = key => {
+    const entry = values.get(key);
+    return entry && (entry.expiresAt === null || entry.expiresAt > Date.now()) ? entry.value : null;
+  };
+
+  const commands = {
+    get: key => read(key),
+    incr: key => {
+      const entry = read(key) === null ? { value: '0', expiresAt: null } : values.get(key);
+      entry.value = String(Number(entry.value) + 1);
+      values.set(key, entry);
+      return Number(entry.value);
+    },
+    pexpire: (key, ms) => {
+      if (read(key) === null) return 0;
+      values.get(key).expiresAt = Date.now() + Number(ms);
+      return 1;
+    },
+    del: key => Number(values.delete(key))
+  };
+
+  redisService.connected = true;
+  redisService.acquireLock = async (key, ttlMs) => {
+    const lock = locks.get(key);
+    if (lock && lock.expiresAt > Date.now()) return null;
+    const token = randomUUID();
+    locks.set(key, { token, expiresAt: Date.now() + ttlMs });
+    return token;
+  };
+  redisService.releaseLock = async (key, token) => {
+    if (locks.get(key)?.token === token) locks.delete(key);
+  };
+  redisService.get = async key => read(key);
+  redisService.setex = async (key, ttl, value) => {
+    values.set(key, { value: String(value), expiresAt: Date.now() + ttl * 1000 });
+  };
+  redisService.mGet = async keys => keys.map(read);
+  redisService.publish = async (channel, message) => {
+    // Delivered asynchronously, as over a subscriber connection
+    for (const listener of channels.get(channel) || []) setImmediate(listener, message);
+    return true;
+  };
+  redisService.subscribe = async (channel, listener) => {
+    if (!channels.has(channel)) channels.set(channel, new Set());
+    channels.get(channel).add(listener);
+    return async () => channels.get(channel).delete(listener);
+  };
+  redisService.eval = async (script, keys, args) => runLua(script, keys, args.map(String), commands);
+
+  return {
+    locks,
+    values,
+    channels,
+    hold: (key, ttlMs = 60000) => redisService.acquireLock(key, ttlMs),
+    restore: () => {
+      FAKED.forEach(method => delete redisService[method]);
+      redisService.connected = connected;
+    }
+  };
+}
+
+/**
+ * Run a script the way EVAL does: KEYS and ARGV tables, redis.call, nil as false and a
+ * table reply as an array of integers
+ * @param {string} script
+ * @param {Array<string>} keys
+ * @param {Array<string>} args
+ * @param {Object} commands - name → (...args) => string | number | null
+ * @returns {*}
+ */
+function runLua(script, keys, args, commands) {
+  const L = lauxlib.luaL_newstate();
+  lualib.luaL_openlibs(L);
+
+  const setTable = (name, items) => {
+    lua.lua_createtable(L, items.length, 0);
+    items.forEach((item, i) => {
+      lua.lua_pushstring(L, to_luastring(item));
+      lua.lua_rawseti(L, -2, i + 1);
+    });
+    lua.lua_setglobal(L, to_luastring(name));
+  };
+  setTable('KEYS', keys);
+  setTable('ARGV', args);
+
+  lua.lua_createtable(L, 0, 1);
+  lua.lua_pushjsfunction(L, state => {
+    const callArgs = Array.from({ length: lua.lua_gettop(state) }, (_, i) => lua.lua_tojsstring(state, i + 1));
+    const [name, ...rest] = callArgs;
+    const reply = commands[name.toLowerCase()](...rest);
+    if (reply === null) lua.lua_pushboolean(state, false);
+    else if (typeof reply === 'number') lua.lua_pushinteger(state, reply);
+    else lua.lua_pushstring(state, to_luastring(reply));
+    return 1;
+  });
+  lua.lua_setfield(L, -2, to_luastring('call'));
+  lua.lua_setglobal(L, to_luastring('redis'));
+
+  if (lauxlib.luaL_loadstring(L, to_luastring(script)) !== lua.LUA_OK || lua.lua_pcall(L, 0, 1, 0) !== lua.LUA_OK) {
+    throw new Error(`Lua error: ${lua.lua_tojsstring(L, -1)}`);
+  }
+
+  if (!lua.lua_istable(L, -1)) return lua.lua_isnil(L, -1) ? null : lua.lua_tointeger(L, -1);
+  const reply = [];
+  for (let i = 1; lua.lua_rawgeti(L, -1, i) !== lua.LUA_TNIL; i++) {
+    reply.push(lua.lua_tointeger(L, -1));
+    lua.lua_pop(L, 1);
+  }
+  return reply;
+}
@@ -0,0 +1,102 @@
+/**
+ * Rate limit tests
+ *
+ * Every case runs twice: on the in-memory counters (no Redis) and on the Lua script,
+ * executed by test/unit/helpers/fakeRedis.js. Date is mocked, starting 10 s into a
+ * UTC minute.
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { RateLimitService } = await import('../../src/services/rateLimitService.js');
+const { installFakeRedis } = await import('./helpers/fakeRedis.js');
+
+const START = Date.UTC(2025, 5, 2, 12, 0, 10);
+
+/**
+ * Register a test per backend with a fresh service and mocked time
+ * @param {string} name
+ * @param {Function} fn - async ({ service, tick, t }) => void
+ */
+function bothBackends(name, fn) {
+  for (const backend of ['memory', 'redis']) {
+    test(`${name} (${backend})`, async t => {
+      t.mock.timers.enable({ apis: ['Date'], now: START });
+      if (backend === 'redis') t.after(installFakeRedis().restore);
+      await fn({ service: new RateLimitService(), tick: ms => t.mock.timers.tick(ms), backend, t });
+    });
+  }
+}
+
+const hits = (service, n, limits, id = 'key_a') => Promise.all(Array.from({ length: n }, () => service.hit(id, limits)));
+
+bothBackends('allows requests up to the minute limit, then rejects with Retry-After', async ({ service }) => {
+  const limits = { perMinute: 3, perDay: 0 };
+  const allowed = await hits(service, 3, limits);
+  assert.deepEqual(allowed.map(usage => usage.allowed), [true, true, true]);
+  assert.deepEqual(allowed.map(usage => usage.minute.remaining), [2, 1, 0]);
+
+  const rejected = await service.hit('key_a', limits);
+  assert.equal(rejected.allowed, false);
+  assert.equal(rejected.retryAfter, 50);
+  assert.equal(rejected.minute.used, 3);
+  assert.equal(rejected.day.limit, null);
+
+  // Other keys have their own counters
+  assert.equal((await service.hit('key_b', limits)).allowed, true);
+});
+
+bothBackends('counts concurrent requests once each', async ({ service }) => {
+  const results = await hits(service, 10, { perMinute: 4, perDay: 0 });
+  assert.equal(results.filter(usage => usage.allowed).length, 4);
+});
+
+bothBackends('weights the previous minute by its overlap with the last 60 seconds', async ({ service, tick }) => {
+  const limits = { perMinute: 4, perDay: 0 };
+  await hits(service, 4, limits);
+
+  // 12:01:30: half of the previous minute overlaps, 4 × 0.5 = 2 used
+  tick(80 * 1000);
+  const next = await hits(service, 3, limits);
+  assert.deepEqual(next.map(usage => usage.allowed), [true, true, false]);
+  assert.equal(next[2].retryAfter, 30);
+
+  // Two minutes later both windows are empty
+  tick(120 * 1000);
+  assert.equal((await service.hit('key_a', limits)).minute.used, 1);
+});
+
+bothBackends('enforces the daily quota until UTC midnight', async ({ service, tick }) => {
+  const limits = { perMinute: 0, perDay: 2 };
+  await hits(service, 2, limits);
+  tick(60 * 60 * 1000);
+
+  const rejected = await service.hit('key_a', limits);
+  assert.equal(rejected.allowed, false);
+  assert.equal(rejected.retryAfter, 11 * 60 * 60 - 10);
+  assert.equal(rejected.day.remaining, 0);
+  assert.equal(rejected.minute.limit, null);
+
+  tick(12 * 60 * 60 * 1000);
+  assert.equal((await service.hit('key_a', limits)).allowed, true);
+});
+
+bothBackends('reports requests and rejections in the usage', async ({ service, backend }) => {
+  const limits = { perMinute: 2, perDay: 10 };
+  await hits(service, 3, limits);
+
+  const usage = await service.getUsage('key_a', limits, 2);
+  assert.equal(usage.backend, backend);
+  assert.equal(service.memory.size > 0, backend === 'memory');
+  assert.deepEqual(usage.minute, { limit: 2, used: 2, remaining: 0, reset: 50 });
+  assert.deepEqual(usage.today, { limit: 10, used: 2, remaining: 8, reset: 12 * 60 * 60 - 10, rejected: 1 });
+  assert.deepEqual(usage.daily, [
+    { date: '2025-06-02', requests: 2, rejected: 1 },
+    { date: '2025-06-01', requests: 0, rejected: 0 }
+  ]);
+});
+
+bothBackends('does not limit without limits', async ({ service }) => {
+  const results = await hits(service, 20, { perMinute: 0, perDay: 0 });
+  assert.ok(results.every(usage => usage.allowed && usage.minute.remaining === null && usage.day.remaining === null));
+});